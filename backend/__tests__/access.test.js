@@ -0,0 +1,83 @@
+// ============================================================
+// TESTS DE ACCESO A LAS COLECCIONES PRIVADAS
+// ============================================================
+// Verificamos que el router de JSON Server no exponga los usuarios
+// ni otras colecciones privadas: rutas directas, relaciones
+// (_expand, _embed) y rutas anidadas (/:recurso/:id/:anidado)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, savedOrder, PASSWORD_HASH } = require('./helpers');
+
+describe('Colección de usuarios', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer((data) => {
+      data.orders.push(savedOrder());
+    });
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  // Ninguna respuesta debe contener datos de la colección users
+  const assertNoUserData = (response) => {
+    assert.ok(!response.text.includes(PASSWORD_HASH), 'la respuesta incluye un hash de contraseña');
+    assert.ok(!response.text.includes('passwordHash'), 'la respuesta incluye passwordHash');
+  };
+
+  // TEST 1: Rutas directas
+  it('debe responder 404 en /users y /db', async () => {
+    for (const url of ['/users', '/users/7', '/db']) {
+      const response = await api.request('GET', url, { token: 'admin' });
+      assert.equal(response.status, 404, url);
+      assertNoUserData(response);
+    }
+  });
+
+  // TEST 2: Relaciones de JSON Server
+  it('debe ignorar _expand y _embed en cualquier colección', async () => {
+    const requests = [
+      ['/orders?_expand=user', 'ana'],
+      ['/orders/1?_expand=user', 'ana'],
+      ['/orders?_expand=user&_embed=orderNotes', 'admin'],
+      ['/categories?_embed=products', undefined],
+    ];
+    for (const [url, token] of requests) {
+      const response = await api.request('GET', url, { token });
+      assert.equal(response.status, 200, url);
+      assertNoUserData(response);
+    }
+
+    const orders = await api.request('GET', '/orders?_expand=user', { token: 'ana' });
+    assert.equal(orders.body[0].user, undefined);
+    const categories = await api.request('GET', '/categories?_embed=products');
+    assert.equal(categories.body[0].products, undefined);
+  });
+
+  // TEST 3: Rutas anidadas
+  it('debe responder 404 en las rutas anidadas sin reglas propias', async () => {
+    for (const url of ['/products/1/users', '/categories/1/orders', '/products/1/carts']) {
+      const response = await api.request('GET', url, { token: 'ana' });
+      assert.equal(response.status, 404, url);
+      assertNoUserData(response);
+    }
+  });
+
+  // TEST 4: Escrituras a través de rutas anidadas
+  it('debe impedir crear órdenes o usuarios con una ruta anidada', async () => {
+    const order = await api.request('POST', '/products/1/orders', {
+      token: 'ana',
+      body: { productos: [{ id: 1, cantidad: 1 }], total: 1 },
+    });
+    const user = await api.request('POST', '/products/1/users', { body: { email: 'x@mail.com', role: 'admin' } });
+
+    assert.equal(order.status, 404);
+    assert.equal(user.status, 404);
+    const db = api.readDb();
+    assert.equal(db.orders.length, 1);
+    assert.equal(db.users.length, 3);
+  });
+});
@@ -0,0 +1,148 @@
+// ============================================================
+// TESTS DE LA CONTRASEÑA OLVIDADA
+// ============================================================
+// Verificamos el pedido del enlace (sin revelar qué cuentas existen y
+// sin guardar el token en claro) y la contraseña nueva con el token:
+// vencido, ya usado o desconocido, y que las sesiones anteriores al
+// cambio dejen de valer
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('timers/promises');
+const { startServer, decodeMessage, outboxMessages } = require('./helpers');
+const { createResetToken, hashResetToken } = require('../lib/auth');
+
+// Espera el email de restablecimiento de un destinatario (se envía después de responder)
+const waitForResetMail = async (to) => {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const raw = outboxMessages().reverse().find((message) => message.includes(`To: ${to}\r\n`));
+    if (raw) {
+      return decodeMessage(raw);
+    }
+    await delay(20);
+  }
+  throw new Error(`No llegó el email para ${to}`);
+};
+
+describe('Pedido del enlace', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer();
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  // TEST 1: Misma respuesta exista o no la cuenta
+  it('debe responder 202 aunque el email no corresponda a una cuenta', async () => {
+    const unknown = await api.request('POST', '/auth/password-reset', { body: { email: 'nadie@mail.com' } });
+    const known = await api.request('POST', '/auth/password-reset', { body: { email: ' ANA@mail.com ' } });
+
+    assert.equal(unknown.status, 202);
+    assert.equal(known.status, 202);
+    assert.equal(known.body.message, unknown.body.message);
+  });
+
+  // TEST 2: El enlace llega por email y la base guarda solo el hash
+  it('debe enviar el enlace por email y guardar solo el hash del token', async () => {
+    await api.request('POST', '/auth/password-reset', { body: { email: 'beto@mail.com' } });
+
+    const { text } = await waitForResetMail('beto@mail.com');
+    const token = text.match(/restablecer-contrasena\?token=([A-Za-z0-9_-]+)/)[1];
+
+    const db = api.readDb();
+    const user = db.users.find((item) => item.id === 8);
+    assert.equal(user.passwordReset.tokenHash, hashResetToken(token));
+    assert.ok(new Date(user.passwordReset.expiresAt) > new Date());
+    assert.ok(!JSON.stringify(db).includes(token));
+  });
+});
+
+describe('Contraseña nueva', () => {
+  let api;
+  let token;
+
+  // Levanta el servidor con un enlace de Ana vigente (o con la fecha indicada)
+  const start = async (now = new Date()) => {
+    const reset = createResetToken(now);
+    token = reset.token;
+    api = await startServer((data) => {
+      data.users.find((user) => user.id === 7).passwordReset = reset.passwordReset;
+    });
+  };
+
+  const confirm = (body) => api.request('POST', '/auth/password-reset/confirm', { body });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  // TEST 3: Cambio de contraseña con un enlace vigente
+  it('debe cambiar la contraseña, iniciar sesión y anular el enlace', async () => {
+    await start();
+
+    const response = await confirm({ token, password: 'nueva12345' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.id, 7);
+    assert.equal(api.readDb().users.find((user) => user.id === 7).passwordReset, null);
+
+    // PASO 2: Se ingresa con la contraseña nueva y ya no con la anterior
+    const login = await api.request('POST', '/auth/login', { body: { email: 'ana@mail.com', password: 'nueva12345' } });
+    const oldLogin = await api.request('POST', '/auth/login', { body: { email: 'ana@mail.com', password: 'secreta123' } });
+    assert.equal(login.status, 200);
+    assert.equal(oldLogin.status, 401);
+
+    // PASO 3: El enlace ya usado no sirve otra vez
+    const reused = await confirm({ token, password: 'otra123456' });
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.error, 'INVALID_RESET_TOKEN');
+  });
+
+  // TEST 4: Las sesiones anteriores al cambio dejan de valer
+  it('debe cerrar las sesiones abiertas antes de restablecer la contraseña', async () => {
+    await start();
+    assert.equal((await api.request('GET', '/auth/me', { token: 'ana' })).status, 200);
+
+    const response = await confirm({ token, password: 'nueva12345' });
+
+    const oldSession = await api.request('GET', '/auth/me', { token: 'ana' });
+    const newSession = await api.request('GET', '/auth/me', {
+      headers: { Authorization: `Bearer ${response.body.token}` },
+    });
+    assert.equal(oldSession.status, 401);
+    assert.equal(newSession.status, 200);
+    assert.equal(newSession.body.id, 7);
+    // Las sesiones de otros usuarios siguen valiendo
+    assert.equal((await api.request('GET', '/auth/me', { token: 'beto' })).status, 200);
+  });
+
+  // TEST 5: Enlace vencido o desconocido
+  it('debe rechazar un enlace vencido o desconocido sin cambiar la contraseña', async () => {
+    await start(new Date(Date.now() - 2 * 60 * 60 * 1000));
+
+    const expired = await confirm({ token, password: 'nueva12345' });
+    const unknown = await confirm({ token: 'no-existe', password: 'nueva12345' });
+    const missing = await confirm({ password: 'nueva12345' });
+
+    [expired, unknown, missing].forEach((response) => {
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'INVALID_RESET_TOKEN');
+    });
+    const login = await api.request('POST', '/auth/login', { body: { email: 'ana@mail.com', password: 'secreta123' } });
+    assert.equal(login.status, 200);
+  });
+
+  // TEST 6: Contraseña nueva inválida
+  it('debe validar la contraseña nueva antes de usar el enlace', async () => {
+    await start();
+
+    const response = await confirm({ token, password: 'corta' });
+
+    assert.equal(response.status, 422);
+    assert.deepEqual(response.body.details.map((detail) => detail.field), ['password']);
+    assert.notEqual(api.readDb().users.find((user) => user.id === 7).passwordReset, null);
+  });
+});
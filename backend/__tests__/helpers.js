@@ -0,0 +1,199 @@
+// Utilidades de los tests del backend - Levantan server.js sobre una copia temporal de los datos
+// Cada llamada a startServer crea un db.json nuevo en una carpeta temporal, con los datos de ejemplo
+// de este archivo (y los cambios que pida el test), y escucha en un puerto libre; createDb arma la
+// misma base en memoria para los tests de lib/
+// Los emails se escriben en la misma carpeta temporal (transporte outbox) y decodeMessage los lee
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const jsonServer = require('json-server');
+
+process.env.NODE_ENV = 'test';
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'gamehub-backend-'));
+process.env.MAIL_OUTBOX_DIR = path.join(TMP_DIR, 'outbox');
+process.on('exit', () => fs.rmSync(TMP_DIR, { recursive: true, force: true }));
+
+const { hashPassword, signToken } = require('../lib/auth');
+const { signPayload, SIGNATURE_HEADER } = require('../lib/sandboxPayments');
+
+// Usuarios de ejemplo: un administrador y dos clientes
+const USERS = [
+  { id: 1, nombre: 'Admin', email: 'admin@gamehub.com', role: 'admin' },
+  { id: 7, nombre: 'Ana Pérez', email: 'ana@mail.com', role: 'cliente' },
+  { id: 8, nombre: 'Beto Gómez', email: 'beto@mail.com', role: 'cliente' },
+];
+
+// Tokens de sesión de cada usuario de ejemplo
+const tokens = {
+  admin: signToken(USERS[0]),
+  ana: signToken(USERS[1]),
+  beto: signToken(USERS[2]),
+};
+
+// Un hash real para que las pruebas de acceso puedan buscarlo en las respuestas
+const PASSWORD_HASH = hashPassword('secreta123');
+
+// Datos de ejemplo: un producto con stock, uno sin control de stock y un cupón con usos limitados
+const baseData = () => ({
+  products: [
+    { id: 1, nombre: 'PlayStation 5', descripcion: 'Consola', precio: 100000, stock: 5, categoriaId: 1, imagen: '/ps5.jpg' },
+    { id: 2, nombre: 'Joystick', descripcion: 'Control inalámbrico', precio: 20000, categoriaId: 1, imagen: '/joy.jpg' },
+  ],
+  categories: [{ id: 1, nombre: 'Consolas', slug: 'consolas' }],
+  orders: [],
+  orderNotes: [],
+  reviews: [],
+  wishlists: [],
+  carts: [],
+  payments: [],
+  mailQueue: [],
+  coupons: [
+    {
+      id: 1,
+      codigo: 'UNICO',
+      descripcion: '10% una sola vez',
+      tipo: 'porcentaje',
+      valor: 10,
+      minimo: 0,
+      usosMaximos: 1,
+      usos: 0,
+      desde: null,
+      hasta: null,
+      productIds: [],
+      categoriaIds: [],
+      activo: true,
+    },
+  ],
+  users: USERS.map((user) => ({
+    ...user,
+    passwordHash: PASSWORD_HASH,
+    passwordReset: null,
+    createdAt: '2024-01-01T00:00:00.000Z',
+  })),
+});
+
+// Datos de checkout válidos (retiro en el local, para no depender de la cotización del envío)
+const checkoutData = (metodoPago = 'tarjeta') => ({
+  cliente: { nombre: 'Ana Pérez', email: 'ana@mail.com', dni: '30123456', telefono: '1144445555' },
+  envio: {
+    metodo: 'retiro',
+    direccion: { calle: 'Av. Corrientes', numero: '1234', ciudad: 'CABA', provincia: 'Buenos Aires', codigoPostal: 'C1425ABC' },
+  },
+  pago: { metodo: metodoPago },
+  factura: { tipo: 'B' },
+});
+
+// Orden ya guardada con los campos que arma POST /orders
+const savedOrder = (fields = {}) => ({
+  id: 1,
+  userId: 7,
+  fecha: '2024-03-10T15:00:00.000Z',
+  productos: [{ id: 1, nombre: 'PlayStation 5', precio: 100000, iva: 21, cantidad: 1 }],
+  subtotal: 100000,
+  descuentos: [],
+  total: 100000,
+  pago: { metodo: 'transferencia' },
+  status: 'pendiente',
+  statusHistory: [{ status: 'pendiente', fecha: '2024-03-10T15:00:00.000Z' }],
+  ...fields,
+});
+
+// Notificación del sandbox firmada (o con la firma indicada)
+const webhookRequest = (intentId, estado, signature) => {
+  const body = { tipo: 'payment.updated', data: { id: intentId, estado } };
+  return { body, headers: { [SIGNATURE_HEADER]: signature ?? signPayload(body) } };
+};
+
+// Partes de un mensaje armado por lib/mail.js: los headers y los cuerpos de texto y HTML decodificados
+const decodeMessage = (raw) => {
+  const boundary = raw.match(/boundary="([^"]+)"/)[1];
+  const [headers, ...parts] = raw.split(`--${boundary}`);
+  const [text, html] = parts.slice(0, 2).map((part) => {
+    const body = part.slice(part.indexOf('\r\n\r\n') + 4);
+    return Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+  });
+  return { headers, text, html };
+};
+
+// Emails que el transporte outbox dejó en MAIL_OUTBOX_DIR, del más viejo al más nuevo
+const outboxMessages = () => {
+  const dir = process.env.MAIL_OUTBOX_DIR;
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).sort().map((file) => fs.readFileSync(path.join(dir, file), 'utf8'));
+};
+
+// Base lowdb en memoria con los datos de ejemplo, para probar los módulos de lib/ sin servidor
+const createDb = (customize = () => {}) => {
+  const data = baseData();
+  customize(data);
+  return jsonServer.router(data).db;
+};
+
+let serverCount = 0;
+
+// Levanta el servidor con los datos de ejemplo; "customize" recibe los datos y puede modificarlos
+// Retorna { request, readDb, close }
+const startServer = async (customize = () => {}) => {
+  const data = baseData();
+  customize(data);
+
+  serverCount += 1;
+  const dbFile = path.join(TMP_DIR, `db-${serverCount}.json`);
+  fs.writeFileSync(dbFile, JSON.stringify(data));
+  process.env.DB_FILE = dbFile;
+
+  // server.js lee DB_FILE al cargarse: se vuelve a cargar para cada servidor
+  delete require.cache[require.resolve('../server')];
+  const app = require('../server');
+  const listener = app.listen(0);
+  await once(listener, 'listening');
+  const baseUrl = `http://127.0.0.1:${listener.address().port}`;
+
+  // Petición al servidor; "token" es el nombre de un usuario de ejemplo (admin, ana o beto)
+  const request = async (method, url, { token, body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${tokens[token]}` }),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    // El cuerpo en bytes sirve para las respuestas binarias (ej: el comprobante en PDF)
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const text = buffer.toString('utf8');
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = null;
+    }
+    return { status: response.status, body: json, text, buffer, headers: response.headers };
+  };
+
+  // Contenido actual de db.json (lowdb lo escribe en cada cambio)
+  const readDb = () => JSON.parse(fs.readFileSync(dbFile, 'utf8'));
+
+  const close = () => new Promise((resolve) => {
+    listener.closeAllConnections();
+    listener.close(resolve);
+  });
+
+  return { request, readDb, close };
+};
+
+module.exports = {
+  PASSWORD_HASH,
+  checkoutData,
+  savedOrder,
+  createDb,
+  decodeMessage,
+  outboxMessages,
+  webhookRequest,
+  startServer,
+};
@@ -0,0 +1,283 @@
+// ============================================================
+// TESTS DE LOS EMAILS TRANSACCIONALES
+// ============================================================
+// Verificamos el armado del mensaje MIME (headers RFC 2047 y texto con
+// acentos), el transporte outbox, la cola con sus reintentos y el paso
+// a "fallido", que los datos secretos no lleguen a db.json y que solo
+// un administrador vea la cola y reintente un email
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, createDb, savedOrder, decodeMessage } = require('./helpers');
+const { buildMessage, createOutboxTransport, createMailer, MAX_ATTEMPTS, RETRY_DELAYS_MS } = require('../lib/mail');
+
+// Transporte que guarda los envíos y falla mientras "failing" sea true
+const fakeTransport = () => {
+  const transport = {
+    nombre: 'fake',
+    failing: false,
+    sent: [],
+    send: async (envelope) => {
+      if (transport.failing) {
+        throw new Error('Conexión rechazada');
+      }
+      transport.sent.push(envelope);
+    },
+  };
+  return transport;
+};
+
+// Datos del email de restablecimiento con un token reconocible
+const RESET_LINK = 'http://localhost:5173/restablecer-contrasena?token=token-secreto-del-enlace';
+const resetData = { nombre: 'Ana', link: RESET_LINK, expiresInMinutes: 60 };
+
+describe('buildMessage', () => {
+  // TEST 1: Headers con acentos según RFC 2047
+  it('debe codificar el asunto con acentos y dejar los headers ASCII como están', () => {
+    const raw = buildMessage({
+      from: 'GameHub <no-reply@gamehub.com>',
+      to: 'ana@mail.com',
+      subject: 'Restablecé tu contraseña en GameHub ahora mismo',
+      text: 'Hola Ana, elegí una contraseña nueva.',
+      html: '<p>Hola Ana, elegí una contraseña nueva.</p>',
+      date: new Date('2026-10-19T15:04:05.000Z'),
+    });
+
+    const { headers, text, html } = decodeMessage(raw);
+    const subject = headers.match(/^Subject: ([\s\S]*?)\r\nDate:/m)[1];
+    const words = subject.split('\r\n ');
+    assert.ok(words.length > 1);
+    words.forEach((word) => assert.match(word, /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/));
+    const decoded = words.map((word) => Buffer.from(word.slice(10, -2), 'base64').toString('utf8')).join('');
+    assert.equal(decoded, 'Restablecé tu contraseña en GameHub ahora mismo');
+    assert.match(headers, /^From: GameHub <no-reply@gamehub\.com>\r\n/);
+    assert.match(headers, /\r\nDate: Mon, 19 Oct 2026 15:04:05 \+0000\r\n/);
+    assert.match(headers, /\r\nMessage-ID: <[0-9a-f-]+@gamehub\.com>\r\n/);
+
+    // PASO 2: Los cuerpos viajan en base64 con líneas cortas y conservan los acentos
+    assert.ok(raw.split('\r\n').every((line) => line.length <= 998));
+    assert.equal(text, 'Hola Ana, elegí una contraseña nueva.');
+    assert.equal(html, '<p>Hola Ana, elegí una contraseña nueva.</p>');
+  });
+});
+
+describe('Transporte outbox', () => {
+  // TEST 2: Cada email queda como archivo .eml
+  it('debe escribir el mensaje en un archivo .eml', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gamehub-outbox-'));
+    try {
+      await createOutboxTransport(path.join(dir, 'outbox')).send({ raw: 'Subject: Hola\r\n\r\nCuerpo\r\n' });
+
+      const files = fs.readdirSync(path.join(dir, 'outbox'));
+      assert.equal(files.length, 1);
+      assert.match(files[0], /^\d+-[0-9a-f]{8}\.eml$/);
+      assert.equal(fs.readFileSync(path.join(dir, 'outbox', files[0]), 'utf8'), 'Subject: Hola\r\n\r\nCuerpo\r\n');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Cola de emails', () => {
+  let db;
+  let transport;
+  let mailer;
+
+  beforeEach(() => {
+    db = createDb((data) => {
+      data.orders.push(savedOrder({ cliente: { nombre: 'Ana Pérez', email: 'ana@mail.com' } }));
+    });
+    transport = fakeTransport();
+    mailer = createMailer(db, { transport });
+  });
+
+  const queue = () => db.get('mailQueue').value();
+
+  // TEST 3: Entrega inmediata
+  it('debe entregar el email y quitarlo de la cola', async () => {
+    const delivered = await mailer.send('orderConfirmation', 'ana@mail.com', { order: savedOrder(), nombre: 'Ana' });
+
+    assert.equal(delivered, true);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].to, 'ana@mail.com');
+    assert.match(decodeMessage(transport.sent[0].raw).text, /#1/);
+    assert.deepEqual(queue(), []);
+  });
+
+  // TEST 4: Reintentos con espera creciente y "fallido" al agotar los intentos
+  it('debe reintentar con las esperas configuradas y marcarlo fallido sin sus datos', async () => {
+    transport.failing = true;
+    const start = Date.now();
+
+    // PASO 1: El primer intento falla y el siguiente se programa con la primera espera
+    assert.equal(await mailer.send('orderStatusChanged', 'ana@mail.com', { order: savedOrder(), nombre: 'Ana' }), false);
+    let [entry] = queue();
+    assert.equal(entry.estado, 'pendiente');
+    assert.equal(entry.intentos, 1);
+    assert.equal(entry.ultimoError, 'Conexión rechazada');
+    assert.equal(entry.mensaje, undefined);
+    assert.ok(new Date(entry.proximoIntento).getTime() >= start + RETRY_DELAYS_MS[0]);
+
+    // PASO 2: Antes de la espera no se reintenta
+    assert.equal(await mailer.processQueue(new Date(start)), 0);
+    assert.equal(queue()[0].intentos, 1);
+
+    // PASO 3: Cada reintento vencido suma un intento y usa la espera siguiente
+    for (let attempt = 2; attempt < MAX_ATTEMPTS; attempt += 1) {
+      await mailer.processQueue(new Date(Date.now() + RETRY_DELAYS_MS[attempt - 2]));
+      [entry] = queue();
+      assert.equal(entry.intentos, attempt);
+      assert.ok(new Date(entry.proximoIntento).getTime() >= start + RETRY_DELAYS_MS[attempt - 1]);
+    }
+
+    // PASO 4: El último intento fallido lo deja "fallido" y descarta sus datos
+    await mailer.processQueue(new Date(Date.now() + RETRY_DELAYS_MS[MAX_ATTEMPTS - 2]));
+    [entry] = queue();
+    assert.equal(entry.estado, 'fallido');
+    assert.equal(entry.intentos, MAX_ATTEMPTS);
+    assert.equal(entry.datos, null);
+    assert.equal(entry.proximoIntento, null);
+
+    // PASO 5: Un email fallido ya no se reintenta
+    transport.failing = false;
+    assert.equal(await mailer.retry(entry.id), null);
+    assert.equal(transport.sent.length, 0);
+  });
+
+  // TEST 5: Un reintento exitoso quita el email de la cola
+  it('debe entregar un email pendiente al reintentarlo', async () => {
+    transport.failing = true;
+    await mailer.send('orderStatusChanged', 'ana@mail.com', { order: savedOrder(), nombre: 'Ana' });
+
+    transport.failing = false;
+    assert.equal(await mailer.retry(queue()[0].id), true);
+    assert.equal(transport.sent.length, 1);
+    assert.deepEqual(queue(), []);
+  });
+
+  // TEST 6: El enlace para restablecer la contraseña no se guarda en la base
+  it('debe guardar los datos secretos solo en memoria', async () => {
+    transport.failing = true;
+    await mailer.send('passwordReset', 'ana@mail.com', resetData, {
+      secret: true,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    });
+
+    const [entry] = queue();
+    assert.equal(entry.datos, null);
+    assert.ok(!JSON.stringify(db.getState()).includes('token-secreto-del-enlace'));
+
+    // PASO 2: El mismo servicio lo reintenta con el enlace que guarda en memoria
+    transport.failing = false;
+    assert.equal(await mailer.retry(entry.id), true);
+    assert.ok(decodeMessage(transport.sent[0].raw).text.includes(RESET_LINK));
+  });
+
+  // TEST 7: Después de reiniciar, el email secreto ya no se puede armar
+  it('debe marcar fallido un email secreto cuyos datos se perdieron al reiniciar', async () => {
+    transport.failing = true;
+    await mailer.send('passwordReset', 'ana@mail.com', resetData, { secret: true });
+
+    transport.failing = false;
+    const restarted = createMailer(db, { transport });
+    await restarted.processQueue(new Date(Date.now() + RETRY_DELAYS_MS[0]));
+
+    assert.equal(queue()[0].estado, 'fallido');
+    assert.equal(transport.sent.length, 0);
+  });
+
+  // TEST 8: Un enlace vencido no se envía
+  it('debe descartar los emails pendientes cuyo enlace venció', async () => {
+    transport.failing = true;
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    await mailer.send('passwordReset', 'ana@mail.com', resetData, { secret: true, expiresAt: expiresAt.toISOString() });
+
+    transport.failing = false;
+    await mailer.processQueue(new Date(expiresAt.getTime() + 1000));
+
+    const [entry] = queue();
+    assert.equal(entry.estado, 'fallido');
+    assert.match(entry.ultimoError, /venció/);
+    assert.equal(transport.sent.length, 0);
+  });
+});
+
+describe('Rutas de la cola de emails', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer((data) => {
+      const order = savedOrder({ cliente: { nombre: 'Ana Pérez', email: 'ana@mail.com' } });
+      data.orders.push(order);
+      data.mailQueue.push(
+        {
+          id: 1,
+          plantilla: 'orderStatusChanged',
+          para: 'ana@mail.com',
+          asunto: 'Tu orden #1 cambió de estado',
+          datos: { order, nombre: 'Ana Pérez' },
+          estado: 'pendiente',
+          intentos: 1,
+          proximoIntento: '2024-03-10T15:01:00.000Z',
+          vence: null,
+          ultimoError: 'Conexión rechazada',
+          fecha: '2024-03-10T15:00:00.000Z',
+        },
+        {
+          id: 2,
+          plantilla: 'orderConfirmation',
+          para: 'ana@mail.com',
+          asunto: 'Recibimos tu orden #1',
+          datos: null,
+          estado: 'fallido',
+          intentos: MAX_ATTEMPTS,
+          proximoIntento: null,
+          vence: null,
+          ultimoError: 'Conexión rechazada',
+          fecha: '2024-03-10T14:00:00.000Z',
+        },
+      );
+    });
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  // TEST 9: Solo los administradores ven la cola
+  it('debe mostrar la cola sin el contenido solo a un administrador', async () => {
+    const anonymous = await api.request('GET', '/mail/queue');
+    const customer = await api.request('GET', '/mail/queue', { token: 'ana' });
+    const admin = await api.request('GET', '/mail/queue', { token: 'admin' });
+    const rest = await api.request('GET', '/mailQueue', { token: 'admin' });
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(customer.status, 403);
+    assert.equal(rest.status, 404);
+    assert.equal(admin.status, 200);
+    assert.deepEqual(admin.body.map((entry) => entry.id), [1, 2]);
+    assert.equal(admin.body[0].datos, undefined);
+    assert.ok(!admin.text.includes('Av. Corrientes'));
+  });
+
+  // TEST 10: Reintentar un email
+  it('debe reintentar un email pendiente solo para un administrador', async () => {
+    const customer = await api.request('POST', '/mail/queue/1/retry', { token: 'ana' });
+    assert.equal(customer.status, 403);
+
+    const retry = await api.request('POST', '/mail/queue/1/retry', { token: 'admin' });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.estado, 'enviado');
+    assert.deepEqual(api.readDb().mailQueue.map((entry) => entry.id), [2]);
+
+    // PASO 2: Un email fallido ya no tiene contenido y uno inexistente no se encuentra
+    const failed = await api.request('POST', '/mail/queue/2/retry', { token: 'admin' });
+    const missing = await api.request('POST', '/mail/queue/99/retry', { token: 'admin' });
+    assert.equal(failed.status, 409);
+    assert.equal(failed.body.error, 'MAIL_NOT_RETRYABLE');
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,185 @@
+// ============================================================
+// TESTS DE LAS RUTAS DE ÓRDENES
+// ============================================================
+// Verificamos la creación de órdenes (precios del catálogo, stock,
+// cupón e idempotencia), el acceso de cada cliente a sus órdenes y
+// la máquina de estados con la devolución del stock y del cupón
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, checkoutData, savedOrder } = require('./helpers');
+
+describe('Rutas de órdenes', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer();
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  // Crea una orden de Ana con el cuerpo indicado
+  const createOrder = (body = {}, headers = {}) => api.request('POST', '/orders', {
+    token: 'ana',
+    headers,
+    body: { productos: [{ id: 1, cantidad: 2 }], ...checkoutData('transferencia'), ...body },
+  });
+
+  // TEST 1: Crear una orden requiere sesión
+  it('debe rechazar una orden sin sesión', async () => {
+    const response = await api.request('POST', '/orders', { body: { productos: [{ id: 1, cantidad: 1 }] } });
+
+    assert.equal(response.status, 401);
+  });
+
+  // TEST 2: Precios del catálogo y stock reservado
+  it('debe recalcular la orden con los precios del catálogo y descontar el stock', async () => {
+    const response = await createOrder({ productos: [{ id: 1, cantidad: 2, precio: 1 }], total: 2 });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.total, 200000);
+    assert.equal(response.body.status, 'pendiente');
+    assert.equal(response.body.userId, 7);
+    assert.equal(api.readDb().products[0].stock, 3);
+  });
+
+  // TEST 3: Sin stock suficiente se rechaza la orden completa
+  it('debe rechazar la orden si supera el stock disponible', async () => {
+    const response = await createOrder({ productos: [{ id: 2, cantidad: 1 }, { id: 1, cantidad: 6 }] });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, 'OUT_OF_STOCK');
+    assert.equal(api.readDb().products[0].stock, 5);
+    assert.deepEqual(api.readDb().orders, []);
+  });
+
+  // TEST 4: Cupón con límite de usos
+  it('debe registrar el uso del cupón y rechazarlo al agotar sus usos', async () => {
+    // PASO 1: El primer uso se descuenta y se cuenta
+    const first = await createOrder({ cupon: 'unico' });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.descuentos[0].monto, 20000);
+    assert.deepEqual(first.body.descuentos[0].productIds, [1]);
+    assert.equal(api.readDb().coupons[0].usos, 1);
+
+    // PASO 2: El segundo uso ya no está disponible
+    const second = await createOrder({ cupon: 'UNICO' });
+    assert.equal(second.status, 422);
+    assert.equal(second.body.details[0].field, 'cupon');
+  });
+
+  // TEST 5: Idempotencia
+  it('debe responder la orden original si se reenvía con la misma clave', async () => {
+    const headers = { 'Idempotency-Key': 'intento-123456789' };
+    const first = await createOrder({}, headers);
+    const replay = await createOrder({}, headers);
+
+    assert.equal(first.status, 201);
+    assert.equal(replay.status, 200);
+    assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+    assert.equal(replay.body.id, first.body.id);
+    assert.equal(api.readDb().orders.length, 1);
+    assert.equal(api.readDb().products[0].stock, 3);
+  });
+
+  // TEST 6: Cada cliente ve solo sus órdenes
+  it('debe ocultar las órdenes ajenas', async () => {
+    await createOrder();
+
+    const list = await api.request('GET', '/orders', { token: 'beto' });
+    const detail = await api.request('GET', '/orders/1', { token: 'beto' });
+    const admin = await api.request('GET', '/orders', { token: 'admin' });
+
+    assert.deepEqual(list.body, []);
+    assert.equal(detail.status, 404);
+    assert.equal(admin.body.length, 1);
+  });
+});
+
+describe('Ciclo de vida de las órdenes', () => {
+  let api;
+
+  beforeEach(async () => {
+    // Orden pendiente que usó el único uso del cupón
+    api = await startServer((data) => {
+      data.products[0].stock = 4;
+      data.coupons[0].usos = 1;
+      data.orders.push(savedOrder({ descuentos: [{ codigo: 'UNICO', descripcion: '10% una sola vez', monto: 10000 }] }));
+    });
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  // TEST 7: El cliente solo puede cancelar
+  it('debe impedir que un cliente marque su orden como pagada', async () => {
+    const response = await api.request('PATCH', '/orders/1', { token: 'ana', body: { status: 'pagada' } });
+
+    assert.equal(response.status, 403);
+    assert.equal(api.readDb().orders[0].status, 'pendiente');
+  });
+
+  // TEST 8: Cancelar devuelve el stock y el cupón y registra el historial
+  it('debe cancelar la orden, devolver el stock y el uso del cupón y agregar el estado al historial', async () => {
+    const response = await api.request('PATCH', '/orders/1', { token: 'ana', body: { status: 'cancelada' } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'cancelada');
+    assert.deepEqual(response.body.statusHistory.map((entry) => entry.status), ['pendiente', 'cancelada']);
+    assert.equal(api.readDb().products[0].stock, 5);
+    assert.equal(api.readDb().coupons[0].usos, 0);
+
+    // PASO 2: El cupón se puede volver a usar
+    const order = await api.request('POST', '/orders', {
+      token: 'ana',
+      body: { productos: [{ id: 2, cantidad: 1 }], ...checkoutData('transferencia'), cupon: 'UNICO' },
+    });
+    assert.equal(order.status, 201);
+    assert.equal(api.readDb().coupons[0].usos, 1);
+  });
+
+  // TEST 9: Transiciones no permitidas
+  it('debe rechazar una transición no permitida y un estado inexistente', async () => {
+    const skip = await api.request('PATCH', '/orders/1', { token: 'admin', body: { status: 'entregada' } });
+    const unknown = await api.request('PATCH', '/orders/1', { token: 'admin', body: { status: 'perdida' } });
+
+    assert.equal(skip.status, 409);
+    assert.equal(skip.body.error, 'INVALID_STATUS_TRANSITION');
+    assert.equal(unknown.status, 422);
+  });
+
+  // TEST 10: Los campos calculados por el servidor no se reescriben
+  it('debe conservar el total y los productos al actualizar la orden', async () => {
+    const response = await api.request('PATCH', '/orders/1', {
+      token: 'admin',
+      body: { status: 'pagada', total: 1, productos: [] },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'pagada');
+    assert.equal(response.body.total, 100000);
+    assert.equal(response.body.productos.length, 1);
+  });
+
+  // TEST 11: Eliminar una orden pendiente equivale a cancelarla
+  it('debe devolver el stock y el uso del cupón al eliminar una orden pendiente', async () => {
+    const response = await api.request('DELETE', '/orders/1', { token: 'admin' });
+
+    assert.equal(response.status, 200);
+    assert.equal(api.readDb().products[0].stock, 5);
+    assert.equal(api.readDb().coupons[0].usos, 0);
+  });
+
+  // TEST 12: Una orden cancelada no vuelve a devolver stock ni cupón
+  it('debe devolver el stock y el cupón una sola vez al eliminar una orden cancelada', async () => {
+    await api.request('PATCH', '/orders/1', { token: 'admin', body: { status: 'cancelada' } });
+    const response = await api.request('DELETE', '/orders/1', { token: 'admin' });
+
+    assert.equal(response.status, 200);
+    assert.equal(api.readDb().products[0].stock, 5);
+    assert.equal(api.readDb().coupons[0].usos, 0);
+  });
+});
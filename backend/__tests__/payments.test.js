@@ -0,0 +1,292 @@
+// ============================================================
+// TESTS DE LOS PAGOS EN LÍNEA
+// ============================================================
+// Verificamos el cobro con el proveedor sandbox: la intención de pago
+// de una orden propia, el resultado según la tarjeta y las
+// notificaciones (webhooks) firmadas que llevan la orden a "pagada"
+// o "rechazada", incluidas las repetidas y las que llegan tarde, y la
+// cancelación de las órdenes que no se pagan a tiempo
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createDb, savedOrder, webhookRequest } = require('./helpers');
+const { expireUnpaidOrders } = require('../lib/payments');
+
+// Tarjeta de prueba válida (pasa Luhn); el titular decide el resultado
+const card = (titular) => ({ numero: '4509 9535 6623 3704', titular, vencimiento: '12/99', cvv: '123' });
+
+// Orden pendiente de Ana que se paga con tarjeta y tiene un pago iniciado
+const INTENT_ID = 'pi_sbx_0123456789abcdef';
+const cardOrder = (pago = {}) => savedOrder({
+  pago: { metodo: 'tarjeta', proveedor: 'sandbox', intentId: INTENT_ID, estado: 'pendiente', ...pago },
+});
+const sandboxPayment = (fields = {}) => ({
+  id: INTENT_ID,
+  orderId: 1,
+  monto: 100000,
+  moneda: 'ARS',
+  estado: 'pendiente',
+  creado: '2024-03-10T15:00:00.000Z',
+  ...fields,
+});
+
+describe('Pagos en línea', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer((data) => {
+      data.products[0].stock = 4;
+      data.orders.push(savedOrder({ pago: { metodo: 'tarjeta' } }));
+    });
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  // TEST 1: Solo el dueño inicia el pago
+  it('debe iniciar el pago de una orden propia y ocultar las ajenas', async () => {
+    const ajena = await api.request('POST', '/payments', { token: 'beto', body: { orderId: 1 } });
+    const propia = await api.request('POST', '/payments', { token: 'ana', body: { orderId: 1 } });
+
+    assert.equal(ajena.status, 404);
+    assert.equal(propia.status, 201);
+    assert.equal(propia.body.monto, 100000);
+    assert.equal(api.readDb().orders[0].pago.intentId, propia.body.id);
+  });
+
+  // TEST 2: Tarjeta aprobada
+  it('debe marcar la orden como pagada cuando el pago se aprueba', async () => {
+    const intent = await api.request('POST', '/payments', { token: 'ana', body: { orderId: 1 } });
+    const payment = await api.request('POST', `/payments/${intent.body.id}/confirm`, {
+      token: 'ana',
+      body: { tarjeta: card('APRO') },
+    });
+
+    assert.equal(payment.status, 200);
+    assert.equal(payment.body.estado, 'aprobado');
+    const [order] = api.readDb().orders;
+    assert.equal(order.status, 'pagada');
+    assert.equal(order.pago.estado, 'aprobado');
+  });
+
+  // TEST 3: Tarjeta rechazada
+  it('debe rechazar la orden y devolver el stock cuando el pago se rechaza', async () => {
+    const intent = await api.request('POST', '/payments', { token: 'ana', body: { orderId: 1 } });
+    await api.request('POST', `/payments/${intent.body.id}/confirm`, { token: 'ana', body: { tarjeta: card('OTHE') } });
+
+    const db = api.readDb();
+    assert.equal(db.orders[0].status, 'rechazada');
+    assert.equal(db.products[0].stock, 5);
+
+    // PASO 2: Una orden rechazada no admite otro pago
+    const retry = await api.request('POST', '/payments', { token: 'ana', body: { orderId: 1 } });
+    assert.equal(retry.status, 409);
+  });
+
+  // TEST 4: Tarjeta inválida
+  it('debe informar los errores de la tarjeta por campo', async () => {
+    const intent = await api.request('POST', '/payments', { token: 'ana', body: { orderId: 1 } });
+    const payment = await api.request('POST', `/payments/${intent.body.id}/confirm`, {
+      token: 'ana',
+      body: { tarjeta: { ...card('APRO'), numero: '4509 9535 6623 3705' } },
+    });
+
+    assert.equal(payment.status, 422);
+    assert.deepEqual(payment.body.details.map((detail) => detail.field), ['tarjeta.numero']);
+    assert.equal(api.readDb().orders[0].status, 'pendiente');
+  });
+
+  // TEST 5: Pago en revisión
+  it('debe marcar la orden en revisión cuando el pago queda pendiente', async () => {
+    const intent = await api.request('POST', '/payments', { token: 'ana', body: { orderId: 1 } });
+    const payment = await api.request('POST', `/payments/${intent.body.id}/confirm`, {
+      token: 'ana',
+      body: { tarjeta: card('CONT') },
+    });
+
+    assert.equal(payment.body.estado, 'pendiente');
+    const [order] = api.readDb().orders;
+    assert.equal(order.status, 'pendiente');
+    assert.equal(order.pago.enRevision, true);
+  });
+});
+
+describe('Órdenes sin pagar', () => {
+  const NOW = new Date('2024-03-10T16:00:00.000Z');
+  const coupon = [{ codigo: 'UNICO', descripcion: '10% una sola vez', monto: 10000 }];
+
+  // TEST 6: Vencen las órdenes de tarjeta que superan el plazo
+  it('debe cancelar la orden vencida y devolver su stock y su cupón', () => {
+    const db = createDb((data) => {
+      data.products[0].stock = 4;
+      data.coupons[0].usos = 1;
+      data.orders.push(cardOrder());
+      data.orders[0].descuentos = coupon;
+    });
+    const notified = [];
+
+    const expired = expireUnpaidOrders(db, { now: NOW, onStatusChange: (order) => notified.push(order.id) });
+
+    assert.deepEqual(expired.map((order) => order.id), [1]);
+    assert.deepEqual(notified, [1]);
+    const order = db.get('orders').find({ id: 1 }).value();
+    assert.equal(order.status, 'cancelada');
+    assert.deepEqual(order.statusHistory.map((entry) => entry.status), ['pendiente', 'cancelada']);
+    assert.equal(db.get('products').find({ id: 1 }).value().stock, 5);
+    assert.equal(db.get('coupons').find({ id: 1 }).value().usos, 0);
+  });
+
+  // TEST 7: El resto de las órdenes no vence
+  it('debe conservar las órdenes recientes, en revisión, pagadas o sin pago en línea', () => {
+    const db = createDb((data) => {
+      data.orders.push(
+        cardOrder(),
+        { ...cardOrder({ enRevision: true }), id: 2 },
+        { ...cardOrder(), id: 3, fecha: '2024-03-10T15:45:00.000Z' },
+        { ...cardOrder({ estado: 'aprobado' }), id: 4, status: 'pagada' },
+        savedOrder({ id: 5 }),
+      );
+    });
+
+    const expired = expireUnpaidOrders(db, { now: NOW });
+
+    assert.deepEqual(expired.map((order) => order.id), [1]);
+    assert.deepEqual(
+      db.get('orders').map('status').value(),
+      ['cancelada', 'pendiente', 'pendiente', 'pagada', 'pendiente'],
+    );
+  });
+});
+
+describe('Webhook de pagos', () => {
+  let api;
+
+  // Levanta el servidor con la orden de tarjeta, su pago y los cambios que pida el test
+  const start = async (customize = () => {}) => {
+    api = await startServer((data) => {
+      data.products[0].stock = 4;
+      data.orders.push(cardOrder());
+      data.payments.push(sandboxPayment());
+      customize(data);
+    });
+  };
+
+  const notify = (estado, signature) => {
+    const { body, headers } = webhookRequest(INTENT_ID, estado, signature);
+    return api.request('POST', '/payments/webhook', { body, headers });
+  };
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  // TEST 8: Firma inválida
+  it('debe rechazar una notificación sin firma válida', async () => {
+    await start();
+
+    const unsigned = await notify('aprobado', '');
+    const forged = await notify('aprobado', 'ab'.repeat(32));
+
+    assert.equal(unsigned.status, 401);
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.error, 'INVALID_SIGNATURE');
+    assert.equal(api.readDb().orders[0].status, 'pendiente');
+  });
+
+  // TEST 9: Pago aprobado
+  it('debe llevar la orden a pagada con una notificación de pago aprobado', async () => {
+    await start();
+
+    const response = await notify('aprobado');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'pagada');
+    assert.deepEqual(api.readDb().orders[0].statusHistory.map((entry) => entry.status), ['pendiente', 'pagada']);
+  });
+
+  // TEST 10: Pago rechazado y notificaciones repetidas
+  it('debe devolver el stock y el cupón una sola vez aunque la notificación se repita', async () => {
+    await start((data) => {
+      data.coupons[0].usos = 1;
+      data.orders[0].descuentos = [{ codigo: 'UNICO', descripcion: '10% una sola vez', monto: 10000 }];
+    });
+
+    await notify('rechazado');
+    const repeated = await notify('rechazado');
+
+    assert.equal(repeated.status, 200);
+    const db = api.readDb();
+    assert.equal(db.orders[0].status, 'rechazada');
+    assert.equal(db.orders[0].statusHistory.length, 2);
+    assert.equal(db.products[0].stock, 5);
+    assert.equal(db.coupons[0].usos, 0);
+  });
+
+  // TEST 11: Pago aprobado de una orden ya cancelada
+  it('debe reembolsar un pago aprobado que llega después de cancelar la orden', async () => {
+    await start((data) => {
+      data.orders[0] = cardOrder();
+      data.orders[0].status = 'cancelada';
+      data.payments[0].estado = 'aprobado';
+    });
+
+    const response = await notify('aprobado');
+
+    assert.equal(response.status, 200);
+    const db = api.readDb();
+    assert.equal(db.orders[0].status, 'cancelada');
+    assert.equal(db.orders[0].pago.estado, 'reembolsado');
+    assert.equal(db.payments[0].estado, 'reembolsado');
+  });
+
+  // TEST 12: Pago desconocido
+  it('debe responder 404 si el pago no corresponde a ninguna orden', async () => {
+    await start();
+
+    const { body, headers } = webhookRequest('pi_sbx_desconocido', 'aprobado');
+    const response = await api.request('POST', '/payments/webhook', { body, headers });
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe('Colección de pagos', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer((data) => {
+      data.orders.push(cardOrder());
+      data.payments.push(sandboxPayment({ estado: 'aprobado', tarjeta: { ultimos4: '3704', titular: 'APRO' } }));
+    });
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  // TEST 13: Los pagos no se exponen por REST
+  it('debe responder 404 en /payments y en la ruta anidada de la orden', async () => {
+    const requests = [
+      ['/payments', undefined],
+      [`/payments/${INTENT_ID}`, 'admin'],
+      ['/orders/1/payments', undefined],
+      ['/orders/1/payments', 'ana'],
+    ];
+    for (const [url, token] of requests) {
+      const response = await api.request('GET', url, { token });
+      assert.equal(response.status, 404, url);
+      assert.ok(!response.text.includes('3704'), url);
+    }
+  });
+
+  // TEST 14: Tampoco incrustados en la orden
+  it('debe ignorar _embed=payments en las órdenes', async () => {
+    const list = await api.request('GET', '/orders?_embed=payments', { token: 'ana' });
+    const detail = await api.request('GET', '/orders/1?_embed=payments', { token: 'admin' });
+
+    assert.equal(list.body[0].payments, undefined);
+    assert.equal(detail.body.payments, undefined);
+    assert.ok(!detail.text.includes('ultimos4'));
+  });
+});
@@ -0,0 +1,101 @@
+// ============================================================
+// TESTS DEL COMPROBANTE EN PDF
+// ============================================================
+// Verificamos quién puede descargar el comprobante de una orden y que
+// el archivo sea un PDF bien armado: encabezado y cierre, tabla de
+// referencias cruzadas con las posiciones reales de cada objeto, texto
+// acentuado en WinAnsi y una página nueva cuando la orden es larga
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, savedOrder } = require('./helpers');
+
+const ACCENTED_NAME = 'Control inalámbrico Ñandú';
+
+// Líneas de una orden larga: más de las que entran en una página
+const longOrderLines = Array.from({ length: 60 }, (_, index) => ({
+  id: 1, nombre: `Juego ${index + 1}`, precio: 1000, iva: 21, cantidad: 1,
+}));
+
+// Posiciones en bytes de la tabla de referencias cruzadas: [{ id, offset }] de los objetos en uso
+const xrefEntries = (pdf) => {
+  const xrefOffset = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  const [header, ...lines] = pdf.slice(xrefOffset).split('\n');
+  assert.equal(header, 'xref');
+  const count = Number(lines[0].split(' ')[1]);
+  return lines.slice(1, count + 1)
+    .map((line, id) => ({ id, offset: Number(line.slice(0, 10)), inUse: line.slice(17, 18) === 'n' }))
+    .filter((entry) => entry.inUse);
+};
+
+describe('GET /orders/:id/comprobante.pdf', () => {
+  let api;
+
+  // Órdenes de Ana: la 1 con un producto de nombre acentuado, la 2 con muchas líneas
+  beforeEach(async () => {
+    api = await startServer((data) => {
+      data.orders.push(
+        savedOrder({ productos: [{ id: 1, nombre: ACCENTED_NAME, precio: 100000, iva: 21, cantidad: 1 }] }),
+        savedOrder({ id: 2, productos: longOrderLines, subtotal: 60000, total: 60000 }),
+      );
+    });
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  const download = (id, token) => api.request('GET', `/orders/${id}/comprobante.pdf`, { token });
+
+  // TEST 1: Solo el dueño de la orden o un administrador
+  it('debe entregar el PDF al dueño y al administrador, y 404 a los demás', async () => {
+    const owner = await download(1, 'ana');
+    const admin = await download(1, 'admin');
+    const other = await download(1, 'beto');
+    const missing = await download(99, 'admin');
+
+    assert.equal(owner.status, 200);
+    assert.equal(owner.headers.get('content-type'), 'application/pdf');
+    assert.equal(owner.headers.get('content-disposition'), 'attachment; filename="gamehub-orden-1.pdf"');
+    assert.equal(admin.status, 200);
+    [other, missing].forEach((response) => {
+      assert.equal(response.status, 404);
+      assert.equal(response.body.error, 'NOT_FOUND');
+    });
+  });
+
+  // TEST 2: Estructura del archivo
+  it('debe armar un PDF 1.4 con las referencias cruzadas en la posición de cada objeto', async () => {
+    const pdf = (await download(1, 'ana')).buffer.toString('latin1');
+
+    assert.ok(pdf.startsWith('%PDF-1.4\n'));
+    assert.ok(pdf.endsWith('%%EOF\n'));
+
+    const entries = xrefEntries(pdf);
+    assert.ok(entries.length > 0);
+    entries.forEach(({ id, offset }) => {
+      assert.ok(pdf.startsWith(`${id} 0 obj\n`, offset), `el objeto ${id} no está en la posición ${offset}`);
+    });
+  });
+
+  // TEST 3: Texto acentuado
+  it('debe escribir los acentos y la ñ en WinAnsi (un byte por carácter)', async () => {
+    const { buffer } = await download(1, 'ana');
+
+    assert.ok(buffer.toString('latin1').includes(`(${ACCENTED_NAME}) Tj`));
+    assert.ok(!buffer.includes(Buffer.from('á', 'utf8')));
+  });
+
+  // TEST 4: Orden larga
+  it('debe pasar a una página nueva cuando los productos no entran en una', async () => {
+    const pdf = (await download(2, 'ana')).buffer.toString('latin1');
+
+    const pageCount = Number(pdf.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1]);
+    assert.ok(pageCount >= 2);
+    assert.equal(pdf.match(/\/Type \/Page /g).length, pageCount);
+    // Todas las líneas llegan al PDF y la tabla repite su encabezado en la página nueva
+    longOrderLines.forEach((line) => assert.ok(pdf.includes(`(${line.nombre}) Tj`)));
+    assert.ok(pdf.match(/\(Precio unit\.\) Tj/g).length >= 2);
+    xrefEntries(pdf).forEach(({ id, offset }) => assert.ok(pdf.startsWith(`${id} 0 obj\n`, offset)));
+  });
+});
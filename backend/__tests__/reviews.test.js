@@ -0,0 +1,124 @@
+// ============================================================
+// TESTS DE LAS RESEÑAS
+// ============================================================
+// Verificamos la compra verificada (solo órdenes cobradas) y que las
+// reseñas ocultas por moderación y los datos de sus autores no
+// lleguen a las rutas públicas, tampoco con _expand o _embed
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, savedOrder, PASSWORD_HASH } = require('./helpers');
+
+// Reseña de ejemplo de un usuario
+const review = (id, fields = {}) => ({
+  id,
+  productId: 1,
+  userId: 8,
+  autor: 'Beto Gómez',
+  rating: 5,
+  titulo: 'Excelente',
+  texto: 'Anda muy bien',
+  fecha: '2024-03-12T10:00:00.000Z',
+  oculta: false,
+  ...fields,
+});
+
+const newReview = { rating: 4, titulo: 'Muy buena', texto: 'La recomiendo' };
+
+describe('Compra verificada', () => {
+  let api;
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  // TEST 1: Una orden sin pagar no habilita la reseña
+  it('debe rechazar la reseña de quien solo tiene una orden pendiente', async () => {
+    api = await startServer((data) => {
+      data.orders.push(savedOrder({ status: 'pendiente' }));
+    });
+
+    const response = await api.request('POST', '/products/1/reviews', { token: 'ana', body: newReview });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error, 'NOT_VERIFIED_BUYER');
+    assert.deepEqual(api.readDb().reviews, []);
+  });
+
+  // TEST 2: Órdenes canceladas o rechazadas
+  it('debe rechazar la reseña si la orden se canceló o su pago se rechazó', async () => {
+    api = await startServer((data) => {
+      data.orders.push(savedOrder({ id: 1, status: 'cancelada' }), savedOrder({ id: 2, status: 'rechazada' }));
+    });
+
+    const response = await api.request('POST', '/products/1/reviews', { token: 'ana', body: newReview });
+
+    assert.equal(response.status, 403);
+  });
+
+  // TEST 3: Orden cobrada
+  it('debe publicar la reseña de quien tiene una orden cobrada, una sola vez', async () => {
+    api = await startServer((data) => {
+      data.orders.push(savedOrder({ status: 'entregada' }));
+    });
+
+    const first = await api.request('POST', '/products/1/reviews', { token: 'ana', body: newReview });
+    const second = await api.request('POST', '/products/1/reviews', { token: 'ana', body: newReview });
+
+    assert.equal(first.status, 201);
+    assert.equal(first.body.userId, 7);
+    assert.equal(first.body.oculta, false);
+    assert.equal(second.status, 409);
+  });
+});
+
+describe('Reseñas ocultas y datos de los autores', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startServer((data) => {
+      data.reviews.push(review(1), review(2, { userId: 7, titulo: 'Spam', oculta: true }));
+    });
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  // TEST 4: Listados públicos
+  it('debe omitir las reseñas ocultas en los listados públicos', async () => {
+    const byProduct = await api.request('GET', '/products/1/reviews');
+    const all = await api.request('GET', '/reviews?oculta=true');
+    const hidden = await api.request('GET', '/reviews/2');
+
+    assert.deepEqual(byProduct.body.map((item) => item.id), [1]);
+    assert.deepEqual(all.body.map((item) => item.id), [1]);
+    assert.equal(hidden.status, 404);
+  });
+
+  // TEST 5: Relaciones de JSON Server en rutas públicas
+  it('debe ignorar _expand y _embed en productos y reseñas', async () => {
+    const responses = await Promise.all([
+      api.request('GET', '/reviews?_expand=user'),
+      api.request('GET', '/reviews?_expand=product&_expand=user'),
+      api.request('GET', '/products/1/reviews?_expand=user'),
+      api.request('GET', '/products?_embed=reviews'),
+      api.request('GET', '/products/1?_embed=reviews'),
+    ]);
+
+    responses.forEach((response) => {
+      assert.equal(response.status, 200);
+      assert.ok(!response.text.includes(PASSWORD_HASH));
+      assert.ok(!response.text.includes('"user"'));
+      assert.ok(!response.text.includes('Spam'));
+    });
+    assert.equal(responses[4].body.reviews, undefined);
+  });
+
+  // TEST 6: Los administradores moderan
+  it('debe mostrar las ocultas a un administrador', async () => {
+    const response = await api.request('GET', '/reviews', { token: 'admin' });
+
+    assert.deepEqual(response.body.map((item) => item.id), [1, 2]);
+  });
+});
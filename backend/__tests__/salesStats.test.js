@@ -0,0 +1,96 @@
+// ============================================================
+// TESTS DE LAS ESTADÍSTICAS DE VENTAS
+// ============================================================
+// Verificamos qué órdenes cuentan como ventas (solo las cobradas), que
+// los ingresos descuenten los cupones y que el resumen, la serie y cada
+// producto se calculen con el mismo importe; también el límite de
+// períodos del rango consultado
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeSalesStats, validateSalesQuery } = require('../lib/salesStats');
+
+// Orden con envío y cupón: total = 100000 + 2 × 20000 - 14000 + 5000 = 131000
+// El cupón sin productIds (órdenes anteriores a guardarlos) alcanza a todas las líneas
+const order = (id, status, fecha = '2025-10-01T12:00:00.000Z', descuento = { codigo: 'DIEZ', monto: 14000 }) => ({
+  id,
+  status,
+  fecha,
+  productos: [
+    { id: 1, nombre: 'PlayStation 5', precio: 100000, cantidad: 1 },
+    { id: 2, nombre: 'Joystick', precio: 20000, cantidad: 2 },
+  ],
+  descuentos: [descuento],
+  envio: { costo: 5000 },
+  total: 131000,
+});
+
+describe('computeSalesStats', () => {
+  // TEST 1: Solo cuentan las órdenes cobradas
+  it('debe ignorar las órdenes pendientes, canceladas y rechazadas', () => {
+    const orders = ['pendiente', 'cancelada', 'rechazada', 'pagada', 'enviada', 'entregada']
+      .map((status, index) => order(index + 1, status));
+
+    const stats = computeSalesStats(orders);
+
+    assert.equal(stats.resumen.ordenes, 3);
+    assert.equal(stats.resumen.unidades, 9);
+  });
+
+  // TEST 2: El total coincide con la suma por producto y por período
+  it('debe calcular los ingresos con el mismo importe en el resumen, la serie y los productos', () => {
+    const stats = computeSalesStats([
+      order(1, 'pagada'),
+      order(2, 'entregada', '2025-10-02T12:00:00.000Z'),
+    ]);
+
+    const byProduct = stats.productos.reduce((sum, product) => sum + product.ingresos, 0);
+    const bySeries = stats.serie.reduce((sum, point) => sum + point.ingresos, 0);
+
+    // 2 × (140000 - 14000): sin el envío y con el descuento
+    assert.equal(stats.resumen.ingresos, 252000);
+    assert.equal(byProduct, stats.resumen.ingresos);
+    assert.equal(bySeries, stats.resumen.ingresos);
+    assert.equal(stats.resumen.ticketPromedio, 126000);
+  });
+
+  // TEST 3: El descuento se reparte entre las líneas alcanzadas por el cupón
+  it('debe descontar el cupón de los productos que alcanzó, en proporción a su importe', () => {
+    const stats = computeSalesStats([
+      order(1, 'pagada'),
+      order(2, 'pagada', undefined, { codigo: 'JOY', monto: 14000, productIds: [2] }),
+    ]);
+
+    const ingresosById = Object.fromEntries(stats.productos.map((product) => [product.id, product.ingresos]));
+    // Orden 1: 14000 entre 100000 y 40000 (10000 y 4000); orden 2: todo sobre el joystick
+    assert.deepEqual(ingresosById, { 1: 90000 + 100000, 2: 36000 + 26000 });
+    assert.equal(stats.resumen.ingresos, 252000);
+  });
+
+  // TEST 4: Sin ventas cobradas
+  it('debe devolver el resumen en cero si no hay órdenes cobradas', () => {
+    const stats = computeSalesStats([order(1, 'pendiente')]);
+
+    assert.deepEqual(stats.resumen, { ingresos: 0, ordenes: 0, unidades: 0, ticketPromedio: 0 });
+    assert.deepEqual(stats.productos, []);
+  });
+});
+
+describe('validateSalesQuery', () => {
+  const now = new Date('2025-10-15T12:00:00.000Z');
+
+  // TEST 5: El límite de períodos usa el rango efectivo aunque falte un extremo
+  it('debe rechazar un rango demasiado amplio aunque falte la fecha final', () => {
+    const orders = [order(1, 'pagada')];
+
+    const onlyFrom = validateSalesQuery({ from: '1000-01-01' }, orders, now);
+    const withoutSales = validateSalesQuery({ from: '1000-01-01' }, [], now);
+    const byMonth = validateSalesQuery({ from: '2000-01-01', groupBy: 'month' }, orders, now);
+    const onlyTo = validateSalesQuery({ to: '2025-12-31' }, orders, now);
+
+    assert.deepEqual(onlyFrom.map((error) => error.field), ['from']);
+    assert.deepEqual(withoutSales.map((error) => error.field), ['from']);
+    assert.deepEqual(byMonth, []);
+    assert.deepEqual(onlyTo, []);
+  });
+});
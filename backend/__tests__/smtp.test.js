@@ -0,0 +1,102 @@
+// ============================================================
+// TESTS DEL CLIENTE SMTP
+// ============================================================
+// Verificamos la conversación con un servidor SMTP de prueba (sin TLS):
+// el mensaje llega completo, con las líneas que empiezan con "." duplicadas,
+// y las credenciales nunca se envían si la conexión no está cifrada
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const { sendSmtp, extractAddress } = require('../lib/smtp');
+
+// Servidor SMTP mínimo que no ofrece STARTTLS; guarda los comandos y el mensaje recibido
+const startFakeSmtp = async () => {
+  const received = { commands: [], data: null };
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 fake.smtp ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) {
+          return;
+        }
+        received.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 OK\r\n');
+      }
+      let index = buffer.indexOf('\r\n');
+      while (!inData && index !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        received.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') socket.write('250-fake.smtp\r\n250 AUTH PLAIN\r\n');
+        else if (verb === 'AUTH') socket.write('235 Authenticated\r\n');
+        else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 Go ahead\r\n');
+        } else if (verb === 'QUIT') socket.end('221 Bye\r\n');
+        else socket.write('250 OK\r\n');
+        index = buffer.indexOf('\r\n');
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return { server, received, port: server.address().port };
+};
+
+const envelope = {
+  from: 'GameHub <no-reply@gamehub.com>',
+  to: 'ana@mail.com',
+  raw: 'Subject: Hola\r\n\r\nPrimera línea\r\n.empieza con punto\r\n',
+};
+
+describe('sendSmtp', () => {
+  let smtp;
+
+  beforeEach(async () => {
+    smtp = await startFakeSmtp();
+  });
+
+  afterEach(() => {
+    smtp.server.close();
+  });
+
+  // TEST 1: Entrega del mensaje
+  it('debe entregar el mensaje con el remitente, el destinatario y los puntos duplicados', async () => {
+    await sendSmtp({ host: '127.0.0.1', port: smtp.port }, envelope);
+
+    assert.deepEqual(smtp.received.commands, [
+      'EHLO localhost',
+      'MAIL FROM:<no-reply@gamehub.com>',
+      'RCPT TO:<ana@mail.com>',
+      'DATA',
+      'QUIT',
+    ]);
+    assert.equal(smtp.received.data, 'Subject: Hola\r\n\r\nPrimera línea\r\n..empieza con punto');
+  });
+
+  // TEST 2: Sin TLS no se autentica
+  it('debe rechazar el envío con credenciales si el servidor no ofrece STARTTLS', async () => {
+    await assert.rejects(
+      sendSmtp({ host: '127.0.0.1', port: smtp.port, user: 'tienda', pass: 'secreta' }, envelope),
+      /STARTTLS/,
+    );
+
+    assert.ok(!smtp.received.commands.some((command) => command.startsWith('AUTH')));
+    assert.equal(smtp.received.data, null);
+  });
+
+  // TEST 3: Direcciones con nombre
+  it('debe extraer la dirección de un remitente con nombre', () => {
+    assert.equal(extractAddress('GameHub <no-reply@gamehub.com>'), 'no-reply@gamehub.com');
+    assert.equal(extractAddress(' ana@mail.com '), 'ana@mail.com');
+  });
+});
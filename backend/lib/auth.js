@@ -0,0 +1,161 @@
+// Módulo de autenticación - Contraseñas hasheadas y tokens firmados sin dependencias externas
+// Responsabilidades: hashear/verificar contraseñas (scrypt), firmar/verificar tokens (HMAC-SHA256)
+// y proveer middlewares para identificar al usuario de cada petición
+// Los tokens tienen formato JWT (header.payload.firma en base64url) para poder inspeccionarlos fácilmente
+
+const crypto = require('crypto');
+const { sendError } = require('./errors');
+
+// Secreto para firmar tokens (en producción debe configurarse por variable de entorno)
+const AUTH_SECRET = process.env.AUTH_SECRET || 'gamehub-dev-secret';
+// Duración de la sesión: 7 días
+const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const ROLES = { CLIENTE: 'cliente', ADMIN: 'admin' };
+
+// === CONTRASEÑAS ===
+
+// Genera un hash "scrypt$salt$hash" con salt aleatorio por usuario
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+// Compara una contraseña contra su hash en tiempo constante
+const verifyPassword = (password, stored) => {
+  const [algorithm, salt, hash] = String(stored || '').split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// === TOKENS ===
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+
+// Versión de las sesiones del usuario: aumenta al cambiar la contraseña y anula los tokens anteriores
+const tokenVersion = (user) => user.tokenVersion || 0;
+
+// Firma un token con el ID, el rol y la versión de sesión del usuario
+const signToken = (user) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    sub: user.id,
+    role: user.role,
+    ver: tokenVersion(user),
+    iat: now,
+    exp: now + TOKEN_TTL_SECONDS,
+  }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+};
+
+// Verifica firma y vencimiento; retorna el payload o null si el token no es válido
+const verifyToken = (token) => {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (!header || !payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return data.exp > Math.floor(Date.now() / 1000) ? data : null;
+  } catch {
+    return null;
+  }
+};
+
+// === RESTABLECER CONTRASEÑA ===
+
+// El enlace para elegir una contraseña nueva vale por 60 minutos
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+// Hash del token de restablecimiento (en la base solo se guarda el hash, nunca el token del enlace)
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Genera un token de un solo uso; retorna { token, passwordReset } con los datos a guardar en el usuario
+const createResetToken = (now = new Date()) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    passwordReset: {
+      tokenHash: hashResetToken(token),
+      expiresAt: new Date(now.getTime() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+    },
+  };
+};
+
+// === USUARIOS ===
+
+// Datos públicos de un usuario (nunca se expone el hash de la contraseña)
+const publicUser = (user) => ({
+  id: user.id,
+  nombre: user.nombre,
+  email: user.email,
+  role: user.role,
+});
+
+const isAdmin = (user) => Boolean(user) && user.role === ROLES.ADMIN;
+
+// === MIDDLEWARES ===
+
+// Identifica al usuario a partir del header "Authorization: Bearer <token>"
+// No rechaza peticiones: solo completa req.user cuando el token es válido y no es anterior al último
+// cambio de contraseña
+const authenticate = (db) => (req, res, next) => {
+  const [scheme, token] = String(req.headers.authorization || '').split(' ');
+  const payload = scheme === 'Bearer' ? verifyToken(token) : null;
+  const user = payload
+    ? db.get('users').find((item) => String(item.id) === String(payload.sub)).value()
+    : null;
+
+  req.user = user && (payload.ver || 0) === tokenVersion(user) ? publicUser(user) : null;
+  return next();
+};
+
+// Exige una sesión válida (401 si no hay usuario)
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return sendError(res, 401, 'UNAUTHORIZED', 'Debes iniciar sesión para continuar');
+  }
+  return next();
+};
+
+// Exige rol de administrador (401 sin sesión, 403 si el usuario no es admin)
+const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    return sendError(res, 401, 'UNAUTHORIZED', 'Debes iniciar sesión para continuar');
+  }
+  if (!isAdmin(req.user)) {
+    return sendError(res, 403, 'FORBIDDEN', 'No tienes permisos para realizar esta acción');
+  }
+  return next();
+};
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  RESET_TOKEN_TTL_MINUTES,
+  hashResetToken,
+  createResetToken,
+  publicUser,
+  isAdmin,
+  authenticate,
+  requireAuth,
+  requireAdmin,
+};
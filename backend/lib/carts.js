@@ -0,0 +1,103 @@
+// Módulo de carritos - Carrito guardado en el servidor para cada usuario con sesión
+// Responsabilidades: validar las líneas que envía el frontend, unir el carrito de invitado con el de
+// la cuenta al iniciar sesión y armar la respuesta con los datos actuales de cada producto
+// Cada usuario tiene un único documento en la colección "carts" ({ userId, items, updatedAt }) y cada
+// línea guarda solo { productId, cantidad }: precio, nombre y stock se leen siempre del catálogo
+// Reglas (las mismas al guardar y al unir carritos):
+// - Las líneas del mismo producto se suman
+// - La cantidad se limita al stock disponible; un producto sin stock o eliminado se quita
+// - No se reserva stock: el stock se descuenta recién al crear la orden (lib/stock.js)
+
+const { findProduct } = require('./orderPricing');
+const { tracksStock } = require('./stock');
+
+// Máximo de productos distintos en un carrito
+const MAX_CART_LINES = 50;
+
+// Valida las líneas recibidas ({ productId, cantidad })
+// Retorna { errors } con un error por campo, o { items } si son válidas
+const validateCartItems = (items) => {
+  if (!Array.isArray(items) || items.length > MAX_CART_LINES) {
+    return { errors: [{ field: 'items', message: `Indica hasta ${MAX_CART_LINES} productos` }] };
+  }
+
+  const errors = [];
+  items.forEach((item, index) => {
+    if (!item || !Number.isInteger(item.productId)) {
+      errors.push({ field: `items[${index}].productId`, message: 'El ID del producto debe ser un número entero' });
+    }
+    if (!item || !Number.isInteger(item.cantidad) || item.cantidad <= 0) {
+      errors.push({ field: `items[${index}].cantidad`, message: 'La cantidad debe ser un número entero mayor a 0' });
+    }
+  });
+
+  return errors.length > 0 ? { errors } : { items };
+};
+
+// Aplica las reglas del carrito a una lista de líneas
+// Retorna { items, ajustes }: ajustes lista { productId, nombre, solicitado, cantidad } de cada línea que
+// no pudo guardarse completa (cantidad 0 si se quitó; nombre null si el producto ya no existe)
+const normalizeCartItems = (db, items) => {
+  const grouped = new Map();
+  items.forEach(({ productId, cantidad }) => {
+    const key = String(productId);
+    const current = grouped.get(key) || { productId, cantidad: 0 };
+    current.cantidad += cantidad;
+    grouped.set(key, current);
+  });
+
+  const normalized = [];
+  const ajustes = [];
+  grouped.forEach(({ productId, cantidad: solicitado }) => {
+    const product = findProduct(db, productId);
+    const available = !product ? 0 : tracksStock(product) ? Math.max(product.stock, 0) : solicitado;
+    const cantidad = Math.min(solicitado, available);
+    if (cantidad < solicitado) {
+      ajustes.push({ productId, nombre: product ? product.nombre : null, solicitado, cantidad });
+    }
+    if (cantidad > 0) {
+      normalized.push({ productId: product.id, cantidad });
+    }
+  });
+
+  return { items: normalized, ajustes };
+};
+
+// Une el carrito de invitado (el del navegador antes de ingresar) con el guardado en la cuenta
+// Las cantidades del mismo producto se suman; el orden es el de la cuenta y después los productos nuevos
+const mergeCartItems = (db, accountItems, guestItems) => normalizeCartItems(db, [...accountItems, ...guestItems]);
+
+// Carrito guardado de un usuario (undefined si nunca guardó uno)
+const findCart = (db, userId) => {
+  return db.get('carts').find((cart) => String(cart.userId) === String(userId)).value();
+};
+
+// Guarda las líneas del carrito de un usuario (crea el documento la primera vez)
+const saveCart = (db, userId, items) => {
+  const data = { items, updatedAt: new Date().toISOString() };
+  if (findCart(db, userId)) {
+    db.get('carts').find((cart) => String(cart.userId) === String(userId)).assign(data).write();
+  } else {
+    db.get('carts').insert({ userId, ...data }).write();
+  }
+  return data;
+};
+
+// Respuesta con cada línea en el formato del carrito del frontend ({ producto, cantidad })
+// Los productos eliminados del catálogo después de guardarse se omiten
+const cartResponse = (db, cart) => {
+  const items = (cart ? cart.items : [])
+    .map((item) => ({ producto: findProduct(db, item.productId), cantidad: item.cantidad }))
+    .filter((item) => item.producto);
+  return { items, updatedAt: cart ? cart.updatedAt : null };
+};
+
+module.exports = {
+  MAX_CART_LINES,
+  validateCartItems,
+  normalizeCartItems,
+  mergeCartItems,
+  findCart,
+  saveCart,
+  cartResponse,
+};
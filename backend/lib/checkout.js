@@ -0,0 +1,106 @@
+// Datos de checkout - Comprador, dirección, forma de entrega y medio de pago de una orden
+// Responsabilidades: validar y normalizar los datos que completa el cliente en /checkout
+// Los errores usan la ruta del campo en la orden (ej: "cliente.dni", "envio.direccion.calle")
+
+const { parseInvoice } = require('./taxes');
+
+// Formas de entrega: envío a domicilio (cotizado por código postal) o retiro en el local (sin costo)
+const DELIVERY_METHODS = ['domicilio', 'retiro'];
+
+// Medios de pago aceptados; el efectivo solo se acepta al retirar en el local
+const PAYMENT_METHODS = ['tarjeta', 'transferencia', 'efectivo'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// DNI: 7 u 8 dígitos (se aceptan puntos y espacios: "30.123.456")
+const DNI_PATTERN = /^\d{7,8}$/;
+
+// Teléfono: entre 8 y 15 dígitos con prefijo, espacios, guiones o paréntesis opcionales
+const PHONE_PATTERN = /^\+?[\d\s()-]+$/;
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Campo de texto obligatorio con longitud máxima (label en minúsculas: "la calle")
+const requireText = (errors, field, value, label, max) => {
+  if (!value) {
+    errors.push({ field, message: `Completa ${label}` });
+  } else if (value.length > max) {
+    errors.push({ field, message: `Máximo ${max} caracteres` });
+  }
+};
+
+// Valida y normaliza los datos de checkout de una orden
+// Retorna { errors } con la lista de problemas, o { checkout } con los datos limpios
+const parseCheckout = (input) => {
+  const body = input || {};
+  const errors = [];
+
+  // Datos de contacto del comprador
+  const rawCliente = body.cliente || {};
+  const cliente = {
+    nombre: text(rawCliente.nombre),
+    email: text(rawCliente.email).toLowerCase(),
+    dni: text(rawCliente.dni).replace(/[.\s]/g, ''),
+    telefono: text(rawCliente.telefono),
+  };
+  requireText(errors, 'cliente.nombre', cliente.nombre, 'tu nombre', 100);
+  if (!EMAIL_PATTERN.test(cliente.email)) {
+    errors.push({ field: 'cliente.email', message: 'El email no es válido' });
+  }
+  if (!DNI_PATTERN.test(cliente.dni)) {
+    errors.push({ field: 'cliente.dni', message: 'El DNI debe tener 7 u 8 números' });
+  }
+  const phoneDigits = cliente.telefono.replace(/\D/g, '').length;
+  if (!PHONE_PATTERN.test(cliente.telefono) || phoneDigits < 8 || phoneDigits > 15) {
+    errors.push({ field: 'cliente.telefono', message: 'El teléfono debe tener entre 8 y 15 números' });
+  }
+
+  // Dirección (destino del envío y domicilio del comprador)
+  const envio = body.envio || {};
+  const rawDireccion = envio.direccion || {};
+  const direccion = {
+    calle: text(rawDireccion.calle),
+    numero: text(String(rawDireccion.numero ?? '')),
+    pisoDepto: text(rawDireccion.pisoDepto),
+    ciudad: text(rawDireccion.ciudad),
+    provincia: text(rawDireccion.provincia),
+    codigoPostal: text(rawDireccion.codigoPostal).toUpperCase(),
+  };
+  requireText(errors, 'envio.direccion.calle', direccion.calle, 'la calle', 100);
+  requireText(errors, 'envio.direccion.numero', direccion.numero, 'la altura', 10);
+  if (direccion.pisoDepto.length > 20) {
+    errors.push({ field: 'envio.direccion.pisoDepto', message: 'Máximo 20 caracteres' });
+  }
+  requireText(errors, 'envio.direccion.ciudad', direccion.ciudad, 'la ciudad', 100);
+  requireText(errors, 'envio.direccion.provincia', direccion.provincia, 'la provincia', 100);
+  if (!direccion.codigoPostal) {
+    errors.push({ field: 'envio.direccion.codigoPostal', message: 'Completa el código postal' });
+  }
+
+  // Forma de entrega y medio de pago
+  const metodoEntrega = envio.metodo;
+  if (!DELIVERY_METHODS.includes(metodoEntrega)) {
+    errors.push({ field: 'envio.metodo', message: 'Elige envío a domicilio o retiro en el local' });
+  }
+  const metodoPago = body.pago && body.pago.metodo;
+  if (!PAYMENT_METHODS.includes(metodoPago)) {
+    errors.push({ field: 'pago.metodo', message: 'Elige un medio de pago' });
+  } else if (metodoPago === 'efectivo' && metodoEntrega !== 'retiro') {
+    errors.push({ field: 'pago.metodo', message: 'El pago en efectivo solo está disponible al retirar en el local' });
+  }
+
+  // Comprobante: Factura B salvo que se pida Factura A con CUIT y razón social
+  const invoice = parseInvoice(body.factura);
+  errors.push(...(invoice.errors || []));
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return { checkout: { cliente, direccion, metodoEntrega, pago: { metodo: metodoPago }, factura: invoice.factura } };
+};
+
+module.exports = {
+  DELIVERY_METHODS,
+  PAYMENT_METHODS,
+  parseCheckout,
+};
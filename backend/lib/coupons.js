@@ -0,0 +1,178 @@
+// Cupones de descuento - Validación de cupones y cálculo del descuento de una orden
+// Responsabilidades: validar los datos de un cupón (administración), decidir si un cupón se puede
+// usar en una orden (vigencia, usos, mínimo de compra, productos alcanzados), calcular su importe
+// y llevar la cuenta de usos (una orden que no se concreta devuelve el suyo)
+// El descuento siempre se calcula en el servidor a partir de los precios del catálogo
+
+const { findProduct } = require('./orderPricing');
+
+// Tipos de cupón: porcentaje sobre los productos alcanzados o monto fijo en pesos
+const COUPON_TYPES = ['porcentaje', 'monto'];
+
+// Código: mayúsculas, números, guiones y guiones bajos (ej: "BIENVENIDA10", "HOT-SALE")
+const CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+
+// Los códigos no distinguen mayúsculas ni espacios alrededor
+const normalizeCode = (code) => String(code ?? '').trim().toUpperCase();
+
+const findCoupon = (db, code) => {
+  const codigo = normalizeCode(code);
+  return db.get('coupons').find((coupon) => coupon.codigo === codigo).value();
+};
+
+// Una fecha sin hora ("2025-12-31") como límite final incluye el día completo (UTC)
+const parseLimit = (value, endOfDay) => {
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T23:59:59.999Z`);
+  }
+  return new Date(value);
+};
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+const isIdList = (value) => Array.isArray(value) && value.every(Number.isInteger);
+
+// Valida los datos de un cupón enviados por un administrador
+// Retorna la lista de errores por campo (vacía si el cupón es válido)
+const validateCoupon = (coupon) => {
+  const errors = [];
+  if (!CODE_PATTERN.test(coupon.codigo)) {
+    errors.push({ field: 'codigo', message: 'El código debe tener entre 3 y 30 letras, números, guiones o guiones bajos' });
+  }
+  if (!COUPON_TYPES.includes(coupon.tipo)) {
+    errors.push({ field: 'tipo', message: `El tipo debe ser ${COUPON_TYPES.join(' o ')}` });
+  }
+  if (typeof coupon.valor !== 'number' || !(coupon.valor > 0) || (coupon.tipo === 'porcentaje' && coupon.valor > 100)) {
+    errors.push({
+      field: 'valor',
+      message: coupon.tipo === 'porcentaje' ? 'El porcentaje debe estar entre 1 y 100' : 'El monto debe ser mayor a 0',
+    });
+  }
+  if (typeof coupon.minimo !== 'number' || coupon.minimo < 0) {
+    errors.push({ field: 'minimo', message: 'El mínimo de compra debe ser un número mayor o igual a 0' });
+  }
+  if (coupon.usosMaximos !== null && !(Number.isInteger(coupon.usosMaximos) && coupon.usosMaximos > 0)) {
+    errors.push({ field: 'usosMaximos', message: 'El límite de usos debe ser un entero mayor a 0 (o null para no limitarlo)' });
+  }
+  ['desde', 'hasta'].forEach((field) => {
+    if (coupon[field] !== null && !isValidDate(coupon[field])) {
+      errors.push({ field, message: 'La fecha no es válida' });
+    }
+  });
+  if (coupon.desde && coupon.hasta && isValidDate(coupon.desde) && isValidDate(coupon.hasta) &&
+    parseLimit(coupon.desde, false) > parseLimit(coupon.hasta, true)) {
+    errors.push({ field: 'hasta', message: 'La fecha de fin debe ser posterior a la de inicio' });
+  }
+  ['productIds', 'categoriaIds'].forEach((field) => {
+    if (!isIdList(coupon[field])) {
+      errors.push({ field, message: 'Debe ser una lista de IDs numéricos' });
+    }
+  });
+  if (typeof coupon.activo !== 'boolean') {
+    errors.push({ field: 'activo', message: 'Indica si el cupón está activo (true o false)' });
+  }
+  return errors;
+};
+
+// Indica si una línea de la orden está alcanzada por el cupón
+// Un cupón sin restricciones alcanza a todos los productos
+const appliesToLine = (coupon, product) => {
+  const productIds = coupon.productIds || [];
+  const categoriaIds = coupon.categoriaIds || [];
+  if (productIds.length === 0 && categoriaIds.length === 0) {
+    return true;
+  }
+  return Boolean(product) && (
+    productIds.some((id) => String(id) === String(product.id)) ||
+    categoriaIds.some((id) => String(id) === String(product.categoriaId))
+  );
+};
+
+// Decide si el cupón se puede usar en las líneas indicadas (ya recalculadas con precios del catálogo)
+// Retorna { error: 'mensaje' } o { descuento } con el importe a descontar (entero, en pesos)
+const evaluateCoupon = (db, coupon, lines, now = new Date()) => {
+  if (!coupon || !coupon.activo) {
+    return { error: 'El cupón no existe o ya no está disponible' };
+  }
+  if (coupon.desde && now < parseLimit(coupon.desde, false)) {
+    return { error: 'El cupón todavía no está vigente' };
+  }
+  if (coupon.hasta && now > parseLimit(coupon.hasta, true)) {
+    return { error: 'El cupón está vencido' };
+  }
+  if (coupon.usosMaximos !== null && coupon.usosMaximos !== undefined && (coupon.usos || 0) >= coupon.usosMaximos) {
+    return { error: 'El cupón alcanzó su límite de usos' };
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.precio * line.cantidad, 0);
+  if (subtotal < (coupon.minimo || 0)) {
+    return { error: `El cupón requiere una compra mínima de $${coupon.minimo.toLocaleString('es-AR')}` };
+  }
+
+  const base = lines
+    .filter((line) => appliesToLine(coupon, findProduct(db, line.id)))
+    .reduce((sum, line) => sum + line.precio * line.cantidad, 0);
+  if (base === 0) {
+    return { error: 'El cupón no aplica a los productos de tu carrito' };
+  }
+
+  const descuento = coupon.tipo === 'porcentaje'
+    ? Math.round((base * coupon.valor) / 100)
+    : Math.min(coupon.valor, base);
+  return { descuento };
+};
+
+// Datos del cupón que puede ver un cliente (sin el contador de usos)
+const publicCoupon = (coupon) => ({
+  codigo: coupon.codigo,
+  descripcion: coupon.descripcion || '',
+  tipo: coupon.tipo,
+  valor: coupon.valor,
+  minimo: coupon.minimo || 0,
+  productIds: coupon.productIds || [],
+  categoriaIds: coupon.categoriaIds || [],
+});
+
+// Línea de descuento que se guarda en la orden
+// - productIds: productos de la orden alcanzados por el cupón (para repartir el descuento entre ellos)
+const discountLine = (coupon, monto, productIds) => ({
+  codigo: coupon.codigo,
+  descripcion: coupon.descripcion || `Cupón ${coupon.codigo}`,
+  monto,
+  productIds,
+});
+
+// Registra un uso del cupón (al confirmarse la orden)
+const registerUse = (db, coupon) => {
+  db.get('coupons')
+    .find((item) => item.codigo === coupon.codigo)
+    .assign({ usos: (coupon.usos || 0) + 1 })
+    .write();
+};
+
+// Devuelve el uso de los cupones de una orden que no se concretó (cancelada, rechazada o eliminada)
+// Se llama junto con restockOrder (lib/stock.js); los cupones que ya no existen se ignoran
+const releaseUses = (db, order) => {
+  (order.descuentos || []).forEach((line) => {
+    const coupon = findCoupon(db, line.codigo);
+    if (coupon && coupon.usos > 0) {
+      db.get('coupons')
+        .find((item) => item.codigo === coupon.codigo)
+        .assign({ usos: coupon.usos - 1 })
+        .write();
+    }
+  });
+};
+
+module.exports = {
+  COUPON_TYPES,
+  normalizeCode,
+  findCoupon,
+  validateCoupon,
+  appliesToLine,
+  evaluateCoupon,
+  publicCoupon,
+  discountLine,
+  registerUse,
+  releaseUses,
+};
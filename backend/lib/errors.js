@@ -0,0 +1,18 @@
+// Utilidades de errores HTTP - Formato único para todas las respuestas de error del backend
+// Responsabilidades: construir el cuerpo estructurado { error, message, details } y enviarlo
+// El frontend (services/api.js) lee este mismo formato para mostrar mensajes al usuario
+
+// Envía una respuesta de error estructurada
+// - status: código HTTP (422, 404, 409...)
+// - code: identificador estable para el frontend (ej: 'VALIDATION_ERROR')
+// - message: mensaje legible en español
+// - details: lista opcional de errores por campo [{ field, message }]
+const sendError = (res, status, code, message, details = []) => {
+  return res.status(status).json({
+    error: code,
+    message,
+    details,
+  });
+};
+
+module.exports = { sendError };
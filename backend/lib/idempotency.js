@@ -0,0 +1,70 @@
+// Idempotencia de órdenes - Evita órdenes duplicadas por reintentos o doble click
+// Responsabilidades: leer la clave que el cliente genera para cada intento de compra (header
+// Idempotency-Key) y encontrar la orden ya creada con esa clave dentro de la ventana de validez
+// La clave se guarda en la propia orden; un reintento que llega mientras la orden original todavía se
+// está guardando espera a que esa petición termine y recibe la misma orden
+
+// Header con la clave del intento de compra
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+// Una clave repetida devuelve la orden original durante 24 horas; después se trata como nueva
+const IDEMPOTENCY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Letras, números, guiones y guiones bajos (un UUID v4 cumple el formato)
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+// Intentos de compra en curso ("usuario:clave") → promesa que se resuelve al terminar su respuesta
+const pendingAttempts = new Map();
+
+// Lee la clave de la petición (opcional)
+// Retorna {} si no se envió, { key } si es válida o { error: 'mensaje' } si el formato no es válido
+const readIdempotencyKey = (req) => {
+  const value = req.get(IDEMPOTENCY_HEADER);
+  if (value === undefined) {
+    return {};
+  }
+  if (!KEY_PATTERN.test(value)) {
+    return { error: 'La clave de idempotencia debe tener entre 8 y 100 letras, números o guiones' };
+  }
+  return { key: value };
+};
+
+// Orden del usuario creada con la misma clave dentro de la ventana (undefined si no hay)
+const findOrderByIdempotencyKey = (db, userId, key, now = new Date()) => {
+  return db
+    .get('orders')
+    .find((order) => (
+      order.idempotencyKey === key &&
+      String(order.userId) === String(userId) &&
+      now.getTime() - new Date(order.fecha).getTime() < IDEMPOTENCY_WINDOW_MS
+    ))
+    .value();
+};
+
+// Reserva el intento de compra para esta petición hasta que termine su respuesta
+// Si otra petición con la misma clave está en curso, espera a que termine antes de reservarlo
+const acquireAttempt = async (userId, key, res) => {
+  const scope = `${userId}:${key}`;
+  while (pendingAttempts.has(scope)) {
+    await pendingAttempts.get(scope);
+  }
+
+  let release;
+  pendingAttempts.set(scope, new Promise((resolve) => { release = resolve; }));
+  const done = () => {
+    if (pendingAttempts.has(scope)) {
+      pendingAttempts.delete(scope);
+      release();
+    }
+  };
+  res.once('finish', done);
+  res.once('close', done);
+};
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  IDEMPOTENCY_WINDOW_MS,
+  readIdempotencyKey,
+  findOrderByIdempotencyKey,
+  acquireAttempt,
+};
@@ -0,0 +1,321 @@
+// Emails transaccionales - Armado, envío y reintentos de los emails de la tienda
+// Responsabilidades: armar el mensaje MIME (texto plano + HTML) de una plantilla de lib/mailTemplates.js,
+// entregarlo con el transporte configurado y reintentar más tarde los envíos que fallan
+// Un transporte es un objeto { nombre, send({ from, to, raw }) } cuyo send es asíncrono y se rechaza si
+// el email no se pudo entregar:
+// - smtp: servidor SMTP (producción), configurado con SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER y SMTP_PASS
+// - outbox: escribe cada email como archivo .eml en MAIL_OUTBOX_DIR (desarrollo y pruebas)
+// Cada email pasa por la colección "mailQueue": se guarda antes de enviarse, se elimina al entregarse y,
+// si falla, queda pendiente para el próximo reintento (o "fallido" al agotar los intentos)
+// La cola guarda la plantilla y sus datos, no el mensaje armado: se arma en cada intento. Los datos
+// secretos (el enlace para restablecer la contraseña) solo se guardan en memoria, nunca en db.json, y
+// los datos se descartan cuando el email falla definitivamente o su enlace vence
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { TEMPLATES } = require('./mailTemplates');
+const { sendSmtp } = require('./smtp');
+
+// Remitente de los emails
+const MAIL_FROM = process.env.MAIL_FROM || 'GameHub <no-reply@gamehub.com>';
+
+// Carpeta donde el transporte outbox deja los .eml
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+
+// Esperas antes de cada reintento (1, 5, 15 y 60 minutos): un email se intenta hasta 5 veces
+const RETRY_DELAYS_MS = [1, 5, 15, 60].map((minutes) => minutes * 60 * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+// Cada cuánto se revisa la cola de reintentos
+const RETRY_INTERVAL_MS = Number(process.env.MAIL_RETRY_INTERVAL_MS) || 60 * 1000;
+
+// === MENSAJE MIME ===
+
+// Header con caracteres no ASCII (ej: "Restablece tu contraseña") codificado según RFC 2047
+// Se parte en palabras codificadas cortas para respetar el largo máximo de línea
+const encodeHeader = (value) => {
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return value;
+  }
+  const chars = [...value];
+  const words = [];
+  for (let index = 0; index < chars.length; index += 20) {
+    words.push(`=?UTF-8?B?${Buffer.from(chars.slice(index, index + 20).join('')).toString('base64')}?=`);
+  }
+  return words.join('\r\n ');
+};
+
+// Cuerpo en base64 con líneas de 76 caracteres
+const encodeBody = (value) => Buffer.from(value).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+// Fecha en formato RFC 5322 ("Mon, 19 Oct 2026 15:04:05 +0000")
+const formatMailDate = (date) => date.toUTCString().replace('GMT', '+0000');
+
+// Arma el mensaje completo (headers y cuerpo multipart/alternative) con saltos de línea CRLF
+const buildMessage = ({ from, to, subject, text, html, date = new Date() }) => {
+  const boundary = `gamehub-${crypto.randomBytes(12).toString('hex')}`;
+  const domain = (from.match(/@([^>\s]+)/) || [null, 'gamehub.local'])[1];
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${formatMailDate(date)}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(html),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+};
+
+// === TRANSPORTES ===
+
+// Escribe cada email como .eml (se abre con cualquier cliente de correo)
+const createOutboxTransport = (dir = OUTBOX_DIR) => ({
+  nombre: 'outbox',
+  send: async ({ raw }) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    await fs.promises.writeFile(path.join(dir, filename), raw);
+  },
+});
+
+// Entrega cada email al servidor SMTP configurado
+const createSmtpTransport = (env = process.env) => {
+  if (!env.SMTP_HOST) {
+    throw new Error('Falta SMTP_HOST para enviar emails por SMTP');
+  }
+  const secure = env.SMTP_SECURE === 'true';
+  const options = {
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS,
+  };
+  return {
+    nombre: 'smtp',
+    send: (envelope) => sendSmtp(options, envelope),
+  };
+};
+
+const TRANSPORTS = {
+  outbox: () => createOutboxTransport(),
+  smtp: () => createSmtpTransport(),
+};
+
+// Crea el transporte configurado en MAIL_TRANSPORT (por defecto SMTP en producción y outbox en el resto)
+const createTransport = (name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox')) => {
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Transporte de email desconocido: "${name}". Disponibles: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return factory();
+};
+
+// === ENVÍO Y REINTENTOS ===
+
+// Crea el servicio de emails sobre la colección "mailQueue"
+// - db: base lowdb (router.db)
+// - transport: transporte de envío (por defecto el configurado por variables de entorno)
+const createMailer = (db, { transport = createTransport(), from = MAIL_FROM } = {}) => {
+  // Emails que se están enviando ahora (no se reintentan en paralelo)
+  const sending = new Set();
+  // Datos secretos de los emails de la cola, por ID (no se escriben en db.json)
+  const secrets = new Map();
+
+  // Marca un email como fallido y descarta sus datos: ya no se puede volver a armar
+  const discard = (entry, ultimoError, fields = {}) => {
+    secrets.delete(entry.id);
+    db.get('mailQueue')
+      .find({ id: entry.id })
+      .assign({ ...fields, estado: 'fallido', datos: null, proximoIntento: null, ultimoError })
+      .write();
+  };
+
+  const isExpired = (entry, now = new Date()) => Boolean(entry.vence) && new Date(entry.vence) <= now;
+
+  // Arma el mensaje de un email de la cola; null si sus datos ya no están (ej: secretos tras reiniciar)
+  const render = (entry) => {
+    const data = secrets.has(entry.id) ? secrets.get(entry.id) : entry.datos;
+    if (!data) {
+      return null;
+    }
+    return buildMessage({ from, to: entry.para, ...TEMPLATES[entry.plantilla](data) });
+  };
+
+  // Intenta entregar un email de la cola; retorna true si se entregó
+  const deliver = async (entry) => {
+    if (isExpired(entry)) {
+      discard(entry, 'El enlace del email venció antes de poder enviarlo');
+      return false;
+    }
+    const raw = render(entry);
+    if (!raw) {
+      discard(entry, 'El contenido del email ya no está disponible');
+      return false;
+    }
+    sending.add(entry.id);
+    try {
+      await transport.send({ from, to: entry.para, raw });
+      secrets.delete(entry.id);
+      db.get('mailQueue').remove({ id: entry.id }).write();
+      return true;
+    } catch (error) {
+      const intentos = entry.intentos + 1;
+      console.error(`No se pudo enviar el email "${entry.asunto}" a ${entry.para} (intento ${intentos} de ${MAX_ATTEMPTS}):`, error.message);
+      if (intentos >= MAX_ATTEMPTS) {
+        discard(entry, error.message, { intentos });
+        return false;
+      }
+      db.get('mailQueue')
+        .find({ id: entry.id })
+        .assign({
+          intentos,
+          estado: 'pendiente',
+          proximoIntento: new Date(Date.now() + RETRY_DELAYS_MS[intentos - 1]).toISOString(),
+          ultimoError: error.message,
+        })
+        .write();
+      return false;
+    } finally {
+      sending.delete(entry.id);
+    }
+  };
+
+  // Descarta los emails pendientes cuyo enlace ya venció y envía los reintentos cuya espera terminó
+  // Retorna cuántos se entregaron
+  const processQueue = async (now = new Date()) => {
+    db.get('mailQueue')
+      .filter((entry) => entry.estado === 'pendiente' && isExpired(entry, now))
+      .value()
+      .forEach((entry) => discard(entry, 'El enlace del email venció antes de poder enviarlo'));
+
+    const due = db
+      .get('mailQueue')
+      .filter((entry) => (
+        entry.estado === 'pendiente' && !sending.has(entry.id) && new Date(entry.proximoIntento) <= now
+      ))
+      .value();
+    let delivered = 0;
+    for (const entry of due) {
+      if (await deliver(entry)) {
+        delivered += 1;
+      }
+    }
+    return delivered;
+  };
+
+  return {
+    transport: transport.nombre,
+
+    // Guarda en la cola el email de una plantilla y lo intenta enviar
+    // Retorna true si se entregó; si falla queda en la cola para reintentarlo
+    // - options.secret: los datos solo se guardan en memoria (ej: el enlace para restablecer la contraseña)
+    // - options.expiresAt: después de esa fecha el email ya no se envía (ej: cuando vence el enlace)
+    send: async (templateName, to, data, { secret = false, expiresAt = null } = {}) => {
+      const template = TEMPLATES[templateName];
+      if (!template) {
+        throw new Error(`Plantilla de email desconocida: "${templateName}"`);
+      }
+      const now = new Date().toISOString();
+      const entry = db
+        .get('mailQueue')
+        .insert({
+          plantilla: templateName,
+          para: to,
+          asunto: template(data).subject,
+          datos: secret ? null : data,
+          estado: 'pendiente',
+          intentos: 0,
+          proximoIntento: now,
+          vence: expiresAt,
+          ultimoError: null,
+          fecha: now,
+        })
+        .write();
+      if (secret) {
+        secrets.set(entry.id, data);
+      }
+      return deliver(entry);
+    },
+
+    processQueue,
+
+    // Vuelve a intentar ya un email pendiente, sin esperar al próximo reintento
+    // Retorna true si se entregó, false si volvió a fallar o null si no está pendiente (un email fallido
+    // ya no tiene datos para armarlo)
+    retry: async (id) => {
+      const entry = db.get('mailQueue').find((item) => String(item.id) === String(id)).value();
+      if (!entry || entry.estado !== 'pendiente') {
+        return null;
+      }
+      return sending.has(entry.id) ? false : deliver(entry);
+    },
+
+    // Revisa la cola periódicamente; retorna una función para detenerlo
+    startRetries: (intervalMs = RETRY_INTERVAL_MS) => {
+      const timer = setInterval(() => {
+        processQueue().catch((error) => console.error('Error al procesar la cola de emails:', error));
+      }, intervalMs);
+      timer.unref();
+      return () => clearInterval(timer);
+    },
+  };
+};
+
+// === EMAILS DE ÓRDENES ===
+
+// Destinatario de los emails de una orden: el comprador del checkout o, en órdenes anteriores, el
+// dueño de la cuenta; null si no hay a quién escribirle
+const orderRecipient = (db, order) => {
+  if (order.cliente && order.cliente.email) {
+    return { email: order.cliente.email, nombre: order.cliente.nombre };
+  }
+  const user = order.userId !== undefined
+    ? db.get('users').find((item) => String(item.id) === String(order.userId)).value()
+    : null;
+  return user ? { email: user.email, nombre: user.nombre } : null;
+};
+
+// Envía el email de una orden sin demorar la respuesta; los errores solo se registran
+const sendOrderMail = (mailer, db, templateName, order) => {
+  const recipient = orderRecipient(db, order);
+  if (!mailer || !recipient) {
+    return;
+  }
+  mailer
+    .send(templateName, recipient.email, { order, nombre: recipient.nombre })
+    .catch((error) => console.error(`Error al enviar el email de la orden ${order.id}:`, error));
+};
+
+// Confirmación de una orden nueva
+const notifyOrderCreated = (mailer, db, order) => sendOrderMail(mailer, db, 'orderConfirmation', order);
+
+// Aviso del nuevo estado de una orden
+const notifyOrderStatus = (mailer, db, order) => sendOrderMail(mailer, db, 'orderStatusChanged', order);
+
+module.exports = {
+  MAIL_FROM,
+  MAX_ATTEMPTS,
+  RETRY_DELAYS_MS,
+  buildMessage,
+  createOutboxTransport,
+  createSmtpTransport,
+  createTransport,
+  createMailer,
+  notifyOrderCreated,
+  notifyOrderStatus,
+};
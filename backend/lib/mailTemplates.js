@@ -0,0 +1,199 @@
+// Plantillas de email - Contenido de los emails transaccionales de GameHub
+// Responsabilidades: armar el asunto y las versiones HTML y de texto plano de cada email
+// Cada plantilla recibe sus datos y retorna { subject, html, text }; el HTML usa estilos en línea
+// (los clientes de correo ignoran las hojas de estilo) y todo texto del usuario se escapa
+
+const {
+  STATUS_LABELS,
+  DELIVERY_LABELS,
+  PAYMENT_METHOD_LABELS,
+  formatPrice,
+  formatDate,
+  formatAddress,
+  formatDeliveryDays,
+} = require('./orderFormat');
+
+// Color de la marca (blue-600 de la tienda)
+const BRAND_COLOR = '#2563eb';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Estructura común del HTML: encabezado con la marca, contenido y pie
+const layout = (title, content) => `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:Helvetica,Arial,sans-serif;color:#111827;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f3f4f6;padding:24px 0;">
+    <tr><td align="center">
+      <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;border-radius:8px;overflow:hidden;">
+        <tr><td style="background:${BRAND_COLOR};padding:20px 24px;color:#ffffff;">
+          <div style="font-size:24px;font-weight:bold;">GameHub</div>
+          <div style="font-size:12px;">Gaming Store</div>
+        </td></tr>
+        <tr><td style="padding:24px;font-size:14px;line-height:1.5;">
+${content}
+        </td></tr>
+        <tr><td style="padding:16px 24px;font-size:12px;color:#6b7280;border-top:1px solid #e5e7eb;">
+          Recibiste este email porque tienes una cuenta o una compra en GameHub.
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>
+`;
+
+const paragraph = (text) => `          <p style="margin:0 0 12px;">${text}</p>`;
+
+// Tabla de productos y totales de la orden (HTML)
+const orderSummaryHtml = (order) => {
+  const rows = (order.productos || []).map((line) => `
+            <tr>
+              <td style="padding:6px 0;border-bottom:1px solid #e5e7eb;">${escapeHtml(line.nombre)} x ${line.cantidad}</td>
+              <td align="right" style="padding:6px 0;border-bottom:1px solid #e5e7eb;">${formatPrice(line.precio * line.cantidad)}</td>
+            </tr>`).join('');
+  const totals = [
+    ['Subtotal', formatPrice(order.subtotal ?? order.total)],
+    ...(order.descuentos || []).map((discount) => [escapeHtml(discount.descripcion), `-${formatPrice(discount.monto)}`]),
+    ...(order.envio ? [['Envío', order.envio.costo > 0 ? formatPrice(order.envio.costo) : 'Gratis']] : []),
+  ].map(([label, value]) => `
+            <tr><td style="padding:4px 0;color:#6b7280;">${label}</td><td align="right" style="padding:4px 0;">${value}</td></tr>`).join('');
+
+  return `          <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin:0 0 16px;">${rows}${totals}
+            <tr><td style="padding:8px 0;font-weight:bold;">Total</td><td align="right" style="padding:8px 0;font-weight:bold;color:${BRAND_COLOR};">${formatPrice(order.total)}</td></tr>
+          </table>`;
+};
+
+// Productos y totales de la orden (texto plano)
+const orderSummaryText = (order) => [
+  ...(order.productos || []).map((line) => `- ${line.nombre} x ${line.cantidad}: ${formatPrice(line.precio * line.cantidad)}`),
+  '',
+  `Subtotal: ${formatPrice(order.subtotal ?? order.total)}`,
+  ...(order.descuentos || []).map((discount) => `${discount.descripcion}: -${formatPrice(discount.monto)}`),
+  ...(order.envio ? [`Envío: ${order.envio.costo > 0 ? formatPrice(order.envio.costo) : 'Gratis'}`] : []),
+  `Total: ${formatPrice(order.total)}`,
+].join('\n');
+
+// Forma de entrega y medio de pago como líneas "Etiqueta: valor"
+const orderDetails = (order) => {
+  const details = [];
+  if (order.envio) {
+    details.push(['Entrega', DELIVERY_LABELS[order.envio.metodo] || order.envio.metodo]);
+    if (order.envio.metodo === 'domicilio' && order.envio.direccion) {
+      details.push(['Dirección', formatAddress(order.envio.direccion)]);
+    }
+    if (formatDeliveryDays(order.envio)) {
+      details.push(['Plazo estimado', formatDeliveryDays(order.envio)]);
+    }
+  }
+  if (order.pago) {
+    details.push(['Medio de pago', PAYMENT_METHOD_LABELS[order.pago.metodo] || order.pago.metodo]);
+  }
+  return details;
+};
+
+const greeting = (nombre) => (nombre ? `Hola ${nombre},` : 'Hola,');
+
+// Qué significa cada estado para el comprador
+const STATUS_MESSAGES = {
+  pagada: 'Recibimos el pago de tu orden. Ya la estamos preparando.',
+  enviada: 'Tu orden está en camino.',
+  entregada: 'Tu orden fue entregada. ¡Que la disfrutes!',
+  cancelada: 'Tu orden fue cancelada. Si la habías pagado en línea, el reembolso ya está en proceso.',
+  rechazada: 'El pago de tu orden fue rechazado y la orden no se procesará. Puedes volver a comprar cuando quieras.',
+};
+
+// Confirmación de una orden recién creada
+// - data: { order, nombre }
+const orderConfirmation = ({ order, nombre }) => {
+  const subject = `Confirmamos tu compra - Orden #${order.id}`;
+  const details = [['Fecha', formatDate(order.fecha)], ...orderDetails(order)];
+  const html = layout(subject, [
+    paragraph(escapeHtml(greeting(nombre))),
+    paragraph(`¡Gracias por tu compra! Registramos tu orden <strong>#${escapeHtml(order.id)}</strong>.`),
+    orderSummaryHtml(order),
+    ...details.map(([label, value]) => paragraph(`<strong>${label}:</strong> ${escapeHtml(value)}`)),
+    paragraph('Te avisaremos por este medio cada vez que tu orden cambie de estado.'),
+  ].join('\n'));
+  const text = [
+    greeting(nombre),
+    '',
+    `¡Gracias por tu compra! Registramos tu orden #${order.id}.`,
+    '',
+    orderSummaryText(order),
+    '',
+    ...details.map(([label, value]) => `${label}: ${value}`),
+    '',
+    'Te avisaremos por este medio cada vez que tu orden cambie de estado.',
+    '',
+    'GameHub',
+  ].join('\n');
+  return { subject, html, text };
+};
+
+// Cambio de estado de una orden
+// - data: { order, nombre }
+const orderStatusChanged = ({ order, nombre }) => {
+  const label = STATUS_LABELS[order.status] || order.status;
+  const subject = `Tu orden #${order.id} está ${label.toLowerCase()}`;
+  const message = STATUS_MESSAGES[order.status] || `El nuevo estado de tu orden es: ${label}.`;
+  const html = layout(subject, [
+    paragraph(escapeHtml(greeting(nombre))),
+    paragraph(escapeHtml(message)),
+    paragraph(`<strong>Orden:</strong> #${escapeHtml(order.id)} &middot; <strong>Estado:</strong> ${escapeHtml(label)}`),
+    orderSummaryHtml(order),
+  ].join('\n'));
+  const text = [
+    greeting(nombre),
+    '',
+    message,
+    '',
+    `Orden: #${order.id} - Estado: ${label}`,
+    '',
+    orderSummaryText(order),
+    '',
+    'GameHub',
+  ].join('\n');
+  return { subject, html, text };
+};
+
+// Enlace para elegir una contraseña nueva
+// - data: { nombre, link, expiresInMinutes }
+const passwordReset = ({ nombre, link, expiresInMinutes }) => {
+  const subject = 'Restablece tu contraseña de GameHub';
+  const html = layout(subject, [
+    paragraph(escapeHtml(greeting(nombre))),
+    paragraph('Recibimos un pedido para restablecer la contraseña de tu cuenta. Para elegir una nueva, haz click en el botón:'),
+    `          <p style="margin:0 0 16px;"><a href="${escapeHtml(link)}" style="display:inline-block;background:${BRAND_COLOR};color:#ffffff;text-decoration:none;padding:10px 16px;border-radius:6px;font-weight:bold;">Elegir una contraseña nueva</a></p>`,
+    paragraph(`El enlace vence en ${expiresInMinutes} minutos y solo puede usarse una vez.`),
+    paragraph('Si no lo pediste, ignora este email: tu contraseña no cambiará.'),
+  ].join('\n'));
+  const text = [
+    greeting(nombre),
+    '',
+    'Recibimos un pedido para restablecer la contraseña de tu cuenta. Para elegir una nueva, abre este enlace:',
+    link,
+    '',
+    `El enlace vence en ${expiresInMinutes} minutos y solo puede usarse una vez.`,
+    'Si no lo pediste, ignora este email: tu contraseña no cambiará.',
+    '',
+    'GameHub',
+  ].join('\n');
+  return { subject, html, text };
+};
+
+// Plantillas disponibles por nombre (el nombre se guarda en la cola de envíos)
+const TEMPLATES = {
+  orderConfirmation,
+  orderStatusChanged,
+  passwordReset,
+};
+
+module.exports = {
+  TEMPLATES,
+};
@@ -0,0 +1,78 @@
+// Formato de órdenes - Textos para mostrar una orden fuera de la tienda (comprobante PDF y emails)
+// Responsabilidades: nombres legibles de estados, formas de entrega, medios y estados de pago y
+// comprobantes fiscales (los mismos que muestra el frontend), e importes, fechas y direcciones en es-AR
+
+const STATUS_LABELS = {
+  pendiente: 'Pendiente',
+  pagada: 'Pagada',
+  enviada: 'Enviada',
+  entregada: 'Entregada',
+  cancelada: 'Cancelada',
+  rechazada: 'Rechazada',
+};
+
+const DELIVERY_LABELS = {
+  domicilio: 'Envío a domicilio',
+  retiro: 'Retiro en el local',
+};
+
+const PAYMENT_METHOD_LABELS = {
+  tarjeta: 'Tarjeta de crédito o débito',
+  transferencia: 'Transferencia bancaria',
+  efectivo: 'Efectivo al retirar',
+};
+
+const PAYMENT_STATUS_LABELS = {
+  pendiente: 'Pendiente',
+  aprobado: 'Aprobado',
+  rechazado: 'Rechazado',
+  reembolsado: 'Reembolsado',
+};
+
+const INVOICE_LABELS = {
+  A: 'Factura A (responsable inscripto)',
+  B: 'Factura B (consumidor final)',
+};
+
+// Importes en pesos argentinos ("$ 1.299.999,00")
+const formatPrice = (value) => new Intl.NumberFormat('es-AR', { style: 'currency', currency: 'ARS' }).format(value);
+
+// Fecha y hora de Argentina, sin depender de la zona horaria del servidor
+const formatDate = (value) => new Intl.DateTimeFormat('es-AR', {
+  dateStyle: 'long',
+  timeStyle: 'short',
+  timeZone: 'America/Argentina/Buenos_Aires',
+}).format(new Date(value));
+
+// Alícuota con coma decimal ("10,5%")
+const formatIvaRate = (rate) => `${String(rate).replace('.', ',')}%`;
+
+// Dirección en una línea: "Av. Corrientes 1234, 3° B - CABA, Buenos Aires (C1043)"
+const formatAddress = (direccion) => {
+  const street = [direccion.calle, direccion.numero].filter(Boolean).join(' ');
+  const place = [direccion.ciudad, direccion.provincia].filter(Boolean).join(', ');
+  return `${[street, direccion.pisoDepto].filter(Boolean).join(', ')} - ${place}` +
+    (direccion.codigoPostal ? ` (${direccion.codigoPostal})` : '');
+};
+
+// Plazo de entrega en días hábiles ("1 a 2 días hábiles"); null si la orden no lo tiene
+const formatDeliveryDays = (envio) => {
+  if (!envio || !envio.diasMin) {
+    return null;
+  }
+  const days = envio.diasMin === envio.diasMax ? `${envio.diasMin}` : `${envio.diasMin} a ${envio.diasMax}`;
+  return `${days} días hábiles`;
+};
+
+module.exports = {
+  STATUS_LABELS,
+  DELIVERY_LABELS,
+  PAYMENT_METHOD_LABELS,
+  PAYMENT_STATUS_LABELS,
+  INVOICE_LABELS,
+  formatPrice,
+  formatDate,
+  formatIvaRate,
+  formatAddress,
+  formatDeliveryDays,
+};
@@ -0,0 +1,74 @@
+// Módulo de precios de órdenes - Recalcula en el servidor los importes de una orden
+// Responsabilidades: validar las líneas recibidas y reemplazar precios y total por los de db.json
+// El cliente solo decide QUÉ compra y CUÁNTO; el precio siempre sale del catálogo
+
+const { ivaRate } = require('./taxes');
+
+// Busca un producto por ID tolerando IDs enviados como string ("3" === 3)
+const findProduct = (db, id) => {
+  return db
+    .get('products')
+    .find((product) => String(product.id) === String(id))
+    .value();
+};
+
+// Valida y recalcula una orden recibida del cliente
+// Retorna { errors } con la lista de problemas encontrados, o { order } con los valores autoritativos
+const priceOrder = (db, input) => {
+  const errors = [];
+  const productos = input && Array.isArray(input.productos) ? input.productos : null;
+
+  // La orden debe traer al menos una línea de producto
+  if (!productos || productos.length === 0) {
+    errors.push({ field: 'productos', message: 'La orden debe incluir al menos un producto' });
+    return { errors };
+  }
+
+  const lines = productos.map((line, index) => {
+    const field = `productos[${index}]`;
+    const id = line ? line.id : undefined;
+    const cantidad = line ? Number(line.cantidad) : NaN;
+
+    // La cantidad debe ser un entero positivo (nada de 0, negativos ni decimales)
+    if (!Number.isInteger(cantidad) || cantidad <= 0) {
+      errors.push({
+        field: `${field}.cantidad`,
+        message: 'La cantidad debe ser un número entero mayor a 0',
+      });
+    }
+
+    // El producto debe existir en el catálogo
+    const product = findProduct(db, id);
+    if (!product) {
+      errors.push({ field: `${field}.id`, message: `El producto ${id} no existe` });
+      return null;
+    }
+
+    // Línea con los valores del catálogo (se ignora el precio enviado por el cliente)
+    // "iva" es la alícuota del producto, para discriminar el impuesto de la orden
+    return {
+      id: product.id,
+      nombre: product.nombre,
+      precio: product.precio,
+      iva: ivaRate(product),
+      cantidad,
+    };
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  // Total calculado exclusivamente a partir de los precios del catálogo
+  const total = lines.reduce((sum, line) => sum + line.precio * line.cantidad, 0);
+
+  return {
+    order: {
+      productos: lines,
+      total,
+      fecha: new Date().toISOString(),
+    },
+  };
+};
+
+module.exports = { priceOrder, findProduct };
@@ -0,0 +1,85 @@
+// Máquina de estados de órdenes - Ciclo de vida de una orden de compra
+// Responsabilidades: definir los estados posibles, las transiciones permitidas y registrar el historial
+// Flujo: pendiente → pagada → enviada → entregada (cancelada desde pendiente o pagada)
+// Un pago rechazado por el proveedor deja la orden pendiente en "rechazada"
+
+const ORDER_STATUSES = ['pendiente', 'pagada', 'enviada', 'entregada', 'cancelada', 'rechazada'];
+
+// Estado inicial de toda orden nueva
+const INITIAL_STATUS = 'pendiente';
+
+// Transiciones permitidas desde cada estado (entregada, cancelada y rechazada son estados finales)
+const TRANSITIONS = {
+  pendiente: ['pagada', 'rechazada', 'cancelada'],
+  pagada: ['enviada', 'cancelada'],
+  enviada: ['entregada'],
+  entregada: [],
+  cancelada: [],
+  rechazada: [],
+};
+
+// Estados de las órdenes que no se concretaron: devuelven su stock y no cuentan como ventas
+const VOID_STATUSES = ['cancelada', 'rechazada'];
+
+// Estados de las órdenes cobradas: las únicas que cuentan como ventas
+const PAID_STATUSES = ['pagada', 'enviada', 'entregada'];
+
+// Estado actual de una orden (las órdenes anteriores a este módulo no tienen status)
+const currentStatus = (order) => order.status || INITIAL_STATUS;
+
+// Indica si una orden puede pasar de su estado actual al estado indicado
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Entrada del historial de estados con fecha
+const historyEntry = (status) => ({ status, fecha: new Date().toISOString() });
+
+// Campos de estado para una orden recién creada
+const initialStatusFields = () => ({
+  status: INITIAL_STATUS,
+  statusHistory: [historyEntry(INITIAL_STATUS)],
+});
+
+// Valida un cambio de estado y retorna los campos actualizados
+// Retorna { error: { status, code, message } } si el estado no existe o la transición no está permitida,
+// o { fields: { status, statusHistory } } con el historial extendido
+const transitionOrder = (order, nextStatus) => {
+  const from = currentStatus(order);
+
+  if (!ORDER_STATUSES.includes(nextStatus)) {
+    return {
+      error: {
+        status: 422,
+        code: 'VALIDATION_ERROR',
+        message: `El estado "${nextStatus}" no existe. Estados válidos: ${ORDER_STATUSES.join(', ')}`,
+      },
+    };
+  }
+
+  if (!canTransition(from, nextStatus)) {
+    return {
+      error: {
+        status: 409,
+        code: 'INVALID_STATUS_TRANSITION',
+        message: `No se puede cambiar una orden de "${from}" a "${nextStatus}"`,
+      },
+    };
+  }
+
+  return {
+    fields: {
+      status: nextStatus,
+      statusHistory: [...(order.statusHistory || []), historyEntry(nextStatus)],
+    },
+  };
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  VOID_STATUSES,
+  PAID_STATUSES,
+  currentStatus,
+  canTransition,
+  initialStatusFields,
+  transitionOrder,
+};
@@ -0,0 +1,187 @@
+// Pagos - Proveedor de pagos configurado y efecto de sus notificaciones sobre las órdenes
+// Responsabilidades: crear el proveedor elegido en PAYMENT_PROVIDER, procesar sus notificaciones
+// (webhooks), llevar la orden a "pagada" o "rechazada" según el resultado del pago y cancelar las
+// órdenes que quedan sin pagar (liberan su stock y su cupón)
+// Un proveedor es un objeto { nombre, createIntent, confirm, refund, parseWebhook } cuyos métodos
+// son asíncronos (un proveedor real los resuelve contra su API) y retornan { error } o un resultado:
+// - createIntent(order) → { payment }: intención de cobro por el total de la orden
+// - confirm(intentId, datos) → { payment }: cobrar con los datos del medio de pago
+// - refund(intentId) → { payment }: devolver un pago aprobado
+// - parseWebhook({ headers, body }) → { event: { intentId, estado } }: verificar una notificación
+// Para sumar otro proveedor (ej: Mercado Pago) alcanza con implementar esos métodos y registrarlo en PROVIDERS
+
+const { createSandboxProvider } = require('./sandboxPayments');
+const { currentStatus, transitionOrder, VOID_STATUSES } = require('./orderStatus');
+const { restockOrder } = require('./stock');
+const { releaseUses } = require('./coupons');
+
+// Estados de un pago
+const PAYMENT_STATUSES = ['pendiente', 'aprobado', 'rechazado', 'reembolsado'];
+
+// Medios de pago que se cobran en línea a través del proveedor
+// La transferencia y el efectivo los confirma un administrador marcando la orden como pagada
+const ONLINE_PAYMENT_METHODS = ['tarjeta'];
+
+// Estado al que pasa la orden con cada resultado del pago
+const ORDER_STATUS_BY_PAYMENT = { aprobado: 'pagada', rechazado: 'rechazada' };
+
+// Minutos que una orden con pago en línea puede esperar el pago antes de cancelarse
+const PAYMENT_TIMEOUT_MINUTES = Number(process.env.PAYMENT_TIMEOUT_MINUTES) || 30;
+
+// Cada cuánto se buscan órdenes vencidas
+const EXPIRY_INTERVAL_MS = 60 * 1000;
+
+const PROVIDERS = {
+  sandbox: createSandboxProvider,
+};
+
+const findOrderByIntent = (db, intentId) => {
+  return db
+    .get('orders')
+    .find((order) => Boolean(order.pago) && order.pago.intentId === intentId)
+    .value();
+};
+
+// Datos del pago que se guardan en la orden junto al medio elegido en el checkout
+const paymentFields = (order, provider, payment) => ({
+  ...order.pago,
+  proveedor: provider.nombre,
+  intentId: payment.id,
+  estado: payment.estado,
+});
+
+// Aplica una notificación del proveedor a la orden del pago
+// Las notificaciones repetidas no vuelven a cambiar el estado; un pago aprobado para una orden que
+// ya se canceló no la reactiva, se marca para reembolsar
+// Retorna { error: { status, code, message } } o { order, refund } con la orden actualizada
+const applyPaymentEvent = (db, { intentId, estado }) => {
+  if (!PAYMENT_STATUSES.includes(estado)) {
+    return { error: { status: 422, code: 'VALIDATION_ERROR', message: `El estado de pago "${estado}" no existe` } };
+  }
+  const order = findOrderByIntent(db, intentId);
+  if (!order) {
+    return { error: { status: 404, code: 'NOT_FOUND', message: 'No hay una orden asociada a ese pago' } };
+  }
+
+  const fields = { pago: { ...order.pago, estado } };
+  const nextStatus = ORDER_STATUS_BY_PAYMENT[estado];
+  if (nextStatus && currentStatus(order) !== nextStatus) {
+    const { error, fields: statusFields } = transitionOrder(order, nextStatus);
+    if (!error) {
+      Object.assign(fields, statusFields);
+      // Un pago rechazado libera las unidades reservadas por la orden y el uso de su cupón
+      if (VOID_STATUSES.includes(nextStatus)) {
+        restockOrder(db, order);
+        releaseUses(db, order);
+      }
+    }
+  }
+
+  const updated = db.get('orders').find({ id: order.id }).assign(fields).write();
+  const refund = estado === 'aprobado' && VOID_STATUSES.includes(currentStatus(updated));
+  return { order: updated, refund };
+};
+
+// Reembolsa el pago aprobado de una orden
+// Retorna { error } o { pago } con los datos de pago actualizados (la orden no se guarda aquí)
+const refundOrderPayment = async (provider, order) => {
+  const { error, payment } = await provider.refund(order.pago.intentId);
+  if (error) {
+    return { error };
+  }
+  return { pago: { ...order.pago, estado: payment.estado } };
+};
+
+// Procesa una notificación recibida del proveedor (firma, pago y orden)
+// - onStatusChange(order): se llama con la orden actualizada si el pago cambió su estado (ej: aviso por email)
+const handlePaymentNotification = async (db, provider, notification, { onStatusChange } = {}) => {
+  const { error, event } = await provider.parseWebhook(notification);
+  if (error) {
+    return { error };
+  }
+
+  // Estado anterior (lowdb modifica la orden guardada en el lugar)
+  const previous = findOrderByIntent(db, event.intentId);
+  const previousStatus = previous && currentStatus(previous);
+  const result = applyPaymentEvent(db, event);
+  if (!result.error && onStatusChange && currentStatus(result.order) !== previousStatus) {
+    onStatusChange(result.order);
+  }
+  if (result.refund) {
+    const refunded = await refundOrderPayment(provider, result.order);
+    if (refunded.error) {
+      return { error: refunded.error };
+    }
+    const order = db.get('orders').find({ id: result.order.id }).assign({ pago: refunded.pago }).write();
+    return { order };
+  }
+  return result;
+};
+
+// Indica si una orden pendiente de pago en línea superó el plazo para pagarla
+// Un pago que el proveedor está revisando (enRevision) no vence: su notificación decide el estado
+const isPaymentExpired = (order, now = new Date(), timeoutMinutes = PAYMENT_TIMEOUT_MINUTES) => (
+  currentStatus(order) === 'pendiente' &&
+  Boolean(order.pago) &&
+  ONLINE_PAYMENT_METHODS.includes(order.pago.metodo) &&
+  !order.pago.enRevision &&
+  now.getTime() - new Date(order.fecha).getTime() >= timeoutMinutes * 60 * 1000
+);
+
+// Cancela las órdenes con pago en línea que vencieron sin pagarse: devuelven su stock y el uso de su cupón
+// - onStatusChange(order): se llama con cada orden cancelada (ej: aviso por email)
+// Retorna las órdenes canceladas
+const expireUnpaidOrders = (db, { now = new Date(), onStatusChange } = {}) => {
+  const expired = db.get('orders').filter((order) => isPaymentExpired(order, now)).value();
+  return expired.map((order) => {
+    const { fields } = transitionOrder(order, 'cancelada');
+    restockOrder(db, order);
+    releaseUses(db, order);
+    const updated = db.get('orders').find({ id: order.id }).assign(fields).write();
+    if (onStatusChange) {
+      onStatusChange(updated);
+    }
+    return updated;
+  });
+};
+
+// Revisa periódicamente las órdenes sin pagar; retorna una función para detenerlo
+const startPaymentExpiry = (db, { onStatusChange, intervalMs = EXPIRY_INTERVAL_MS } = {}) => {
+  const timer = setInterval(() => {
+    try {
+      expireUnpaidOrders(db, { onStatusChange });
+    } catch (error) {
+      console.error('Error al cancelar las órdenes sin pagar:', error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+// Crea el proveedor configurado (sandbox por defecto) con sus notificaciones conectadas a las órdenes
+// - onStatusChange(order): se llama cuando una notificación cambia el estado de una orden
+const createPaymentProvider = (db, { name = process.env.PAYMENT_PROVIDER || 'sandbox', onStatusChange } = {}) => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Proveedor de pagos desconocido: "${name}". Disponibles: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  const provider = factory(db, {
+    onWebhook: (notification) => handlePaymentNotification(db, provider, notification, { onStatusChange }),
+  });
+  return provider;
+};
+
+module.exports = {
+  PAYMENT_STATUSES,
+  ONLINE_PAYMENT_METHODS,
+  PAYMENT_TIMEOUT_MINUTES,
+  findOrderByIntent,
+  paymentFields,
+  applyPaymentEvent,
+  refundOrderPayment,
+  handlePaymentNotification,
+  isPaymentExpired,
+  expireUnpaidOrders,
+  startPaymentExpiry,
+  createPaymentProvider,
+};
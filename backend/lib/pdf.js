@@ -0,0 +1,170 @@
+// Documentos PDF - Generador mínimo de PDF sin dependencias externas
+// Responsabilidades: armar páginas A4 con texto (Helvetica y Helvetica-Bold), líneas y rectángulos,
+// y serializarlas como un archivo PDF 1.4 válido
+// Usa las fuentes estándar del lector (no se incrustan) con codificación WinAnsi, que cubre los
+// caracteres del español (á, é, ñ, ¿, ¡...); los caracteres fuera de Latin-1 se reemplazan por "?"
+// Las coordenadas se expresan en puntos desde la esquina superior izquierda de la página
+
+// Tamaño de página A4 en puntos
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Anchos de los caracteres 32 a 126 (milésimas del tamaño de fuente), de las métricas AFM de Adobe
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+const FONTS = {
+  regular: { resource: 'F1', name: 'Helvetica', widths: HELVETICA_WIDTHS },
+  bold: { resource: 'F2', name: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS },
+};
+
+// Texto llevado a Latin-1 (los espacios especiales de Intl, como el de "$ 1.000", pasan a espacio común)
+const toLatin1 = (value) => String(value ?? '')
+  .replace(/[\u00a0\u2009\u202f]/g, ' ')
+  .replace(/[\u2018\u2019]/g, "'")
+  .replace(/[\u201c\u201d]/g, '"')
+  .replace(/[\u2013\u2014]/g, '-')
+  .replace(/[^\x20-\x7e\xa1-\xff]/g, '?');
+
+// Ancho de un carácter; las letras acentuadas miden lo mismo que su letra base
+const charWidth = (char, widths) => {
+  const code = char.charCodeAt(0);
+  if (code >= 32 && code <= 126) {
+    return widths[code - 32];
+  }
+  const base = char.normalize('NFD')[0];
+  return base !== char && base.charCodeAt(0) <= 126 ? charWidth(base, widths) : 556;
+};
+
+// Ancho de un texto en puntos
+const textWidth = (value, { size = 10, bold = false } = {}) => {
+  const widths = (bold ? FONTS.bold : FONTS.regular).widths;
+  return [...toLatin1(value)].reduce((sum, char) => sum + charWidth(char, widths), 0) * size / 1000;
+};
+
+// Recorta un texto con "..." para que entre en el ancho indicado
+const fitText = (value, maxWidth, options) => {
+  const text = toLatin1(value);
+  if (textWidth(text, options) <= maxWidth) {
+    return text;
+  }
+  let end = text.length;
+  while (end > 0 && textWidth(`${text.slice(0, end)}...`, options) > maxWidth) {
+    end -= 1;
+  }
+  return `${text.slice(0, end).trimEnd()}...`;
+};
+
+// Cadena literal de PDF: se escapan la barra invertida y los paréntesis
+const pdfString = (value) => `(${toLatin1(value).replace(/[\\()]/g, (char) => `\\${char}`)})`;
+
+// Color "#1d4ed8" → "0.114 0.306 0.847"
+const pdfColor = (hex) => [1, 3, 5]
+  .map((index) => (parseInt(hex.slice(index, index + 2), 16) / 255).toFixed(3))
+  .join(' ');
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+// Crea un documento vacío; cada operación dibuja sobre la última página agregada
+const createPdfDocument = () => {
+  const pages = [];
+  let current = null;
+
+  const addPage = () => {
+    current = [];
+    pages.push(current);
+  };
+
+  // Convierte "y desde arriba" en la coordenada del PDF (desde abajo)
+  const flipY = (y) => formatNumber(PAGE_HEIGHT - y);
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+    addPage,
+
+    // Texto con su línea base en y; align "right" alinea el final del texto en x
+    text: (value, x, y, { size = 10, bold = false, color = '#111827', align = 'left' } = {}) => {
+      const font = bold ? FONTS.bold : FONTS.regular;
+      const left = align === 'right' ? x - textWidth(value, { size, bold }) : x;
+      current.push(
+        `BT /${font.resource} ${size} Tf ${pdfColor(color)} rg ${formatNumber(left)} ${flipY(y)} Td ${pdfString(value)} Tj ET`
+      );
+    },
+
+    line: (x1, y1, x2, y2, { color = '#d1d5db', width = 0.5 } = {}) => {
+      current.push(`${pdfColor(color)} RG ${width} w ${formatNumber(x1)} ${flipY(y1)} m ${formatNumber(x2)} ${flipY(y2)} l S`);
+    },
+
+    rect: (x, y, w, h, { color = '#f3f4f6' } = {}) => {
+      current.push(`${pdfColor(color)} rg ${formatNumber(x)} ${flipY(y + h)} ${formatNumber(w)} ${formatNumber(h)} re f`);
+    },
+
+    // Serializa el documento: catálogo, árbol de páginas, fuentes, páginas y sus contenidos
+    toBuffer: () => {
+      const objects = [];
+      const addObject = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = addObject(null);
+      const pagesId = addObject(null);
+      const fontIds = Object.values(FONTS).map((font) => (
+        addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`)
+      ));
+      const fontResources = Object.values(FONTS)
+        .map((font, index) => `/${font.resource} ${fontIds[index]} 0 R`)
+        .join(' ');
+
+      const pageIds = pages.map((operations) => {
+        const content = operations.join('\n');
+        const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+        return addObject(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+        );
+      });
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      // Cuerpo con la tabla de referencias cruzadas (posición en bytes de cada objeto)
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+      return Buffer.from(output, 'latin1');
+    },
+  };
+
+  addPage();
+  return doc;
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  textWidth,
+  fitText,
+  createPdfDocument,
+};
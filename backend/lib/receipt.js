@@ -0,0 +1,201 @@
+// Comprobante de compra - PDF de una orden con la marca de GameHub
+// Responsabilidades: componer el comprobante (datos de la orden, comprador, entrega, productos,
+// totales, impuestos y pago) sobre el generador de lib/pdf.js, sin servicios externos
+// Es un comprobante de la compra, no una factura: la factura A o B se emite aparte
+
+const { createPdfDocument, fitText } = require('./pdf');
+const {
+  STATUS_LABELS,
+  DELIVERY_LABELS,
+  PAYMENT_METHOD_LABELS,
+  PAYMENT_STATUS_LABELS,
+  INVOICE_LABELS,
+  formatPrice,
+  formatDate,
+  formatIvaRate,
+  formatAddress,
+  formatDeliveryDays,
+} = require('./orderFormat');
+
+// Colores de la marca (los mismos de la tienda: azul de Tailwind blue-600 y grises)
+const COLORS = {
+  brand: '#2563eb',
+  white: '#ffffff',
+  text: '#111827',
+  muted: '#6b7280',
+  border: '#d1d5db',
+  band: '#f3f4f6',
+};
+
+const MARGIN = 40;
+
+// Hasta dónde se escribe antes de pasar a una página nueva (deja lugar al pie)
+const CONTENT_BOTTOM = 780;
+
+// Columnas de la tabla de productos (x de inicio o de alineación a la derecha)
+const COLUMNS = {
+  producto: MARGIN + 8,
+  cantidad: 350,
+  precio: 460,
+  subtotal: 547,
+};
+
+// Nombre del archivo que se descarga
+const receiptFilename = (order) => `gamehub-orden-${order.id}.pdf`;
+
+// Genera el comprobante de una orden; retorna un Buffer con el PDF
+// Las órdenes anteriores al checkout no tienen comprador, entrega ni pago: esas secciones se omiten
+const renderOrderReceipt = (order) => {
+  const doc = createPdfDocument();
+  const right = doc.width - MARGIN;
+  let y = 0;
+
+  // Pie de cada página
+  const footer = () => {
+    doc.line(MARGIN, 800, right, 800, { color: COLORS.border });
+    doc.text('GameHub - Gracias por tu compra', MARGIN, 815, { size: 8, color: COLORS.muted });
+    doc.text(`Orden #${order.id}`, right, 815, { size: 8, color: COLORS.muted, align: 'right' });
+  };
+
+  // Asegura lugar para "height" puntos más; si no alcanza, cierra la página y abre otra
+  const ensureSpace = (height) => {
+    if (y + height > CONTENT_BOTTOM) {
+      footer();
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+
+  const sectionTitle = (title) => {
+    ensureSpace(40);
+    y += 24;
+    doc.text(title, MARGIN, y, { size: 11, bold: true, color: COLORS.brand });
+    y += 6;
+    doc.line(MARGIN, y, right, y, { color: COLORS.border });
+    y += 14;
+  };
+
+  // Fila "Etiqueta: valor"
+  const field = (label, value) => {
+    ensureSpace(14);
+    doc.text(`${label}:`, MARGIN, y, { size: 9, bold: true });
+    doc.text(fitText(value, right - MARGIN - 110, { size: 9 }), MARGIN + 110, y, { size: 9 });
+    y += 14;
+  };
+
+  // Fila de totales alineada a la derecha
+  const totalRow = (label, value, { bold = false, size = 9, color = COLORS.text } = {}) => {
+    ensureSpace(size + 6);
+    doc.text(label, COLUMNS.precio, y, { size, bold, color, align: 'right' });
+    doc.text(value, COLUMNS.subtotal, y, { size, bold, color, align: 'right' });
+    y += size + 6;
+  };
+
+  // Encabezado con la marca
+  doc.rect(0, 0, doc.width, 90, { color: COLORS.brand });
+  doc.text('GameHub', MARGIN, 50, { size: 26, bold: true, color: COLORS.white });
+  doc.text('Gaming Store', MARGIN, 70, { size: 9, color: COLORS.white });
+  doc.text('Comprobante de compra', right, 50, { size: 14, bold: true, color: COLORS.white, align: 'right' });
+  doc.text(`Orden #${order.id}`, right, 70, { size: 10, color: COLORS.white, align: 'right' });
+  y = 110;
+
+  // Datos de la orden
+  field('Fecha', formatDate(order.fecha));
+  field('Estado', STATUS_LABELS[order.status] || STATUS_LABELS.pendiente);
+  if (order.factura) {
+    const invoice = INVOICE_LABELS[order.factura.tipo] || `Factura ${order.factura.tipo}`;
+    field('Comprobante fiscal', order.factura.tipo === 'A'
+      ? `${invoice} - CUIT ${order.factura.cuit} - ${order.factura.razonSocial}`
+      : invoice);
+  }
+  doc.text('Documento no válido como factura', MARGIN, y + 2, { size: 8, color: COLORS.muted });
+  y += 4;
+
+  if (order.cliente) {
+    sectionTitle('Comprador');
+    field('Nombre', order.cliente.nombre);
+    field('Email', order.cliente.email);
+    if (order.cliente.dni) {
+      field('DNI', order.cliente.dni);
+    }
+    if (order.cliente.telefono) {
+      field('Teléfono', order.cliente.telefono);
+    }
+  }
+
+  if (order.envio) {
+    sectionTitle('Entrega');
+    field('Forma de entrega', DELIVERY_LABELS[order.envio.metodo] || order.envio.metodo);
+    if (order.envio.metodo === 'domicilio' && order.envio.direccion) {
+      field('Dirección', formatAddress(order.envio.direccion));
+    }
+    if (formatDeliveryDays(order.envio)) {
+      field('Plazo estimado', formatDeliveryDays(order.envio));
+    }
+  }
+
+  // Tabla de productos
+  sectionTitle('Productos');
+  const tableHeader = () => {
+    doc.rect(MARGIN, y - 12, right - MARGIN, 18, { color: COLORS.band });
+    doc.text('Producto', COLUMNS.producto, y, { size: 9, bold: true });
+    doc.text('Cant.', COLUMNS.cantidad, y, { size: 9, bold: true, align: 'right' });
+    doc.text('Precio unit.', COLUMNS.precio, y, { size: 9, bold: true, align: 'right' });
+    doc.text('Subtotal', COLUMNS.subtotal, y, { size: 9, bold: true, align: 'right' });
+    y += 20;
+  };
+  tableHeader();
+  (order.productos || []).forEach((line) => {
+    if (y + 18 > CONTENT_BOTTOM) {
+      ensureSpace(18);
+      tableHeader();
+    }
+    const name = fitText(line.nombre, COLUMNS.cantidad - COLUMNS.producto - 40, { size: 9 });
+    doc.text(name, COLUMNS.producto, y, { size: 9 });
+    doc.text(String(line.cantidad), COLUMNS.cantidad, y, { size: 9, align: 'right' });
+    doc.text(formatPrice(line.precio), COLUMNS.precio, y, { size: 9, align: 'right' });
+    doc.text(formatPrice(line.precio * line.cantidad), COLUMNS.subtotal, y, { size: 9, align: 'right' });
+    y += 8;
+    doc.line(MARGIN, y, right, y, { color: COLORS.band });
+    y += 12;
+  });
+
+  // Totales (las órdenes sin subtotal guardado son anteriores a los descuentos y el envío)
+  y += 6;
+  totalRow('Subtotal', formatPrice(order.subtotal ?? order.total));
+  (order.descuentos || []).forEach((discount) => {
+    totalRow(fitText(discount.descripcion, 200, { size: 9 }), `-${formatPrice(discount.monto)}`);
+  });
+  if (order.envio) {
+    totalRow('Envío', order.envio.costo > 0 ? formatPrice(order.envio.costo) : 'Gratis');
+  }
+  ensureSpace(24);
+  doc.line(COLUMNS.precio - 120, y - 6, right, y - 6, { color: COLORS.border });
+  y += 6;
+  totalRow('Total', formatPrice(order.total), { bold: true, size: 12, color: COLORS.brand });
+
+  // Impuestos incluidos en el total (régimen de transparencia fiscal al consumidor)
+  if (order.impuestos && order.impuestos.iva.length > 0) {
+    y += 4;
+    totalRow('Precio sin impuestos nacionales', formatPrice(order.impuestos.neto), { size: 8, color: COLORS.muted });
+    order.impuestos.iva.forEach((line) => {
+      totalRow(`IVA ${formatIvaRate(line.alicuota)}`, formatPrice(line.monto), { size: 8, color: COLORS.muted });
+    });
+  }
+
+  if (order.pago) {
+    sectionTitle('Pago');
+    field('Medio de pago', PAYMENT_METHOD_LABELS[order.pago.metodo] || order.pago.metodo);
+    if (order.pago.estado) {
+      field('Estado del pago', PAYMENT_STATUS_LABELS[order.pago.estado] || order.pago.estado);
+    }
+  }
+
+  footer();
+  return doc.toBuffer();
+};
+
+module.exports = {
+  receiptFilename,
+  renderOrderReceipt,
+};
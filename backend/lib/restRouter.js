@@ -0,0 +1,42 @@
+// Acceso al router REST de JSON Server - Lo que el router resolvería por su cuenta sin pasar por las reglas
+// Responsabilidades: quitar los parámetros de relaciones (_expand, _embed) de todas las peticiones y
+// limitar las rutas anidadas (/:recurso/:id/:anidado) a las que la tienda usa
+// Sin esto, ?_expand=user incrusta el usuario completo (con su hash de contraseña) en cualquier
+// colección con userId, ?_embed=reviews trae las reseñas ocultas y una ruta anidada como
+// /products/1/users lee o escribe la colección anidada sin las reglas de routes/
+
+const { sendError } = require('./errors');
+
+// Parámetros con los que JSON Server une colecciones en la respuesta
+const RELATION_PARAMS = ['_expand', '_embed'];
+
+// Rutas anidadas permitidas: recurso → colecciones anidadas (cada una tiene sus reglas en routes/)
+const NESTED_ROUTES = {
+  products: ['reviews'],
+  orders: ['orderNotes'],
+};
+
+// Middleware global: descarta _expand y _embed antes de cualquier regla y del router
+const stripRelations = (req, res, next) => {
+  RELATION_PARAMS.forEach((param) => {
+    delete req.query[param];
+  });
+  return next();
+};
+
+// Middleware para /:resource/:id/:nested - Se registra después de las reglas de routes/ y antes del
+// router: las rutas propias (ej: /orders/:id/comprobante.pdf) ya respondieron y el resto es 404
+const blockNestedRoutes = (req, res, next) => {
+  const allowed = NESTED_ROUTES[req.params.resource] || [];
+  if (!allowed.includes(req.params.nested)) {
+    return sendError(res, 404, 'NOT_FOUND', 'Recurso no encontrado');
+  }
+  return next();
+};
+
+module.exports = {
+  RELATION_PARAMS,
+  NESTED_ROUTES,
+  stripRelations,
+  blockNestedRoutes,
+};
@@ -0,0 +1,60 @@
+// Reseñas de productos - Validación, compra verificada y resumen de puntuaciones
+// Responsabilidades: validar el contenido de una reseña, comprobar que el autor compró el producto
+// y calcular el promedio y la cantidad de reseñas visibles de cada producto
+
+const { PAID_STATUSES } = require('./orderStatus');
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+const MAX_TITLE_LENGTH = 100;
+const MAX_TEXT_LENGTH = 2000;
+
+// Valida los campos que envía el cliente y retorna la lista de errores por campo
+const validateReview = (review = {}) => {
+  const errors = [];
+  if (!(Number.isInteger(review.rating) && review.rating >= MIN_RATING && review.rating <= MAX_RATING)) {
+    errors.push({ field: 'rating', message: `La puntuación debe ser un número entero entre ${MIN_RATING} y ${MAX_RATING}` });
+  }
+  const titulo = String(review.titulo ?? '').trim();
+  if (!titulo || titulo.length > MAX_TITLE_LENGTH) {
+    errors.push({ field: 'titulo', message: `El título debe tener entre 1 y ${MAX_TITLE_LENGTH} caracteres` });
+  }
+  const texto = String(review.texto ?? '').trim();
+  if (!texto || texto.length > MAX_TEXT_LENGTH) {
+    errors.push({ field: 'texto', message: `La reseña debe tener entre 1 y ${MAX_TEXT_LENGTH} caracteres` });
+  }
+  return errors;
+};
+
+// Indica si el usuario tiene una orden cobrada (pagada, enviada o entregada) que incluye el producto
+// Una orden pendiente no alcanza: se puede crear y no pagarla nunca
+const isVerifiedBuyer = (orders, userId, productId) => {
+  return orders.some((order) => (
+    String(order.userId) === String(userId) &&
+    PAID_STATUSES.includes(order.status) &&
+    (order.productos || []).some((item) => String(item.id) === String(productId))
+  ));
+};
+
+// Promedio (con un decimal) y cantidad de reseñas visibles de cada producto pedido
+// Retorna { [productId]: { promedio, cantidad } }; los productos sin reseñas tienen cantidad 0
+const summarizeRatings = (reviews, productIds) => {
+  const summary = {};
+  productIds.forEach((productId) => {
+    const ratings = reviews
+      .filter((review) => !review.oculta && String(review.productId) === String(productId))
+      .map((review) => review.rating);
+    const total = ratings.reduce((sum, rating) => sum + rating, 0);
+    summary[productId] = {
+      promedio: ratings.length > 0 ? Math.round((total / ratings.length) * 10) / 10 : 0,
+      cantidad: ratings.length,
+    };
+  });
+  return summary;
+};
+
+module.exports = {
+  validateReview,
+  isVerifiedBuyer,
+  summarizeRatings,
+};
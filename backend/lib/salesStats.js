@@ -0,0 +1,189 @@
+// Estadísticas de ventas - Métricas calculadas a partir de la colección orders
+// Responsabilidades: ingresos por período (día/semana/mes), unidades vendidas por producto,
+// ticket promedio y productos más vendidos en un rango de fechas
+// Solo cuentan como ventas las órdenes cobradas (pagadas, enviadas o entregadas). Los períodos se calculan en UTC
+// Los ingresos son el importe de los productos vendidos (precio de la orden × cantidad) menos los descuentos,
+// sin envío. Cada descuento se reparte entre las líneas que alcanzó como en los impuestos de la orden
+// (lib/taxes.js): así el total, cada período y cada producto suman lo mismo
+
+const { PAID_STATUSES } = require('./orderStatus');
+const { spreadDiscount } = require('./taxes');
+
+const GROUP_BY_OPTIONS = ['day', 'week', 'month'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TOP_SELLERS_LIMIT = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Límite de períodos por consulta (ej: unos 3 años agrupando por día)
+const MAX_PERIODS = 1100;
+// Duración aproximada de cada período en días, para estimar cuántos períodos tiene un rango
+const PERIOD_DAYS = { day: 1, week: 7, month: 28 };
+
+// Fecha AAAA-MM-DD (UTC) de un Date
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+// Inicio del período al que pertenece una fecha: el mismo día, el lunes de su semana o el día 1 del mes
+const periodStart = (date, groupBy) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (groupBy === 'week') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  } else if (groupBy === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+// Clave del período: AAAA-MM-DD para día y semana (lunes), AAAA-MM para mes
+const periodKey = (date, groupBy) => {
+  const key = toDateKey(periodStart(date, groupBy));
+  return groupBy === 'month' ? key.slice(0, 7) : key;
+};
+
+// Inicio del período siguiente
+const nextPeriod = (start, groupBy) => {
+  const next = new Date(start);
+  if (groupBy === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (groupBy === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+// Redondea importes a centavos (evita arrastrar errores de punto flotante)
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Ventas (órdenes cobradas) entre from y to, y el rango efectivo de la serie: el pedido o, si falta algún
+// extremo, el de las propias ventas (sin ventas, el final es hoy)
+const salesInRange = (orders, { from, to } = {}, now = new Date()) => {
+  const fromDate = from ? new Date(`${from}T00:00:00.000Z`) : null;
+  const toDate = to ? new Date(`${to}T23:59:59.999Z`) : null;
+
+  const sales = orders.filter((order) => {
+    const fecha = new Date(order.fecha);
+    return (
+      PAID_STATUSES.includes(order.status) &&
+      !Number.isNaN(fecha.getTime()) &&
+      (!fromDate || fecha >= fromDate) &&
+      (!toDate || fecha <= toDate)
+    );
+  });
+
+  const dates = sales.map((order) => new Date(order.fecha));
+  const rangeStart = fromDate || (dates.length ? new Date(Math.min(...dates)) : null);
+  const rangeEnd = toDate || (dates.length ? new Date(Math.max(...dates)) : null)
+    || (fromDate && new Date(Math.max(fromDate, now)));
+  return { sales, rangeStart, rangeEnd };
+};
+
+// Importe vendido de cada línea de una orden: precio × cantidad menos su parte de los descuentos
+// Las órdenes anteriores a guardar productIds en el descuento lo reparten entre todas sus líneas
+const lineAmounts = (order) => {
+  const amounts = order.productos.map((line) => line.precio * line.cantidad);
+  (order.descuentos || []).forEach((discount) => {
+    const appliesTo = discount.productIds ? (line) => discount.productIds.includes(line.id) : undefined;
+    spreadDiscount(order.productos, discount.monto, appliesTo).forEach((monto, index) => {
+      amounts[index] -= monto;
+    });
+  });
+  return amounts;
+};
+
+// Valida los parámetros de la consulta y retorna la lista de errores por campo
+// - orders: órdenes de db.json, para limitar los períodos del rango efectivo si falta algún extremo
+const validateSalesQuery = ({ from, to, groupBy } = {}, orders = [], now = new Date()) => {
+  const errors = [];
+  const isValidDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+  if (from !== undefined && !isValidDate(from)) {
+    errors.push({ field: 'from', message: 'La fecha debe tener el formato AAAA-MM-DD' });
+  }
+  if (to !== undefined && !isValidDate(to)) {
+    errors.push({ field: 'to', message: 'La fecha debe tener el formato AAAA-MM-DD' });
+  }
+  if (errors.length === 0 && from !== undefined && to !== undefined && from > to) {
+    errors.push({ field: 'to', message: 'La fecha final debe ser posterior a la inicial' });
+  }
+  if (groupBy !== undefined && !GROUP_BY_OPTIONS.includes(groupBy)) {
+    errors.push({ field: 'groupBy', message: `groupBy debe ser uno de: ${GROUP_BY_OPTIONS.join(', ')}` });
+  }
+  if (errors.length === 0) {
+    const { rangeStart, rangeEnd } = salesInRange(orders, { from, to }, now);
+    const days = rangeStart && rangeEnd ? (rangeEnd - rangeStart) / DAY_MS : 0;
+    if (days / PERIOD_DAYS[groupBy || 'day'] > MAX_PERIODS) {
+      errors.push({ field: 'from', message: 'El rango es demasiado amplio para esa agrupación' });
+    }
+  }
+  return errors;
+};
+
+// Calcula las estadísticas de ventas
+// - orders: órdenes de db.json
+// - from / to: fechas AAAA-MM-DD inclusivas (opcionales; por defecto el rango de las órdenes)
+// - groupBy: 'day' | 'week' | 'month'
+// - now: fecha actual (final del rango si solo se pide from y no hay ventas)
+const computeSalesStats = (orders, { from, to, groupBy = 'day' } = {}, now = new Date()) => {
+  const { sales, rangeStart, rangeEnd } = salesInRange(orders, { from, to }, now);
+
+  // Serie temporal con todos los períodos del rango (los períodos sin ventas quedan en 0)
+  const series = new Map();
+  if (rangeStart && rangeEnd) {
+    for (let start = periodStart(rangeStart, groupBy); start <= rangeEnd; start = nextPeriod(start, groupBy)) {
+      const key = periodKey(start, groupBy);
+      series.set(key, { periodo: key, ingresos: 0, ordenes: 0, unidades: 0 });
+    }
+  }
+
+  const products = new Map();
+  let ingresos = 0;
+  let unidades = 0;
+
+  sales.forEach((order) => {
+    const orderUnits = order.productos.reduce((sum, line) => sum + line.cantidad, 0);
+    const amounts = lineAmounts(order);
+    const orderAmount = amounts.reduce((sum, amount) => sum + amount, 0);
+    ingresos += orderAmount;
+    unidades += orderUnits;
+
+    const point = series.get(periodKey(new Date(order.fecha), groupBy));
+    if (point) {
+      point.ingresos += orderAmount;
+      point.ordenes += 1;
+      point.unidades += orderUnits;
+    }
+
+    order.productos.forEach((line, index) => {
+      const key = String(line.id);
+      const product = products.get(key) || { id: line.id, nombre: line.nombre, unidades: 0, ingresos: 0 };
+      product.unidades += line.cantidad;
+      product.ingresos += amounts[index];
+      products.set(key, product);
+    });
+  });
+
+  // Productos ordenados por unidades vendidas (a igualdad, por ingresos)
+  const productos = [...products.values()]
+    .map((product) => ({ ...product, ingresos: roundAmount(product.ingresos) }))
+    .sort((a, b) => b.unidades - a.unidades || b.ingresos - a.ingresos);
+
+  return {
+    desde: rangeStart ? toDateKey(rangeStart) : null,
+    hasta: rangeEnd ? toDateKey(rangeEnd) : null,
+    groupBy,
+    resumen: {
+      ingresos: roundAmount(ingresos),
+      ordenes: sales.length,
+      unidades,
+      ticketPromedio: sales.length ? roundAmount(ingresos / sales.length) : 0,
+    },
+    serie: [...series.values()].map((point) => ({ ...point, ingresos: roundAmount(point.ingresos) })),
+    productos,
+    topVendidos: productos.slice(0, TOP_SELLERS_LIMIT),
+  };
+};
+
+module.exports = {
+  GROUP_BY_OPTIONS,
+  validateSalesQuery,
+  computeSalesStats,
+};
@@ -0,0 +1,186 @@
+// Proveedor de pagos sandbox - Simula un procesador de tarjetas sin servicios externos
+// Responsabilidades: registrar intenciones de pago, validar la tarjeta, decidir el resultado del cobro,
+// reembolsar y firmar/verificar sus notificaciones (webhooks) con HMAC-SHA256
+// Los pagos se guardan en la colección "payments" de db.json, que no se expone por REST
+// El resultado lo decide el nombre del titular, como en las tarjetas de prueba de Mercado Pago:
+// APRO → aprobado, OTHE → rechazado, CONT → pendiente (cualquier otro nombre se aprueba)
+// Un pago pendiente se resuelve después con resolve(), como cuando el procesador termina de revisarlo
+
+const crypto = require('crypto');
+
+// Secreto compartido para firmar las notificaciones (en producción debe configurarse por variable de entorno)
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'gamehub-sandbox-webhook';
+const SIGNATURE_HEADER = 'x-sandbox-signature';
+
+// Resultado simulado según el titular de la tarjeta
+const OUTCOMES = { APRO: 'aprobado', OTHE: 'rechazado', CONT: 'pendiente' };
+
+// Vencimiento en formato MM/AA
+const EXPIRY_PATTERN = /^(0[1-9]|1[0-2])\/(\d{2})$/;
+const CVV_PATTERN = /^\d{3,4}$/;
+
+// Firma del cuerpo de una notificación (hex)
+const signPayload = (body) => crypto.createHmac('sha256', WEBHOOK_SECRET).update(JSON.stringify(body)).digest('hex');
+
+// Algoritmo de Luhn: detecta números de tarjeta mal tipeados
+const passesLuhn = (digits) => {
+  let sum = 0;
+  [...digits].reverse().forEach((char, index) => {
+    let value = Number(char);
+    if (index % 2 === 1) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  });
+  return sum % 10 === 0;
+};
+
+// Valida los datos de la tarjeta y retorna la lista de errores por campo
+const validateCard = (tarjeta, now = new Date()) => {
+  const card = tarjeta || {};
+  const errors = [];
+
+  const numero = String(card.numero ?? '').replace(/[\s-]/g, '');
+  if (!/^\d{13,19}$/.test(numero) || !passesLuhn(numero)) {
+    errors.push({ field: 'tarjeta.numero', message: 'El número de tarjeta no es válido' });
+  }
+  if (!String(card.titular ?? '').trim()) {
+    errors.push({ field: 'tarjeta.titular', message: 'Completa el nombre del titular' });
+  }
+
+  const expiry = EXPIRY_PATTERN.exec(String(card.vencimiento ?? '').trim());
+  if (!expiry) {
+    errors.push({ field: 'tarjeta.vencimiento', message: 'Usa el formato MM/AA' });
+  } else {
+    // La tarjeta vence al terminar el mes indicado (UTC)
+    const endOfMonth = Date.UTC(2000 + Number(expiry[2]), Number(expiry[1]), 1);
+    if (now.getTime() >= endOfMonth) {
+      errors.push({ field: 'tarjeta.vencimiento', message: 'La tarjeta está vencida' });
+    }
+  }
+  if (!CVV_PATTERN.test(String(card.cvv ?? ''))) {
+    errors.push({ field: 'tarjeta.cvv', message: 'El código de seguridad debe tener 3 o 4 números' });
+  }
+  return errors;
+};
+
+// Crea el proveedor sandbox sobre la base lowdb
+// - onWebhook: función que recibe cada notificación { headers, body }, como el POST que el proveedor
+//   haría a /payments/webhook; se invoca cuando un pago se aprueba o se rechaza
+const createSandboxProvider = (db, { onWebhook } = {}) => {
+  const payments = () => {
+    if (!db.has('payments').value()) {
+      db.set('payments', []).write();
+    }
+    return db.get('payments');
+  };
+  const findPayment = (id) => payments().find((payment) => payment.id === id).value();
+  const updatePayment = (id, fields) => payments()
+    .find((payment) => payment.id === id)
+    .assign({ ...fields, actualizado: new Date().toISOString() })
+    .write();
+
+  // Envía la notificación firmada del cambio de estado de un pago
+  const notify = async (payment) => {
+    if (!onWebhook) {
+      return;
+    }
+    const body = { tipo: 'payment.updated', data: { id: payment.id, estado: payment.estado } };
+    await onWebhook({ headers: { [SIGNATURE_HEADER]: signPayload(body) }, body });
+  };
+
+  return {
+    nombre: 'sandbox',
+
+    // Intención de cobro por el total de la orden
+    createIntent: async (order) => {
+      const payment = {
+        id: `pi_sbx_${crypto.randomBytes(8).toString('hex')}`,
+        orderId: order.id,
+        monto: order.total,
+        moneda: 'ARS',
+        estado: 'pendiente',
+        creado: new Date().toISOString(),
+      };
+      payments().push(payment).write();
+      return { payment };
+    },
+
+    // Cobrar con la tarjeta indicada; de la tarjeta solo se guardan los últimos 4 números y el titular
+    confirm: async (intentId, { tarjeta } = {}) => {
+      const payment = findPayment(intentId);
+      if (!payment) {
+        return { error: { status: 404, code: 'NOT_FOUND', message: 'Pago no encontrado' } };
+      }
+      if (payment.tarjeta) {
+        return { error: { status: 409, code: 'PAYMENT_ALREADY_PROCESSED', message: 'El pago ya fue procesado' } };
+      }
+
+      const errors = validateCard(tarjeta);
+      if (errors.length > 0) {
+        return {
+          error: { status: 422, code: 'VALIDATION_ERROR', message: 'Los datos de la tarjeta no son válidos', details: errors },
+        };
+      }
+
+      const titular = tarjeta.titular.trim();
+      const numero = String(tarjeta.numero).replace(/[\s-]/g, '');
+      const updated = updatePayment(intentId, {
+        estado: OUTCOMES[titular.toUpperCase()] || 'aprobado',
+        tarjeta: { ultimos4: numero.slice(-4), titular },
+      });
+      if (updated.estado !== 'pendiente') {
+        await notify(updated);
+      }
+      return { payment: updated };
+    },
+
+    // Solo sandbox: resolver un pago pendiente (aprobado o rechazado) y enviar su notificación
+    resolve: async (intentId, estado) => {
+      const payment = findPayment(intentId);
+      if (!payment) {
+        return { error: { status: 404, code: 'NOT_FOUND', message: 'Pago no encontrado' } };
+      }
+      if (payment.estado !== 'pendiente' || !payment.tarjeta) {
+        return { error: { status: 409, code: 'PAYMENT_NOT_PENDING', message: 'Solo se pueden resolver pagos pendientes de revisión' } };
+      }
+      if (!['aprobado', 'rechazado'].includes(estado)) {
+        return { error: { status: 422, code: 'VALIDATION_ERROR', message: 'El estado debe ser aprobado o rechazado' } };
+      }
+      const updated = updatePayment(intentId, { estado });
+      await notify(updated);
+      return { payment: updated };
+    },
+
+    // Devolver un pago aprobado
+    refund: async (intentId) => {
+      const payment = findPayment(intentId);
+      if (!payment) {
+        return { error: { status: 404, code: 'NOT_FOUND', message: 'Pago no encontrado' } };
+      }
+      if (payment.estado !== 'aprobado') {
+        return { error: { status: 409, code: 'PAYMENT_NOT_REFUNDABLE', message: 'Solo se pueden reembolsar pagos aprobados' } };
+      }
+      return { payment: updatePayment(intentId, { estado: 'reembolsado' }) };
+    },
+
+    // Verificar la firma de una notificación y extraer el pago y su estado
+    parseWebhook: async ({ headers, body }) => {
+      const received = Buffer.from(String((headers || {})[SIGNATURE_HEADER] || ''), 'hex');
+      const expected = Buffer.from(signPayload(body || {}), 'hex');
+      if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return { error: { status: 401, code: 'INVALID_SIGNATURE', message: 'La firma de la notificación no es válida' } };
+      }
+      const data = (body && body.data) || {};
+      return { event: { intentId: data.id, estado: data.estado } };
+    },
+  };
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signPayload,
+  validateCard,
+  createSandboxProvider,
+};
@@ -0,0 +1,130 @@
+// Búsqueda de productos - Coincidencias por nombre y descripción
+// Responsabilidades: normalizar el texto (sin acentos ni mayúsculas), tolerar errores de tipeo
+// pequeños y ordenar los resultados poniendo las coincidencias en el nombre antes que en la descripción
+// Cada palabra de la consulta debe aparecer en el producto (en el nombre o en la descripción)
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 100;
+
+// Puntaje de cada tipo de coincidencia: el nombre pesa más que la descripción
+const SCORES = {
+  nombre: { exact: 10, prefix: 8, typo: 5 },
+  descripcion: { exact: 3, prefix: 2, typo: 1 },
+};
+
+// Texto en minúsculas y sin acentos (ej: "Inalámbricos" -> "inalambricos")
+const normalizeText = (text) => String(text ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+// Palabras normalizadas de un texto (letras y números)
+const tokenize = (text) => normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean);
+
+// Errores de tipeo tolerados según el largo de la palabra buscada:
+// palabras cortas deben coincidir exactamente, las largas admiten hasta dos errores
+const allowedTypos = (word) => {
+  if (word.length < 4) return 0;
+  if (word.length < 8) return 1;
+  return 2;
+};
+
+// Distancia de edición (inserción, borrado, reemplazo o transposición de letras vecinas)
+// Corta apenas la distancia supera el máximo, ya que solo interesa saber si es "cercana"
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Tipo de coincidencia entre una palabra buscada y una palabra del producto (o null si no coinciden)
+// - exact: misma palabra
+// - prefix: la palabra del producto empieza con la buscada (permite autocompletar mientras se escribe)
+// - typo: la palabra (o su comienzo, si se está escribiendo) difiere en pocas letras
+const matchWord = (queryWord, word) => {
+  if (word === queryWord) return 'exact';
+  if (word.startsWith(queryWord)) return 'prefix';
+
+  const typos = allowedTypos(queryWord);
+  if (typos === 0) return null;
+  if (editDistance(queryWord, word, typos) <= typos) return 'typo';
+  // Comparar contra el comienzo de la palabra: "auricu" con "auriculares"
+  if (word.length > queryWord.length && editDistance(queryWord, word.slice(0, queryWord.length), typos) <= typos) {
+    return 'typo';
+  }
+  return null;
+};
+
+// Mejor puntaje de una palabra buscada dentro de una lista de palabras del producto
+const bestScore = (queryWord, words, scores) => words.reduce((best, word) => {
+  const type = matchWord(queryWord, word);
+  return type ? Math.max(best, scores[type]) : best;
+}, 0);
+
+// Puntaje de un producto para la consulta (0 = no coincide)
+const scoreProduct = (product, queryWords) => {
+  const nameWords = tokenize(product.nombre);
+  const descriptionWords = tokenize(product.descripcion);
+
+  let total = 0;
+  for (const queryWord of queryWords) {
+    const score = Math.max(
+      bestScore(queryWord, nameWords, SCORES.nombre),
+      bestScore(queryWord, descriptionWords, SCORES.descripcion)
+    );
+    if (score === 0) return 0;
+    total += score;
+  }
+  return total;
+};
+
+// Valida los parámetros de búsqueda y retorna la lista de errores por campo
+const validateSearchQuery = ({ q, limit }) => {
+  const errors = [];
+  if (tokenize(q).length === 0) {
+    errors.push({ field: 'q', message: 'Ingresa al menos una palabra para buscar' });
+  } else if (String(q).length > MAX_QUERY_LENGTH) {
+    errors.push({ field: 'q', message: `La búsqueda no puede superar los ${MAX_QUERY_LENGTH} caracteres` });
+  }
+  if (limit !== undefined && !(Number.isInteger(Number(limit)) && Number(limit) >= 1 && Number(limit) <= MAX_LIMIT)) {
+    errors.push({ field: 'limit', message: `El límite debe ser un entero entre 1 y ${MAX_LIMIT}` });
+  }
+  return errors;
+};
+
+// Busca productos que coincidan con la consulta, del más relevante al menos relevante
+// A igual puntaje se ordenan por nombre
+const searchProducts = (products, { q, limit = DEFAULT_LIMIT }) => {
+  const queryWords = tokenize(q);
+
+  return products
+    .map((product) => ({ product, score: scoreProduct(product, queryWords) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.product.nombre.localeCompare(b.product.nombre, 'es'))
+    .slice(0, Number(limit))
+    .map(({ product }) => product);
+};
+
+module.exports = {
+  validateSearchQuery,
+  searchProducts,
+};
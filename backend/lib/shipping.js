@@ -0,0 +1,111 @@
+// Envíos - Costo y plazo de entrega según el código postal de destino
+// Responsabilidades: reconocer el código postal (CPA "C1425ABC" o numérico "1425"), ubicar su
+// provincia y zona de envío, y calcular el costo aplicando el envío gratis por monto de compra
+// El costo de una orden siempre se calcula en el servidor; el cliente solo lo muestra
+
+// Envío gratis para pedidos desde este monto (productos menos descuentos, en pesos)
+const FREE_SHIPPING_THRESHOLD = 800000;
+
+// Zonas de envío: costo en pesos y plazo estimado en días hábiles
+const SHIPPING_ZONES = {
+  amba: { nombre: 'CABA y GBA', costo: 4999, diasMin: 1, diasMax: 2 },
+  centro: { nombre: 'Centro', costo: 7999, diasMin: 2, diasMax: 4 },
+  cuyo: { nombre: 'Cuyo', costo: 9499, diasMin: 3, diasMax: 5 },
+  norte: { nombre: 'Norte', costo: 10999, diasMin: 4, diasMax: 7 },
+  patagonia: { nombre: 'Patagonia', costo: 12999, diasMin: 5, diasMax: 8 },
+};
+
+// Retiro en el local: sin costo y listo para retirar al día hábil siguiente
+const PICKUP_QUOTE = { costo: 0, diasMin: 1, diasMax: 1 };
+
+// Provincias por la letra del CPA y su zona de envío
+const PROVINCES = {
+  C: { nombre: 'Ciudad Autónoma de Buenos Aires', zona: 'amba' },
+  B: { nombre: 'Buenos Aires', zona: 'centro' },
+  S: { nombre: 'Santa Fe', zona: 'centro' },
+  X: { nombre: 'Córdoba', zona: 'centro' },
+  E: { nombre: 'Entre Ríos', zona: 'centro' },
+  L: { nombre: 'La Pampa', zona: 'centro' },
+  M: { nombre: 'Mendoza', zona: 'cuyo' },
+  J: { nombre: 'San Juan', zona: 'cuyo' },
+  D: { nombre: 'San Luis', zona: 'cuyo' },
+  T: { nombre: 'Tucumán', zona: 'norte' },
+  G: { nombre: 'Santiago del Estero', zona: 'norte' },
+  A: { nombre: 'Salta', zona: 'norte' },
+  Y: { nombre: 'Jujuy', zona: 'norte' },
+  K: { nombre: 'Catamarca', zona: 'norte' },
+  F: { nombre: 'La Rioja', zona: 'norte' },
+  H: { nombre: 'Chaco', zona: 'norte' },
+  P: { nombre: 'Formosa', zona: 'norte' },
+  N: { nombre: 'Misiones', zona: 'norte' },
+  W: { nombre: 'Corrientes', zona: 'norte' },
+  Q: { nombre: 'Neuquén', zona: 'patagonia' },
+  R: { nombre: 'Río Negro', zona: 'patagonia' },
+  U: { nombre: 'Chubut', zona: 'patagonia' },
+  Z: { nombre: 'Santa Cruz', zona: 'patagonia' },
+  V: { nombre: 'Tierra del Fuego', zona: 'patagonia' },
+};
+
+// Provincia de un código postal numérico (sin letra) por rangos aproximados
+// El CPA con letra identifica la provincia con exactitud; estos rangos cubren el formato viejo
+const NUMERIC_RANGES = [
+  [1000, 1499, 'C'], [1500, 1999, 'B'], [2000, 2699, 'S'], [2700, 2999, 'B'],
+  [3000, 3099, 'S'], [3100, 3299, 'E'], [3300, 3399, 'N'], [3400, 3499, 'W'],
+  [3500, 3599, 'H'], [3600, 3699, 'P'], [3700, 3799, 'H'], [4000, 4199, 'T'],
+  [4200, 4399, 'G'], [4400, 4599, 'A'], [4600, 4699, 'Y'], [4700, 4799, 'K'],
+  [5000, 5299, 'X'], [5300, 5399, 'F'], [5400, 5499, 'J'], [5500, 5699, 'M'],
+  [5700, 5799, 'D'], [5800, 5999, 'X'], [6000, 6299, 'B'], [6300, 6399, 'L'],
+  [6400, 8199, 'B'], [8200, 8299, 'L'], [8300, 8399, 'Q'], [8400, 8599, 'R'],
+  [9000, 9299, 'U'], [9300, 9409, 'Z'], [9410, 9420, 'V'], [9421, 9499, 'Z'],
+];
+
+// CPA ("C1425ABC") o código numérico de 4 dígitos ("1425"); se ignoran espacios y mayúsculas
+const POSTAL_CODE_PATTERN = /^([A-Z])?(\d{4})([A-Z]{3})?$/;
+
+const normalizePostalCode = (value) => String(value ?? '').replace(/\s+/g, '').toUpperCase();
+
+// Ubica un código postal: retorna { error: 'mensaje' } o { codigoPostal, provincia, zona }
+const locatePostalCode = (value) => {
+  const codigoPostal = normalizePostalCode(value);
+  const match = POSTAL_CODE_PATTERN.exec(codigoPostal);
+  if (!match) {
+    return { error: 'Ingresa un código postal válido (ej: 1425 o C1425ABC)' };
+  }
+
+  const numero = Number(match[2]);
+  const range = NUMERIC_RANGES.find(([from, to]) => numero >= from && numero <= to);
+  const letra = match[1] || (range && range[2]);
+  const province = PROVINCES[letra];
+  if (!province) {
+    return { error: 'No realizamos envíos a ese código postal' };
+  }
+
+  // El conurbano bonaerense (1500-1999) comparte la zona de CABA
+  const zona = letra === 'B' && numero >= 1000 && numero <= 1999 ? 'amba' : province.zona;
+  return { codigoPostal, provincia: province.nombre, zona };
+};
+
+// Cotiza el envío a un código postal para un monto de productos (ya descontados los cupones)
+// Retorna { error: 'mensaje' } o la línea de envío que se muestra al cliente y se guarda en la orden
+const quoteShipping = (codigoPostal, monto) => {
+  const location = locatePostalCode(codigoPostal);
+  if (location.error) {
+    return location;
+  }
+
+  const zone = SHIPPING_ZONES[location.zona];
+  return {
+    ...location,
+    costo: monto >= FREE_SHIPPING_THRESHOLD ? 0 : zone.costo,
+    diasMin: zone.diasMin,
+    diasMax: zone.diasMax,
+  };
+};
+
+module.exports = {
+  FREE_SHIPPING_THRESHOLD,
+  SHIPPING_ZONES,
+  PICKUP_QUOTE,
+  locatePostalCode,
+  quoteShipping,
+};
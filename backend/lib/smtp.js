@@ -0,0 +1,161 @@
+// Cliente SMTP - Entrega de un mensaje ya armado a un servidor SMTP sin dependencias externas
+// Responsabilidades: conversar con el servidor (EHLO, STARTTLS, AUTH PLAIN, MAIL FROM, RCPT TO, DATA)
+// sobre net/tls de Node y reportar como error cualquier respuesta inesperada
+// Cubre lo que necesita un proveedor de email transaccional (puerto 587 con STARTTLS o 465 con TLS);
+// con usuario configurado exige TLS antes de autenticarse
+// no implementa pipelining, DSN ni otros mecanismos de autenticación
+
+const net = require('net');
+const tls = require('tls');
+
+// Tiempo máximo de espera de cada respuesta del servidor
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Dirección de un remitente o destinatario ("GameHub <no-reply@gamehub.com>" → "no-reply@gamehub.com")
+const extractAddress = (value) => {
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim();
+};
+
+// Lee las respuestas del servidor sobre un socket; una respuesta puede ocupar varias líneas
+// ("250-PIPELINING" ... "250 SMTPUTF8") y termina en la línea con espacio después del código
+const createReader = (socket, timeout) => {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) {
+        resolve(replies.shift());
+      } else {
+        reject(failure);
+      }
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index = buffer.indexOf('\r\n');
+    while (index !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line.slice(4));
+      if (/^\d{3}( |$)/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+      index = buffer.indexOf('\r\n');
+    }
+    settle();
+  };
+
+  const onError = (error) => {
+    failure = failure || error;
+    settle();
+  };
+  const onClose = () => onError(new Error('El servidor SMTP cerró la conexión'));
+  const onTimeout = () => {
+    onError(new Error('El servidor SMTP no respondió a tiempo'));
+    socket.destroy();
+  };
+
+  socket.setTimeout(timeout);
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+  socket.on('timeout', onTimeout);
+
+  return {
+    read: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    }),
+    // Deja de escuchar el socket (antes de pasarlo a TLS con STARTTLS)
+    detach: () => {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+      socket.off('timeout', onTimeout);
+      socket.setTimeout(0);
+    },
+  };
+};
+
+// Abre la conexión (TLS directo si secure) y espera a que esté lista
+const connect = ({ host, port, secure }) => new Promise((resolve, reject) => {
+  const socket = secure
+    ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+    : net.connect({ host, port }, () => resolve(socket));
+  socket.once('error', reject);
+});
+
+// Pasa una conexión abierta a TLS (después de STARTTLS)
+const upgrade = (socket, host) => new Promise((resolve, reject) => {
+  const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+  secureSocket.once('error', reject);
+});
+
+// Envía un mensaje por SMTP
+// - options: { host, port, secure, user, pass, name, timeout }; secure usa TLS desde el inicio (puerto 465),
+//   si no, la conexión pasa a TLS cuando el servidor ofrece STARTTLS
+// - envelope: { from, to, raw } con el mensaje completo (headers y cuerpo con saltos CRLF)
+// Retorna una promesa que se rechaza con el error del servidor si alguna respuesta no es la esperada
+const sendSmtp = async (options, { from, to, raw }) => {
+  const { host, port, secure = false, user, pass, name = 'localhost', timeout = DEFAULT_TIMEOUT_MS } = options;
+  let socket = await connect({ host, port, secure });
+  let reader = createReader(socket, timeout);
+
+  const expect = async (codes) => {
+    const reply = await reader.read();
+    if (!codes.includes(reply.code)) {
+      throw new Error(`El servidor SMTP respondió ${reply.code}: ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+  const command = (line, codes) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes);
+  };
+
+  try {
+    await expect([220]);
+    let hello = await command(`EHLO ${name}`, [250]);
+
+    if (!secure && hello.lines.some((line) => line.toUpperCase() === 'STARTTLS')) {
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await upgrade(socket, host);
+      reader = createReader(socket, timeout);
+      hello = await command(`EHLO ${name}`, [250]);
+    }
+
+    // Las credenciales nunca viajan sin cifrar: sin TLS desde el inicio ni STARTTLS no se autentica
+    if (user && !(socket instanceof tls.TLSSocket)) {
+      throw new Error('El servidor SMTP no ofrece STARTTLS: no se envían las credenciales sin cifrar');
+    }
+    if (user) {
+      const credentials = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${extractAddress(from)}>`, [250]);
+    await command(`RCPT TO:<${extractAddress(to)}>`, [250, 251]);
+    await command('DATA', [354]);
+
+    // Las líneas que empiezan con "." se duplican para no confundirlas con el fin del mensaje
+    const body = raw.replace(/^\./gm, '..');
+    await command(`${body}${body.endsWith('\r\n') ? '' : '\r\n'}.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+};
+
+module.exports = {
+  extractAddress,
+  sendSmtp,
+};
@@ -0,0 +1,70 @@
+// Módulo de inventario - Control de stock de productos
+// Responsabilidades: verificar disponibilidad, descontar stock al crear órdenes y devolverlo al cancelarlas
+// Los productos sin campo "stock" se consideran sin límite de inventario
+
+const { findProduct } = require('./orderPricing');
+
+// Indica si un producto tiene control de stock
+const tracksStock = (product) => typeof product.stock === 'number';
+
+// Agrupa las cantidades por producto (una orden puede repetir el mismo ID en varias líneas)
+// Conserva el índice de la primera línea para reportar el error sobre ella
+const groupQuantities = (lines) => {
+  const grouped = new Map();
+  lines.forEach((line, index) => {
+    const key = String(line.id);
+    const current = grouped.get(key) || { id: line.id, cantidad: 0, index };
+    current.cantidad += line.cantidad;
+    grouped.set(key, current);
+  });
+  return [...grouped.values()];
+};
+
+// Verifica la disponibilidad de todas las líneas y, solo si TODAS alcanzan, descuenta el stock
+// Es atómico: la verificación y el descuento ocurren en el mismo tick sin operaciones asíncronas,
+// por lo que dos órdenes simultáneas no pueden reservar las mismas unidades
+// Retorna { errors } si alguna línea supera el stock disponible, o {} si se reservó correctamente
+const reserveStock = (db, lines) => {
+  const requested = groupQuantities(lines);
+  const errors = [];
+
+  requested.forEach(({ id, cantidad, index }) => {
+    const product = findProduct(db, id);
+    if (product && tracksStock(product) && cantidad > product.stock) {
+      errors.push({
+        field: `productos[${index}].cantidad`,
+        message: product.stock > 0
+          ? `Solo quedan ${product.stock} unidades de ${product.nombre}`
+          : `${product.nombre} no tiene stock disponible`,
+      });
+    }
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  requested.forEach(({ id, cantidad }) => {
+    const product = findProduct(db, id);
+    if (product && tracksStock(product)) {
+      product.stock -= cantidad;
+    }
+  });
+  db.write();
+
+  return {};
+};
+
+// Devuelve al inventario las unidades de una orden cancelada
+// Los productos que ya no existen en el catálogo se ignoran
+const restockOrder = (db, order) => {
+  groupQuantities(order.productos || []).forEach(({ id, cantidad }) => {
+    const product = findProduct(db, id);
+    if (product && tracksStock(product)) {
+      product.stock += cantidad;
+    }
+  });
+  db.write();
+};
+
+module.exports = { tracksStock, reserveStock, restockOrder };
@@ -0,0 +1,132 @@
+// Impuestos - IVA de los productos y discriminación de impuestos de una orden
+// Responsabilidades: conocer la alícuota de IVA de cada producto, calcular el precio sin impuestos
+// nacionales, separar neto e IVA de una orden y validar los datos de facturación (Factura A o B)
+// Los precios del catálogo son precios finales (IVA incluido), como los ve el consumidor
+
+// Alícuotas de IVA admitidas (%): general y reducida (ej: informática y componentes)
+const IVA_RATES = [21, 10.5];
+const DEFAULT_IVA_RATE = 21;
+
+// El envío es un servicio gravado a la alícuota general
+const SHIPPING_IVA_RATE = 21;
+
+// Tipos de comprobante: A discrimina el IVA (responsables inscriptos), B es para consumidores finales
+const INVOICE_TYPES = ['A', 'B'];
+
+// Pesos para el dígito verificador del CUIT (módulo 11)
+const CUIT_WEIGHTS = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+
+// Prefijos de CUIT: personas humanas (20, 23, 24, 27) y personas jurídicas (30, 33, 34)
+const CUIT_PREFIXES = ['20', '23', '24', '27', '30', '33', '34'];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Alícuota de un producto (los productos sin alícuota usan la general)
+const ivaRate = (product) => (product && IVA_RATES.includes(product.iva) ? product.iva : DEFAULT_IVA_RATE);
+
+// Precio sin impuestos nacionales a partir del precio final
+const netPrice = (price, rate) => roundCents(price / (1 + rate / 100));
+
+// Valida un CUIT con o sin guiones ("20-12345678-6"); retorna true si el dígito verificador coincide
+const isValidCuit = (value) => {
+  const digits = String(value ?? '').replace(/[-\s]/g, '');
+  if (!/^\d{11}$/.test(digits) || !CUIT_PREFIXES.includes(digits.slice(0, 2))) {
+    return false;
+  }
+  const sum = CUIT_WEIGHTS.reduce((total, weight, index) => total + weight * Number(digits[index]), 0);
+  const remainder = 11 - (sum % 11);
+  const verifier = remainder === 11 ? 0 : remainder;
+  return verifier !== 10 && verifier === Number(digits[10]);
+};
+
+// Separa neto e IVA de importes finales agrupados por alícuota
+// - amounts: [{ alicuota, monto }] (los descuentos van con monto negativo)
+// Retorna { neto, iva: [{ alicuota, neto, monto }] } ordenado de mayor a menor alícuota
+const taxBreakdown = (amounts) => {
+  const byRate = new Map();
+  amounts.forEach(({ alicuota, monto }) => {
+    byRate.set(alicuota, (byRate.get(alicuota) || 0) + monto);
+  });
+
+  const iva = [...byRate.entries()]
+    .filter(([, monto]) => monto > 0)
+    .sort(([a], [b]) => b - a)
+    .map(([alicuota, monto]) => {
+      const neto = netPrice(monto, alicuota);
+      return { alicuota, neto, monto: roundCents(monto - neto) };
+    });
+
+  return { neto: roundCents(iva.reduce((sum, line) => sum + line.neto, 0)), iva };
+};
+
+// Reparte un descuento entre las líneas alcanzadas, en proporción a su importe
+// Retorna el descuento de cada línea, en el mismo orden (0 en las no alcanzadas)
+const spreadDiscount = (lines, monto, appliesTo = () => true) => {
+  const base = lines.filter(appliesTo).reduce((sum, line) => sum + line.precio * line.cantidad, 0);
+  return lines.map((line) => (
+    base > 0 && appliesTo(line) ? (monto * line.precio * line.cantidad) / base : 0
+  ));
+};
+
+// Impuestos de una orden: productos por alícuota, menos el descuento prorrateado entre las líneas
+// alcanzadas por el cupón, más el envío
+// - lines: líneas recalculadas con su alícuota ({ precio, cantidad, iva })
+// - discount: { monto, appliesTo(line) } del cupón aplicado (opcional)
+const orderTaxes = (lines, { discount, shippingCost = 0 } = {}) => {
+  const amounts = lines.map((line) => ({ alicuota: line.iva, monto: line.precio * line.cantidad }));
+
+  if (discount && discount.monto > 0) {
+    spreadDiscount(lines, discount.monto, discount.appliesTo).forEach((monto, index) => {
+      if (monto > 0) {
+        amounts.push({ alicuota: lines[index].iva, monto: -monto });
+      }
+    });
+  }
+  if (shippingCost > 0) {
+    amounts.push({ alicuota: SHIPPING_IVA_RATE, monto: shippingCost });
+  }
+  return taxBreakdown(amounts);
+};
+
+// Valida y normaliza los datos de facturación de una orden (sin datos: Factura B)
+// Retorna { errors } o { factura } ({ tipo: 'B' } o { tipo: 'A', cuit, razonSocial })
+const parseInvoice = (input) => {
+  const body = input || {};
+  const tipo = body.tipo === undefined ? 'B' : body.tipo;
+  if (!INVOICE_TYPES.includes(tipo)) {
+    return { errors: [{ field: 'factura.tipo', message: 'Elige Factura A o Factura B' }] };
+  }
+  if (tipo === 'B') {
+    return { factura: { tipo } };
+  }
+
+  const errors = [];
+  const cuit = String(body.cuit ?? '').replace(/[-\s]/g, '');
+  const razonSocial = typeof body.razonSocial === 'string' ? body.razonSocial.trim() : '';
+  if (!isValidCuit(cuit)) {
+    errors.push({ field: 'factura.cuit', message: 'El CUIT no es válido' });
+  }
+  if (!razonSocial) {
+    errors.push({ field: 'factura.razonSocial', message: 'Completa la razón social' });
+  } else if (razonSocial.length > 100) {
+    errors.push({ field: 'factura.razonSocial', message: 'Máximo 100 caracteres' });
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return { factura: { tipo, cuit, razonSocial } };
+};
+
+module.exports = {
+  IVA_RATES,
+  DEFAULT_IVA_RATE,
+  SHIPPING_IVA_RATE,
+  INVOICE_TYPES,
+  ivaRate,
+  netPrice,
+  isValidCuit,
+  taxBreakdown,
+  spreadDiscount,
+  orderTaxes,
+  parseInvoice,
+};
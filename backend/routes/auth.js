@@ -0,0 +1,168 @@
+// Rutas de autenticación - Registro, inicio de sesión, datos del usuario actual y contraseña olvidada
+// Responsabilidades: crear cuentas con contraseña hasheada, emitir tokens, restablecer contraseñas con un
+// enlace de un solo uso enviado por email y proteger la colección users
+// La colección "users" vive en db.json pero nunca se expone a través del router de JSON Server: aquí se
+// bloquean /users y /db, y lib/restRouter.js impide incrustarla (?_expand=user) o leerla como ruta anidada
+
+const {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  RESET_TOKEN_TTL_MINUTES,
+  hashResetToken,
+  createResetToken,
+  publicUser,
+  requireAuth,
+} = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+
+// Dirección del frontend, para armar el enlace del email de restablecimiento
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+// Formato básico de email (usuario@dominio.tld)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Normaliza el email para evitar cuentas duplicadas por mayúsculas/espacios
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const findUserByEmail = (db, email) => {
+  return db.get('users').find((user) => user.email === normalizeEmail(email)).value();
+};
+
+// Valida los datos de registro y retorna la lista de errores por campo
+const validateRegistration = ({ nombre, email, password } = {}) => {
+  const errors = [];
+  if (!String(nombre || '').trim()) {
+    errors.push({ field: 'nombre', message: 'El nombre es obligatorio' });
+  }
+  if (!EMAIL_PATTERN.test(normalizeEmail(email))) {
+    errors.push({ field: 'email', message: 'El email no es válido' });
+  }
+  errors.push(...validatePassword(password));
+  return errors;
+};
+
+// Valida la contraseña nueva; retorna la lista de errores por campo
+const validatePassword = (password) => {
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+    return [{ field: 'password', message: `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres` }];
+  }
+  return [];
+};
+
+// Registra las rutas de autenticación sobre el servidor
+// - mailer: servicio de emails (lib/mail.js) para enviar el enlace de restablecimiento
+const registerAuthRoutes = (server, db, mailer) => {
+  // POST /auth/register - Crear una cuenta de cliente y devolver su sesión
+  server.post('/auth/register', (req, res) => {
+    const errors = validateRegistration(req.body);
+    if (errors.length > 0) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'Los datos de registro no son válidos', errors);
+    }
+
+    if (findUserByEmail(db, req.body.email)) {
+      return sendError(res, 409, 'EMAIL_IN_USE', 'Ya existe una cuenta con ese email', [
+        { field: 'email', message: 'Ya existe una cuenta con ese email' },
+      ]);
+    }
+
+    // Toda cuenta creada desde el registro público es de cliente
+    const user = db
+      .get('users')
+      .insert({
+        nombre: String(req.body.nombre).trim(),
+        email: normalizeEmail(req.body.email),
+        passwordHash: hashPassword(String(req.body.password)),
+        role: ROLES.CLIENTE,
+        createdAt: new Date().toISOString(),
+      })
+      .write();
+
+    return res.status(201).json({ token: signToken(user), user: publicUser(user) });
+  });
+
+  // POST /auth/login - Verificar credenciales y devolver un token
+  server.post('/auth/login', (req, res) => {
+    const { email, password } = req.body || {};
+    const user = findUserByEmail(db, email);
+
+    // Mismo mensaje para email inexistente o contraseña incorrecta (no revelar qué cuentas existen)
+    if (!user || !verifyPassword(String(password || ''), user.passwordHash)) {
+      return sendError(res, 401, 'INVALID_CREDENTIALS', 'Email o contraseña incorrectos');
+    }
+
+    return res.json({ token: signToken(user), user: publicUser(user) });
+  });
+
+  // GET /auth/me - Datos del usuario autenticado
+  server.get('/auth/me', requireAuth, (req, res) => {
+    return res.json(req.user);
+  });
+
+  // POST /auth/password-reset - Enviar por email un enlace para elegir una contraseña nueva
+  // Responde igual exista o no la cuenta (no revelar qué emails están registrados)
+  server.post('/auth/password-reset', (req, res) => {
+    const user = findUserByEmail(db, (req.body || {}).email);
+    if (user) {
+      const { token, passwordReset } = createResetToken();
+      db.get('users').find({ id: user.id }).assign({ passwordReset }).write();
+      // El enlace lleva el token en claro: la cola lo guarda solo en memoria y lo descarta al vencer
+      mailer
+        .send('passwordReset', user.email, {
+          nombre: user.nombre,
+          link: `${APP_URL}/restablecer-contrasena?token=${token}`,
+          expiresInMinutes: RESET_TOKEN_TTL_MINUTES,
+        }, { secret: true, expiresAt: passwordReset.expiresAt })
+        .catch((error) => console.error('Error al enviar el email de restablecimiento:', error));
+    }
+    return res.status(202).json({
+      message: 'Si el email corresponde a una cuenta, te enviamos un enlace para restablecer la contraseña',
+    });
+  });
+
+  // POST /auth/password-reset/confirm - Elegir la contraseña nueva con el token del enlace
+  // El token se invalida al usarse, igual que las sesiones abiertas antes del cambio (tokenVersion);
+  // devuelve una sesión nueva como el inicio de sesión
+  server.post('/auth/password-reset/confirm', (req, res) => {
+    const { token, password } = req.body || {};
+    const errors = validatePassword(password);
+    if (errors.length > 0) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'La contraseña nueva no es válida', errors);
+    }
+
+    const tokenHash = hashResetToken(token);
+    const user = db
+      .get('users')
+      .find((item) => (
+        Boolean(token) &&
+        Boolean(item.passwordReset) &&
+        item.passwordReset.tokenHash === tokenHash &&
+        new Date(item.passwordReset.expiresAt) > new Date()
+      ))
+      .value();
+    if (!user) {
+      return sendError(res, 400, 'INVALID_RESET_TOKEN', 'El enlace para restablecer la contraseña no es válido o ya venció');
+    }
+
+    const updated = db
+      .get('users')
+      .find({ id: user.id })
+      .assign({
+        passwordHash: hashPassword(String(password)),
+        passwordReset: null,
+        tokenVersion: (user.tokenVersion || 0) + 1,
+      })
+      .write();
+    return res.json({ token: signToken(updated), user: publicUser(updated) });
+  });
+
+  // /users y /db - La colección users contiene hashes de contraseñas y no se expone por REST
+  // (GET /db de JSON Server devuelve la base completa, incluidos los usuarios)
+  const notFound = (req, res) => sendError(res, 404, 'NOT_FOUND', 'Recurso no encontrado');
+  server.use('/users', notFound);
+  server.get('/db', notFound);
+};
+
+module.exports = registerAuthRoutes;
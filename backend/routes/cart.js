@@ -0,0 +1,57 @@
+// Rutas del carrito - Carrito de cada usuario guardado en el servidor, para que lo siga entre dispositivos
+// La colección "carts" no se expone por el router de JSON Server: solo se accede al carrito propio
+// Las reglas de cantidades y stock están en lib/carts.js
+// Endpoints (requieren sesión):
+// - GET /cart - Carrito del usuario: { items: [{ producto, cantidad }], updatedAt }
+// - PUT /cart - Reemplazar el carrito completo ({ items: [{ productId, cantidad }] })
+// - POST /cart/merge - Unir el carrito de invitado con el de la cuenta al iniciar sesión
+//   ({ items: [{ productId, cantidad }] }); responde el carrito unido y los ajustes por stock
+
+const { requireAuth } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+const {
+  validateCartItems,
+  normalizeCartItems,
+  mergeCartItems,
+  findCart,
+  saveCart,
+  cartResponse,
+} = require('../lib/carts');
+
+// Registra las rutas del carrito sobre el servidor
+const registerCartRoutes = (server, db) => {
+  // GET /cart - Un usuario que nunca guardó su carrito recibe uno vacío
+  server.get('/cart', requireAuth, (req, res) => {
+    return res.json(cartResponse(db, findCart(db, req.user.id)));
+  });
+
+  // PUT /cart - Las cantidades se limitan al stock y los productos que ya no existen se descartan sin error
+  server.put('/cart', requireAuth, (req, res) => {
+    const { items, errors } = validateCartItems(req.body && req.body.items);
+    if (errors) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'El carrito no es válido', errors);
+    }
+
+    const normalized = normalizeCartItems(db, items);
+    const cart = saveCart(db, req.user.id, normalized.items);
+    return res.json({ ...cartResponse(db, cart), ajustes: normalized.ajustes });
+  });
+
+  // POST /cart/merge - Suma las cantidades del carrito de invitado a las del carrito de la cuenta
+  server.post('/cart/merge', requireAuth, (req, res) => {
+    const { items, errors } = validateCartItems(req.body && req.body.items);
+    if (errors) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'El carrito no es válido', errors);
+    }
+
+    const account = findCart(db, req.user.id);
+    const merged = mergeCartItems(db, account ? account.items : [], items);
+    const cart = saveCart(db, req.user.id, merged.items);
+    return res.json({ ...cartResponse(db, cart), ajustes: merged.ajustes });
+  });
+
+  // /carts - Los carritos de otros usuarios no se exponen por REST
+  server.use('/carts', (req, res) => sendError(res, 404, 'NOT_FOUND', 'Recurso no encontrado'));
+};
+
+module.exports = registerCartRoutes;
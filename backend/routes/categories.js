@@ -0,0 +1,71 @@
+// Rutas de categorías - Reglas que se aplican antes del router de JSON Server
+// Responsabilidades: reservar la escritura de categorías a administradores, validar nombre y slug
+// (único, usado en las URLs /products/categoria/:slug) y no permitir eliminar categorías en uso
+// La lectura (GET /categories) sigue siendo pública y la resuelve JSON Server directamente
+
+const { requireAdmin } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+
+// Slug: minúsculas, números y guiones (ej: "perifericos", "placas-de-video")
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Genera un slug a partir del nombre: "Periféricos Gamer" → "perifericos-gamer"
+const slugify = (text) => {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+const findCategoryBy = (db, predicate) => db.get('categories').find(predicate).value();
+
+// Registra las rutas de categorías sobre el servidor
+const registerCategoryRoutes = (server, db) => {
+  // POST /categories, PUT/PATCH /categories/:id - Solo administradores, con nombre y slug válidos
+  const validateCategory = (req, res, next) => {
+    const body = req.body || {};
+    const current = req.params.id
+      ? findCategoryBy(db, (category) => String(category.id) === String(req.params.id))
+      : null;
+
+    // En PATCH los campos no enviados conservan su valor actual
+    const nombre = String(body.nombre ?? (current ? current.nombre : '')).trim();
+    const slug = body.slug !== undefined ? String(body.slug).trim() : current ? current.slug : slugify(nombre);
+
+    const errors = [];
+    if (!nombre) {
+      errors.push({ field: 'nombre', message: 'El nombre es obligatorio' });
+    }
+    if (!SLUG_PATTERN.test(slug)) {
+      errors.push({ field: 'slug', message: 'El slug solo puede contener minúsculas, números y guiones' });
+    } else if (findCategoryBy(db, (category) => category.slug === slug && String(category.id) !== String(req.params.id))) {
+      errors.push({ field: 'slug', message: 'Ya existe una categoría con ese slug' });
+    }
+    if (errors.length > 0) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'La categoría contiene datos inválidos', errors);
+    }
+
+    req.body = { ...body, nombre, slug };
+    return next();
+  };
+
+  server.post('/categories', requireAdmin, validateCategory);
+  server.put('/categories/:id', requireAdmin, validateCategory);
+  server.patch('/categories/:id', requireAdmin, validateCategory);
+
+  // DELETE /categories/:id - Solo administradores y solo si ningún producto la usa
+  server.delete('/categories/:id', requireAdmin, (req, res, next) => {
+    const inUse = db
+      .get('products')
+      .some((product) => String(product.categoriaId) === String(req.params.id))
+      .value();
+    if (inUse) {
+      return sendError(res, 409, 'CATEGORY_IN_USE', 'No se puede eliminar una categoría que tiene productos');
+    }
+    return next();
+  });
+};
+
+module.exports = registerCategoryRoutes;
@@ -0,0 +1,91 @@
+// Rutas de cupones - Códigos de descuento para promociones
+// Responsabilidades: validar un cupón contra el carrito antes de comprar (público) y reservar la
+// administración de cupones a administradores. El descuento de una orden lo vuelve a calcular
+// POST /orders, así que un cliente no puede inventar descuentos
+// Endpoints:
+// - POST /coupons/validate - Validar un código para un carrito ({ codigo, productos })
+// - GET/POST /coupons, PUT/PATCH/DELETE /coupons/:id - Administración (solo administradores)
+
+const { requireAdmin } = require('../lib/auth');
+const { priceOrder } = require('../lib/orderPricing');
+const {
+  normalizeCode,
+  findCoupon,
+  validateCoupon,
+  evaluateCoupon,
+  publicCoupon,
+} = require('../lib/coupons');
+const { sendError } = require('../lib/errors');
+
+// Valores por defecto de un cupón nuevo
+const COUPON_DEFAULTS = {
+  descripcion: '',
+  minimo: 0,
+  desde: null,
+  hasta: null,
+  usosMaximos: null,
+  productIds: [],
+  categoriaIds: [],
+  activo: true,
+};
+
+// Registra las rutas de cupones sobre el servidor
+const registerCouponRoutes = (server, db) => {
+  // POST /coupons/validate - Público: el carrito lo usa para mostrar el descuento antes de comprar
+  server.post('/coupons/validate', (req, res) => {
+    const body = req.body || {};
+    const { errors, order } = priceOrder(db, { productos: body.productos });
+    if (errors) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'El carrito contiene datos inválidos', errors);
+    }
+
+    const coupon = findCoupon(db, body.codigo);
+    const result = evaluateCoupon(db, coupon, order.productos);
+    if (result.error) {
+      return sendError(res, 422, 'INVALID_COUPON', result.error, [{ field: 'cupon', message: result.error }]);
+    }
+
+    return res.json({ ...publicCoupon(coupon), descuento: result.descuento });
+  });
+
+  // El resto de la colección (incluidos los contadores de uso) es de administración
+  server.use('/coupons', requireAdmin);
+
+  // POST /coupons, PUT/PATCH /coupons/:id - Validar datos y código único; "usos" solo lo escribe el servidor
+  const saveCoupon = (req, res, next) => {
+    const current = req.params.id
+      ? db.get('coupons').find((coupon) => String(coupon.id) === String(req.params.id)).value()
+      : null;
+    // Si el cupón no existe JSON Server responderá 404
+    if (req.params.id && !current) {
+      return next();
+    }
+
+    // En PATCH los campos no enviados conservan su valor actual; en POST y PUT toman el valor por defecto
+    // El ID y el contador de usos recibidos se descartan
+    const base = req.method === 'PATCH' ? current : COUPON_DEFAULTS;
+    const { usos, id, ...fields } = { ...base, ...(req.body || {}) };
+    const coupon = { ...fields, codigo: normalizeCode(fields.codigo) };
+
+    const errors = validateCoupon(coupon);
+    const duplicated = db
+      .get('coupons')
+      .some((item) => item.codigo === coupon.codigo && String(item.id) !== String(req.params.id))
+      .value();
+    if (duplicated) {
+      errors.push({ field: 'codigo', message: 'Ya existe un cupón con ese código' });
+    }
+    if (errors.length > 0) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'El cupón contiene datos inválidos', errors);
+    }
+
+    req.body = { ...coupon, usos: current ? current.usos || 0 : 0 };
+    return next();
+  };
+
+  server.post('/coupons', saveCoupon);
+  server.put('/coupons/:id', saveCoupon);
+  server.patch('/coupons/:id', saveCoupon);
+};
+
+module.exports = registerCouponRoutes;
@@ -0,0 +1,57 @@
+// Rutas de emails - Seguimiento de la cola de emails que no se pudieron enviar (solo administradores)
+// La colección "mailQueue" guarda los datos de cada email pendiente (órdenes con los datos del
+// comprador), así que no se expone por el router de JSON Server: estas rutas muestran solo su estado
+// Endpoints:
+// - GET /mail/queue - Emails pendientes de reintento o fallidos, sin el contenido del mensaje
+// - POST /mail/queue/:id/retry - Reintentar ya un email pendiente (uno fallido ya no tiene contenido)
+
+const { requireAdmin } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+
+// Datos de un email de la cola que ve un administrador
+const publicEntry = (entry) => ({
+  id: entry.id,
+  plantilla: entry.plantilla,
+  para: entry.para,
+  asunto: entry.asunto,
+  estado: entry.estado,
+  intentos: entry.intentos,
+  proximoIntento: entry.proximoIntento,
+  vence: entry.vence || null,
+  ultimoError: entry.ultimoError,
+  fecha: entry.fecha,
+});
+
+// Registra las rutas de emails sobre el servidor
+// - mailer: servicio de emails creado con createMailer (lib/mail.js)
+const registerMailRoutes = (server, db, mailer) => {
+  // GET /mail/queue - Más recientes primero
+  server.get('/mail/queue', requireAdmin, (req, res) => {
+    const entries = db.get('mailQueue').sortBy('fecha').reverse().value();
+    return res.json(entries.map(publicEntry));
+  });
+
+  // POST /mail/queue/:id/retry - Responde 502 si el transporte vuelve a fallar (el email sigue en la cola)
+  // y 409 si el email ya falló definitivamente: sus datos se descartaron y no se puede volver a armar
+  server.post('/mail/queue/:id/retry', requireAdmin, async (req, res) => {
+    const entry = db.get('mailQueue').find((item) => String(item.id) === String(req.params.id)).value();
+    if (!entry) {
+      return sendError(res, 404, 'NOT_FOUND', 'Email no encontrado');
+    }
+    const delivered = await mailer.retry(entry.id);
+    if (delivered === null) {
+      return sendError(res, 409, 'MAIL_NOT_RETRYABLE', 'El email falló definitivamente y su contenido ya se descartó');
+    }
+    if (!delivered) {
+      const current = db.get('mailQueue').find({ id: entry.id }).value();
+      const reason = (current && current.ultimoError) || 'ya se está enviando';
+      return sendError(res, 502, 'MAIL_DELIVERY_ERROR', `No se pudo enviar el email: ${reason}`);
+    }
+    return res.json({ id: entry.id, estado: 'enviado' });
+  });
+
+  // /mailQueue - La colección no se expone por REST
+  server.use('/mailQueue', (req, res) => sendError(res, 404, 'NOT_FOUND', 'Recurso no encontrado'));
+};
+
+module.exports = registerMailRoutes;
@@ -0,0 +1,46 @@
+// Rutas de notas internas de órdenes - Comentarios del equipo sobre cada orden
+// Las notas viven en su propia colección (orderNotes) con el orderId de la orden, así nunca viajan
+// en las respuestas de /orders que reciben los clientes y JSON Server las elimina junto con su orden
+// Endpoints (resueltos por JSON Server con sus rutas anidadas):
+// - GET  /orders/:id/orderNotes - Notas de una orden
+// - POST /orders/:id/orderNotes - Agregar una nota ({ texto })
+
+const { requireAdmin } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+
+const MAX_NOTE_LENGTH = 1000;
+
+// Registra las rutas de notas sobre el servidor
+const registerOrderNoteRoutes = (server, db) => {
+  // Toda la colección es de uso interno: solo administradores
+  server.use(['/orderNotes', '/orders/:id/orderNotes'], requireAdmin);
+
+  // POST /orders/:id/orderNotes - Validar el texto y completar autor y fecha en el servidor
+  server.post('/orders/:id/orderNotes', (req, res, next) => {
+    const order = db
+      .get('orders')
+      .find((o) => String(o.id) === String(req.params.id))
+      .value();
+    if (!order) {
+      return sendError(res, 404, 'NOT_FOUND', 'Orden no encontrada');
+    }
+
+    const texto = String((req.body && req.body.texto) || '').trim();
+    if (!texto || texto.length > MAX_NOTE_LENGTH) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'La nota contiene datos inválidos', [
+        { field: 'texto', message: `La nota debe tener entre 1 y ${MAX_NOTE_LENGTH} caracteres` },
+      ]);
+    }
+
+    // JSON Server agrega el orderId a partir de la URL
+    req.body = { texto, autor: req.user.nombre, fecha: new Date().toISOString() };
+    return next();
+  });
+
+  // Las notas solo se crean a través de su orden (así siempre tienen un orderId válido)
+  server.post('/orderNotes', (req, res) => {
+    sendError(res, 405, 'METHOD_NOT_ALLOWED', 'Las notas se crean desde POST /orders/:id/orderNotes');
+  });
+};
+
+module.exports = registerOrderNoteRoutes;
@@ -0,0 +1,284 @@
+// Rutas de órdenes - Lógica de negocio que se ejecuta antes del router de JSON Server
+// Responsabilidades: validar y recalcular cada orden antes de que se guarde en db.json,
+// aplicar su cupón de descuento y su costo de envío, discriminar su IVA, reservar el stock de sus productos,
+// controlar el ciclo de vida (status), devolver el stock y el uso del cupón (y reembolsar el pago en
+// línea) cuando la orden se cancela, limitar cada cliente a sus propias órdenes, no duplicar una orden reenviada
+// con la misma clave de idempotencia, generar el comprobante de compra en PDF y avisar al comprador
+// por email cuando la orden se crea o cambia de estado
+// JSON Server sigue encargándose de persistir y responder; aquí solo se intercepta la petición
+
+const { priceOrder, findProduct } = require('../lib/orderPricing');
+const {
+  findCoupon,
+  appliesToLine,
+  evaluateCoupon,
+  discountLine,
+  registerUse,
+  releaseUses,
+} = require('../lib/coupons');
+const { orderTaxes } = require('../lib/taxes');
+const { quoteShipping, PICKUP_QUOTE } = require('../lib/shipping');
+const { parseCheckout } = require('../lib/checkout');
+const { reserveStock, restockOrder } = require('../lib/stock');
+const {
+  VOID_STATUSES,
+  currentStatus,
+  canTransition,
+  initialStatusFields,
+  transitionOrder,
+} = require('../lib/orderStatus');
+const { refundOrderPayment } = require('../lib/payments');
+const { readIdempotencyKey, findOrderByIdempotencyKey, acquireAttempt } = require('../lib/idempotency');
+const { renderOrderReceipt, receiptFilename } = require('../lib/receipt');
+const { notifyOrderCreated, notifyOrderStatus } = require('../lib/mail');
+const { isAdmin, requireAuth, requireAdmin } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+
+// Campos que solo el servidor puede escribir; en PUT/PATCH se conservan los valores guardados
+const PROTECTED_FIELDS = [
+  'productos', 'subtotal', 'descuentos', 'envio', 'total', 'impuestos', 'cliente', 'factura', 'pago', 'fecha', 'statusHistory',
+  'userId', 'idempotencyKey',
+];
+
+// Los administradores ven todas las órdenes; los clientes solo las propias
+const canAccessOrder = (user, order) => isAdmin(user) || String(order.userId) === String(user.id);
+
+// Busca una orden por ID tolerando IDs enviados como string
+const findOrder = (db, id) => {
+  return db
+    .get('orders')
+    .find((order) => String(order.id) === String(id))
+    .value();
+};
+
+// Ejecuta "callback" con la orden que JSON Server guardó y respondió con el status indicado
+// (el ID de una orden nueva lo asigna JSON Server al guardarla)
+const afterSave = (res, status, callback) => {
+  res.once('finish', () => {
+    if (res.statusCode === status && res.locals.data) {
+      callback(res.locals.data);
+    }
+  });
+};
+
+// Indica si la orden tiene un pago en línea aprobado (hay que reembolsarlo si la orden se cancela)
+const hasApprovedPayment = (order) => Boolean(order.pago) && order.pago.estado === 'aprobado';
+
+// Registra las rutas de órdenes sobre el servidor
+// - server: instancia de Express creada con jsonServer.create()
+// - db: base lowdb expuesta por el router de JSON Server (router.db)
+// - payments: proveedor de pagos (lib/payments.js), para reembolsar las órdenes pagadas que se cancelan
+// - mailer: servicio de emails (lib/mail.js) para la confirmación y los cambios de estado
+const registerOrderRoutes = (server, db, payments, mailer) => {
+  // GET /orders - Los clientes solo reciben sus órdenes (filtro ?userId forzado por el servidor)
+  server.get('/orders', requireAuth, (req, res, next) => {
+    if (isAdmin(req.user)) {
+      return next();
+    }
+
+    // JSON Server descarta filtros por campos que ninguna orden tiene; en ese caso
+    // no hay órdenes con dueño y el cliente no tiene nada que ver
+    const hasOwnedOrders = db.get('orders').some((order) => 'userId' in order).value();
+    if (!hasOwnedOrders) {
+      return res.json([]);
+    }
+
+    req.query.userId = String(req.user.id);
+    return next();
+  });
+
+  // GET /orders/:id - Una orden ajena responde 404 (no se revela que existe)
+  server.get('/orders/:id', requireAuth, (req, res, next) => {
+    const order = findOrder(db, req.params.id);
+    if (order && !canAccessOrder(req.user, order)) {
+      return sendError(res, 404, 'NOT_FOUND', 'Orden no encontrada');
+    }
+    return next();
+  });
+
+  // GET /orders/:id/comprobante.pdf - Comprobante de compra de la orden (el dueño o un administrador)
+  server.get('/orders/:id/comprobante.pdf', requireAuth, (req, res) => {
+    const order = findOrder(db, req.params.id);
+    if (!order || !canAccessOrder(req.user, order)) {
+      return sendError(res, 404, 'NOT_FOUND', 'Orden no encontrada');
+    }
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${receiptFilename(order)}"`);
+    return res.send(renderOrderReceipt(order));
+  });
+
+  // POST /orders - Crear orden con precios y total autoritativos y los datos del checkout
+  server.post('/orders', requireAuth, async (req, res, next) => {
+    // Reintento de un intento de compra ya registrado: se responde la orden original sin crear otra
+    // (ni volver a descontar stock o registrar el uso del cupón)
+    const idempotency = readIdempotencyKey(req);
+    if (idempotency.error) {
+      return sendError(res, 422, 'VALIDATION_ERROR', idempotency.error, [
+        { field: 'Idempotency-Key', message: idempotency.error },
+      ]);
+    }
+    if (idempotency.key) {
+      await acquireAttempt(req.user.id, idempotency.key, res);
+      const original = findOrderByIdempotencyKey(db, req.user.id, idempotency.key);
+      if (original) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(200).json(original);
+      }
+    }
+
+    const { errors: pricingErrors, order } = priceOrder(db, req.body);
+    const { errors: checkoutErrors, checkout } = parseCheckout(req.body);
+    const errors = [...(pricingErrors || []), ...(checkoutErrors || [])];
+
+    if (errors.length > 0) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'La orden contiene datos inválidos', errors);
+    }
+
+    // Cupón de descuento (opcional): se valida y se calcula aquí, nunca se toma el importe del cliente
+    const codigo = req.body.cupon;
+    const coupon = codigo ? findCoupon(db, codigo) : null;
+    const descuentos = [];
+    if (codigo) {
+      const result = evaluateCoupon(db, coupon, order.productos);
+      if (result.error) {
+        return sendError(res, 422, 'VALIDATION_ERROR', 'La orden contiene datos inválidos', [
+          { field: 'cupon', message: result.error },
+        ]);
+      }
+      const covered = order.productos.filter((line) => appliesToLine(coupon, findProduct(db, line.id)));
+      descuentos.push(discountLine(coupon, result.descuento, covered.map((line) => line.id)));
+    }
+
+    // Envío a domicilio cotizado por código postal (gratis desde el monto configurado) o retiro sin costo
+    const subtotal = order.total;
+    const productsTotal = subtotal - descuentos.reduce((sum, line) => sum + line.monto, 0);
+    const { metodoEntrega, direccion } = checkout;
+    const quote = metodoEntrega === 'retiro' ? PICKUP_QUOTE : quoteShipping(direccion.codigoPostal, productsTotal);
+    if (quote.error) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'La orden contiene datos inválidos', [
+        { field: 'envio.direccion.codigoPostal', message: quote.error },
+      ]);
+    }
+    const envio = { metodo: metodoEntrega, direccion, ...quote };
+
+    // Descontar stock; si alguna línea supera la disponibilidad se rechaza la orden completa
+    const reservation = reserveStock(db, order.productos);
+    if (reservation.errors) {
+      return sendError(res, 409, 'OUT_OF_STOCK', 'No hay stock suficiente para completar la orden', reservation.errors);
+    }
+    if (coupon) {
+      registerUse(db, coupon);
+    }
+
+    // Reemplazar el cuerpo recibido por la orden recalculada y dejar que JSON Server la guarde
+    // Toda orden nueva comienza en estado "pendiente" y pertenece al usuario autenticado
+    // Neto e IVA por alícuota del total (el descuento se prorratea entre los productos alcanzados)
+    const total = productsTotal + envio.costo;
+    const impuestos = orderTaxes(order.productos, {
+      discount: coupon && {
+        monto: descuentos[0].monto,
+        appliesTo: (line) => descuentos[0].productIds.includes(line.id),
+      },
+      shippingCost: envio.costo,
+    });
+    req.body = {
+      ...order,
+      subtotal,
+      descuentos,
+      envio,
+      total,
+      impuestos,
+      cliente: checkout.cliente,
+      factura: checkout.factura,
+      pago: checkout.pago,
+      userId: req.user.id,
+      ...(idempotency.key && { idempotencyKey: idempotency.key }),
+      ...initialStatusFields(),
+    };
+    afterSave(res, 201, (saved) => notifyOrderCreated(mailer, db, saved));
+    return next();
+  });
+
+  // PUT/PATCH /orders/:id - Actualizar una orden respetando la máquina de estados
+  const updateOrder = async (req, res, next) => {
+    const order = findOrder(db, req.params.id);
+
+    // Si la orden no existe JSON Server responderá 404
+    if (!order) {
+      return next();
+    }
+    if (!canAccessOrder(req.user, order)) {
+      return sendError(res, 404, 'NOT_FOUND', 'Orden no encontrada');
+    }
+
+    // Conservar los campos protegidos y el estado actual; el cliente no puede reescribirlos
+    const body = { ...req.body, status: currentStatus(order) };
+    PROTECTED_FIELDS.forEach((field) => {
+      if (field in order) {
+        body[field] = order[field];
+      } else {
+        delete body[field];
+      }
+    });
+
+    // Cambio de estado solicitado: validar la transición y registrar el historial
+    const requestedStatus = req.body ? req.body.status : undefined;
+    if (requestedStatus !== undefined && requestedStatus !== currentStatus(order)) {
+      // Un cliente solo puede cancelar sus órdenes; el resto de las transiciones son de administración
+      if (!isAdmin(req.user) && requestedStatus !== 'cancelada') {
+        return sendError(res, 403, 'FORBIDDEN', 'Solo puedes cancelar tus órdenes');
+      }
+
+      const { error, fields } = transitionOrder(order, requestedStatus);
+      if (error) {
+        return sendError(res, error.status, error.code, error.message);
+      }
+      Object.assign(body, fields);
+
+      // Una orden cancelada con pago en línea aprobado se reembolsa antes de confirmar el cambio
+      if (fields.status === 'cancelada' && hasApprovedPayment(order)) {
+        const refund = await refundOrderPayment(payments, order);
+        if (refund.error) {
+          return sendError(res, 502, 'PAYMENT_PROVIDER_ERROR', `No se pudo reembolsar el pago: ${refund.error.message}`);
+        }
+        body.pago = refund.pago;
+      }
+
+      // Una orden cancelada o rechazada devuelve sus unidades al inventario y el uso de su cupón
+      if (VOID_STATUSES.includes(fields.status)) {
+        restockOrder(db, order);
+        releaseUses(db, order);
+      }
+      afterSave(res, 200, (saved) => notifyOrderStatus(mailer, db, saved));
+    }
+
+    req.body = body;
+    return next();
+  };
+
+  server.put('/orders/:id', requireAuth, updateOrder);
+  server.patch('/orders/:id', requireAuth, updateOrder);
+
+  // DELETE /orders/:id - Solo administradores. Eliminar una orden que todavía podía cancelarse
+  // devuelve su stock y el uso de su cupón y reembolsa su pago en línea (las órdenes enviadas,
+  // entregadas, canceladas o rechazadas no reingresan unidades)
+  server.delete('/orders/:id', requireAdmin, async (req, res, next) => {
+    const order = findOrder(db, req.params.id);
+
+    // Si la orden no existe JSON Server responderá 404
+    if (order && canTransition(currentStatus(order), 'cancelada')) {
+      if (hasApprovedPayment(order)) {
+        const refund = await refundOrderPayment(payments, order);
+        if (refund.error) {
+          return sendError(res, 502, 'PAYMENT_PROVIDER_ERROR', `No se pudo reembolsar el pago: ${refund.error.message}`);
+        }
+      }
+      restockOrder(db, order);
+      releaseUses(db, order);
+    }
+    return next();
+  });
+};
+
+module.exports = registerOrderRoutes;
@@ -0,0 +1,111 @@
+// Rutas de pagos - Cobro en línea de las órdenes a través del proveedor de pagos configurado
+// Responsabilidades: iniciar el pago de una orden propia, enviar los datos del medio de pago al
+// proveedor y recibir sus notificaciones, que llevan la orden a "pagada" o "rechazada"
+// El estado de la orden solo lo cambian las notificaciones del proveedor, nunca el cliente; una orden
+// que no se paga en PAYMENT_TIMEOUT_MINUTES se cancela sola (lib/payments.js)
+// Endpoints:
+// - POST /payments - Crear la intención de pago de una orden pendiente ({ orderId })
+// - POST /payments/:id/confirm - Pagar con los datos del medio de pago ({ tarjeta })
+// - POST /payments/webhook - Notificaciones firmadas del proveedor (públicas)
+// - POST /payments/:id/resolve - Solo sandbox y administradores: aprobar o rechazar un pago pendiente
+
+const { isAdmin, requireAuth, requireAdmin } = require('../lib/auth');
+const { currentStatus } = require('../lib/orderStatus');
+const {
+  ONLINE_PAYMENT_METHODS,
+  findOrderByIntent,
+  paymentFields,
+  handlePaymentNotification,
+} = require('../lib/payments');
+const { notifyOrderStatus } = require('../lib/mail');
+const { sendError } = require('../lib/errors');
+
+// Datos del pago que ve el cliente
+const publicPayment = (payment, provider) => ({
+  id: payment.id,
+  orderId: payment.orderId,
+  proveedor: provider.nombre,
+  estado: payment.estado,
+  monto: payment.monto,
+  moneda: payment.moneda,
+});
+
+const canAccessOrder = (user, order) => isAdmin(user) || String(order.userId) === String(user.id);
+
+// Registra las rutas de pagos sobre el servidor
+// - provider: proveedor creado con createPaymentProvider (lib/payments.js)
+// - mailer: servicio de emails (lib/mail.js) para avisar al comprador cuando el pago cambia el estado de la orden
+const registerPaymentRoutes = (server, db, provider, mailer) => {
+  // POST /payments/webhook - El proveedor avisa el resultado de un pago; la firma lo autentica
+  server.post('/payments/webhook', async (req, res) => {
+    const { error, order } = await handlePaymentNotification(db, provider, { headers: req.headers, body: req.body }, {
+      onStatusChange: (updated) => notifyOrderStatus(mailer, db, updated),
+    });
+    if (error) {
+      return sendError(res, error.status, error.code, error.message);
+    }
+    return res.json({ orderId: order.id, status: order.status, pago: order.pago });
+  });
+
+  // POST /payments - Iniciar el pago de una orden pendiente que se paga en línea
+  server.post('/payments', requireAuth, async (req, res) => {
+    const orderId = req.body && req.body.orderId;
+    const order = db.get('orders').find((item) => String(item.id) === String(orderId)).value();
+    if (!order || !canAccessOrder(req.user, order)) {
+      return sendError(res, 404, 'NOT_FOUND', 'Orden no encontrada');
+    }
+    if (!order.pago || !ONLINE_PAYMENT_METHODS.includes(order.pago.metodo)) {
+      return sendError(res, 409, 'OFFLINE_PAYMENT_METHOD', 'El medio de pago de esta orden no se cobra en línea');
+    }
+    if (currentStatus(order) !== 'pendiente') {
+      return sendError(res, 409, 'ORDER_NOT_PAYABLE', `La orden está ${currentStatus(order)} y no admite pagos`);
+    }
+
+    const { error, payment } = await provider.createIntent(order);
+    if (error) {
+      return sendError(res, error.status, error.code, error.message);
+    }
+    db.get('orders').find({ id: order.id }).assign({ pago: paymentFields(order, provider, payment) }).write();
+    return res.status(201).json(publicPayment(payment, provider));
+  });
+
+  // POST /payments/:id/confirm - Enviar los datos del medio de pago de la última intención de la orden
+  server.post('/payments/:id/confirm', requireAuth, async (req, res) => {
+    const order = findOrderByIntent(db, req.params.id);
+    if (!order || !canAccessOrder(req.user, order)) {
+      return sendError(res, 404, 'NOT_FOUND', 'Pago no encontrado');
+    }
+    if (currentStatus(order) !== 'pendiente') {
+      return sendError(res, 409, 'ORDER_NOT_PAYABLE', `La orden está ${currentStatus(order)} y no admite pagos`);
+    }
+
+    const { error, payment } = await provider.confirm(req.params.id, req.body || {});
+    if (error) {
+      return sendError(res, error.status, error.code, error.message, error.details);
+    }
+    // Un pago que queda en revisión ya no vence por falta de pago: lo resuelve la notificación del proveedor
+    if (payment.estado === 'pendiente') {
+      const current = findOrderByIntent(db, req.params.id);
+      db.get('orders').find({ id: current.id }).assign({ pago: { ...current.pago, enRevision: true } }).write();
+    }
+    return res.json(publicPayment(payment, provider));
+  });
+
+  // POST /payments/:id/resolve - Los proveedores reales resuelven los pagos pendientes por su cuenta;
+  // el sandbox permite hacerlo a mano para probar la notificación ({ estado: "aprobado" | "rechazado" })
+  if (typeof provider.resolve === 'function') {
+    server.post('/payments/:id/resolve', requireAdmin, async (req, res) => {
+      const { error, payment } = await provider.resolve(req.params.id, req.body && req.body.estado);
+      if (error) {
+        return sendError(res, error.status, error.code, error.message);
+      }
+      return res.json(publicPayment(payment, provider));
+    });
+  }
+
+  // /payments y /orders/:id/payments - La colección de pagos del sandbox no se expone por REST, tampoco
+  // como ruta anidada de su orden (?_embed=payments lo descarta lib/restRouter.js en todas las rutas)
+  server.use(['/payments', '/orders/:id/payments'], (req, res) => sendError(res, 404, 'NOT_FOUND', 'Recurso no encontrado'));
+};
+
+module.exports = registerPaymentRoutes;
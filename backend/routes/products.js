@@ -0,0 +1,122 @@
+// Rutas de productos - Reglas que se aplican antes del router de JSON Server
+// Responsabilidades: reservar la escritura del catálogo a administradores, validar
+// los datos de cada producto antes de que se guarden en db.json, filtrar por categoría y buscar
+// La lectura (GET) sigue siendo pública y la resuelve JSON Server directamente
+
+const { requireAdmin } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+const { validateSearchQuery, searchProducts } = require('../lib/search');
+const { IVA_RATES } = require('../lib/taxes');
+
+// Busca una categoría por un criterio (ID o slug)
+const findCategory = (db, predicate) => db.get('categories').find(predicate).value();
+
+// Sin categoría asignada
+const isEmptyCategory = (value) => value === undefined || value === null || value === '';
+
+// Valida los campos de un producto y retorna la lista de errores por campo
+// - partial: en PATCH solo se validan los campos enviados
+const validateProduct = (db, product = {}, { partial = false } = {}) => {
+  const errors = [];
+  const has = (field) => !partial || product[field] !== undefined;
+
+  if (has('nombre') && !String(product.nombre ?? '').trim()) {
+    errors.push({ field: 'nombre', message: 'El nombre es obligatorio' });
+  }
+  if (has('descripcion') && !String(product.descripcion ?? '').trim()) {
+    errors.push({ field: 'descripcion', message: 'La descripción es obligatoria' });
+  }
+  if (has('precio') && !(typeof product.precio === 'number' && product.precio > 0)) {
+    errors.push({ field: 'precio', message: 'El precio debe ser un número mayor a 0' });
+  }
+  // El stock es opcional (sin stock = sin límite), pero si se envía debe ser un entero >= 0
+  if (product.stock !== undefined && !(Number.isInteger(product.stock) && product.stock >= 0)) {
+    errors.push({ field: 'stock', message: 'El stock debe ser un número entero mayor o igual a 0' });
+  }
+  // La categoría es opcional (null o vacío = sin categoría), pero si se envía debe existir
+  if (
+    !isEmptyCategory(product.categoriaId) &&
+    !findCategory(db, (category) => String(category.id) === String(product.categoriaId))
+  ) {
+    errors.push({ field: 'categoriaId', message: 'La categoría no existe' });
+  }
+  // La alícuota de IVA es opcional (sin alícuota = 21%), pero si se envía debe ser una de las admitidas
+  if (product.iva !== undefined && !IVA_RATES.includes(product.iva)) {
+    const rates = IVA_RATES.map((rate) => `${String(rate).replace('.', ',')}%`).join(' o ');
+    errors.push({ field: 'iva', message: `La alícuota de IVA debe ser ${rates}` });
+  }
+  if (has('imagen') && !/^(https?:\/\/|\/)\S+$/.test(String(product.imagen ?? ''))) {
+    errors.push({ field: 'imagen', message: 'La imagen debe ser una URL válida' });
+  }
+  return errors;
+};
+
+// Normaliza los campos enviados (texto sin espacios sobrantes, categoría como número)
+const normalizeProduct = (product) => {
+  const normalized = { ...product };
+  ['nombre', 'descripcion', 'imagen'].forEach((field) => {
+    if (typeof normalized[field] === 'string') {
+      normalized[field] = normalized[field].trim();
+    }
+  });
+  // La categoría se guarda como número; "sin categoría" se guarda omitiendo el campo
+  if (isEmptyCategory(normalized.categoriaId)) {
+    delete normalized.categoriaId;
+  } else {
+    normalized.categoriaId = Number(normalized.categoriaId);
+  }
+  return normalized;
+};
+
+// Registra las rutas de productos sobre el servidor
+const registerProductRoutes = (server, db) => {
+  // GET /products/categoria/:slug - Productos de una categoría (filtrado en el servidor)
+  // Se traduce a /products?categoriaId=N para que JSON Server aplique el resto de
+  // parámetros (_sort, _page, etc.); una categoría inexistente responde 404
+  server.get('/products/categoria/:slug', (req, res, next) => {
+    const category = findCategory(db, (c) => c.slug === req.params.slug);
+    if (!category) {
+      return sendError(res, 404, 'NOT_FOUND', 'Categoría no encontrada');
+    }
+
+    req.query.categoriaId = String(category.id);
+    req.url = '/products';
+    return next();
+  });
+
+  // GET /products/search?q=texto&limit=N - Búsqueda por nombre y descripción
+  // Ignora acentos y mayúsculas, tolera errores de tipeo y devuelve primero las coincidencias en el nombre
+  server.get('/products/search', (req, res) => {
+    const query = { q: String(req.query.q ?? '') };
+    if (req.query.limit !== undefined && req.query.limit !== '') {
+      query.limit = String(req.query.limit);
+    }
+
+    const errors = validateSearchQuery(query);
+    if (errors.length > 0) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'Los parámetros de la búsqueda no son válidos', errors);
+    }
+
+    return res.json(searchProducts(db.get('products').value(), query));
+  });
+
+  // Middleware de validación para altas y modificaciones
+  const validate = (partial) => (req, res, next) => {
+    const errors = validateProduct(db, req.body, { partial });
+    if (errors.length > 0) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'El producto contiene datos inválidos', errors);
+    }
+    req.body = normalizeProduct(req.body);
+    return next();
+  };
+
+  // POST /products, PUT/PATCH /products/:id - Solo administradores, con datos válidos
+  server.post('/products', requireAdmin, validate(false));
+  server.put('/products/:id', requireAdmin, validate(false));
+  server.patch('/products/:id', requireAdmin, validate(true));
+
+  // DELETE /products/:id - Solo administradores
+  server.delete('/products/:id', requireAdmin);
+};
+
+module.exports = registerProductRoutes;
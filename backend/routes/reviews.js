@@ -0,0 +1,118 @@
+// Rutas de reseñas - Opiniones de los clientes sobre los productos (1 a 5 estrellas, título y texto)
+// Solo puede opinar quien compró el producto (tiene una orden cobrada que lo incluye), una vez
+// por producto. Los administradores moderan ocultando las reseñas abusivas (oculta: true), que dejan
+// de aparecer en los listados públicos y en los promedios
+// Las reseñas tampoco se pueden incrustar en los productos (?_embed=reviews) ni traer con su autor
+// (?_expand=user): server.js descarta esos parámetros en todas las rutas (lib/restRouter.js)
+// Endpoints:
+// - GET   /products/:id/reviews - Reseñas visibles de un producto (acepta _sort, _order, _page, _limit)
+// - POST  /products/:id/reviews - Publicar una reseña ({ rating, titulo, texto }) - Requiere sesión
+// - GET   /reviews/summary?productIds=1,2 - Promedio y cantidad de reseñas de cada producto
+// - GET   /reviews - Todas las reseñas (los administradores también ven las ocultas)
+// - PATCH /reviews/:id - Ocultar o volver a mostrar una reseña ({ oculta }) - Solo administradores
+
+const { isAdmin, requireAuth, requireAdmin } = require('../lib/auth');
+const { validateReview, isVerifiedBuyer, summarizeRatings } = require('../lib/reviews');
+const { sendError } = require('../lib/errors');
+
+// Máximo de productos por consulta de resumen (una página de catálogo o de búsqueda)
+const MAX_SUMMARY_PRODUCTS = 100;
+
+// Registra las rutas de reseñas sobre el servidor
+const registerReviewRoutes = (server, db) => {
+  // GET /reviews/summary?productIds=1,2,3 - Público; se registra antes que /reviews/:id
+  server.get('/reviews/summary', (req, res) => {
+    const productIds = String(req.query.productIds || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean);
+    if (productIds.length === 0 || productIds.length > MAX_SUMMARY_PRODUCTS) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'Los parámetros de la consulta no son válidos', [
+        { field: 'productIds', message: `Indica entre 1 y ${MAX_SUMMARY_PRODUCTS} IDs de producto separados por coma` },
+      ]);
+    }
+    return res.json(summarizeRatings(db.get('reviews').value(), productIds));
+  });
+
+  // Los listados públicos solo incluyen reseñas visibles; los administradores ven todas
+  server.get(['/reviews', '/products/:id/reviews'], (req, res, next) => {
+    if (!isAdmin(req.user)) {
+      req.query.oculta = 'false';
+    }
+    return next();
+  });
+
+  // GET /reviews/:id - Una reseña oculta no existe para quien no es administrador
+  server.get('/reviews/:id', (req, res, next) => {
+    const review = db.get('reviews').find((r) => String(r.id) === String(req.params.id)).value();
+    if (review && review.oculta && !isAdmin(req.user)) {
+      return sendError(res, 404, 'NOT_FOUND', 'Reseña no encontrada');
+    }
+    return next();
+  });
+
+  // Las reseñas solo se crean a través de su producto (así siempre se verifica la compra)
+  // Se registra antes que POST /products/:id/reviews: esa ruta reescribe la URL a /reviews y
+  // Express solo vuelve a comparar la nueva URL con las rutas registradas después
+  server.post('/reviews', (req, res) => {
+    sendError(res, 405, 'METHOD_NOT_ALLOWED', 'Las reseñas se crean desde POST /products/:id/reviews');
+  });
+
+  // POST /products/:id/reviews - Solo compradores verificados, una reseña por producto
+  server.post('/products/:id/reviews', requireAuth, (req, res, next) => {
+    const product = db.get('products').find((p) => String(p.id) === String(req.params.id)).value();
+    if (!product) {
+      return sendError(res, 404, 'NOT_FOUND', 'Producto no encontrado');
+    }
+
+    const errors = validateReview(req.body);
+    if (errors.length > 0) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'La reseña contiene datos inválidos', errors);
+    }
+
+    if (!isVerifiedBuyer(db.get('orders').value(), req.user.id, product.id)) {
+      return sendError(res, 403, 'NOT_VERIFIED_BUYER', 'Solo pueden opinar los clientes que compraron este producto');
+    }
+
+    const alreadyReviewed = db
+      .get('reviews')
+      .some((r) => String(r.productId) === String(product.id) && String(r.userId) === String(req.user.id))
+      .value();
+    if (alreadyReviewed) {
+      return sendError(res, 409, 'REVIEW_EXISTS', 'Ya publicaste una reseña de este producto');
+    }
+
+    // El servidor completa el autor, la fecha y el estado de moderación; JSON Server guarda la reseña
+    req.body = {
+      productId: product.id,
+      userId: req.user.id,
+      autor: req.user.nombre,
+      rating: req.body.rating,
+      titulo: req.body.titulo.trim(),
+      texto: req.body.texto.trim(),
+      fecha: new Date().toISOString(),
+      oculta: false,
+    };
+    req.url = '/reviews';
+    return next();
+  });
+
+  // PATCH /reviews/:id - Moderación: solo se puede cambiar la visibilidad
+  server.patch('/reviews/:id', requireAdmin, (req, res, next) => {
+    if (typeof (req.body && req.body.oculta) !== 'boolean') {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'La reseña contiene datos inválidos', [
+        { field: 'oculta', message: 'Indica si la reseña queda oculta (true) o visible (false)' },
+      ]);
+    }
+    req.body = { oculta: req.body.oculta };
+    return next();
+  });
+
+  // El contenido de una reseña es del cliente: no se reemplaza; borrar queda para administradores
+  server.put('/reviews/:id', (req, res) => {
+    sendError(res, 405, 'METHOD_NOT_ALLOWED', 'Para moderar una reseña usa PATCH /reviews/:id con { oculta }');
+  });
+  server.delete('/reviews/:id', requireAdmin);
+};
+
+module.exports = registerReviewRoutes;
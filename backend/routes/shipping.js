@@ -0,0 +1,32 @@
+// Rutas de envíos - Cotización del envío a un código postal
+// El carrito la usa para mostrar costo y plazo antes de comprar; el costo de cada orden lo
+// vuelve a calcular POST /orders con el mismo módulo
+// Endpoints:
+// - GET /shipping/quote?codigoPostal=C1425ABC - Zona, tarifa y plazo de entrega (público)
+
+const { FREE_SHIPPING_THRESHOLD, SHIPPING_ZONES, locatePostalCode } = require('../lib/shipping');
+const { sendError } = require('../lib/errors');
+
+// Registra las rutas de envíos sobre el servidor
+const registerShippingRoutes = (server) => {
+  // GET /shipping/quote - Tarifa de la zona (sin bonificar) y el monto desde el que el envío es gratis
+  server.get('/shipping/quote', (req, res) => {
+    const location = locatePostalCode(req.query.codigoPostal);
+    if (location.error) {
+      return sendError(res, 422, 'INVALID_POSTAL_CODE', location.error, [
+        { field: 'codigoPostal', message: location.error },
+      ]);
+    }
+
+    const zone = SHIPPING_ZONES[location.zona];
+    return res.json({
+      ...location,
+      costo: zone.costo,
+      diasMin: zone.diasMin,
+      diasMax: zone.diasMax,
+      envioGratisDesde: FREE_SHIPPING_THRESHOLD,
+    });
+  });
+};
+
+module.exports = registerShippingRoutes;
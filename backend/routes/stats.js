@@ -0,0 +1,30 @@
+// Rutas de estadísticas - Métricas de ventas para el panel de administración
+// Se calculan en cada consulta a partir de la colección orders (no se guardan en db.json)
+
+const { requireAdmin } = require('../lib/auth');
+const { validateSalesQuery, computeSalesStats } = require('../lib/salesStats');
+const { sendError } = require('../lib/errors');
+
+// Registra las rutas de estadísticas sobre el servidor
+const registerStatsRoutes = (server, db) => {
+  // GET /stats/sales?from=AAAA-MM-DD&to=AAAA-MM-DD&groupBy=day|week|month - Solo administradores
+  server.get('/stats/sales', requireAdmin, (req, res) => {
+    // Los parámetros vacíos (ej: ?from=) se tratan como no enviados
+    const query = {};
+    ['from', 'to', 'groupBy'].forEach((param) => {
+      if (req.query[param] !== undefined && req.query[param] !== '') {
+        query[param] = String(req.query[param]);
+      }
+    });
+
+    const orders = db.get('orders').value();
+    const errors = validateSalesQuery(query, orders);
+    if (errors.length > 0) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'Los parámetros de la consulta no son válidos', errors);
+    }
+
+    return res.json(computeSalesStats(orders, query));
+  });
+};
+
+module.exports = registerStatsRoutes;
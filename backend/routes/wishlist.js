@@ -0,0 +1,59 @@
+// Rutas de favoritos - Lista de deseos de cada usuario, para que lo siga entre dispositivos
+// Cada usuario tiene un único documento en la colección "wishlists" ({ userId, productIds, updatedAt });
+// la colección no se expone por el router de JSON Server: solo se accede a la lista propia
+// Endpoints (requieren sesión):
+// - GET /wishlist - Favoritos del usuario: { productIds, productos } (productos con sus datos actuales)
+// - PUT /wishlist - Reemplazar la lista completa ({ productIds: [1, 2] })
+
+const { requireAuth } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+
+// Máximo de productos en favoritos
+const MAX_WISHLIST_ITEMS = 100;
+
+const findWishlist = (db, userId) => {
+  return db.get('wishlists').find((wishlist) => String(wishlist.userId) === String(userId)).value();
+};
+
+// Respuesta con los IDs y los productos que todavía existen en el catálogo, en el orden guardado
+const wishlistResponse = (db, productIds) => {
+  const productos = productIds
+    .map((id) => db.get('products').find((product) => String(product.id) === String(id)).value())
+    .filter(Boolean);
+  return { productIds: productos.map((product) => product.id), productos };
+};
+
+// Registra las rutas de favoritos sobre el servidor
+const registerWishlistRoutes = (server, db) => {
+  // GET /wishlist - Un usuario que nunca guardó favoritos recibe una lista vacía
+  server.get('/wishlist', requireAuth, (req, res) => {
+    const wishlist = findWishlist(db, req.user.id);
+    return res.json(wishlistResponse(db, wishlist ? wishlist.productIds : []));
+  });
+
+  // PUT /wishlist - Los productos que ya no existen se descartan sin error
+  // (un favorito guardado sin sesión puede haber sido eliminado del catálogo)
+  server.put('/wishlist', requireAuth, (req, res) => {
+    const productIds = req.body && req.body.productIds;
+    if (!Array.isArray(productIds) || productIds.length > MAX_WISHLIST_ITEMS || !productIds.every(Number.isInteger)) {
+      return sendError(res, 422, 'VALIDATION_ERROR', 'La lista de favoritos no es válida', [
+        { field: 'productIds', message: `Indica hasta ${MAX_WISHLIST_ITEMS} IDs de producto (números enteros)` },
+      ]);
+    }
+
+    const response = wishlistResponse(db, [...new Set(productIds)]);
+    const data = { productIds: response.productIds, updatedAt: new Date().toISOString() };
+    if (findWishlist(db, req.user.id)) {
+      db.get('wishlists').find((wishlist) => String(wishlist.userId) === String(req.user.id)).assign(data).write();
+    } else {
+      db.get('wishlists').insert({ userId: req.user.id, ...data }).write();
+    }
+
+    return res.json(response);
+  });
+
+  // /wishlists - Las listas de otros usuarios no se exponen por REST
+  server.use('/wishlists', (req, res) => sendError(res, 404, 'NOT_FOUND', 'Recurso no encontrado'));
+};
+
+module.exports = registerWishlistRoutes;
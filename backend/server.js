@@ -0,0 +1,85 @@
+// Servidor del backend - Punto de entrada personalizado sobre JSON Server
+// Responsabilidades: montar los middlewares por defecto, las reglas de negocio y el router REST
+// Reemplaza a "json-server --watch db.json" para poder validar las peticiones antes de guardarlas
+
+const path = require('path');
+const jsonServer = require('json-server');
+const { authenticate } = require('./lib/auth');
+const { stripRelations, blockNestedRoutes } = require('./lib/restRouter');
+const { createPaymentProvider, startPaymentExpiry } = require('./lib/payments');
+const { createMailer, notifyOrderStatus } = require('./lib/mail');
+const registerAuthRoutes = require('./routes/auth');
+const registerOrderRoutes = require('./routes/orders');
+const registerProductRoutes = require('./routes/products');
+const registerOrderNoteRoutes = require('./routes/orderNotes');
+const registerStatsRoutes = require('./routes/stats');
+const registerCategoryRoutes = require('./routes/categories');
+const registerReviewRoutes = require('./routes/reviews');
+const registerWishlistRoutes = require('./routes/wishlist');
+const registerCartRoutes = require('./routes/cart');
+const registerCouponRoutes = require('./routes/coupons');
+const registerShippingRoutes = require('./routes/shipping');
+const registerPaymentRoutes = require('./routes/payments');
+const registerMailRoutes = require('./routes/mail');
+
+// Archivo de datos y puerto (configurables por variables de entorno para pruebas locales)
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'db.json');
+const PORT = process.env.PORT || 3001;
+
+const server = jsonServer.create();
+const router = jsonServer.router(DB_FILE);
+
+// Middlewares por defecto de JSON Server (logger, CORS, archivos estáticos) y parseo de JSON
+// Los tests (NODE_ENV=test) no registran cada petición en la consola
+server.use(jsonServer.defaults({ logger: process.env.NODE_ENV !== 'test' }));
+server.use(jsonServer.bodyParser);
+
+// Ninguna respuesta une colecciones (?_expand, ?_embed): así los usuarios y los datos que filtran
+// las reglas (reseñas ocultas, pagos) nunca viajan incrustados en otra colección
+server.use(stripRelations);
+
+// Identificar al usuario de cada petición (req.user) a partir del token, si lo hay
+server.use(authenticate(router.db));
+
+// Emails transaccionales (MAIL_TRANSPORT: SMTP en producción, archivos .eml en outbox/ en desarrollo)
+const mailer = createMailer(router.db);
+
+// Proveedor de pagos (PAYMENT_PROVIDER, sandbox por defecto): lo usan los pagos y los reembolsos de órdenes
+// Cuando un pago cambia el estado de una orden se avisa al comprador por email
+const payments = createPaymentProvider(router.db, {
+  onStatusChange: (order) => notifyOrderStatus(mailer, router.db, order),
+});
+
+// Reglas de negocio - deben registrarse ANTES del router para poder interceptar las peticiones
+registerAuthRoutes(server, router.db, mailer);
+registerOrderRoutes(server, router.db, payments, mailer);
+registerOrderNoteRoutes(server, router.db);
+registerProductRoutes(server, router.db);
+registerCategoryRoutes(server, router.db);
+registerReviewRoutes(server, router.db);
+registerWishlistRoutes(server, router.db);
+registerCartRoutes(server, router.db);
+registerCouponRoutes(server, router.db);
+registerShippingRoutes(server);
+registerPaymentRoutes(server, router.db, payments, mailer);
+registerMailRoutes(server, router.db, mailer);
+registerStatsRoutes(server, router.db);
+
+// Rutas anidadas de JSON Server (/:recurso/:id/:anidado): solo las que tienen reglas propias
+server.all('/:resource/:id/:nested', blockNestedRoutes);
+
+// Router REST generado automáticamente a partir de db.json
+server.use(router);
+
+// Solo escuchar si se ejecuta directamente (node server.js)
+if (require.main === module) {
+  // Reintentar periódicamente los emails que no se pudieron enviar
+  mailer.startRetries();
+  // Cancelar las órdenes con pago en línea que no se pagaron a tiempo (avisando al comprador)
+  startPaymentExpiry(router.db, { onStatusChange: (order) => notifyOrderStatus(mailer, router.db, order) });
+  server.listen(PORT, () => {
+    console.log(`JSON Server ejecutándose en http://localhost:${PORT}`);
+  });
+}
+
+module.exports = server;
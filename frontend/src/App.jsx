@@ -11,6 +11,22 @@ import Header from './components/Header';     // Navegación principal y marca
 import Cart from './components/Cart';         // Carrito lateral (drawer)
 import Home from './pages/Home';              // Página de inicio
 import Products from './pages/Products';      // Catálogo de productos
+import ProductDetail from './pages/ProductDetail'; // Detalle de un producto
+import Search from './pages/Search';          // Resultados de búsqueda
+import Favorites from './pages/Favorites';    // Lista de favoritos
+import Checkout from './pages/Checkout';      // Finalizar compra en pasos
+import MyOrders from './pages/MyOrders';      // Historial de compras del usuario
+import MyOrderDetail from './pages/MyOrderDetail'; // Detalle de un pedido propio
+import Login from './pages/Login';            // Inicio de sesión
+import Register from './pages/Register';      // Registro de clientes
+import ResetPassword from './pages/ResetPassword'; // Restablecer la contraseña olvidada
+import AdminRoute from './components/AdminRoute';                 // Protección de rutas de administración
+import AdminProducts from './pages/admin/AdminProducts';          // Gestión del catálogo
+import AdminProductForm from './pages/admin/AdminProductForm';    // Alta y edición de productos
+import AdminOrders from './pages/admin/AdminOrders';              // Panel de órdenes
+import AdminOrderDetail from './pages/admin/AdminOrderDetail';    // Detalle y gestión de una orden
+import AdminStats from './pages/admin/AdminStats';                // Estadísticas de ventas
+import AdminReviews from './pages/admin/AdminReviews';            // Moderación de reseñas
 // Ya no necesitamos importar CSS personalizado - usamos Tailwind
 
 // Definición del componente funcional principal App
@@ -32,7 +48,37 @@ function App() {
             
             {/* Ruta de productos - Lista completa con filtros */}
             <Route path="/products" element={<Products />} />
+            <Route path="/products/categoria/:slug" element={<Products />} />
+            <Route path="/products/:id" element={<ProductDetail />} />
             
+            {/* Ruta de búsqueda - Resultados para /buscar?q=texto */}
+            <Route path="/buscar" element={<Search />} />
+            
+            {/* Ruta de favoritos - Productos guardados por el usuario */}
+            <Route path="/favoritos" element={<Favorites />} />
+            
+            {/* Ruta de checkout - Datos del comprador, entrega y pago (requiere sesión) */}
+            <Route path="/checkout" element={<Checkout />} />
+            
+            {/* Rutas de pedidos - Historial de compras del usuario (requieren sesión) */}
+            <Route path="/mis-pedidos" element={<MyOrders />} />
+            <Route path="/mis-pedidos/:id" element={<MyOrderDetail />} />
+            
+            {/* Rutas de cuenta - Inicio de sesión, registro y contraseña olvidada (enlace del email) */}
+            <Route path="/login" element={<Login />} />
+            <Route path="/registro" element={<Register />} />
+            <Route path="/restablecer-contrasena" element={<ResetPassword />} />
+            
+            {/* Rutas de administración - Solo para usuarios con rol admin */}
+            <Route path="/admin" element={<AdminRoute />}>
+              <Route path="products" element={<AdminProducts />} />
+              <Route path="products/nuevo" element={<AdminProductForm />} />
+              <Route path="products/:id/editar" element={<AdminProductForm />} />
+              <Route path="orders" element={<AdminOrders />} />
+              <Route path="orders/:id" element={<AdminOrderDetail />} />
+              <Route path="stats" element={<AdminStats />} />
+              <Route path="reviews" element={<AdminReviews />} />
+            </Route>
             
             {/* Ruta 404 - Página no encontrada */}
             <Route path="*" element={
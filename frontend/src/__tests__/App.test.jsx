@@ -87,6 +87,61 @@ vi.mock('../pages/Products', () => ({
 }));
 // Cada mock tiene un data-testid diferente para identificarlo
 
+// MOCK 5: Simplificamos las páginas de cuenta (Login y Register)
+// Las reales usan el store de autenticación, que no nos interesa en estos tests
+vi.mock('../pages/ProductDetail', () => ({
+  default: () => <div data-testid="product-detail">Product Detail Page</div>
+}));
+vi.mock('../pages/Favorites', () => ({
+  default: () => <div data-testid="favorites">Favorites Page</div>
+}));
+vi.mock('../pages/Checkout', () => ({
+  default: () => <div data-testid="checkout">Checkout Page</div>
+}));
+vi.mock('../pages/MyOrders', () => ({
+  default: () => <div data-testid="my-orders">My Orders Page</div>
+}));
+vi.mock('../pages/MyOrderDetail', () => ({
+  default: () => <div data-testid="my-order-detail">My Order Detail Page</div>
+}));
+vi.mock('../pages/Search', () => ({
+  default: () => <div data-testid="search">Search Page</div>
+}));
+vi.mock('../pages/Login', () => ({
+  default: () => <div data-testid="login">Login Page</div>
+}));
+vi.mock('../pages/Register', () => ({
+  default: () => <div data-testid="register">Register Page</div>
+}));
+vi.mock('../pages/ResetPassword', () => ({
+  default: () => <div data-testid="reset-password">ResetPassword Page</div>
+}));
+
+// MOCK 6: Simplificamos la sección de administración
+// AdminRoute se reemplaza por un Outlet que deja pasar siempre (el control de rol se testea aparte)
+vi.mock('../components/AdminRoute', async () => {
+  const { Outlet } = await vi.importActual('react-router-dom');
+  return { default: () => <Outlet /> };
+});
+vi.mock('../pages/admin/AdminProducts', () => ({
+  default: () => <div data-testid="admin-products">Admin Products Page</div>
+}));
+vi.mock('../pages/admin/AdminProductForm', () => ({
+  default: () => <div data-testid="admin-product-form">Admin Product Form</div>
+}));
+vi.mock('../pages/admin/AdminOrders', () => ({
+  default: () => <div data-testid="admin-orders">Admin Orders Page</div>
+}));
+vi.mock('../pages/admin/AdminOrderDetail', () => ({
+  default: () => <div data-testid="admin-order-detail">Admin Order Detail</div>
+}));
+vi.mock('../pages/admin/AdminStats', () => ({
+  default: () => <div data-testid="admin-stats">Admin Stats Page</div>
+}));
+vi.mock('../pages/admin/AdminReviews', () => ({
+  default: () => <div data-testid="admin-reviews">Admin Reviews Page</div>
+}));
+
 // ============================================================
 // SUITE DE TESTS PRINCIPAL PARA APP
 // ============================================================
@@ -247,6 +302,130 @@ describe('App Component', () => {
     // - El componente Products no se está importando correctamente
   });
 
+  // ============================================================
+  // TEST 5a: VERIFICAR LA RUTA DE DETALLE DE PRODUCTO
+  // ============================================================
+  it('debe renderizar el detalle en /products/:id sin confundirlo con las categorías', () => {
+    // PASO 1: Un ID muestra el detalle del producto
+    window.history.pushState({}, '', '/products/4');
+    const { unmount } = render(<App />);
+    expect(screen.getByTestId('product-detail')).toBeInTheDocument();
+    unmount();
+
+    // PASO 2: La ruta de categorías sigue mostrando el catálogo
+    window.history.pushState({}, '', '/products/categoria/consolas');
+    render(<App />);
+    expect(screen.getByTestId('products')).toBeInTheDocument();
+  });
+
+  // ============================================================
+  // TEST 5b: VERIFICAR LAS RUTAS DE CUENTA - LOGIN, REGISTRO Y CONTRASEÑA OLVIDADA
+  // ============================================================
+  it('debe renderizar Login en /login, Register en /registro y ResetPassword en /restablecer-contrasena', () => {
+    // PASO 1: Navegar a /login y verificar la página de inicio de sesión
+    window.history.pushState({}, '', '/login');
+    const { unmount } = render(<App />);
+    expect(screen.getByTestId('login')).toBeInTheDocument();
+    unmount();
+
+    // PASO 2: Navegar a /registro y verificar la página de registro
+    window.history.pushState({}, '', '/registro');
+    const { unmount: unmountRegister } = render(<App />);
+    expect(screen.getByTestId('register')).toBeInTheDocument();
+    unmountRegister();
+
+    // PASO 3: El enlace del email para restablecer la contraseña
+    window.history.pushState({}, '', '/restablecer-contrasena?token=token-del-enlace');
+    render(<App />);
+    expect(screen.getByTestId('reset-password')).toBeInTheDocument();
+  });
+
+  // ============================================================
+  // TEST 5c: VERIFICAR LAS RUTAS DE ADMINISTRACIÓN (PRODUCTOS, ÓRDENES, ESTADÍSTICAS Y RESEÑAS)
+  // ============================================================
+  it('debe renderizar las páginas de administración', () => {
+    // PASO 1: Listado de productos
+    window.history.pushState({}, '', '/admin/products');
+    const { unmount } = render(<App />);
+    expect(screen.getByTestId('admin-products')).toBeInTheDocument();
+    unmount();
+
+    // PASO 2: Formulario de alta
+    window.history.pushState({}, '', '/admin/products/nuevo');
+    const second = render(<App />);
+    expect(screen.getByTestId('admin-product-form')).toBeInTheDocument();
+    second.unmount();
+
+    // PASO 3: Formulario de edición
+    window.history.pushState({}, '', '/admin/products/3/editar');
+    const third = render(<App />);
+    expect(screen.getByTestId('admin-product-form')).toBeInTheDocument();
+    third.unmount();
+
+    // PASO 4: Panel de órdenes y detalle de una orden
+    window.history.pushState({}, '', '/admin/orders');
+    const fourth = render(<App />);
+    expect(screen.getByTestId('admin-orders')).toBeInTheDocument();
+    fourth.unmount();
+
+    window.history.pushState({}, '', '/admin/orders/2');
+    const fifth = render(<App />);
+    expect(screen.getByTestId('admin-order-detail')).toBeInTheDocument();
+    fifth.unmount();
+
+    // PASO 5: Estadísticas de ventas
+    window.history.pushState({}, '', '/admin/stats');
+    const sixth = render(<App />);
+    expect(screen.getByTestId('admin-stats')).toBeInTheDocument();
+    sixth.unmount();
+
+    // PASO 6: Moderación de reseñas
+    window.history.pushState({}, '', '/admin/reviews');
+    render(<App />);
+    expect(screen.getByTestId('admin-reviews')).toBeInTheDocument();
+  });
+
+  // ============================================================
+  // TEST 5d: VERIFICAR LA RUTA DE BÚSQUEDA
+  // ============================================================
+  it('debe renderizar la página de resultados en /buscar', () => {
+    window.history.pushState({}, '', '/buscar?q=razer');
+    render(<App />);
+    expect(screen.getByTestId('search')).toBeInTheDocument();
+  });
+
+  // ============================================================
+  // TEST 5e: VERIFICAR LA RUTA DE FAVORITOS
+  // ============================================================
+  it('debe renderizar la página de favoritos en /favoritos', () => {
+    window.history.pushState({}, '', '/favoritos');
+    render(<App />);
+    expect(screen.getByTestId('favorites')).toBeInTheDocument();
+  });
+
+  // ============================================================
+  // TEST 5f: VERIFICAR LA RUTA DEL CHECKOUT
+  // ============================================================
+  it('debe renderizar el checkout en /checkout', () => {
+    window.history.pushState({}, '', '/checkout');
+    render(<App />);
+    expect(screen.getByTestId('checkout')).toBeInTheDocument();
+  });
+
+  // ============================================================
+  // TEST 5g: VERIFICAR LAS RUTAS DE "MIS PEDIDOS"
+  // ============================================================
+  it('debe renderizar el historial y el detalle de pedidos en /mis-pedidos', () => {
+    window.history.pushState({}, '', '/mis-pedidos');
+    const { unmount } = render(<App />);
+    expect(screen.getByTestId('my-orders')).toBeInTheDocument();
+    unmount();
+
+    window.history.pushState({}, '', '/mis-pedidos/12');
+    render(<App />);
+    expect(screen.getByTestId('my-order-detail')).toBeInTheDocument();
+  });
+
   // ============================================================
   // TEST 6: VERIFICAR EL MANEJO DE RUTAS NO EXISTENTES (404)
   // ============================================================
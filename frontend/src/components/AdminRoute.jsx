@@ -0,0 +1,29 @@
+// Componente AdminRoute - Protege las rutas de administración
+// Sin sesión redirige al login (volviendo a la página pedida después de ingresar);
+// con sesión pero sin rol de administrador muestra un aviso de acceso denegado
+import React from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuthStore, getLoginPath } from '../store/useAuthStore';
+
+const AdminRoute = () => {
+  const location = useLocation();
+  const user = useAuthStore((state) => state.user);
+
+  if (!user) {
+    return <Navigate to={getLoginPath(`${location.pathname}${location.search}`)} replace />;
+  }
+
+  if (user.role !== 'admin') {
+    return (
+      <div className="text-center py-8 space-y-3">
+        <h2 className="text-xl font-bold text-gray-900">Acceso denegado</h2>
+        <p className="text-gray-600">Esta sección es solo para administradores.</p>
+      </div>
+    );
+  }
+
+  // Rutas hijas (ej: /admin/products)
+  return <Outlet />;
+};
+
+export default AdminRoute;
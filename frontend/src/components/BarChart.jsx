@@ -0,0 +1,42 @@
+// Componente BarChart - Gráfico de barras horizontales en SVG sin dependencias externas
+// Recibe filas { label, value } y dibuja una barra proporcional al mayor valor
+import React from 'react';
+
+// Dimensiones internas del SVG (se escala al ancho del contenedor con viewBox)
+const WIDTH = 600;
+const ROW_HEIGHT = 32;
+const LABEL_WIDTH = 200;
+const VALUE_WIDTH = 80;
+
+const BarChart = ({ data, formatValue = String, title }) => {
+  if (data.length === 0) {
+    return <p className="text-sm text-gray-500 text-center py-8">No hay datos para el período elegido.</p>;
+  }
+
+  const maxValue = Math.max(...data.map((row) => row.value), 0) || 1;
+  const barArea = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${data.length * ROW_HEIGHT}`} className="w-full h-auto" role="img" aria-label={title}>
+      {data.map((row, index) => {
+        const y = index * ROW_HEIGHT;
+        const barWidth = Math.max((row.value / maxValue) * barArea, 2);
+        return (
+          <g key={`${row.label}-${index}`}>
+            <text x={LABEL_WIDTH - 8} y={y + ROW_HEIGHT / 2 + 4} textAnchor="end" className="fill-gray-700 text-xs">
+              {row.label}
+            </text>
+            <rect x={LABEL_WIDTH} y={y + 6} width={barWidth} height={ROW_HEIGHT - 12} rx="3" className="fill-blue-600">
+              <title>{`${row.label}: ${formatValue(row.value)}`}</title>
+            </rect>
+            <text x={LABEL_WIDTH + barWidth + 6} y={y + ROW_HEIGHT / 2 + 4} className="fill-gray-600 text-xs">
+              {formatValue(row.value)}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default BarChart;
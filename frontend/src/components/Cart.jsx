@@ -1,13 +1,18 @@
 // Componente Cart - Carrito lateral (drawer) con funcionalidad completa de e-commerce
-// Responsabilidades: mostrar productos, modificar cantidades, calcular totales y procesar checkout
+// Responsabilidades: mostrar productos, modificar cantidades, calcular totales y llevar al checkout
+// Antes del checkout revalida el carrito contra el catálogo y avisa en un banner qué cambió
 // Se renderiza como overlay cuando el estado isOpen del store es true
 
 // Importación de React y hook useState para manejar estados locales del componente
 import React, { useState } from 'react';
+// useNavigate para abrir el checkout (/checkout) desde el carrito
+import { useNavigate } from 'react-router-dom';
 // Importación del store de Zustand que contiene toda la lógica del carrito
 import { useCartStore } from '../store/useCartStore';
-// Importación del servicio API para comunicarse con el backend y enviar órdenes
-import { ordersAPI } from '../services/api';
+// FREE_SHIPPING_THRESHOLD: monto desde el que el envío es gratis (para la barra de progreso)
+import { FREE_SHIPPING_THRESHOLD } from '../services/api';
+// Desglose de neto e IVA del total
+import TaxBreakdown from './TaxBreakdown';
 
 // Definición del componente funcional Cart
 const Cart = () => {
@@ -22,14 +27,34 @@ const Cart = () => {
     getTotal,     // Función que calcula el precio total del carrito
     getTotalItems,// Función que cuenta el total de productos
     closeCart,    // Función para cerrar el drawer del carrito
-    getOrderData  // Función que formatea los datos para enviar al backend
+    coupon,       // Cupón aplicado (null si no hay ninguno)
+    applyCoupon,  // Función que valida un código en el servidor y lo aplica
+    removeCoupon, // Función para quitar el cupón aplicado
+    getDiscount,  // Función que calcula el descuento del cupón sobre el carrito actual
+    shipping,     // Cotización de envío al código postal ingresado (null si no hay)
+    quoteShipping,// Función que cotiza el envío a un código postal en el servidor
+    clearShipping,// Función para cambiar el código postal
+    getShippingCost,          // Costo del envío (0 si es gratis, null sin código postal)
+    getFreeShippingRemaining, // Monto que falta para el envío gratis
+    getTaxes,                 // Neto e IVA por alícuota del total
+    catalogChanges,           // Cambios de precio, stock o productos eliminados desde que se armó el carrito
+    revalidate,               // Función que actualiza el carrito con los datos actuales del catálogo
+    dismissCatalogChanges     // Función para ocultar el aviso de cambios
   } = useCartStore();
+  const navigate = useNavigate();
 
-  // Estados locales del componente para manejar el proceso de checkout
-  // Estos estados no se comparten globalmente, solo son necesarios en este componente
-  const [isCheckingOut, setIsCheckingOut] = useState(false);   // Indica si está procesando la compra
-  const [checkoutSuccess, setCheckoutSuccess] = useState(false); // Indica si la compra fue exitosa
-  const [checkoutError, setCheckoutError] = useState(null);    // Almacena mensajes de error del checkout
+  // Estados locales del formulario de cupón
+  const [couponCode, setCouponCode] = useState('');
+  const [couponError, setCouponError] = useState(null);
+  const [isApplyingCoupon, setIsApplyingCoupon] = useState(false);
+
+  // Revalidación del carrito en curso (al finalizar la compra)
+  const [isRevalidating, setIsRevalidating] = useState(false);
+
+  // Estados locales del formulario de código postal
+  const [postalCode, setPostalCode] = useState('');
+  const [shippingError, setShippingError] = useState(null);
+  const [isQuotingShipping, setIsQuotingShipping] = useState(false);
 
   // Función utilitaria para formatear números como moneda argentina
   // Utiliza la API de Internacionalización de JavaScript (Intl)
@@ -40,55 +65,89 @@ const Cart = () => {
     }).format(price);     // Aplica el formato al precio recibido
   };
 
-  // Función asíncrona para manejar el proceso completo de checkout
+  // Texto del aviso de cada cambio detectado al revalidar el carrito
+  const describeChange = (change) => {
+    switch (change.tipo) {
+      case 'eliminado':
+        return `${change.nombre} ya no está a la venta y se quitó del carrito.`;
+      case 'sin_stock':
+        return `${change.nombre} se quedó sin stock y se quitó del carrito.`;
+      case 'stock':
+        return `${change.nombre}: solo quedan ${change.actual} unidades, ajustamos la cantidad (tenías ${change.anterior}).`;
+      case 'precio':
+        return `${change.nombre} ${change.actual > change.anterior ? 'subió' : 'bajó'} de ${formatPrice(change.anterior)} a ${formatPrice(change.actual)}.`;
+      default:
+        return change.nombre;
+    }
+  };
+
+  // Ir al checkout en pasos (datos de contacto, dirección, entrega y pago)
   // Se ejecuta cuando el usuario hace click en "Finalizar Compra"
+  // Antes se revalida el carrito: si algo cambió, el carrito queda abierto para que el usuario lo revise
   const handleCheckout = async () => {
     // Validación: verificar que el carrito no esté vacío
     if (items.length === 0) {
       alert('Tu carrito está vacío'); // Alert básico (se podría mejorar con toast)
       return; // Salir de la función sin continuar
     }
+    setIsRevalidating(true);
+    try {
+      const changes = await revalidate();
+      if (changes.length > 0) {
+        return;
+      }
+    } catch (error) {
+      // Si no se pudo revalidar se sigue igual: el servidor vuelve a validar la orden al crearla
+      console.error('Error al revalidar el carrito:', error);
+    } finally {
+      setIsRevalidating(false);
+    }
+    closeCart();
+    navigate('/checkout');
+  };
 
-    // Activar el estado de loading para mostrar spinner/deshabilitar botón
-    setIsCheckingOut(true);
-    // Limpiar cualquier error previo
-    setCheckoutError(null);
-
-    try { // Bloque try-catch para manejo de errores asíncronos
-      // Obtener los datos formateados de la orden desde el store
-      const orderData = getOrderData();
-      
-      // Realizar petición HTTP POST al backend para crear la orden
-      // Utiliza el servicio API que encapsula fetch
-      const response = await ordersAPI.create(orderData);
-      
-      // Si la petición es exitosa, procesar la respuesta
-      console.log('Orden creada exitosamente:', response);
-      setCheckoutSuccess(true); // Activar modal de éxito
-      
-      // Vaciar el carrito ya que la compra fue exitosa
-      clearCart();
-      
-      // Auto-cerrar el modal de éxito y el carrito después de 3 segundos
-      // setTimeout programa la ejecución de una función después de un delay
-      setTimeout(() => {
-        setCheckoutSuccess(false); // Ocultar modal de éxito
-        closeCart();               // Cerrar el drawer del carrito
-      }, 3000); // 3000ms = 3 segundos
-      
+  // Validar y aplicar el código ingresado; el servidor indica el motivo si no es válido
+  const handleApplyCoupon = async (event) => {
+    event.preventDefault();
+    if (!couponCode.trim()) {
+      return;
+    }
+    setIsApplyingCoupon(true);
+    setCouponError(null);
+    try {
+      await applyCoupon(couponCode);
+      setCouponCode('');
     } catch (error) {
-      console.error('Error en el checkout:', error);
-      setCheckoutError('Error al procesar la compra. Inténtalo nuevamente.');
+      setCouponError(
+        error.status === 422 && error.serverMessage
+          ? error.serverMessage
+          : 'No pudimos validar el cupón. Inténtalo nuevamente.'
+      );
     } finally {
-      setIsCheckingOut(false);
+      setIsApplyingCoupon(false);
     }
   };
 
-  // Función para cerrar el carrito
-  const handleCloseCart = () => {
-    closeCart();
-    setCheckoutError(null);
-    setCheckoutSuccess(false);
+  // Cotizar el envío al código postal ingresado
+  const handleQuoteShipping = async (event) => {
+    event.preventDefault();
+    if (!postalCode.trim()) {
+      return;
+    }
+    setIsQuotingShipping(true);
+    setShippingError(null);
+    try {
+      await quoteShipping(postalCode);
+      setPostalCode('');
+    } catch (error) {
+      setShippingError(
+        error.status === 422 && error.serverMessage
+          ? error.serverMessage
+          : 'No pudimos calcular el envío. Inténtalo nuevamente.'
+      );
+    } finally {
+      setIsQuotingShipping(false);
+    }
   };
 
   // No renderizar si el carrito está cerrado
@@ -96,6 +155,11 @@ const Cart = () => {
     return null;
   }
 
+  // Progreso hacia el envío gratis (en porcentaje del monto requerido)
+  const freeShippingRemaining = getFreeShippingRemaining();
+  const freeShippingThreshold = shipping?.envioGratisDesde ?? FREE_SHIPPING_THRESHOLD;
+  const freeShippingProgress = Math.round(((freeShippingThreshold - freeShippingRemaining) / freeShippingThreshold) * 100);
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-end">
       <div className="bg-white w-full max-w-md h-full overflow-y-auto flex flex-col">
@@ -109,7 +173,7 @@ const Cart = () => {
           </h2>
           <button 
             className="text-gray-500 hover:text-gray-700 text-2xl w-8 h-8 flex items-center justify-center"
-            onClick={handleCloseCart}
+            onClick={closeCart}
             aria-label="Cerrar carrito"
           >
             ×
@@ -118,6 +182,20 @@ const Cart = () => {
 
         {/* Contenido del carrito */}
         <div className="flex-1 p-4">
+          {/* Aviso de cambios del catálogo desde que se armó el carrito */}
+          {catalogChanges.length > 0 && (
+            <div role="status" className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+              <p className="font-medium">Actualizamos tu carrito con los datos actuales de la tienda:</p>
+              <ul className="mt-1 list-disc list-inside space-y-0.5">
+                {catalogChanges.map((change, index) => (
+                  <li key={`${change.productId}-${change.tipo}-${index}`}>{describeChange(change)}</li>
+                ))}
+              </ul>
+              <button onClick={dismissCatalogChanges} className="mt-2 text-xs font-medium text-yellow-900 hover:underline">
+                Entendido
+              </button>
+            </div>
+          )}
           {items.length === 0 ? (
             // Carrito vacío
             <div className="text-center py-8">
@@ -162,7 +240,8 @@ const Cart = () => {
                       <span className="text-sm font-medium w-6 text-center">{item.cantidad}</span>
                       <button 
                         onClick={() => addItem(item.producto)}
-                        className="w-6 h-6 bg-gray-100 rounded-full flex items-center justify-center text-sm hover:bg-gray-200"
+                        className="w-6 h-6 bg-gray-100 rounded-full flex items-center justify-center text-sm hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed"
+                        disabled={typeof item.producto.stock === 'number' && item.cantidad >= item.producto.stock} // Tope de stock
                         aria-label="Incrementar cantidad"
                       >
                         +
@@ -184,22 +263,156 @@ const Cart = () => {
                 ))}
               </div>
 
-              {/* Total del carrito */}
-              <div className="border-t border-gray-200 pt-4 mb-4">
+              {/* Progreso hacia el envío gratis */}
+              <div className="mb-4 text-sm">
+                {freeShippingRemaining > 0 ? (
+                  <p className="text-gray-700">
+                    Te faltan <span className="font-semibold">{formatPrice(freeShippingRemaining)}</span> para envío gratis
+                  </p>
+                ) : (
+                  <p className="font-medium text-green-700">¡Tu pedido tiene envío gratis!</p>
+                )}
+                <div
+                  role="progressbar"
+                  aria-label="Progreso hacia el envío gratis"
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-valuenow={freeShippingProgress}
+                  className="mt-1 h-2 bg-gray-200 rounded-full overflow-hidden"
+                >
+                  <div
+                    className={`h-full rounded-full ${freeShippingRemaining > 0 ? 'bg-blue-600' : 'bg-green-600'}`}
+                    style={{ width: `${freeShippingProgress}%` }}
+                  />
+                </div>
+              </div>
+
+              {/* Código postal y envío */}
+              <div className="mb-4">
+                {shipping ? (
+                  <div className="flex items-center justify-between gap-2 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+                    <div>
+                      <p className="font-medium text-gray-900">Envío a {shipping.provincia} ({shipping.codigoPostal})</p>
+                      <p className="text-xs text-gray-600">
+                        Llega en {shipping.diasMin} a {shipping.diasMax} días hábiles
+                      </p>
+                    </div>
+                    <button
+                      onClick={clearShipping}
+                      className="text-xs text-blue-600 hover:underline"
+                      aria-label="Cambiar código postal"
+                    >
+                      Cambiar
+                    </button>
+                  </div>
+                ) : (
+                  <form onSubmit={handleQuoteShipping} className="space-y-1">
+                    <label htmlFor="cart-postal-code" className="block text-sm font-medium text-gray-700">Código postal</label>
+                    <div className="flex gap-2">
+                      <input
+                        id="cart-postal-code"
+                        type="text"
+                        value={postalCode}
+                        onChange={(e) => setPostalCode(e.target.value)}
+                        placeholder="Ej: 1425 o C1425ABC"
+                        className="flex-1 border border-gray-300 rounded px-3 py-2 text-sm uppercase"
+                        autoComplete="postal-code"
+                      />
+                      <button
+                        type="submit"
+                        disabled={isQuotingShipping || !postalCode.trim()}
+                        className="bg-gray-800 hover:bg-gray-900 text-white text-sm px-4 py-2 rounded disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {isQuotingShipping ? 'Calculando...' : 'Calcular'}
+                      </button>
+                    </div>
+                    {shippingError && <p className="text-xs text-red-600" role="alert">{shippingError}</p>}
+                  </form>
+                )}
+              </div>
+
+              {/* Cupón de descuento */}
+              <div className="mb-4">
+                {coupon ? (
+                  <div className="flex items-center justify-between gap-2 p-3 bg-green-50 border border-green-200 rounded-lg">
+                    <div className="text-sm">
+                      <p className="font-medium text-green-800">Cupón {coupon.codigo}</p>
+                      {coupon.descripcion && <p className="text-xs text-green-700">{coupon.descripcion}</p>}
+                      {/* El carrito cambió y ya no cumple las condiciones del cupón */}
+                      {getDiscount() === 0 && (
+                        <p className="text-xs text-orange-700">El cupón no aplica a tu carrito actual.</p>
+                      )}
+                    </div>
+                    <button
+                      onClick={removeCoupon}
+                      className="text-xs text-gray-600 hover:text-red-600"
+                      aria-label="Quitar cupón"
+                    >
+                      Quitar
+                    </button>
+                  </div>
+                ) : (
+                  <form onSubmit={handleApplyCoupon} className="space-y-1">
+                    <label htmlFor="cart-coupon" className="block text-sm font-medium text-gray-700">Código de cupón</label>
+                    <div className="flex gap-2">
+                      <input
+                        id="cart-coupon"
+                        type="text"
+                        value={couponCode}
+                        onChange={(e) => setCouponCode(e.target.value)}
+                        className="flex-1 border border-gray-300 rounded px-3 py-2 text-sm uppercase"
+                        autoComplete="off"
+                      />
+                      <button
+                        type="submit"
+                        disabled={isApplyingCoupon || !couponCode.trim()}
+                        className="bg-gray-800 hover:bg-gray-900 text-white text-sm px-4 py-2 rounded disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {isApplyingCoupon ? 'Aplicando...' : 'Aplicar'}
+                      </button>
+                    </div>
+                    {couponError && <p className="text-xs text-red-600" role="alert">{couponError}</p>}
+                  </form>
+                )}
+              </div>
+
+              {/* Total del carrito (con el descuento del cupón y el envío, si los hay) */}
+              <div className="border-t border-gray-200 pt-4 mb-4 space-y-1">
+                {(getDiscount() > 0 || shipping) && (
+                  <div className="flex justify-between items-center text-sm text-gray-600">
+                    <span>Subtotal:</span>
+                    <span>{formatPrice(getTotal())}</span>
+                  </div>
+                )}
+                {getDiscount() > 0 && (
+                  <div className="flex justify-between items-center text-sm text-green-700">
+                    <span>Descuento ({coupon.codigo}):</span>
+                    <span>-{formatPrice(getDiscount())}</span>
+                  </div>
+                )}
+                {shipping && (
+                  <div className="flex justify-between items-center text-sm text-gray-600">
+                    <span>Envío:</span>
+                    <span>{getShippingCost() === 0 ? 'Gratis' : formatPrice(getShippingCost())}</span>
+                  </div>
+                )}
                 <div className="flex justify-between items-center">
                   <span className="text-base font-medium">Total:</span>
-                  <span className="text-lg font-bold text-blue-600">{formatPrice(getTotal())}</span>
+                  <span className="text-lg font-bold text-blue-600">
+                    {formatPrice(getTotal() - getDiscount() + (getShippingCost() ?? 0))}
+                  </span>
                 </div>
+                <TaxBreakdown taxes={getTaxes()} />
               </div>
 
               {/* Botones de acción */}
               <div className="space-y-2">
                 <button 
                   onClick={handleCheckout}
-                  className="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium py-3 px-4 rounded transition-colors"
-                  disabled={isCheckingOut}
+                  disabled={isRevalidating}
+                  className="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium py-3 px-4 rounded transition-colors disabled:opacity-60"
                 >
-                  {isCheckingOut ? 'Procesando...' : 'Finalizar Compra'}
+                  {isRevalidating ? 'Verificando precios...' : 'Finalizar Compra'}
                 </button>
                 <button 
                   onClick={clearCart}
@@ -210,30 +423,6 @@ const Cart = () => {
               </div>
             </>
           )}
-
-          {/* Modal de éxito */}
-          {checkoutSuccess && (
-            <div className="success-modal">
-              <div className="success-content">
-                <h3>¡Compra Exitosa!</h3>
-                <p>Tu pedido ha sido procesado correctamente.</p>
-                <p>Recibirás un email de confirmación pronto.</p>
-              </div>
-            </div>
-          )}
-
-          {/* Mensaje de error */}
-          {checkoutError && (
-            <div className="error-message">
-              <p>{checkoutError}</p>
-              <button 
-                onClick={() => setCheckoutError(null)}
-                className="close-error-btn"
-              >
-                ×
-              </button>
-            </div>
-          )}
         </div>
       </div>
     </div>
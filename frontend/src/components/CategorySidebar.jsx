@@ -0,0 +1,57 @@
+// Componente CategorySidebar - Navegación por categorías del catálogo
+// Lista "Todas" y cada categoría como enlace a /products/categoria/:slug, resaltando la activa
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { categoriesAPI } from '../services/api';
+
+const CategorySidebar = ({ activeSlug = null }) => {
+  const [categories, setCategories] = useState([]);
+
+  // Cargar las categorías al montar (si fallan, el catálogo sigue funcionando sin filtros)
+  useEffect(() => {
+    const loadCategories = async () => {
+      try {
+        const data = await categoriesAPI.getAll();
+        setCategories(data);
+      } catch (err) {
+        console.error('Error loading categories:', err);
+      }
+    };
+
+    loadCategories();
+  }, []);
+
+  // Clases del enlace según esté activo o no
+  const linkClassName = (active) =>
+    `block px-3 py-1.5 rounded-md text-sm transition-colors ${
+      active ? 'bg-blue-100 text-blue-700 font-medium' : 'text-gray-600 hover:text-blue-600 hover:bg-gray-100'
+    }`;
+
+  return (
+    <aside className="md:w-48 flex-shrink-0">
+      <nav aria-label="Categorías" className="bg-white rounded-lg border p-3">
+        <h2 className="text-sm font-semibold text-gray-900 mb-2">Categorías</h2>
+        <ul className="flex md:block flex-wrap gap-1 md:space-y-1">
+          <li>
+            <Link to="/products" className={linkClassName(!activeSlug)} aria-current={!activeSlug ? 'page' : undefined}>
+              Todas
+            </Link>
+          </li>
+          {categories.map((category) => (
+            <li key={category.id}>
+              <Link
+                to={`/products/categoria/${category.slug}`}
+                className={linkClassName(category.slug === activeSlug)}
+                aria-current={category.slug === activeSlug ? 'page' : undefined}
+              >
+                {category.nombre}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      </nav>
+    </aside>
+  );
+};
+
+export default CategorySidebar;
@@ -8,6 +8,12 @@ import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 // Importación del store de Zustand para acceder al estado del carrito
 import { useCartStore } from '../store/useCartStore';
+// Store de favoritos para el contador del enlace a /favoritos
+import { useWishlistStore } from '../store/useWishlistStore';
+// Menú de la cuenta del usuario (Ingresar / nombre + cerrar sesión)
+import UserMenu from './UserMenu';
+// Buscador de productos con sugerencias
+import SearchBox from './SearchBox';
 
 // Definición del componente funcional Header
 const Header = () => {
@@ -23,6 +29,9 @@ const Header = () => {
   // Se re-ejecuta automáticamente cuando cambia el estado del carrito
   const totalItems = getTotalItems();
 
+  // Cantidad de productos guardados en favoritos
+  const favoritesCount = useWishlistStore((state) => state.items.length);
+
   // Renderizado del componente - JSX que define la estructura del header
   return (
     // Header fijo con fondo blanco, sombra y z-index alto para estar sobre otros elementos
@@ -74,8 +83,28 @@ const Header = () => {
           </ul>
         </nav>
 
-        {/* Sección del botón del carrito de compras */}
-        <div className="flex items-center">
+        {/* Buscador de productos - ocupa el espacio libre entre la navegación y el carrito */}
+        <div className="flex-1 flex justify-center px-4">
+          <SearchBox />
+        </div>
+
+        {/* Sección de la cuenta del usuario y del botón del carrito de compras */}
+        <div className="flex items-center space-x-2">
+          <UserMenu />
+          {/* Enlace a favoritos con contador */}
+          <Link
+            to="/favoritos"
+            className="relative flex items-center space-x-1 px-3 py-1.5 rounded-md text-sm font-medium text-gray-600 hover:text-red-500 transition-colors"
+            aria-label={`Favoritos (${favoritesCount})`}
+          >
+            <span className="text-base">♡</span>
+            {favoritesCount > 0 && (
+              <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs font-bold rounded-full w-4 h-4 flex items-center justify-center">
+                {favoritesCount}
+              </span>
+            )}
+            <span className="hidden sm:block">Favoritos</span>
+          </Link>
           <button 
             className="relative flex items-center space-x-1.5 bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors" 
             onClick={toggleCart} // Event handler que ejecuta la función toggleCart al hacer click
@@ -0,0 +1,61 @@
+// Componente LineChart - Gráfico de líneas en SVG sin dependencias externas
+// Recibe puntos { label, value } y dibuja la línea, el área debajo y los ejes básicos
+// Cada punto incluye un <title> para ver su valor al pasar el mouse
+import React from 'react';
+
+// Dimensiones internas del SVG (se escala al ancho del contenedor con viewBox)
+const WIDTH = 600;
+const HEIGHT = 240;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 16 };
+// Cantidad máxima de etiquetas en el eje X (el resto se omite para que no se superpongan)
+const MAX_X_LABELS = 8;
+
+const LineChart = ({ data, formatValue = String, title }) => {
+  if (data.length === 0) {
+    return <p className="text-sm text-gray-500 text-center py-8">No hay datos para el período elegido.</p>;
+  }
+
+  const maxValue = Math.max(...data.map((point) => point.value), 0) || 1;
+  const chartWidth = WIDTH - PADDING.left - PADDING.right;
+  const chartHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  // Posición de cada punto (un solo punto se dibuja centrado)
+  const points = data.map((point, index) => ({
+    ...point,
+    x: PADDING.left + (data.length === 1 ? chartWidth / 2 : (index / (data.length - 1)) * chartWidth),
+    y: PADDING.top + chartHeight - (point.value / maxValue) * chartHeight,
+  }));
+  const baseline = PADDING.top + chartHeight;
+  const linePath = points.map((point) => `${point.x},${point.y}`).join(' ');
+  const areaPath = `${points[0].x},${baseline} ${linePath} ${points[points.length - 1].x},${baseline}`;
+  const labelStep = Math.ceil(data.length / MAX_X_LABELS);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={title}>
+      {/* Línea base y máximo del eje Y */}
+      <line x1={PADDING.left} y1={baseline} x2={WIDTH - PADDING.right} y2={baseline} className="stroke-gray-300" />
+      <text x={PADDING.left} y={PADDING.top - 4} className="fill-gray-500 text-[10px]">
+        {formatValue(maxValue)}
+      </text>
+
+      {/* Área y línea */}
+      <polygon points={areaPath} className="fill-blue-100" />
+      <polyline points={linePath} fill="none" className="stroke-blue-600" strokeWidth="2" />
+
+      {points.map((point, index) => (
+        <g key={point.label}>
+          <circle cx={point.x} cy={point.y} r="3" className="fill-blue-600">
+            <title>{`${point.label}: ${formatValue(point.value)}`}</title>
+          </circle>
+          {index % labelStep === 0 && (
+            <text x={point.x} y={HEIGHT - 10} textAnchor="middle" className="fill-gray-500 text-[10px]">
+              {point.label}
+            </text>
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+export default LineChart;
@@ -0,0 +1,26 @@
+// Componente OrderStatusBadge - Etiqueta de color con el estado de una orden
+import React from 'react';
+import { ORDER_STATUS, ORDER_STATUS_LABELS } from '../services/api';
+
+// Colores de Tailwind para cada estado
+const STATUS_STYLES = {
+  [ORDER_STATUS.PENDIENTE]: 'bg-yellow-100 text-yellow-800',
+  [ORDER_STATUS.PAGADA]: 'bg-blue-100 text-blue-800',
+  [ORDER_STATUS.ENVIADA]: 'bg-indigo-100 text-indigo-800',
+  [ORDER_STATUS.ENTREGADA]: 'bg-green-100 text-green-800',
+  [ORDER_STATUS.CANCELADA]: 'bg-gray-200 text-gray-700',
+  [ORDER_STATUS.RECHAZADA]: 'bg-red-100 text-red-800',
+};
+
+const OrderStatusBadge = ({ status }) => {
+  // Las órdenes anteriores al ciclo de vida no tienen status: se consideran pendientes
+  const current = status || ORDER_STATUS.PENDIENTE;
+
+  return (
+    <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[current] || 'bg-gray-100 text-gray-700'}`}>
+      {ORDER_STATUS_LABELS[current] || current}
+    </span>
+  );
+};
+
+export default OrderStatusBadge;
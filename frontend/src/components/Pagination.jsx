@@ -0,0 +1,78 @@
+// Componente Pagination - Paginador con botones Anterior / Siguiente y números de página
+// Con muchas páginas muestra la primera, la última y las vecinas de la actual (el resto se resume con "…")
+import React from 'react';
+
+// Cantidad de páginas vecinas a la actual que se muestran a cada lado
+const SIBLINGS = 1;
+
+// Lista de páginas a mostrar; null representa un salto ("…")
+const getPageItems = (page, totalPages) => {
+  const items = [];
+  for (let current = 1; current <= totalPages; current++) {
+    const isEdge = current === 1 || current === totalPages;
+    const isNear = Math.abs(current - page) <= SIBLINGS;
+    if (isEdge || isNear) {
+      items.push(current);
+    } else if (items[items.length - 1] !== null) {
+      items.push(null);
+    }
+  }
+  return items;
+};
+
+// Props:
+// - page: página actual (desde 1)
+// - totalPages: cantidad total de páginas
+// - onPageChange: se llama con el número de página elegido
+const Pagination = ({ page, totalPages, onPageChange }) => {
+  if (totalPages <= 1) {
+    return null;
+  }
+
+  const buttonClass = 'min-w-8 px-2 py-1 rounded text-sm border transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <nav aria-label="Paginación" className="flex justify-center items-center gap-1 mt-6">
+      <button
+        type="button"
+        onClick={() => onPageChange(page - 1)}
+        disabled={page <= 1}
+        className={`${buttonClass} border-gray-300 text-gray-700 hover:bg-gray-100`}
+      >
+        Anterior
+      </button>
+
+      {getPageItems(page, totalPages).map((item, index) => (
+        item === null ? (
+          <span key={`gap-${index}`} className="px-1 text-gray-400" aria-hidden="true">…</span>
+        ) : (
+          <button
+            key={item}
+            type="button"
+            onClick={() => onPageChange(item)}
+            aria-label={`Página ${item}`}
+            aria-current={item === page ? 'page' : undefined}
+            className={`${buttonClass} ${
+              item === page
+                ? 'bg-blue-600 border-blue-600 text-white'
+                : 'border-gray-300 text-gray-700 hover:bg-gray-100'
+            }`}
+          >
+            {item}
+          </button>
+        )
+      ))}
+
+      <button
+        type="button"
+        onClick={() => onPageChange(page + 1)}
+        disabled={page >= totalPages}
+        className={`${buttonClass} border-gray-300 text-gray-700 hover:bg-gray-100`}
+      >
+        Siguiente
+      </button>
+    </nav>
+  );
+};
+
+export default Pagination;
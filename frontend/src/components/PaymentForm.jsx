@@ -0,0 +1,115 @@
+// Componente PaymentForm - Formulario de pago en línea según el proveedor de pagos de la orden
+// Cada proveedor aporta su propio formulario (el sandbox pide una tarjeta de prueba); el checkout solo
+// conoce este componente, así que sumar otro proveedor (ej: Mercado Pago) es agregar su formulario
+// en PROVIDER_FORMS. El resultado del pago lo decide el backend con la notificación del proveedor
+import React, { useState } from 'react';
+import { paymentsAPI } from '../services/api';
+
+// Campos de la tarjeta del sandbox
+const CARD_FIELDS = [
+  { name: 'numero', label: 'Número de tarjeta', autoComplete: 'cc-number', inputMode: 'numeric' },
+  { name: 'titular', label: 'Nombre del titular', autoComplete: 'cc-name' },
+  { name: 'vencimiento', label: 'Vencimiento (MM/AA)', autoComplete: 'cc-exp', placeholder: 'MM/AA' },
+  { name: 'cvv', label: 'Código de seguridad', autoComplete: 'cc-csc', inputMode: 'numeric' },
+];
+
+const EMPTY_CARD = { numero: '', titular: '', vencimiento: '', cvv: '' };
+
+// Formulario del proveedor sandbox: el titular elige el resultado simulado
+const SandboxCardForm = ({ intent, onResult }) => {
+  const [card, setCard] = useState(EMPTY_CARD);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [paying, setPaying] = useState(false);
+
+  const handleChange = (e) => {
+    setCard({ ...card, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFieldErrors({});
+    setError(null);
+    setPaying(true);
+    try {
+      const payment = await paymentsAPI.confirm(intent.id, { tarjeta: card });
+      onResult(payment);
+    } catch (err) {
+      console.error('Error en el pago:', err);
+      if (err.status === 422 && err.details?.length > 0) {
+        // Errores por campo: "tarjeta.numero" → "numero"
+        setFieldErrors(Object.fromEntries(err.details.map((detail) => [detail.field.replace('tarjeta.', ''), detail.message])));
+      } else {
+        setError(err.serverMessage || 'No pudimos procesar el pago. Inténtalo nuevamente.');
+      }
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg border p-4 space-y-3" noValidate>
+      <p className="text-xs bg-yellow-50 border border-yellow-200 text-yellow-800 rounded p-2">
+        Modo de prueba: usa la tarjeta 4509 9535 6623 3704 y como titular APRO (aprobado), OTHE (rechazado)
+        o CONT (pendiente).
+      </p>
+
+      {error && (
+        <p role="alert" className="text-sm text-red-600">{error}</p>
+      )}
+
+      {CARD_FIELDS.map((field) => (
+        <div key={field.name}>
+          <label htmlFor={`card-${field.name}`} className="block text-sm font-medium text-gray-700 mb-1">
+            {field.label}
+          </label>
+          <input
+            id={`card-${field.name}`}
+            name={field.name}
+            type="text"
+            inputMode={field.inputMode}
+            autoComplete={field.autoComplete}
+            placeholder={field.placeholder}
+            value={card[field.name]}
+            onChange={handleChange}
+            aria-invalid={Boolean(fieldErrors[field.name])}
+            className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+          />
+          {fieldErrors[field.name] && <p className="text-xs text-red-600 mt-1">{fieldErrors[field.name]}</p>}
+        </div>
+      ))}
+
+      <button
+        type="submit"
+        disabled={paying}
+        className="w-full bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2 px-4 rounded transition-colors disabled:opacity-60"
+      >
+        {paying ? 'Procesando pago...' : 'Pagar'}
+      </button>
+    </form>
+  );
+};
+
+// Formulario de cada proveedor de pagos (el campo "proveedor" del pago creado por el backend)
+const PROVIDER_FORMS = {
+  sandbox: SandboxCardForm,
+};
+
+// Props:
+// - intent: pago creado con paymentsAPI.createIntent ({ id, proveedor, estado, monto, moneda })
+// - onResult: recibe el pago con su estado final (aprobado, rechazado o pendiente de revisión)
+const PaymentForm = ({ intent, onResult }) => {
+  const ProviderForm = PROVIDER_FORMS[intent.proveedor];
+
+  if (!ProviderForm) {
+    return (
+      <p role="alert" className="text-sm text-red-600">
+        El medio de pago no está disponible en este momento.
+      </p>
+    );
+  }
+
+  return <ProviderForm intent={intent} onResult={onResult} />;
+};
+
+export default PaymentForm;
@@ -4,15 +4,40 @@
 
 // Importación de React (biblioteca principal para crear componentes)
 import React from 'react';
+// Link para abrir el detalle del producto sin recargar la página
+import { Link } from 'react-router-dom';
 // Importación del store de Zustand para acceder a las funciones del carrito
 import { useCartStore } from '../store/useCartStore';
+// Store de favoritos para el botón del corazón
+import { useWishlistStore } from '../store/useWishlistStore';
+// Estrellas del promedio de reseñas
+import StarRating from './StarRating';
+// Alícuota de IVA del producto para mostrar el precio sin impuestos nacionales
+import { getIvaRate, netPrice } from '../services/taxes';
+
+// A partir de esta cantidad se avisa al usuario que quedan pocas unidades
+const LOW_STOCK_THRESHOLD = 5;
 
 // Definición del componente funcional que recibe 'product' como prop via destructuring
-const ProductCard = ({ product }) => {
+// 'rating' es opcional: { promedio, cantidad } de las reseñas del producto (lo carga el listado)
+const ProductCard = ({ product, rating }) => {
   // Extracción selectiva de solo la función addItem del store de Zustand
   // Esto es más eficiente que extraer todo el store ya que solo necesitamos esta función
   // useCartStore((state) => state.addItem) es un selector que retorna solo addItem
   const addItem = useCartStore((state) => state.addItem);
+  // Cantidad de este producto que ya está en el carrito (para no superar el stock)
+  const cartQuantity = useCartStore(
+    (state) => state.items.find((item) => item.producto.id === product.id)?.cantidad ?? 0
+  );
+  // Favoritos: si el producto está guardado y la acción para agregarlo o quitarlo
+  const isFavorite = useWishlistStore((state) => state.items.some((item) => item.id === product.id));
+  const toggleFavorite = useWishlistStore((state) => state.toggleItem);
+
+  // Estado de inventario del producto (sin campo stock = sin límite)
+  const hasStockLimit = typeof product.stock === 'number';
+  const isOutOfStock = hasStockLimit && product.stock <= 0;
+  const isLowStock = hasStockLimit && !isOutOfStock && product.stock <= LOW_STOCK_THRESHOLD;
+  const reachedStockLimit = hasStockLimit && !isOutOfStock && cartQuantity >= product.stock;
 
   // Event handler para manejar el click del botón "Agregar al Carrito"
   // Se ejecuta cuando el usuario hace click en el botón
@@ -33,40 +58,81 @@ const ProductCard = ({ product }) => {
   return (
     // Tarjeta con hover effect sutil y bordes redondeados
     <div className="bg-white rounded-lg border border-gray-200 hover:shadow-lg transition-all duration-300 hover:-translate-y-1 overflow-hidden">
-      {/* Contenedor de la imagen del producto con overflow hidden */}
-      <div className="relative h-40 overflow-hidden">
-        <img 
-          src={product.imagen} 
-          alt={product.nombre}
-          loading="lazy" // Optimización para carga perezosa
-          className="w-full h-full object-cover"
-          onError={(e) => {
-            // Imagen fallback en caso de error
-            e.target.src = 'https://via.placeholder.com/300x200?text=No+Image';
-          }}
-        />
+      {/* Contenedor de la imagen del producto con overflow hidden - enlaza al detalle */}
+      <div className="relative">
+        <Link to={`/products/${product.id}`} className="block relative h-40 overflow-hidden" tabIndex={-1} aria-hidden="true">
+          <img 
+            src={product.imagen} 
+            alt={product.nombre}
+            loading="lazy" // Optimización para carga perezosa
+            className="w-full h-full object-cover"
+            onError={(e) => {
+              // Imagen fallback en caso de error
+              e.target.src = 'https://via.placeholder.com/300x200?text=No+Image';
+            }}
+          />
+          {/* Indicador de inventario sobre la imagen */}
+          {isOutOfStock && (
+            <span className="absolute top-2 left-2 bg-gray-800 text-white text-xs font-semibold px-2 py-1 rounded">
+              Sin stock
+            </span>
+          )}
+          {isLowStock && (
+            <span className="absolute top-2 left-2 bg-orange-500 text-white text-xs font-semibold px-2 py-1 rounded">
+              {product.stock === 1 ? 'Última unidad' : `Últimas ${product.stock} unidades`}
+            </span>
+          )}
+        </Link>
+        {/* Botón de favoritos sobre la imagen (fuera del enlace para no abrir el detalle) */}
+        <button
+          type="button"
+          onClick={() => toggleFavorite(product)}
+          aria-pressed={isFavorite}
+          aria-label={isFavorite ? `Quitar ${product.nombre} de favoritos` : `Agregar ${product.nombre} a favoritos`}
+          className={`absolute top-2 right-2 w-8 h-8 flex items-center justify-center rounded-full bg-white/90 shadow text-lg transition-colors ${
+            isFavorite ? 'text-red-500' : 'text-gray-400 hover:text-red-500'
+          }`}
+        >
+          {isFavorite ? '♥' : '♡'}
+        </button>
       </div>
       
       {/* Información del producto con padding */}
       <div className="p-4 space-y-2">
-        {/* Nombre del producto */}
-        <h3 className="text-sm font-semibold text-gray-900 line-clamp-2 leading-tight">{product.nombre}</h3>
-        
+        {/* Nombre del producto - enlaza al detalle (la imagen repite el enlace solo para el mouse) */}
+        <h3 className="text-sm font-semibold text-gray-900 line-clamp-2 leading-tight">
+          <Link to={`/products/${product.id}`} className="hover:text-blue-600">{product.nombre}</Link>
+        </h3>
+
+        {/* Promedio de reseñas (solo si el producto tiene alguna) */}
+        {rating?.cantidad > 0 && (
+          <div className="flex items-center gap-1">
+            <StarRating value={rating.promedio} size="text-sm" />
+            <span className="text-xs text-gray-500">({rating.cantidad})</span>
+          </div>
+        )}
+
         {/* Descripción con line-clamp para truncar texto largo */}
         <p className="text-xs text-gray-500 line-clamp-2">{product.descripcion}</p>
         
-        {/* Precio destacado */}
-        <div className="text-lg font-bold text-blue-600">{formatPrice(product.precio)}</div>
+        {/* Precio destacado y precio sin impuestos nacionales (Régimen de Transparencia Fiscal al Consumidor) */}
+        <div>
+          <div className="text-lg font-bold text-blue-600">{formatPrice(product.precio)}</div>
+          <p className="text-xs text-gray-500">
+            Precio sin impuestos nacionales: {formatPrice(netPrice(product.precio, getIvaRate(product)))}
+          </p>
+        </div>
       </div>
       
       {/* Botón para agregar al carrito */}
       <div className="p-4 pt-0">
         <button 
-          className="w-full bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2.5 px-4 rounded-lg transition-colors transform hover:scale-105 active:scale-95"
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2.5 px-4 rounded-lg transition-colors transform hover:scale-105 active:scale-95 disabled:bg-gray-300 disabled:text-gray-600 disabled:cursor-not-allowed disabled:transform-none"
           onClick={handleAddToCart}
+          disabled={isOutOfStock || reachedStockLimit} // No permitir superar el stock disponible
           aria-label={`Agregar ${product.nombre} al carrito`}
         >
-          Agregar al Carrito
+          {isOutOfStock ? 'Sin stock' : reachedStockLimit ? 'Máximo en el carrito' : 'Agregar al Carrito'}
         </button>
       </div>
     </div>
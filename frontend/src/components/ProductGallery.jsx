@@ -0,0 +1,86 @@
+// Componente ProductGallery - Galería de imágenes del detalle de producto
+// Muestra la imagen principal en grande con zoom (click para ampliar; el zoom sigue al puntero)
+// y miniaturas para cambiar de imagen cuando el producto tiene más de una
+import React, { useState } from 'react';
+
+// Imagen de reemplazo si una URL no carga (la misma que usa ProductCard)
+const FALLBACK_IMAGE = 'https://via.placeholder.com/300x200?text=No+Image';
+// Aumento de la imagen al hacer zoom
+const ZOOM_SCALE = 2;
+
+// Props:
+// - images: URLs de las imágenes (la primera es la principal)
+// - alt: texto alternativo base (el nombre del producto)
+const ProductGallery = ({ images, alt }) => {
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [zoomed, setZoomed] = useState(false);
+  // Punto de la imagen (en %) que queda fijo al ampliar
+  const [origin, setOrigin] = useState('50% 50%');
+
+  const selectedImage = images[selectedIndex] ?? images[0];
+
+  const handleSelect = (index) => {
+    setSelectedIndex(index);
+    setZoomed(false);
+  };
+
+  // Ubicar el zoom en la posición del puntero
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    if (!rect.width || !rect.height) {
+      return;
+    }
+    const x = ((e.clientX - rect.left) / rect.width) * 100;
+    const y = ((e.clientY - rect.top) / rect.height) * 100;
+    setOrigin(`${x}% ${y}%`);
+  };
+
+  return (
+    <div className="space-y-3">
+      {/* Imagen principal: un click amplía y otro vuelve al tamaño normal */}
+      <button
+        type="button"
+        onClick={() => setZoomed(!zoomed)}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setZoomed(false)}
+        aria-label={zoomed ? 'Reducir imagen' : 'Ampliar imagen'}
+        aria-pressed={zoomed}
+        className={`block w-full aspect-square bg-white border rounded-lg overflow-hidden ${
+          zoomed ? 'cursor-zoom-out' : 'cursor-zoom-in'
+        }`}
+      >
+        <img
+          src={selectedImage}
+          alt={alt}
+          className="w-full h-full object-contain transition-transform duration-200"
+          style={{ transform: zoomed ? `scale(${ZOOM_SCALE})` : 'none', transformOrigin: origin }}
+          onError={(e) => {
+            e.target.src = FALLBACK_IMAGE;
+          }}
+        />
+      </button>
+
+      {/* Miniaturas (solo si hay más de una imagen) */}
+      {images.length > 1 && (
+        <div className="flex gap-2">
+          {images.map((image, index) => (
+            <button
+              key={image}
+              type="button"
+              onClick={() => handleSelect(index)}
+              aria-label={`Ver imagen ${index + 1}`}
+              aria-pressed={index === selectedIndex}
+              className={`w-16 h-16 border rounded overflow-hidden ${
+                index === selectedIndex ? 'border-blue-600 ring-2 ring-blue-600' : 'border-gray-200 hover:border-gray-400'
+              }`}
+            >
+              <img src={image} alt="" className="w-full h-full object-cover" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductGallery;
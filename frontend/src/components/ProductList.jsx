@@ -1,35 +1,114 @@
 // Componente ProductList - Lista de productos obtenidos del JSON Server
 // Maneja el estado de carga, errores y renderiza las tarjetas de productos
+// junto a la barra lateral de categorías
+// El filtro por categoría, el orden y la paginación los resuelve el servidor; la página y el
+// orden llegan por props (la página Products los guarda en la URL)
 import React, { useState, useEffect } from 'react';
-import { productsAPI } from '../services/api';
+import { Link } from 'react-router-dom';
+import { productsAPI, reviewsAPI, PRODUCT_SORT_OPTIONS, DEFAULT_PRODUCT_SORT } from '../services/api';
 import ProductCard from './ProductCard';
+import CategorySidebar from './CategorySidebar';
+import Pagination from './Pagination';
 
-const ProductList = () => {
+// Una página de productos de la categoría indicada (o de todo el catálogo) en el orden elegido
+const fetchProducts = (categorySlug, page, sort) => {
+  const { sort: field, order } = PRODUCT_SORT_OPTIONS[sort] ?? PRODUCT_SORT_OPTIONS[DEFAULT_PRODUCT_SORT];
+  return productsAPI.list({ page, sort: field, order, category: categorySlug ?? undefined });
+};
+
+// Props:
+// - categorySlug: slug de la categoría a mostrar (de la ruta /products/categoria/:slug) o null
+// - page: página a mostrar (desde 1)
+// - sort: clave de PRODUCT_SORT_OPTIONS
+// - onPageChange / onSortChange: se llaman cuando el usuario cambia de página u orden
+const ProductList = ({
+  categorySlug = null,
+  page = 1,
+  sort = DEFAULT_PRODUCT_SORT,
+  onPageChange,
+  onSortChange,
+}) => {
   // Estados para manejar los productos y el estado de la petición
   const [products, setProducts] = useState([]);
+  // Total de productos (de todas las páginas) y cantidad de páginas
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // La categoría pedida no existe (el servidor respondió 404)
+  const [categoryNotFound, setCategoryNotFound] = useState(false);
+  // Promedio de reseñas de los productos de la página: { [productId]: { promedio, cantidad } }
+  const [ratings, setRatings] = useState({});
+
+  // Guarda el resultado de una página en el estado
+  const applyResult = (result) => {
+    setProducts(result.items);
+    setTotal(result.total);
+    setTotalPages(result.totalPages);
+  };
 
   // Hook useEffect para cargar los productos al montar el componente
   useEffect(() => {
+    // Si la categoría, la página o el orden cambian antes de que llegue la respuesta, se descarta
+    let ignore = false;
+
     const loadProducts = async () => {
       try {
         setLoading(true);
         setError(null);
+        setCategoryNotFound(false);
         
-        // Petición a la API para obtener todos los productos
-        const data = await productsAPI.getAll();
-        setProducts(data);
+        // Petición a la API para obtener la página de productos (de la categoría, si hay una)
+        const result = await fetchProducts(categorySlug, page, sort);
+        if (!ignore) {
+          applyResult(result);
+        }
       } catch (err) {
+        if (ignore) {
+          return;
+        }
         console.error('Error loading products:', err);
-        setError('Error al cargar los productos. Verifica que el servidor esté ejecutándose.');
+        if (categorySlug && err.status === 404) {
+          setCategoryNotFound(true);
+        } else {
+          setError('Error al cargar los productos. Verifica que el servidor esté ejecutándose.');
+        }
       } finally {
-        setLoading(false);
+        if (!ignore) {
+          setLoading(false);
+        }
       }
     };
 
     loadProducts();
-  }, []); // Array vacío significa que solo se ejecuta al montar
+    return () => {
+      ignore = true;
+    };
+  }, [categorySlug, page, sort]); // Se ejecuta al montar y cada vez que cambia la categoría, la página o el orden
+
+  // Cargar el promedio de reseñas de la página visible; si falla, las tarjetas se muestran sin estrellas
+  useEffect(() => {
+    if (products.length === 0) {
+      return undefined;
+    }
+    let ignore = false;
+
+    const loadRatings = async () => {
+      try {
+        const summary = await reviewsAPI.getSummary(products.map((product) => product.id));
+        if (!ignore) {
+          setRatings(summary);
+        }
+      } catch (err) {
+        console.error('Error loading ratings:', err);
+      }
+    };
+
+    loadRatings();
+    return () => {
+      ignore = true;
+    };
+  }, [products]);
 
   // Función para reintentar la carga de productos
   const handleRetry = () => {
@@ -39,8 +118,7 @@ const ProductList = () => {
     setTimeout(() => {
       const loadProducts = async () => {
         try {
-          const data = await productsAPI.getAll();
-          setProducts(data);
+          applyResult(await fetchProducts(categorySlug, page, sort));
         } catch (err) {
           setError('Error al cargar los productos. Verifica que el servidor esté ejecutándose.');
         } finally {
@@ -51,9 +129,17 @@ const ProductList = () => {
     }, 500);
   };
 
+  // Cada estado se muestra junto a la barra lateral de categorías
+  const withSidebar = (content) => (
+    <div className="flex flex-col md:flex-row gap-4">
+      <CategorySidebar activeSlug={categorySlug} />
+      <div className="flex-1 min-w-0">{content}</div>
+    </div>
+  );
+
   // Renderizado condicional basado en el estado
   if (loading) {
-    return (
+    return withSidebar(
       <div className="flex flex-col items-center justify-center py-8 space-y-3">
         {/* Spinner animado con Tailwind */}
         <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
@@ -62,8 +148,20 @@ const ProductList = () => {
     );
   }
 
+  if (categoryNotFound) {
+    return withSidebar(
+      <div className="text-center py-8 space-y-3">
+        <h3 className="text-lg font-semibold text-gray-800">Categoría no encontrada</h3>
+        <p className="text-sm text-gray-600">La categoría que buscas no existe.</p>
+        <Link to="/products" className="inline-block text-sm text-blue-600 hover:underline">
+          Ver todos los productos
+        </Link>
+      </div>
+    );
+  }
+
   if (error) {
-    return (
+    return withSidebar(
       <div className="max-w-md mx-auto bg-red-50 border border-red-200 rounded-lg p-4 text-center space-y-3">
         <h3 className="text-base font-semibold text-red-800">¡Ups! Algo salió mal</h3>
         <p className="text-sm text-red-600">{error}</p>
@@ -82,11 +180,30 @@ const ProductList = () => {
     );
   }
 
+  // La página pedida quedó fuera de rango (ej: un enlace viejo a ?page=9)
+  if (products.length === 0 && total > 0) {
+    return withSidebar(
+      <div className="text-center py-8 space-y-3">
+        <h3 className="text-lg font-semibold text-gray-800">Esta página no tiene productos</h3>
+        <button
+          onClick={() => onPageChange?.(1)}
+          className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
+        >
+          Ir a la primera página
+        </button>
+      </div>
+    );
+  }
+
   if (products.length === 0) {
-    return (
+    return withSidebar(
       <div className="text-center py-8 space-y-3">
         <h3 className="text-lg font-semibold text-gray-800">No hay productos disponibles</h3>
-        <p className="text-sm text-gray-600">Parece que no hay productos en la tienda en este momento.</p>
+        <p className="text-sm text-gray-600">
+          {categorySlug
+            ? 'Todavía no hay productos en esta categoría.'
+            : 'Parece que no hay productos en la tienda en este momento.'}
+        </p>
         <button 
           onClick={handleRetry} 
           className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
@@ -98,17 +215,41 @@ const ProductList = () => {
   }
 
   // Renderizado principal con la lista de productos
-  return (
+  return withSidebar(
     <div>
+      {/* Barra superior: cantidad de productos y selector de orden */}
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <p className="text-sm text-gray-600">
+          {total === 1 ? '1 producto' : `${total} productos`}
+        </p>
+        <div className="flex items-center gap-2">
+          <label htmlFor="product-sort" className="text-sm text-gray-600">Ordenar por</label>
+          <select
+            id="product-sort"
+            value={PRODUCT_SORT_OPTIONS[sort] ? sort : DEFAULT_PRODUCT_SORT}
+            onChange={(e) => onSortChange?.(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+          >
+            {Object.entries(PRODUCT_SORT_OPTIONS).map(([value, option]) => (
+              <option key={value} value={value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
       {/* Grid responsivo de productos usando CSS Grid */}
       <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-4">
         {products.map((product) => (
           <ProductCard 
             key={product.id} 
             product={product} 
+            rating={ratings[product.id]}
           />
         ))}
       </div>
+
+      {/* Paginador (solo si hay más de una página) */}
+      <Pagination page={page} totalPages={totalPages} onPageChange={(next) => onPageChange?.(next)} />
     </div>
   );
 };
@@ -0,0 +1,256 @@
+// Componente ProductReviews - Reseñas de un producto en su página de detalle
+// Muestra el promedio de puntuación, las reseñas visibles (ordenadas y paginadas en el servidor)
+// y el formulario para opinar. Solo los compradores verificados pueden publicar: el backend
+// responde 403 si el usuario no compró el producto y 409 si ya publicó una reseña
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { reviewsAPI, REVIEW_SORT_OPTIONS, DEFAULT_REVIEW_SORT } from '../services/api';
+import { useAuthStore, getLoginPath } from '../store/useAuthStore';
+import StarRating from './StarRating';
+import Pagination from './Pagination';
+
+const EMPTY_FORM = { rating: 0, titulo: '', texto: '' };
+
+// Formatea fechas ISO como fecha local
+const formatDate = (date) => {
+  return new Intl.DateTimeFormat('es-AR', { dateStyle: 'medium' }).format(new Date(date));
+};
+
+// Validación del formulario en el cliente (el backend vuelve a validar)
+const validateForm = (form) => {
+  const errors = {};
+  if (form.rating < 1) errors.rating = 'Elige una puntuación de 1 a 5 estrellas';
+  if (!form.titulo.trim()) errors.titulo = 'El título es obligatorio';
+  if (!form.texto.trim()) errors.texto = 'Escribe tu opinión sobre el producto';
+  return errors;
+};
+
+// Props:
+// - productId: ID del producto cuyas reseñas se muestran
+const ProductReviews = ({ productId }) => {
+  const user = useAuthStore((state) => state.user);
+
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState({ promedio: 0, cantidad: 0 });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [sort, setSort] = useState(DEFAULT_REVIEW_SORT);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Estado del formulario
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [submitError, setSubmitError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [published, setPublished] = useState(false);
+
+  // Carga la página de reseñas y el promedio del producto
+  const loadReviews = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const { sort: field, order } = REVIEW_SORT_OPTIONS[sort];
+      const [result, summaries] = await Promise.all([
+        reviewsAPI.getByProduct(productId, { page, sort: field, order }),
+        reviewsAPI.getSummary([productId]),
+      ]);
+      setReviews(result.items);
+      setTotalPages(result.totalPages);
+      setSummary(summaries[productId] ?? { promedio: 0, cantidad: 0 });
+    } catch (err) {
+      console.error(`Error loading reviews of product ${productId}:`, err);
+      setError('No se pudieron cargar las reseñas.');
+    } finally {
+      setLoading(false);
+    }
+  }, [productId, page, sort]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const handleSortChange = (e) => {
+    setSort(e.target.value);
+    setPage(1);
+  };
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const errors = validateForm(form);
+    setFieldErrors(errors);
+    setSubmitError(null);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await reviewsAPI.create(productId, {
+        rating: form.rating,
+        titulo: form.titulo.trim(),
+        texto: form.texto.trim(),
+      });
+      setForm(EMPTY_FORM);
+      setPublished(true);
+      // La reseña nueva es la más reciente: mostrarla en la primera página
+      if (page === 1 && sort === DEFAULT_REVIEW_SORT) {
+        loadReviews();
+      } else {
+        setPage(1);
+        setSort(DEFAULT_REVIEW_SORT);
+      }
+    } catch (err) {
+      if (err.status === 422 && err.details.length > 0) {
+        setFieldErrors(Object.fromEntries(err.details.map((detail) => [detail.field, detail.message])));
+      } else if (err.status === 403 || err.status === 409) {
+        // No compró el producto o ya lo reseñó: el servidor explica el motivo
+        setSubmitError(err.serverMessage || 'No puedes publicar una reseña de este producto.');
+      } else {
+        setSubmitError('No se pudo publicar la reseña. Inténtalo nuevamente.');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClassName = 'w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600';
+
+  return (
+    <section aria-labelledby="reviews-title" className="bg-white border rounded-lg p-4 space-y-4">
+      {/* Encabezado con el promedio y el selector de orden */}
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <h3 id="reviews-title" className="text-lg font-bold text-gray-900">Reseñas</h3>
+          {summary.cantidad > 0 && (
+            <>
+              <StarRating value={summary.promedio} />
+              <span className="text-sm text-gray-600">
+                {summary.cantidad === 1 ? '1 reseña' : `${summary.cantidad} reseñas`}
+              </span>
+            </>
+          )}
+        </div>
+        {summary.cantidad > 1 && (
+          <div className="flex items-center gap-2">
+            <label htmlFor="review-sort" className="text-sm text-gray-600">Ordenar reseñas</label>
+            <select
+              id="review-sort"
+              value={sort}
+              onChange={handleSortChange}
+              className="border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+            >
+              {Object.entries(REVIEW_SORT_OPTIONS).map(([value, option]) => (
+                <option key={value} value={value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {/* Listado de reseñas */}
+      {loading ? (
+        <p className="text-sm text-gray-600">Cargando reseñas...</p>
+      ) : error ? (
+        <p role="alert" className="text-sm text-red-600">{error}</p>
+      ) : reviews.length === 0 ? (
+        <p className="text-sm text-gray-600">Todavía no hay reseñas de este producto.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {reviews.map((review) => (
+            <li key={review.id} className="py-3 space-y-1">
+              <div className="flex items-center gap-2">
+                <StarRating value={review.rating} size="text-sm" />
+                <h4 className="text-sm font-semibold text-gray-900">{review.titulo}</h4>
+              </div>
+              <p className="text-xs text-gray-500">
+                {review.autor} · {formatDate(review.fecha)} · Compra verificada
+              </p>
+              <p className="text-sm text-gray-700 whitespace-pre-line">{review.texto}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <Pagination page={page} totalPages={totalPages} onPageChange={setPage} />
+
+      {/* Formulario para opinar (requiere sesión) */}
+      {!user ? (
+        <p className="text-sm text-gray-600">
+          <Link to={getLoginPath(`/products/${productId}`)} className="text-blue-600 hover:underline">
+            Inicia sesión
+          </Link>{' '}
+          para opinar sobre este producto.
+        </p>
+      ) : published ? (
+        <p role="status" className="text-sm text-green-700">¡Gracias! Tu reseña fue publicada.</p>
+      ) : (
+        <form onSubmit={handleSubmit} noValidate className="border-t pt-4 space-y-3">
+          <h4 className="text-sm font-semibold text-gray-900">Escribe una reseña</h4>
+
+          <fieldset>
+            <legend className="block text-sm font-medium text-gray-700 mb-1">Puntuación</legend>
+            <div className="flex gap-1">
+              {[1, 2, 3, 4, 5].map((value) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setForm({ ...form, rating: value })}
+                  aria-pressed={form.rating === value}
+                  aria-label={value === 1 ? '1 estrella' : `${value} estrellas`}
+                  className={`text-2xl leading-none ${value <= form.rating ? 'text-yellow-400' : 'text-gray-300'} hover:text-yellow-500`}
+                >
+                  ★
+                </button>
+              ))}
+            </div>
+            {fieldErrors.rating && <p className="text-xs text-red-600 mt-1">{fieldErrors.rating}</p>}
+          </fieldset>
+
+          <div>
+            <label htmlFor="review-titulo" className="block text-sm font-medium text-gray-700 mb-1">Título</label>
+            <input
+              id="review-titulo"
+              name="titulo"
+              maxLength={100}
+              value={form.titulo}
+              onChange={handleChange}
+              className={inputClassName}
+            />
+            {fieldErrors.titulo && <p className="text-xs text-red-600 mt-1">{fieldErrors.titulo}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="review-texto" className="block text-sm font-medium text-gray-700 mb-1">Tu opinión</label>
+            <textarea
+              id="review-texto"
+              name="texto"
+              rows={4}
+              maxLength={2000}
+              value={form.texto}
+              onChange={handleChange}
+              className={inputClassName}
+            />
+            {fieldErrors.texto && <p className="text-xs text-red-600 mt-1">{fieldErrors.texto}</p>}
+          </div>
+
+          {submitError && <p role="alert" className="text-sm text-red-600">{submitError}</p>}
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2 px-4 rounded-lg transition-colors disabled:bg-gray-300"
+          >
+            {submitting ? 'Publicando...' : 'Publicar reseña'}
+          </button>
+        </form>
+      )}
+    </section>
+  );
+};
+
+export default ProductReviews;
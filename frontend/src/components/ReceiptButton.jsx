@@ -0,0 +1,48 @@
+// Componente ReceiptButton - Descarga el comprobante de compra de una orden en PDF
+// El backend arma el PDF y la ruta requiere sesión, así que el archivo se pide con el token
+// (ordersAPI.downloadReceipt) y se descarga desde una URL temporal del navegador
+import React, { useState } from 'react';
+import { ordersAPI } from '../services/api';
+
+// Nombre del archivo descargado (el mismo que sugiere el servidor)
+const receiptFilename = (orderId) => `gamehub-orden-${orderId}.pdf`;
+
+// Props:
+// - orderId: ID de la orden
+// - className: clases del botón (opcional, para adaptarlo a cada vista)
+const ReceiptButton = ({ orderId, className = 'text-sm font-medium text-blue-600 hover:underline disabled:opacity-50' }) => {
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDownload = async () => {
+    setError(null);
+    setDownloading(true);
+    try {
+      const pdf = await ordersAPI.downloadReceipt(orderId);
+      const url = URL.createObjectURL(pdf);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = receiptFilename(orderId);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error al descargar el comprobante:', err);
+      setError(err.serverMessage || 'No pudimos descargar el comprobante. Inténtalo nuevamente.');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <span className="inline-flex flex-col items-center">
+      <button type="button" onClick={handleDownload} disabled={downloading} className={className}>
+        {downloading ? 'Descargando...' : 'Descargar comprobante'}
+      </button>
+      {error && <span role="alert" className="text-xs text-red-600 mt-1">{error}</span>}
+    </span>
+  );
+};
+
+export default ReceiptButton;
@@ -0,0 +1,61 @@
+// Componente ReorderButton - "Volver a comprar" una orden anterior
+// Agrega al carrito los mismos productos con sus precios actuales (useCartStore.reorder), abre el carrito
+// y avisa qué productos ya no están disponibles o solo se pudieron agregar en parte
+import React, { useState } from 'react';
+import { useCartStore } from '../store/useCartStore';
+
+// Props:
+// - lines: líneas de la orden ({ id, nombre, cantidad })
+// - className: clases del botón (opcional, para adaptarlo a cada vista)
+const ReorderButton = ({ lines, className = 'bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-1.5 px-3 rounded transition-colors disabled:opacity-60' }) => {
+  const reorder = useCartStore((state) => state.reorder);
+  const openCart = useCartStore((state) => state.openCart);
+
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState(null);
+  // Resultado del último intento: { added, unavailable }
+  const [result, setResult] = useState(null);
+
+  const handleReorder = async () => {
+    setError(null);
+    setResult(null);
+    setAdding(true);
+    try {
+      const outcome = await reorder(lines);
+      setResult(outcome);
+      if (outcome.added > 0) {
+        openCart();
+      }
+    } catch (err) {
+      console.error('Error al volver a comprar:', err);
+      setError('No pudimos consultar los productos. Inténtalo nuevamente.');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <button type="button" onClick={handleReorder} disabled={adding} className={className}>
+        {adding ? 'Agregando...' : 'Volver a comprar'}
+      </button>
+      {error && <p role="alert" className="text-xs text-red-600">{error}</p>}
+      {result && result.unavailable.length > 0 && (
+        <div role="alert" className="bg-yellow-50 border border-yellow-200 text-sm text-yellow-800 rounded p-3">
+          <p className="font-medium">
+            {result.added > 0
+              ? 'Agregamos al carrito los productos disponibles. Revisa los siguientes:'
+              : 'Ninguno de los productos de esta orden está disponible ahora:'}
+          </p>
+          <ul className="list-disc list-inside">
+            {result.unavailable.map((item) => (
+              <li key={item.nombre}>{item.nombre}: {item.motivo}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReorderButton;
@@ -0,0 +1,160 @@
+// Componente SearchBox - Buscador de productos del header con sugerencias
+// Mientras el usuario escribe muestra hasta SUGGESTIONS_LIMIT productos (con una espera para no
+// consultar en cada tecla); Enter abre la página de resultados /buscar?q=
+// La búsqueda la resuelve el servidor: ignora acentos y mayúsculas y tolera errores de tipeo
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { productsAPI } from '../services/api';
+
+// Espera (ms) desde la última tecla antes de pedir sugerencias
+const DEBOUNCE_MS = 300;
+// Largo mínimo del texto para pedir sugerencias
+const MIN_QUERY_LENGTH = 2;
+// Cantidad máxima de sugerencias
+const SUGGESTIONS_LIMIT = 5;
+
+const SearchBox = () => {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  // Sugerencia resaltada con las flechas (-1 = ninguna)
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // Pedir sugerencias cuando el usuario deja de escribir
+  // Cada cambio cancela la búsqueda anterior para que una respuesta vieja no pise a la nueva
+  useEffect(() => {
+    const text = query.trim();
+    if (text.length < MIN_QUERY_LENGTH) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const results = await productsAPI.search(text, { limit: SUGGESTIONS_LIMIT, signal: controller.signal });
+        setSuggestions(results);
+        setActiveIndex(-1);
+      } catch (err) {
+        // Sin sugerencias si la búsqueda falla; la página de resultados mostrará el error
+        if (err.name !== 'AbortError') {
+          setSuggestions([]);
+        }
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query]);
+
+  // Ir a la página de resultados y cerrar las sugerencias
+  const goToResults = (text) => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+    navigate(`/buscar?q=${encodeURIComponent(text)}`);
+  };
+
+  const handleChange = (e) => {
+    setQuery(e.target.value);
+    setIsOpen(true);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const text = query.trim();
+    if (!text) {
+      return;
+    }
+    // Con una sugerencia resaltada se busca ese producto
+    if (activeIndex >= 0 && suggestions[activeIndex]) {
+      const { nombre } = suggestions[activeIndex];
+      setQuery(nombre);
+      goToResults(nombre);
+      return;
+    }
+    goToResults(text);
+  };
+
+  // Navegación de las sugerencias con el teclado
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setIsOpen(false);
+      setActiveIndex(-1);
+      return;
+    }
+    if (suggestions.length === 0 || (e.key !== 'ArrowDown' && e.key !== 'ArrowUp')) {
+      return;
+    }
+    e.preventDefault();
+    setIsOpen(true);
+    setActiveIndex((index) => {
+      if (e.key === 'ArrowDown') {
+        return index + 1 >= suggestions.length ? 0 : index + 1;
+      }
+      return index <= 0 ? suggestions.length - 1 : index - 1;
+    });
+  };
+
+  const handleSelect = (product) => {
+    setQuery(product.nombre);
+    goToResults(product.nombre);
+  };
+
+  const showSuggestions = isOpen && suggestions.length > 0 && query.trim().length >= MIN_QUERY_LENGTH;
+
+  return (
+    <form role="search" onSubmit={handleSubmit} className="relative w-full max-w-xs">
+      <label htmlFor="search-box" className="sr-only">Buscar productos</label>
+      <input
+        id="search-box"
+        type="search"
+        value={query}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        placeholder="Buscar productos..."
+        autoComplete="off"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showSuggestions}
+        aria-controls="search-suggestions"
+        aria-activedescendant={showSuggestions && activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+        className="w-full border border-gray-300 rounded-md px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+      />
+
+      {showSuggestions && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          aria-label="Sugerencias"
+          className="absolute left-0 right-0 mt-1 bg-white border rounded-md shadow-lg overflow-hidden"
+        >
+          {suggestions.map((product, index) => (
+            <li
+              key={product.id}
+              id={`search-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown (y no click) para elegir antes de que el input pierda el foco y cierre la lista
+              onMouseDown={(e) => {
+                e.preventDefault();
+                handleSelect(product);
+              }}
+              className={`px-3 py-2 text-sm cursor-pointer ${
+                index === activeIndex ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {product.nombre}
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,34 @@
+// Componente StarRating - Muestra una puntuación de 0 a 5 con estrellas
+// Las estrellas se rellenan de forma proporcional (un promedio de 4,5 pinta media estrella)
+// Para lectores de pantalla se expone como imagen con el valor en texto ("4,5 de 5 estrellas")
+import React from 'react';
+
+const MAX_STARS = 5;
+
+// Formatea el valor con coma decimal, sin decimales si es entero
+const formatRating = (value) => {
+  return new Intl.NumberFormat('es-AR', { maximumFractionDigits: 1 }).format(value);
+};
+
+const StarRating = ({ value = 0, size = 'text-base' }) => {
+  const rating = Math.min(Math.max(Number(value) || 0, 0), MAX_STARS);
+
+  return (
+    <span role="img" aria-label={`${formatRating(rating)} de ${MAX_STARS} estrellas`} className={`inline-flex ${size} leading-none`}>
+      {Array.from({ length: MAX_STARS }, (_, index) => {
+        // Porción de esta estrella que queda pintada (0 a 100%)
+        const fill = Math.min(Math.max(rating - index, 0), 1) * 100;
+        return (
+          <span key={index} aria-hidden="true" className="relative text-gray-300">
+            ★
+            <span className="absolute inset-0 overflow-hidden text-yellow-400" style={{ width: `${fill}%` }}>
+              ★
+            </span>
+          </span>
+        );
+      })}
+    </span>
+  );
+};
+
+export default StarRating;
@@ -0,0 +1,37 @@
+// Componente TaxBreakdown - Desglose de impuestos de un total (carrito, checkout u orden guardada)
+// Muestra el precio sin impuestos nacionales y el IVA de cada alícuota que contiene el total
+import React from 'react';
+import { formatIvaRate } from '../services/taxes';
+
+// Formatear números como moneda argentina
+const formatPrice = (price) => {
+  return new Intl.NumberFormat('es-AR', {
+    style: 'currency',
+    currency: 'ARS',
+  }).format(price);
+};
+
+// Props:
+// - taxes: { neto, iva: [{ alicuota, neto, monto }] } (useCartStore.getTaxes o order.impuestos)
+const TaxBreakdown = ({ taxes }) => {
+  if (!taxes || taxes.iva.length === 0) {
+    return null;
+  }
+
+  return (
+    <dl className="text-xs text-gray-500 space-y-0.5" aria-label="Impuestos incluidos">
+      <div className="flex justify-between">
+        <dt>Precio sin impuestos nacionales:</dt>
+        <dd>{formatPrice(taxes.neto)}</dd>
+      </div>
+      {taxes.iva.map((line) => (
+        <div key={line.alicuota} className="flex justify-between">
+          <dt>IVA {formatIvaRate(line.alicuota)}:</dt>
+          <dd>{formatPrice(line.monto)}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+export default TaxBreakdown;
@@ -0,0 +1,113 @@
+// Componente UserMenu - Acceso a la cuenta del usuario desde el Header
+// Sin sesión muestra el enlace "Ingresar"; con sesión muestra el nombre y un menú desplegable
+// con los datos del usuario, sus pedidos, los accesos de administración (solo admins) y la opción de cerrar sesión
+
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuthStore } from '../store/useAuthStore';
+
+const UserMenu = () => {
+  const navigate = useNavigate();
+  const user = useAuthStore((state) => state.user);
+  const logout = useAuthStore((state) => state.logout);
+
+  // Estado local: menú desplegable abierto/cerrado
+  const [open, setOpen] = useState(false);
+
+  // Sin sesión: enlace al login
+  if (!user) {
+    return (
+      <Link
+        to="/login"
+        className="px-3 py-1.5 rounded-md text-sm font-medium text-gray-600 hover:text-blue-600 transition-colors"
+      >
+        Ingresar
+      </Link>
+    );
+  }
+
+  const handleLogout = () => {
+    setOpen(false);
+    logout();
+    navigate('/');
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center space-x-1 px-3 py-1.5 rounded-md text-sm font-medium text-gray-700 hover:text-blue-600 transition-colors"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        aria-label={`Menú de usuario de ${user.nombre}`}
+      >
+        <span className="text-base">👤</span>
+        <span className="hidden sm:block">{user.nombre}</span>
+      </button>
+
+      {/* Menú desplegable con los datos de la cuenta */}
+      {open && (
+        <div role="menu" className="absolute right-0 mt-2 w-48 bg-white border border-gray-200 rounded-md shadow-lg py-1 z-50">
+          <div className="px-3 py-2 border-b border-gray-100">
+            <p className="text-sm font-medium text-gray-900">{user.nombre}</p>
+            <p className="text-xs text-gray-500 truncate">{user.email}</p>
+          </div>
+          <Link
+            role="menuitem"
+            to="/mis-pedidos"
+            onClick={() => setOpen(false)}
+            className="block px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            Mis pedidos
+          </Link>
+          {/* Accesos de administración */}
+          {user.role === 'admin' && (
+            <>
+              <Link
+                role="menuitem"
+                to="/admin/products"
+                onClick={() => setOpen(false)}
+                className="block px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                Administrar productos
+              </Link>
+              <Link
+                role="menuitem"
+                to="/admin/orders"
+                onClick={() => setOpen(false)}
+                className="block px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                Órdenes
+              </Link>
+              <Link
+                role="menuitem"
+                to="/admin/stats"
+                onClick={() => setOpen(false)}
+                className="block px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                Estadísticas
+              </Link>
+              <Link
+                role="menuitem"
+                to="/admin/reviews"
+                onClick={() => setOpen(false)}
+                className="block px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                Reseñas
+              </Link>
+            </>
+          )}
+          <button
+            role="menuitem"
+            onClick={handleLogout}
+            className="w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            Cerrar sesión
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UserMenu;
@@ -0,0 +1,69 @@
+// ============================================================
+// TESTS DEL COMPONENTE ADMINROUTE
+// ============================================================
+// AdminRoute protege la sección /admin: sin sesión redirige al login,
+// un cliente ve "Acceso denegado" y un administrador accede a las rutas hijas
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+
+// El componente que vamos a testear
+import AdminRoute from '../AdminRoute';
+
+// El store real de autenticación: preparamos la sesión con setState
+import { useAuthStore } from '../../store/useAuthStore';
+
+// Página de login de prueba que muestra a dónde se quiere volver
+const LoginProbe = () => {
+  const location = useLocation();
+  return <div data-testid="login">{location.search}</div>;
+};
+
+// Helper: renderiza una ruta protegida de ejemplo
+const renderAdminArea = () => {
+  return render(
+    <MemoryRouter initialEntries={['/admin/products']}>
+      <Routes>
+        <Route path="/login" element={<LoginProbe />} />
+        <Route path="/admin" element={<AdminRoute />}>
+          <Route path="products" element={<div data-testid="admin-products">Admin</div>} />
+        </Route>
+      </Routes>
+    </MemoryRouter>
+  );
+};
+
+describe('AdminRoute Component', () => {
+  beforeEach(() => {
+    useAuthStore.setState({ token: null, user: null });
+  });
+
+  // TEST 1: Sin sesión
+  it('debe redirigir al login conservando la página pedida', () => {
+    renderAdminArea();
+
+    expect(screen.getByTestId('login')).toHaveTextContent('?redirect=%2Fadmin%2Fproducts');
+    expect(screen.queryByTestId('admin-products')).not.toBeInTheDocument();
+  });
+
+  // TEST 2: Cliente sin permisos
+  it('debe mostrar acceso denegado a un cliente', () => {
+    useAuthStore.setState({ token: 'token', user: { id: 2, nombre: 'Ana', role: 'cliente' } });
+
+    renderAdminArea();
+
+    expect(screen.getByText('Acceso denegado')).toBeInTheDocument();
+    expect(screen.queryByTestId('admin-products')).not.toBeInTheDocument();
+  });
+
+  // TEST 3: Administrador
+  it('debe mostrar la página protegida a un administrador', () => {
+    useAuthStore.setState({ token: 'token', user: { id: 1, nombre: 'Admin', role: 'admin' } });
+
+    renderAdminArea();
+
+    expect(screen.getByTestId('admin-products')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,34 @@
+// ============================================================
+// TESTS DEL COMPONENTE BARCHART
+// ============================================================
+// Gráfico de barras horizontales en SVG: una barra por fila, proporcional al mayor valor
+
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import BarChart from '../BarChart';
+
+describe('BarChart Component', () => {
+  // TEST 1: Una barra por fila con su etiqueta y valor
+  it('debe dibujar una barra proporcional por cada fila', () => {
+    const data = [
+      { label: 'Teclado', value: 10 },
+      { label: 'Mouse', value: 5 }
+    ];
+
+    const { container } = render(<BarChart title="Más vendidos" data={data} formatValue={(v) => `${v} u.`} />);
+    const [first, second] = container.querySelectorAll('rect');
+
+    expect(screen.getByRole('img', { name: 'Más vendidos' })).toBeInTheDocument();
+    expect(screen.getByText('Teclado')).toBeInTheDocument();
+    expect(screen.getByText('5 u.')).toBeInTheDocument();
+    // La barra del mouse mide la mitad que la del teclado
+    expect(Number(second.getAttribute('width'))).toBeCloseTo(Number(first.getAttribute('width')) / 2);
+  });
+
+  // TEST 2: Sin datos
+  it('debe mostrar un mensaje si no hay datos', () => {
+    render(<BarChart title="Más vendidos" data={[]} />);
+
+    expect(screen.getByText('No hay datos para el período elegido.')).toBeInTheDocument();
+  });
+});
@@ -17,8 +17,8 @@
 // 3. Mostrar productos correctamente
 // 4. Botones de cantidad (+, -, eliminar)
 // 5. Cálculo del total
-// 6. Proceso de checkout
-// 7. Manejo de errores
+// 6. Ir al checkout (el carrito solo navega; la orden se crea en /checkout)
+// 7. Cupones y envío
 
 // ============================================================
 // IMPORTACIONES NECESARIAS
@@ -35,10 +35,11 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 
 // IMPORTACIÓN 2: React Testing Library
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
 // - render: Dibuja el componente
 // - screen: Busca elementos
 // - fireEvent: Simula acciones del usuario
-// - waitFor: Espera código asíncrono (IMPORTANTE para el checkout)
+// - waitFor: Espera código asíncrono (cupones y envío)
 
 // IMPORTACIÓN 3: El componente Cart que vamos a testear
 import Cart from '../Cart';
@@ -51,10 +52,6 @@ import { useCartStore } from '../../store/useCartStore';
 // - Estado abierto/cerrado
 // - Funciones para modificar productos
 
-// IMPORTACIÓN 5: La API de órdenes
-import { ordersAPI } from '../../services/api';
-// Se usa cuando el usuario hace checkout
-// Envía la orden al servidor backend
 
 // ============================================================
 // CONFIGURACIÓN DE MOCKS
@@ -70,17 +67,28 @@ vi.mock('../../store/useCartStore');
 
 // MOCK 2: La API de órdenes
 vi.mock('../../services/api', () => ({
-  ordersAPI: {
-    create: vi.fn()
-    // create es la función que envía la orden al servidor
-    // La mockeamos para:
-    // - No hacer llamadas HTTP reales
-    // - Controlar si tiene éxito o falla
-    // - Verificar que se llama con los datos correctos
-  }
+  FREE_SHIPPING_THRESHOLD: 800000, // Monto del envío gratis (constante, no se mockea su valor)
+  // El store real se importa para armar el mock automático, y con él useAuthStore,
+  // que usa la API al importarse (token y handler de 401)
+  setAuthToken: vi.fn(),
+  setUnauthorizedHandler: vi.fn()
 }));
-// NOTA: Solo mockeamos ordersAPI.create
-// No mockeamos otras funciones de la API que Cart no usa
+// NOTA: Cart ya no crea órdenes (lo hace la página de checkout)
+// Solo necesita la constante del envío gratis
+
+// Helper: renderiza el carrito dentro de un Router (usa useNavigate para ir al checkout)
+// La ruta /checkout muestra un texto para verificar la navegación
+const renderCart = () => {
+  return render(
+    <MemoryRouter>
+      <Cart />
+      <Routes>
+        <Route path="/checkout" element={<div>Página de checkout</div>} />
+        <Route path="*" element={null} />
+      </Routes>
+    </MemoryRouter>
+  );
+};
 
 // ============================================================
 // SUITE DE TESTS PARA EL CARRITO
@@ -111,8 +119,31 @@ describe('Cart Component', () => {
     // FUNCIONES DE UI
     closeCart: vi.fn(),     // Cerrar el drawer
     
-    // FUNCIONES DE DATOS
-    getOrderData: vi.fn()   // Preparar datos para el checkout
+    // CUPÓN DE DESCUENTO
+    coupon: null,                // Cupón aplicado (ninguno por defecto)
+    applyCoupon: vi.fn(),        // Validar y aplicar un código
+    removeCoupon: vi.fn(),       // Quitar el cupón aplicado
+    getDiscount: vi.fn(() => 0), // Descuento del cupón sobre el carrito
+
+    // ENVÍO
+    // Por defecto ya hay un código postal cotizado (el checkout lo exige)
+    // y el envío es gratis para no alterar los totales de los tests anteriores
+    shipping: {
+      codigoPostal: '1425', provincia: 'Ciudad Autónoma de Buenos Aires', zona: 'amba',
+      costo: 4999, diasMin: 1, diasMax: 2, envioGratisDesde: 800000
+    },
+    quoteShipping: vi.fn(),               // Cotizar el envío a un código postal
+    clearShipping: vi.fn(),               // Cambiar el código postal
+    getShippingCost: vi.fn(() => 0),      // Costo del envío (0 = gratis)
+    getFreeShippingRemaining: vi.fn(() => 0), // Monto que falta para el envío gratis
+
+    // IMPUESTOS
+    getTaxes: vi.fn(() => ({ neto: 0, iva: [] })), // Neto e IVA por alícuota del total
+
+    // REVALIDACIÓN CONTRA EL CATÁLOGO
+    catalogChanges: [],                  // Cambios detectados (ninguno por defecto)
+    revalidate: vi.fn(async () => []),   // Actualizar el carrito con los datos actuales
+    dismissCatalogChanges: vi.fn()       // Ocultar el aviso de cambios
   };
   // ¿Por qué crear este objeto?
   // Es como una "plantilla" del store que podemos modificar
@@ -128,6 +159,11 @@ describe('Cart Component', () => {
     // Cada test empieza limpio
     
     // PASO 2: Configurar el store mock por defecto
+    // (clearAllMocks no borra implementaciones, pero los tests pueden reemplazarlas)
+    mockStore.getDiscount.mockImplementation(() => 0);
+    mockStore.getShippingCost.mockImplementation(() => 0);
+    mockStore.getFreeShippingRemaining.mockImplementation(() => 0);
+    mockStore.revalidate.mockImplementation(async () => []);
     useCartStore.mockReturnValue(mockStore);
     // Cuando Cart llame a useCartStore(),
     // recibirá nuestro mockStore
@@ -155,7 +191,7 @@ describe('Cart Component', () => {
     // - etc.
     
     // PASO 2: Renderizar el Cart
-    const { container } = render(<Cart />);
+    const { container } = renderCart();
     // container es el div que envuelve todo lo renderizado
     
     // PASO 3: Verificar que NO se renderizó nada
@@ -194,7 +230,7 @@ describe('Cart Component', () => {
     // La sintaxis () => 0 es una arrow function que devuelve 0
     
     // PASO 2: Renderizar el Cart
-    render(<Cart />);
+    renderCart();
     // El Cart detectará que items está vacío
     // y mostrará un mensaje especial
     
@@ -273,7 +309,7 @@ describe('Cart Component', () => {
     // los valores correctos según nuestros productos
     
     // PASO 3: Renderizar el Cart
-    render(<Cart />);
+    renderCart();
     // Cart ahora mostrará los productos
     
     // PASO 4: Verificar que aparece el nombre del primer producto
@@ -300,7 +336,7 @@ describe('Cart Component', () => {
   // ============================================================
   it('debe cerrar el carrito al hacer click en el botón de cerrar', () => {
     // PASO 1: Renderizar el Cart (con configuración por defecto)
-    render(<Cart />);
+    renderCart();
     // Usará mockStore que tiene isOpen: true
     
     // PASO 2: Buscar el botón de cerrar por su aria-label
@@ -372,7 +408,7 @@ describe('Cart Component', () => {
     });
     
     // PASO 3: Renderizar el Cart
-    render(<Cart />);
+    renderCart();
     // El Cart mostrará el producto con botones + y -
     
     // PASO 4: Buscar el botón de decrementar (-)
@@ -429,7 +465,7 @@ describe('Cart Component', () => {
     });
     
     // PASO 3: Renderizar el Cart
-    render(<Cart />);
+    renderCart();
     
     // PASO 4: Buscar el botón de incrementar (+)
     const incrementButton = screen.getByLabelText('Incrementar cantidad');
@@ -483,7 +519,7 @@ describe('Cart Component', () => {
     });
     
     // PASO 3: Renderizar el Cart
-    render(<Cart />);
+    renderCart();
     
     // PASO 4: Buscar el botón de eliminar (icono de basura)
     const deleteButton = screen.getByLabelText('Eliminar producto');
@@ -539,7 +575,7 @@ describe('Cart Component', () => {
     });
     
     // PASO 3: Renderizar el Cart
-    render(<Cart />);
+    renderCart();
     
     // PASO 4: Buscar el elemento que contiene "Total:"
     const totalElement = screen.getByText('Total:').nextElementSibling;
@@ -600,7 +636,7 @@ describe('Cart Component', () => {
     });
     
     // PASO 3: Renderizar el Cart
-    render(<Cart />);
+    renderCart();
     
     // PASO 4: Buscar el botón "Vaciar Carrito"
     const clearButton = screen.getByRole('button', { name: /vaciar carrito/i });
@@ -633,179 +669,81 @@ describe('Cart Component', () => {
   });
 
   // ============================================================
-  // TEST 10: PROCESO DE CHECKOUT EXITOSO (TEST ASÍNCRONO)
+  // TEST 10: FINALIZAR COMPRA LLEVA AL CHECKOUT
   // ============================================================
-  it('debe procesar el checkout correctamente', async () => {
-    // NOTA: async en la función porque el checkout es asíncrono
-    // El checkout hace una llamada HTTP al servidor
-    
-    // PASO 1: Crear datos del carrito
-    const items = [{
-      producto: { 
-        id: 1, 
-        nombre: 'PlayStation 5', 
-        precio: 75000, 
-        imagen: 'test.jpg' 
-      },
-      cantidad: 1
-    }];
-    
-    // PASO 2: Crear los datos que se enviarán al servidor
-    const orderData = {
-      productos: [{ 
-        id: 1, 
-        nombre: 'PlayStation 5', 
-        precio: 75000, 
-        cantidad: 1 
-      }],
-      total: 75000,
-      fecha: new Date().toISOString()  // Fecha en formato ISO: "2024-01-15T10:30:00.000Z"
-    };
-    // ¿Qué es toISOString()?
-    // Convierte una fecha a formato estándar internacional
-    // Ejemplo: "2024-01-15T10:30:00.000Z"
-    // Es el formato que los servidores esperan
-    
-    // PASO 3: Configurar el store con la función getOrderData
+  it('debe cerrar el carrito y abrir el checkout al finalizar la compra', async () => {
+    // PASO 1: Carrito con un producto (sin código postal: se completa en el checkout)
     useCartStore.mockReturnValue({
       ...mockStore,
-      items,
+      items: [{ producto: { id: 1, nombre: 'PlayStation 5', precio: 75000, imagen: 'test.jpg' }, cantidad: 1 }],
       getTotalItems: vi.fn(() => 1),
       getTotal: vi.fn(() => 75000),
-      getOrderData: vi.fn(() => orderData)  // Esta función prepara los datos para enviar
-    });
-    
-    // PASO 4: Configurar la respuesta exitosa de la API
-    ordersAPI.create.mockResolvedValue({ id: 123, ...orderData });
-    // ¿Qué es mockResolvedValue?
-    // Hace que la función mock devuelva una PROMESA EXITOSA
-    // La promesa se resuelve con: { id: 123, productos: [...], total: 75000, fecha: ... }
-    //
-    // DIFERENCIA ENTRE mockReturnValue y mockResolvedValue:
-    // - mockReturnValue: Devuelve un valor inmediatamente
-    // - mockResolvedValue: Devuelve una promesa que se resuelve con el valor
-    // - mockRejectedValue: Devuelve una promesa que falla con un error
-    
-    // PASO 5: Renderizar el Cart
-    render(<Cart />);
-    
-    // PASO 6: Buscar y clickear el botón de checkout
-    const checkoutButton = screen.getByRole('button', { name: /finalizar compra/i });
-    fireEvent.click(checkoutButton);
-    
-    // PASO 7: Verificar que muestra "Procesando..." inmediatamente
-    expect(screen.getByText(/procesando/i)).toBeInTheDocument();
-    // Mientras espera la respuesta del servidor,
-    // debe mostrar algún indicador de carga
-    // Esto mejora la UX (el usuario sabe que está pasando algo)
-    
-    // PASO 8: Esperar y verificar que todo se completó
-    await waitFor(() => {
-      // Verificar que se llamó a la API con los datos correctos
-      expect(ordersAPI.create).toHaveBeenCalledWith(orderData);
-      
-      // Verificar que se limpió el carrito después del éxito
-      expect(mockStore.clearCart).toHaveBeenCalled();
+      shipping: null,
+      getShippingCost: vi.fn(() => null)
     });
-    // ¿Qué hace await waitFor?
-    // 1. Ejecuta la función que le pasamos
-    // 2. Si alguna verificación falla, espera y reintenta
-    // 3. Sigue reintentando hasta que pase o se agote el tiempo (1000ms por defecto)
-    //
-    // FLUJO COMPLETO DEL CHECKOUT:
-    // 1. Usuario clickea "Finalizar Compra"
-    // 2. Cart muestra "Procesando..."
-    // 3. Cart llama a getOrderData() para preparar datos
-    // 4. Cart envía los datos con ordersAPI.create(orderData)
-    // 5. Servidor responde con éxito (id: 123)
-    // 6. Cart limpia el carrito (clearCart)
-    // 7. Cart muestra mensaje de éxito
-    //
-    // Si este test falla:
-    // - El checkout no está llamando a la API
-    // - No se está limpiando el carrito después
-    // - Los datos no se están preparando correctamente
+
+    // PASO 2: Click en "Finalizar Compra"
+    renderCart();
+    fireEvent.click(screen.getByRole('button', { name: /finalizar compra/i }));
+
+    // PASO 3: Se revalida el carrito, se cierra el drawer y se navega a /checkout
+    // La orden ya no se crea desde el carrito: los datos del comprador se piden en el checkout
+    expect(await screen.findByText('Página de checkout')).toBeInTheDocument();
+    expect(mockStore.revalidate).toHaveBeenCalledTimes(1);
+    expect(mockStore.closeCart).toHaveBeenCalled();
   });
 
   // ============================================================
-  // TEST 11: MANEJO DE ERRORES EN EL CHECKOUT
+  // TEST 10b: SI EL CATÁLOGO CAMBIÓ, EL CARRITO QUEDA ABIERTO
   // ============================================================
-  it('debe manejar errores en el checkout', async () => {
-    // Este test verifica que la aplicación no "explote" cuando algo sale mal
-    
-    // PASO 1: Configurar el carrito
-    const items = [{
-      producto: { 
-        id: 1, 
-        nombre: 'PlayStation 5', 
-        precio: 75000, 
-        imagen: 'test.jpg' 
-      },
-      cantidad: 1
-    }];
-    
-    // PASO 2: Configurar el store
+  it('debe quedarse en el carrito si la revalidación encontró cambios', async () => {
+    const change = { productId: 1, nombre: 'PlayStation 5', tipo: 'precio', anterior: 75000, actual: 80000 };
+    mockStore.revalidate.mockImplementation(async () => [change]);
     useCartStore.mockReturnValue({
       ...mockStore,
-      items,
+      items: [{ producto: { id: 1, nombre: 'PlayStation 5', precio: 80000, imagen: 'test.jpg' }, cantidad: 1 }],
       getTotalItems: vi.fn(() => 1),
-      getTotal: vi.fn(() => 75000),
-      getOrderData: vi.fn(() => ({ 
-        productos: [], 
-        total: 75000 
-      }))
+      getTotal: vi.fn(() => 80000)
     });
-    
-    // PASO 3: Configurar la API para que FALLE
-    ordersAPI.create.mockRejectedValue(new Error('Error de red'));
-    // mockRejectedValue hace que la promesa sea RECHAZADA
-    // Simula errores como:
-    // - Sin conexión a internet
-    // - Servidor caído
-    // - Error 500
-    // - Timeout
-    //
-    // ¿Qué es new Error()?
-    // Crea un objeto de error en JavaScript
-    // Tiene propiedades como:
-    // - message: "Error de red"
-    // - stack: Dónde ocurrió el error
-    
-    // PASO 4: Renderizar el Cart
-    render(<Cart />);
-    
-    // PASO 5: Intentar hacer checkout
-    const checkoutButton = screen.getByRole('button', { name: /finalizar compra/i });
-    fireEvent.click(checkoutButton);
-    
-    // PASO 6: Esperar y verificar que aparece mensaje de error
-    await waitFor(() => {
-      expect(screen.getByText(/error al procesar la compra/i)).toBeInTheDocument();
+
+    renderCart();
+    fireEvent.click(screen.getByRole('button', { name: /finalizar compra/i }));
+
+    // El botón vuelve a estar disponible y no se navegó al checkout
+    expect(await screen.findByRole('button', { name: /finalizar compra/i })).toBeEnabled();
+    expect(mockStore.closeCart).not.toHaveBeenCalled();
+    expect(screen.queryByText('Página de checkout')).not.toBeInTheDocument();
+  });
+
+  // ============================================================
+  // TEST 10c: AVISO DE CAMBIOS DEL CATÁLOGO
+  // ============================================================
+  it('debe explicar en un banner qué cambió en el carrito', () => {
+    useCartStore.mockReturnValue({
+      ...mockStore,
+      items: [{ producto: { id: 1, nombre: 'PlayStation 5', precio: 80000, stock: 2, imagen: 'test.jpg' }, cantidad: 2 }],
+      getTotalItems: vi.fn(() => 2),
+      getTotal: vi.fn(() => 160000),
+      catalogChanges: [
+        { productId: 1, nombre: 'PlayStation 5', tipo: 'precio', anterior: 75000, actual: 80000 },
+        { productId: 1, nombre: 'PlayStation 5', tipo: 'stock', anterior: 3, actual: 2 },
+        { productId: 2, nombre: 'Xbox Series X', tipo: 'eliminado' },
+        { productId: 3, nombre: 'Joystick', tipo: 'sin_stock' }
+      ]
     });
-    // El mensaje de error debe ser:
-    // - Claro: El usuario debe entender que pasó
-    // - Amigable: No mostrar errores técnicos
-    // - Útil: Ofrecer qué hacer (reintentar, contactar soporte)
-    //
-    // MAL MENSAJE: "Error 500: Internal Server Error"
-    // BUEN MENSAJE: "Error al procesar la compra. Por favor, intenta nuevamente."
-    //
-    // QUÉ NO DEBE PASAR:
-    // - El carrito NO debe limpiarse (la compra no se completó)
-    // - La aplicación NO debe quedarse colgada
-    // - NO debe aparecer una pantalla en blanco
-    //
-    // MANEJO DE ERRORES ROBUSTO:
-    // 1. Capturar el error (try/catch)
-    // 2. Mostrar mensaje al usuario
-    // 3. Mantener el estado (no perder el carrito)
-    // 4. Ofrecer opciones (reintentar, cancelar)
-    // 5. Opcionalmente: Registrar el error para análisis
-    //
-    // Si este test falla:
-    // - No se está capturando el error (try/catch)
-    // - No se muestra mensaje de error
-    // - La app crashea con el error
+
+    renderCart();
+
+    // PASO 1: Cada cambio tiene su explicación
+    const banner = screen.getByRole('status');
+    expect(banner).toHaveTextContent(/PlayStation 5 subió de \$\s75\.000,00 a \$\s80\.000,00/);
+    expect(banner).toHaveTextContent('PlayStation 5: solo quedan 2 unidades, ajustamos la cantidad (tenías 3).');
+    expect(banner).toHaveTextContent('Xbox Series X ya no está a la venta y se quitó del carrito.');
+    expect(banner).toHaveTextContent('Joystick se quedó sin stock y se quitó del carrito.');
+
+    // PASO 2: El usuario puede ocultar el aviso
+    fireEvent.click(screen.getByRole('button', { name: 'Entendido' }));
+    expect(mockStore.dismissCatalogChanges).toHaveBeenCalledTimes(1);
   });
 
   // ============================================================
@@ -835,7 +773,7 @@ describe('Cart Component', () => {
     });
     
     // PASO 3: Renderizar el Cart
-    render(<Cart />);
+    renderCart();
     
     // PASO 4: Verificar que NO existe el botón de checkout
     expect(screen.queryByRole('button', { name: /finalizar compra/i })).not.toBeInTheDocument();
@@ -864,6 +802,213 @@ describe('Cart Component', () => {
     // - El botón aparece cuando no debería
     // - Falta validación de carrito vacío
   });
+
+  // ============================================================
+  // TEST 13: APLICAR UN CUPÓN DE DESCUENTO
+  // ============================================================
+  it('debe aplicar el cupón ingresado', async () => {
+    // PASO 1: Carrito con un producto
+    useCartStore.mockReturnValue({
+      ...mockStore,
+      items: [{ producto: { id: 1, nombre: 'PS5', precio: 100000, imagen: 'ps5.jpg' }, cantidad: 1 }],
+      getTotalItems: vi.fn(() => 1),
+      getTotal: vi.fn(() => 100000)
+    });
+    mockStore.applyCoupon.mockResolvedValue(10000);
+
+    // PASO 2: Escribir el código y aplicarlo
+    renderCart();
+    fireEvent.change(screen.getByLabelText('Código de cupón'), { target: { value: 'bienvenida10' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Aplicar' }));
+
+    // PASO 3: El store valida el código en el servidor
+    await waitFor(() => {
+      expect(mockStore.applyCoupon).toHaveBeenCalledWith('bienvenida10');
+    });
+    // El campo se vacía al aplicarlo
+    await waitFor(() => {
+      expect(screen.getByLabelText('Código de cupón')).toHaveValue('');
+    });
+  });
+
+  // ============================================================
+  // TEST 14: CUPÓN RECHAZADO POR EL SERVIDOR
+  // ============================================================
+  it('debe mostrar el motivo si el cupón no es válido', async () => {
+    useCartStore.mockReturnValue({
+      ...mockStore,
+      items: [{ producto: { id: 1, nombre: 'PS5', precio: 100000, imagen: 'ps5.jpg' }, cantidad: 1 }],
+      getTotalItems: vi.fn(() => 1),
+      getTotal: vi.fn(() => 100000)
+    });
+    // Misma forma que APIError ante un 422
+    mockStore.applyCoupon.mockRejectedValue(Object.assign(new Error('HTTP error! status: 422'), {
+      status: 422,
+      serverMessage: 'El cupón está vencido'
+    }));
+
+    renderCart();
+    fireEvent.change(screen.getByLabelText('Código de cupón'), { target: { value: 'VIEJO' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Aplicar' }));
+
+    // El mensaje del servidor se muestra junto al campo
+    expect(await screen.findByText('El cupón está vencido')).toBeInTheDocument();
+  });
+
+  // ============================================================
+  // TEST 15: CUPÓN APLICADO - LÍNEA DE DESCUENTO Y TOTAL
+  // ============================================================
+  it('debe mostrar el descuento del cupón aplicado y permitir quitarlo', () => {
+    // PASO 1: Carrito con un cupón del 10% aplicado
+    useCartStore.mockReturnValue({
+      ...mockStore,
+      items: [{ producto: { id: 1, nombre: 'PS5', precio: 100000, imagen: 'ps5.jpg' }, cantidad: 1 }],
+      getTotalItems: vi.fn(() => 1),
+      getTotal: vi.fn(() => 100000),
+      coupon: { codigo: 'BIENVENIDA10', descripcion: '10% de descuento en tu compra', tipo: 'porcentaje', valor: 10 },
+      getDiscount: vi.fn(() => 10000)
+    });
+
+    renderCart();
+
+    // PASO 2: Se muestran subtotal, descuento y total con el descuento aplicado
+    expect(screen.getByText('Descuento (BIENVENIDA10):')).toBeInTheDocument();
+    expect(screen.getByText((content) => content.includes('10.000') && content.startsWith('-'))).toBeInTheDocument();
+    expect(screen.getByText((content) => content.includes('90.000'))).toBeInTheDocument();
+    // Con un cupón aplicado no se muestra el campo para ingresar otro
+    expect(screen.queryByLabelText('Código de cupón')).not.toBeInTheDocument();
+
+    // PASO 3: Quitar el cupón
+    fireEvent.click(screen.getByRole('button', { name: 'Quitar cupón' }));
+    expect(mockStore.removeCoupon).toHaveBeenCalled();
+  });
+
+  // ============================================================
+  // TEST 16: CALCULAR EL ENVÍO CON EL CÓDIGO POSTAL
+  // ============================================================
+  it('debe cotizar el envío al código postal ingresado', async () => {
+    // PASO 1: Carrito sin código postal todavía
+    useCartStore.mockReturnValue({
+      ...mockStore,
+      items: [{ producto: { id: 1, nombre: 'PS5', precio: 100000, imagen: 'ps5.jpg' }, cantidad: 1 }],
+      getTotalItems: vi.fn(() => 1),
+      getTotal: vi.fn(() => 100000),
+      shipping: null,
+      getShippingCost: vi.fn(() => null)
+    });
+    mockStore.quoteShipping.mockResolvedValue({ codigoPostal: '5000' });
+
+    // PASO 2: Ingresar el código postal y calcular
+    renderCart();
+    fireEvent.change(screen.getByLabelText('Código postal'), { target: { value: '5000' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Calcular' }));
+
+    // PASO 3: El store cotiza el envío en el servidor
+    await waitFor(() => {
+      expect(mockStore.quoteShipping).toHaveBeenCalledWith('5000');
+    });
+  });
+
+  // ============================================================
+  // TEST 17: CÓDIGO POSTAL INVÁLIDO
+  // ============================================================
+  it('debe mostrar el motivo si el código postal no es válido', async () => {
+    useCartStore.mockReturnValue({
+      ...mockStore,
+      items: [{ producto: { id: 1, nombre: 'PS5', precio: 100000, imagen: 'ps5.jpg' }, cantidad: 1 }],
+      getTotalItems: vi.fn(() => 1),
+      getTotal: vi.fn(() => 100000),
+      shipping: null,
+      getShippingCost: vi.fn(() => null)
+    });
+    mockStore.quoteShipping.mockRejectedValue(Object.assign(new Error('HTTP error! status: 422'), {
+      status: 422,
+      serverMessage: 'No realizamos envíos a ese código postal'
+    }));
+
+    renderCart();
+    fireEvent.change(screen.getByLabelText('Código postal'), { target: { value: '0123' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Calcular' }));
+
+    expect(await screen.findByText('No realizamos envíos a ese código postal')).toBeInTheDocument();
+  });
+
+  // ============================================================
+  // TEST 18: ENVÍO COTIZADO - COSTO, PLAZO Y PROGRESO AL ENVÍO GRATIS
+  // ============================================================
+  it('debe mostrar el costo, el plazo de entrega y cuánto falta para el envío gratis', () => {
+    // PASO 1: $600.000 en productos con envío a Córdoba
+    useCartStore.mockReturnValue({
+      ...mockStore,
+      items: [{ producto: { id: 1, nombre: 'PS5', precio: 600000, imagen: 'ps5.jpg' }, cantidad: 1 }],
+      getTotalItems: vi.fn(() => 1),
+      getTotal: vi.fn(() => 600000),
+      shipping: { codigoPostal: '5000', provincia: 'Córdoba', costo: 7999, diasMin: 2, diasMax: 4, envioGratisDesde: 800000 },
+      getShippingCost: vi.fn(() => 7999),
+      getFreeShippingRemaining: vi.fn(() => 200000)
+    });
+
+    renderCart();
+
+    // PASO 2: Destino y plazo estimado
+    expect(screen.getByText('Envío a Córdoba (5000)')).toBeInTheDocument();
+    expect(screen.getByText('Llega en 2 a 4 días hábiles')).toBeInTheDocument();
+
+    // PASO 3: Falta $200.000 (75% del camino al envío gratis)
+    expect(screen.getByText((content) => content.includes('200.000'))).toBeInTheDocument();
+    expect(screen.getByText(/para envío gratis/)).toBeInTheDocument();
+    expect(screen.getByRole('progressbar', { name: 'Progreso hacia el envío gratis' })).toHaveAttribute('aria-valuenow', '75');
+
+    // PASO 4: El envío se suma al total
+    expect(screen.getByText('Envío:').nextElementSibling).toHaveTextContent(/7\.999/);
+    expect(screen.getByText('Total:').nextElementSibling).toHaveTextContent(/607\.999/);
+
+    // PASO 5: Cambiar el código postal
+    fireEvent.click(screen.getByRole('button', { name: 'Cambiar código postal' }));
+    expect(mockStore.clearShipping).toHaveBeenCalled();
+  });
+
+  // ============================================================
+  // TEST 19: ENVÍO GRATIS ALCANZADO
+  // ============================================================
+  it('debe avisar cuando el pedido tiene envío gratis', () => {
+    useCartStore.mockReturnValue({
+      ...mockStore,
+      items: [{ producto: { id: 1, nombre: 'PS5', precio: 900000, imagen: 'ps5.jpg' }, cantidad: 1 }],
+      getTotalItems: vi.fn(() => 1),
+      getTotal: vi.fn(() => 900000)
+    });
+
+    renderCart();
+
+    expect(screen.getByText('¡Tu pedido tiene envío gratis!')).toBeInTheDocument();
+    expect(screen.getByText('Envío:').nextElementSibling).toHaveTextContent('Gratis');
+  });
+
+  // ============================================================
+  // TEST 20: PRECIO SIN IMPUESTOS NACIONALES E IVA POR ALÍCUOTA
+  // ============================================================
+  it('debe mostrar el neto y el IVA de cada alícuota debajo del total', () => {
+    useCartStore.mockReturnValue({
+      ...mockStore,
+      items: [{ producto: { id: 1, nombre: 'PS5', precio: 900000, imagen: 'ps5.jpg' }, cantidad: 1 }],
+      getTotalItems: vi.fn(() => 1),
+      getTotal: vi.fn(() => 900000),
+      getTaxes: vi.fn(() => ({
+        neto: 776859.5,
+        iva: [
+          { alicuota: 21, neto: 576859.5, monto: 121140.5 },
+          { alicuota: 10.5, neto: 200000, monto: 21000 }
+        ]
+      }))
+    });
+
+    renderCart();
+
+    expect(screen.getByText('Precio sin impuestos nacionales:').nextElementSibling).toHaveTextContent(/776\.859,50/);
+    expect(screen.getByText('IVA 21%:').nextElementSibling).toHaveTextContent(/121\.140,50/);
+    expect(screen.getByText('IVA 10,5%:').nextElementSibling).toHaveTextContent(/21\.000/);
+  });
 });
 
 // ============================================================
@@ -876,9 +1021,12 @@ describe('Cart Component', () => {
 // 4. Controles de cantidad: Botones +, -, eliminar
 // 5. Formateo: Precios con formato de moneda
 // 6. Acciones globales: Vaciar carrito, cerrar drawer
-// 7. Checkout exitoso: Envío de orden y limpieza
-// 8. Manejo de errores: Qué pasa cuando falla
-// 9. Validaciones: No permitir acciones inválidas
+// 7. Checkout: Revalida el carrito, cierra el drawer y navega a /checkout
+// 8. Validaciones: No permitir acciones inválidas
+// 9. Cupones: Aplicar, mostrar el motivo del rechazo y el descuento
+// 10. Envío: Código postal, costo, plazo y progreso al envío gratis
+// 11. Impuestos: Precio sin impuestos nacionales e IVA por alícuota
+// 12. Catálogo: Aviso de precios, stock y productos que cambiaron desde que se armó el carrito
 //
 // COBERTURA:
 // Estos tests cubren los casos de uso principales
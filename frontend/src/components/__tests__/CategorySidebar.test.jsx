@@ -0,0 +1,71 @@
+// ============================================================
+// TESTS DEL COMPONENTE CATEGORYSIDEBAR
+// ============================================================
+// La barra lateral carga las categorías y enlaza cada una a /products/categoria/:slug,
+// marcando la categoría activa con aria-current
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+
+// El componente que vamos a testear
+import CategorySidebar from '../CategorySidebar';
+
+// La API de categorías (mockeada abajo)
+import { categoriesAPI } from '../../services/api';
+
+// MOCK: La capa API - no queremos peticiones HTTP reales
+vi.mock('../../services/api', () => ({
+  categoriesAPI: { getAll: vi.fn() }
+}));
+
+const mockCategories = [
+  { id: 1, nombre: 'Consolas', slug: 'consolas' },
+  { id: 2, nombre: 'Periféricos', slug: 'perifericos' }
+];
+
+const renderSidebar = (activeSlug) => {
+  return render(
+    <MemoryRouter>
+      <CategorySidebar activeSlug={activeSlug} />
+    </MemoryRouter>
+  );
+};
+
+describe('CategorySidebar Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    categoriesAPI.getAll.mockResolvedValue(mockCategories);
+  });
+
+  // TEST 1: Enlaces de cada categoría
+  it('debe enlazar cada categoría a su ruta', async () => {
+    renderSidebar(null);
+
+    expect(await screen.findByRole('link', { name: 'Periféricos' })).toHaveAttribute('href', '/products/categoria/perifericos');
+    expect(screen.getByRole('link', { name: 'Todas' })).toHaveAttribute('href', '/products');
+    // Sin categoría elegida, "Todas" es la opción activa
+    expect(screen.getByRole('link', { name: 'Todas' })).toHaveAttribute('aria-current', 'page');
+  });
+
+  // TEST 2: Categoría activa
+  it('debe marcar la categoría activa', async () => {
+    renderSidebar('consolas');
+
+    expect(await screen.findByRole('link', { name: 'Consolas' })).toHaveAttribute('aria-current', 'page');
+    expect(screen.getByRole('link', { name: 'Todas' })).not.toHaveAttribute('aria-current');
+  });
+
+  // TEST 3: Error al cargar las categorías
+  it('debe seguir mostrando "Todas" si las categorías no cargan', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    categoriesAPI.getAll.mockRejectedValue(new Error('Failed to fetch'));
+
+    renderSidebar(null);
+
+    expect(screen.getByRole('link', { name: 'Todas' })).toBeInTheDocument();
+    await vi.waitFor(() => expect(console.error).toHaveBeenCalled());
+    console.error.mockRestore();
+  });
+});
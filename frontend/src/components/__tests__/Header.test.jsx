@@ -49,6 +49,10 @@ import { useCartStore } from '../../store/useCartStore';
 // ¿Por qué lo importamos?
 // Porque el Header muestra cuántos items hay en el carrito
 
+// IMPORTACIÓN 6: El store de favoritos (real, sin mock)
+import { useWishlistStore } from '../../store/useWishlistStore';
+// El Header muestra cuántos productos hay guardados en favoritos
+
 // ============================================================
 // CONFIGURACIÓN DE MOCKS (SIMULACIONES/IMITACIONES)
 // ============================================================
@@ -423,4 +427,22 @@ describe('Header Component', () => {
     // Pero sí debe tener los estilos de enlace inactivo
     expect(productsLink).toHaveClass('text-gray-600');
   });
+
+  // TEST 9: Verificar el enlace a favoritos con su contador
+  it('debe mostrar el enlace a favoritos con la cantidad de productos guardados', () => {
+    // PASO 1: Carrito vacío y dos productos en favoritos
+    mockGetTotalItems.mockReturnValue(0);
+    useWishlistStore.setState({ items: [{ id: 1, nombre: 'PS5' }, { id: 2, nombre: 'Xbox' }] });
+
+    // PASO 2: Renderizamos el Header
+    renderHeader();
+
+    // PASO 3: El enlace lleva a /favoritos y muestra el contador
+    const favoritesLink = screen.getByRole('link', { name: 'Favoritos (2)' });
+    expect(favoritesLink).toHaveAttribute('href', '/favoritos');
+    expect(favoritesLink).toHaveTextContent('2');
+
+    // PASO 4: Dejamos la lista vacía para los demás tests
+    useWishlistStore.setState({ items: [] });
+  });
 });
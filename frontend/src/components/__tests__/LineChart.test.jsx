@@ -0,0 +1,45 @@
+// ============================================================
+// TESTS DEL COMPONENTE LINECHART
+// ============================================================
+// Gráfico de líneas en SVG: un punto por dato, con su valor en el tooltip (<title>)
+
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import LineChart from '../LineChart';
+
+describe('LineChart Component', () => {
+  // TEST 1: Un punto por dato, con tooltip formateado
+  it('debe dibujar un punto por dato con su valor formateado', () => {
+    const data = [
+      { label: '01/10', value: 100 },
+      { label: '02/10', value: 0 },
+      { label: '03/10', value: 50 }
+    ];
+
+    const { container } = render(<LineChart title="Ingresos" data={data} formatValue={(v) => `$${v}`} />);
+
+    expect(screen.getByRole('img', { name: 'Ingresos' })).toBeInTheDocument();
+    expect(container.querySelectorAll('circle')).toHaveLength(3);
+    expect(container.querySelector('circle title').textContent).toBe('01/10: $100');
+  });
+
+  // TEST 2: El punto de mayor valor queda arriba y el de valor 0 sobre la línea base
+  it('debe escalar los puntos según el valor máximo', () => {
+    const data = [
+      { label: 'a', value: 100 },
+      { label: 'b', value: 0 }
+    ];
+
+    const { container } = render(<LineChart title="Ingresos" data={data} />);
+    const [top, bottom] = container.querySelectorAll('circle');
+
+    expect(Number(top.getAttribute('cy'))).toBeLessThan(Number(bottom.getAttribute('cy')));
+  });
+
+  // TEST 3: Sin datos
+  it('debe mostrar un mensaje si no hay datos', () => {
+    render(<LineChart title="Ingresos" data={[]} />);
+
+    expect(screen.getByText('No hay datos para el período elegido.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,57 @@
+// ============================================================
+// TESTS DEL COMPONENTE PAGINATION
+// ============================================================
+// Verificamos el paginador: botones Anterior / Siguiente, página actual
+// y el resumen de páginas lejanas con "…"
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+
+// El componente que vamos a testear
+import Pagination from '../Pagination';
+
+describe('Pagination Component', () => {
+  // TEST 1: Una sola página
+  it('no debe mostrarse si hay una sola página', () => {
+    const { container } = render(<Pagination page={1} totalPages={1} onPageChange={vi.fn()} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  // TEST 2: Página actual y navegación
+  it('debe marcar la página actual y avisar la página elegida', () => {
+    const onPageChange = vi.fn();
+    render(<Pagination page={2} totalPages={3} onPageChange={onPageChange} />);
+
+    // PASO 1: La página actual se marca para lectores de pantalla
+    expect(screen.getByRole('button', { name: 'Página 2' })).toHaveAttribute('aria-current', 'page');
+    expect(screen.getByRole('button', { name: 'Página 1' })).not.toHaveAttribute('aria-current');
+
+    // PASO 2: Cada botón avisa la página correspondiente
+    fireEvent.click(screen.getByRole('button', { name: 'Anterior' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Siguiente' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Página 3' }));
+    expect(onPageChange.mock.calls).toEqual([[1], [3], [3]]);
+  });
+
+  // TEST 3: Extremos
+  it('debe deshabilitar Anterior en la primera página y Siguiente en la última', () => {
+    const { rerender } = render(<Pagination page={1} totalPages={4} onPageChange={vi.fn()} />);
+    expect(screen.getByRole('button', { name: 'Anterior' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Siguiente' })).toBeEnabled();
+
+    rerender(<Pagination page={4} totalPages={4} onPageChange={vi.fn()} />);
+    expect(screen.getByRole('button', { name: 'Siguiente' })).toBeDisabled();
+  });
+
+  // TEST 4: Muchas páginas
+  it('debe resumir las páginas lejanas', () => {
+    render(<Pagination page={5} totalPages={10} onPageChange={vi.fn()} />);
+
+    // Se muestran la primera, la última y las vecinas de la actual: 1 … 4 5 6 … 10
+    const pages = screen.getAllByRole('button', { name: /^Página/ }).map((button) => button.textContent);
+    expect(pages).toEqual(['1', '4', '5', '6', '10']);
+    expect(screen.getAllByText('…')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,95 @@
+// ============================================================
+// TESTS DEL COMPONENTE PAYMENTFORM
+// ============================================================
+// Verificamos el pago en línea: formulario según el proveedor del pago,
+// envío de la tarjeta al backend, resultado del pago y errores por campo
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+
+// El componente que vamos a testear
+import PaymentForm from '../PaymentForm';
+
+// La API de pagos (mockeada abajo)
+import { paymentsAPI } from '../../services/api';
+
+// MOCK: La capa API - conservamos APIError y las constantes reales
+vi.mock('../../services/api', async () => ({
+  ...(await vi.importActual('../../services/api')),
+  paymentsAPI: {
+    createIntent: vi.fn(),
+    confirm: vi.fn()
+  }
+}));
+
+// Pago iniciado por el backend con el proveedor sandbox
+const intent = { id: 'pi_sbx_123', orderId: 42, proveedor: 'sandbox', estado: 'pendiente', monto: 154999, moneda: 'ARS' };
+
+// Completa la tarjeta de prueba con el titular indicado
+const fillCard = (titular) => {
+  fireEvent.change(screen.getByLabelText('Número de tarjeta'), { target: { value: '4509 9535 6623 3704' } });
+  fireEvent.change(screen.getByLabelText('Nombre del titular'), { target: { value: titular } });
+  fireEvent.change(screen.getByLabelText('Vencimiento (MM/AA)'), { target: { value: '11/30' } });
+  fireEvent.change(screen.getByLabelText('Código de seguridad'), { target: { value: '123' } });
+};
+
+describe('PaymentForm Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  // TEST 1: Pago aprobado
+  it('debe enviar la tarjeta y entregar el resultado del pago', async () => {
+    const onResult = vi.fn();
+    paymentsAPI.confirm.mockResolvedValue({ ...intent, estado: 'aprobado' });
+    render(<PaymentForm intent={intent} onResult={onResult} />);
+
+    // PASO 1: El sandbox explica cómo simular cada resultado
+    expect(screen.getByText(/Modo de prueba/)).toBeInTheDocument();
+
+    // PASO 2: Pagar
+    fillCard('APRO');
+    fireEvent.click(screen.getByRole('button', { name: 'Pagar' }));
+
+    // PASO 3: La tarjeta va al backend con el ID del pago y el resultado vuelve al checkout
+    await waitFor(() => {
+      expect(onResult).toHaveBeenCalledWith(expect.objectContaining({ estado: 'aprobado' }));
+    });
+    expect(paymentsAPI.confirm).toHaveBeenCalledWith('pi_sbx_123', {
+      tarjeta: { numero: '4509 9535 6623 3704', titular: 'APRO', vencimiento: '11/30', cvv: '123' }
+    });
+  });
+
+  // TEST 2: Errores de la tarjeta por campo
+  it('debe mostrar los errores de la tarjeta junto a cada campo', async () => {
+    const { APIError } = await vi.importActual('../../services/api');
+    paymentsAPI.confirm.mockRejectedValue(new APIError(422, {
+      error: 'VALIDATION_ERROR',
+      message: 'Los datos de la tarjeta no son válidos',
+      details: [
+        { field: 'tarjeta.numero', message: 'El número de tarjeta no es válido' },
+        { field: 'tarjeta.vencimiento', message: 'La tarjeta está vencida' }
+      ]
+    }));
+    const onResult = vi.fn();
+    render(<PaymentForm intent={intent} onResult={onResult} />);
+
+    fillCard('APRO');
+    fireEvent.click(screen.getByRole('button', { name: 'Pagar' }));
+
+    expect(await screen.findByText('El número de tarjeta no es válido')).toBeInTheDocument();
+    expect(screen.getByText('La tarjeta está vencida')).toBeInTheDocument();
+    expect(screen.getByLabelText('Número de tarjeta')).toHaveAttribute('aria-invalid', 'true');
+    expect(onResult).not.toHaveBeenCalled();
+  });
+
+  // TEST 3: Proveedor sin formulario
+  it('debe avisar si el proveedor del pago no tiene formulario', () => {
+    render(<PaymentForm intent={{ ...intent, proveedor: 'desconocido' }} onResult={vi.fn()} />);
+
+    expect(screen.getByRole('alert')).toHaveTextContent('El medio de pago no está disponible');
+    expect(screen.queryByRole('button', { name: 'Pagar' })).not.toBeInTheDocument();
+  });
+});
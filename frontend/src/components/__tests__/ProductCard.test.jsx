@@ -12,12 +12,18 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 // 'fireEvent' - Función para simular eventos del usuario (clicks, escritura, etc.)
 import { render, screen, fireEvent } from '@testing-library/react';
 
+// Router en memoria: la tarjeta enlaza al detalle del producto con <Link>
+import { MemoryRouter } from 'react-router-dom';
+
 // Importamos el componente que vamos a testear
 import ProductCard from '../ProductCard';
 
 // Importamos el store de Zustand que el componente usa (para poder simularlo)
 import { useCartStore } from '../../store/useCartStore';
 
+// El store de favoritos se usa real (sin sesión no hace peticiones)
+import { useWishlistStore } from '../../store/useWishlistStore';
+
 // CONFIGURACIÓN DE MOCKS (SIMULACIONES)
 // Le decimos a Vitest que simule/falsifique el store de Zustand
 // Esto evita que los tests dependan del store real y nos da control total
@@ -45,16 +51,25 @@ describe('ProductCard Component', () => {
     // Esto evita que los tests se afecten entre sí
     vi.clearAllMocks();
     
-    // Configuramos el mock del store para que devuelva nuestra función simulada
-    // Cuando el componente llame a useCartStore(), recibirá mockAddItem
-    useCartStore.mockReturnValue(mockAddItem);
+    // Configuramos el mock del store para que ejecute el selector sobre un estado simulado
+    // Cuando el componente llame a useCartStore((state) => state.addItem), recibirá mockAddItem
+    // y cuando consulte state.items recibirá un carrito vacío
+    mockCartState({ items: [] });
   });
 
+  // Función auxiliar: renderiza la tarjeta dentro de un router
+  const renderCard = (ui) => render(<MemoryRouter>{ui}</MemoryRouter>);
+
+  // Función auxiliar: simula el estado del store para los selectores del componente
+  const mockCartState = (state) => {
+    useCartStore.mockImplementation((selector) => selector({ addItem: mockAddItem, ...state }));
+  };
+
   // TEST 1: Verificar que el componente muestra correctamente la información del producto
   it('debe renderizar la información del producto correctamente', () => {
     // PASO 1: Renderizamos el componente ProductCard pasándole nuestro producto de prueba
     // El componente se "dibuja" en memoria (no en el navegador real)
-    render(<ProductCard product={mockProduct} />);
+    renderCard(<ProductCard product={mockProduct} />);
     
     // PASO 2: Verificamos que el nombre del producto aparece en pantalla
     // getByText busca un elemento que contenga exactamente ese texto
@@ -73,7 +88,7 @@ describe('ProductCard Component', () => {
   // TEST 2: Verificar que la imagen del producto se muestra correctamente
   it('debe mostrar la imagen del producto', () => {
     // PASO 1: Renderizamos el componente con el producto
-    render(<ProductCard product={mockProduct} />);
+    renderCard(<ProductCard product={mockProduct} />);
     
     // PASO 2: Buscamos la imagen por su texto alternativo (alt text)
     // El alt text es importante para accesibilidad y testing
@@ -90,7 +105,7 @@ describe('ProductCard Component', () => {
   // TEST 3: Verificar que existe un botón para agregar el producto al carrito
   it('debe tener un botón para agregar al carrito', () => {
     // PASO 1: Renderizamos el componente
-    render(<ProductCard product={mockProduct} />);
+    renderCard(<ProductCard product={mockProduct} />);
     
     // PASO 2: Buscamos un botón cuyo texto contenga "agregar" y "carrito"
     // getByRole busca elementos por su rol semántico (button, link, heading, etc.)
@@ -105,7 +120,7 @@ describe('ProductCard Component', () => {
   // TEST 4: Verificar que al hacer click en el botón se llama a la función addItem
   it('debe llamar a addItem cuando se hace click en el botón', () => {
     // PASO 1: Renderizamos el componente
-    render(<ProductCard product={mockProduct} />);
+    renderCard(<ProductCard product={mockProduct} />);
     
     // PASO 2: Buscamos el botón de agregar al carrito
     const button = screen.getByRole('button', { name: /agregar.*carrito/i });
@@ -126,7 +141,7 @@ describe('ProductCard Component', () => {
   // TEST 5: Verificar que se maneja correctamente cuando la imagen no carga
   it('debe manejar el error de imagen correctamente', () => {
     // PASO 1: Renderizamos el componente
-    render(<ProductCard product={mockProduct} />);
+    renderCard(<ProductCard product={mockProduct} />);
     
     // PASO 2: Buscamos la imagen por su texto alternativo
     const image = screen.getByAltText('Nintendo Switch');
@@ -144,7 +159,7 @@ describe('ProductCard Component', () => {
   // TEST 6: Verificar que el precio se formatea correctamente como moneda argentina
   it('debe formatear el precio en formato argentino', () => {
     // PASO 1: Renderizamos el componente
-    render(<ProductCard product={mockProduct} />);
+    renderCard(<ProductCard product={mockProduct} />);
     
     // PASO 2: Buscamos el elemento que contiene el precio formateado
     // Usamos regex porque el formato puede variar según la configuración del sistema
@@ -155,4 +170,101 @@ describe('ProductCard Component', () => {
     // Esto confirma que el componente está formateando correctamente el número como moneda
     expect(priceElement).toBeInTheDocument();
   });
+
+  // TEST 7: Producto sin stock
+  it('debe mostrar "Sin stock" y deshabilitar el botón cuando no hay unidades', () => {
+    // PASO 1: Renderizamos un producto con stock 0
+    renderCard(<ProductCard product={{ ...mockProduct, stock: 0 }} />);
+
+    // PASO 2: El botón sigue existiendo pero está deshabilitado
+    const button = screen.getByRole('button', { name: /agregar.*carrito/i });
+    expect(button).toBeDisabled();
+
+    // PASO 3: Se muestra el aviso "Sin stock" (en el badge y en el botón)
+    expect(screen.getAllByText('Sin stock').length).toBeGreaterThan(0);
+
+    // PASO 4: Un click sobre el botón deshabilitado no agrega nada
+    fireEvent.click(button);
+    expect(mockAddItem).not.toHaveBeenCalled();
+  });
+
+  // TEST 8: Pocas unidades disponibles
+  it('debe avisar cuando quedan pocas unidades', () => {
+    // PASO 1: Renderizamos un producto con solo 3 unidades
+    renderCard(<ProductCard product={{ ...mockProduct, stock: 3 }} />);
+
+    // PASO 2: Verificamos el aviso de últimas unidades
+    expect(screen.getByText('Últimas 3 unidades')).toBeInTheDocument();
+
+    // PASO 3: Todavía se puede agregar al carrito
+    expect(screen.getByRole('button', { name: /agregar.*carrito/i })).toBeEnabled();
+  });
+
+  // TEST 9: El carrito ya tiene todo el stock disponible
+  it('debe deshabilitar el botón cuando el carrito ya tiene todo el stock', () => {
+    // PASO 1: Simulamos un carrito que ya contiene las 2 unidades disponibles
+    const product = { ...mockProduct, stock: 2 };
+    mockCartState({ items: [{ producto: product, cantidad: 2 }] });
+
+    // PASO 2: Renderizamos el producto
+    renderCard(<ProductCard product={product} />);
+
+    // PASO 3: El botón queda deshabilitado e indica el motivo
+    const button = screen.getByRole('button', { name: /agregar.*carrito/i });
+    expect(button).toBeDisabled();
+    expect(button).toHaveTextContent('Máximo en el carrito');
+  });
+
+  // TEST 10: Enlace al detalle del producto
+  it('debe enlazar el nombre y la imagen al detalle del producto', () => {
+    renderCard(<ProductCard product={mockProduct} />);
+
+    // El nombre es el enlace accesible; la imagen repite el destino para el mouse
+    expect(screen.getByRole('link', { name: 'Nintendo Switch' })).toHaveAttribute('href', '/products/1');
+    expect(screen.getByAltText('Nintendo Switch').closest('a')).toHaveAttribute('href', '/products/1');
+  });
+
+  // TEST 11: Promedio de reseñas
+  it('debe mostrar las estrellas y la cantidad de reseñas solo si el producto tiene alguna', () => {
+    // PASO 1: Con reseñas se muestran las estrellas y la cantidad
+    const { unmount } = renderCard(<ProductCard product={mockProduct} rating={{ promedio: 4.5, cantidad: 12 }} />);
+    expect(screen.getByRole('img', { name: '4,5 de 5 estrellas' })).toBeInTheDocument();
+    expect(screen.getByText('(12)')).toBeInTheDocument();
+    unmount();
+
+    // PASO 2: Sin reseñas no se muestra nada
+    renderCard(<ProductCard product={mockProduct} rating={{ promedio: 0, cantidad: 0 }} />);
+    expect(screen.queryByRole('img', { name: /estrellas/ })).not.toBeInTheDocument();
+  });
+
+  // TEST 12: Botón de favoritos
+  it('debe agregar y quitar el producto de favoritos con el corazón', () => {
+    useWishlistStore.setState({ items: [] });
+    renderCard(<ProductCard product={mockProduct} />);
+
+    // PASO 1: Guardar en favoritos
+    fireEvent.click(screen.getByRole('button', { name: 'Agregar Nintendo Switch a favoritos' }));
+    expect(useWishlistStore.getState().items).toEqual([mockProduct]);
+
+    // PASO 2: El botón queda marcado y ahora permite quitarlo
+    const heart = screen.getByRole('button', { name: 'Quitar Nintendo Switch de favoritos' });
+    expect(heart).toHaveAttribute('aria-pressed', 'true');
+    fireEvent.click(heart);
+    expect(useWishlistStore.getState().items).toEqual([]);
+
+    // PASO 3: No se agregó nada al carrito
+    expect(mockAddItem).not.toHaveBeenCalled();
+  });
+
+  // TEST 13: Precio sin impuestos nacionales según la alícuota del producto
+  it('debe mostrar el precio sin impuestos nacionales', () => {
+    // PASO 1: Sin alícuota se descuenta el IVA general (45.000 / 1,21)
+    const { unmount } = renderCard(<ProductCard product={mockProduct} />);
+    expect(screen.getByText(/Precio sin impuestos nacionales/)).toHaveTextContent(/37\.190,08/);
+    unmount();
+
+    // PASO 2: Con IVA reducido (45.000 / 1,105)
+    renderCard(<ProductCard product={{ ...mockProduct, iva: 10.5 }} />);
+    expect(screen.getByText(/Precio sin impuestos nacionales/)).toHaveTextContent(/40\.723,98/);
+  });
 });
@@ -0,0 +1,50 @@
+// ============================================================
+// TESTS DEL COMPONENTE PRODUCTGALLERY
+// ============================================================
+// Verificamos la galería del detalle de producto: cambio de imagen con
+// las miniaturas y zoom de la imagen principal
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+
+// El componente que vamos a testear
+import ProductGallery from '../ProductGallery';
+
+const images = ['/ps5-frente.jpg', '/ps5-lado.jpg'];
+
+describe('ProductGallery Component', () => {
+  // TEST 1: Imagen única
+  it('no debe mostrar miniaturas si hay una sola imagen', () => {
+    render(<ProductGallery images={['/ps5-frente.jpg']} alt="PlayStation 5" />);
+
+    expect(screen.getByAltText('PlayStation 5')).toHaveAttribute('src', '/ps5-frente.jpg');
+    expect(screen.queryByRole('button', { name: /Ver imagen/ })).not.toBeInTheDocument();
+  });
+
+  // TEST 2: Cambiar de imagen
+  it('debe mostrar la imagen elegida en las miniaturas', () => {
+    render(<ProductGallery images={images} alt="PlayStation 5" />);
+
+    // PASO 1: Empieza con la primera imagen
+    expect(screen.getByRole('button', { name: 'Ver imagen 1' })).toHaveAttribute('aria-pressed', 'true');
+
+    // PASO 2: Elegir la segunda miniatura cambia la imagen principal
+    fireEvent.click(screen.getByRole('button', { name: 'Ver imagen 2' }));
+    expect(screen.getByAltText('PlayStation 5')).toHaveAttribute('src', '/ps5-lado.jpg');
+    expect(screen.getByRole('button', { name: 'Ver imagen 2' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  // TEST 3: Zoom
+  it('debe ampliar y reducir la imagen principal con un click', () => {
+    render(<ProductGallery images={images} alt="PlayStation 5" />);
+
+    // PASO 1: Ampliar
+    fireEvent.click(screen.getByRole('button', { name: 'Ampliar imagen' }));
+    expect(screen.getByAltText('PlayStation 5').style.transform).toBe('scale(2)');
+
+    // PASO 2: Reducir
+    fireEvent.click(screen.getByRole('button', { name: 'Reducir imagen' }));
+    expect(screen.getByAltText('PlayStation 5').style.transform).toBe('none');
+  });
+});
@@ -45,9 +45,13 @@ import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 // IMPORTACIÓN 3: El componente ProductList
 import ProductList from '../ProductList';
 
+// IMPORTACIÓN 3b: Router en memoria
+// Solo para el test de categoría inexistente, que muestra un Link al catálogo completo
+import { MemoryRouter } from 'react-router-dom';
+
 // IMPORTACIÓN 4: La API de productos
-import { productsAPI } from '../../services/api';
-// ProductList llama a productsAPI.getAll() para obtener productos
+import { productsAPI, reviewsAPI } from '../../services/api';
+// ProductList llama a productsAPI.list() para obtener una página de productos
 // Debemos mockear esto para controlar qué productos se muestran
 
 // ============================================================
@@ -55,22 +59,31 @@ import { productsAPI } from '../../services/api';
 // ============================================================
 
 // MOCK 1: La API de productos
-vi.mock('../../services/api', () => ({
+// Conservamos las constantes reales (opciones de orden) y simulamos productsAPI y reviewsAPI
+vi.mock('../../services/api', async () => ({
+  ...(await vi.importActual('../../services/api')),
   productsAPI: {
-    getAll: vi.fn()
-    // getAll() es la función que obtiene todos los productos
+    list: vi.fn()
+    // list() es la función que obtiene una página del catálogo (filtrada y ordenada en el servidor)
+    // Devuelve { items, total, page, limit, totalPages }
     // La mockearemos para:
     // - Devolver productos de prueba
     // - Simular demoras en la carga
     // - Simular errores de red
     // - Devolver lista vacía
+  },
+  reviewsAPI: {
+    // Promedio de reseñas de los productos de la página: { [productId]: { promedio, cantidad } }
+    getSummary: vi.fn()
   }
 }));
 
 // MOCK 2: El componente ProductCard
 vi.mock('../ProductCard', () => ({
-  default: ({ product }) => (
-    <div data-testid={`product-${product.id}`}>{product.nombre}</div>
+  default: ({ product, rating }) => (
+    <div data-testid={`product-${product.id}`} data-rating={rating ? `${rating.promedio}/${rating.cantidad}` : ''}>
+      {product.nombre}
+    </div>
   )
 }));
 // ⚠️ CONCEPTO IMPORTANTE: ¿Por qué mockear ProductCard?
@@ -90,6 +103,14 @@ vi.mock('../ProductCard', () => ({
 // Esto es "destructuring" de props
 // El componente recibe props.product y lo extrae directamente
 
+// MOCK 3: La barra lateral de categorías
+// Carga sus propias categorías y usa Links; aquí solo nos interesa qué categoría recibe como activa
+vi.mock('../CategorySidebar', () => ({
+  default: ({ activeSlug }) => (
+    <nav data-testid="category-sidebar">{activeSlug || 'todas'}</nav>
+  )
+}));
+
 // ============================================================
 // SUITE DE TESTS PARA PRODUCTLIST
 // ============================================================
@@ -118,6 +139,11 @@ describe('ProductList Component', () => {
       categoria: 'consolas'        // Las 3 son consolas
     }
   ];
+  // Respuesta de productsAPI.list() con una sola página que contiene los productos indicados
+  const pageOf = (items, { total = items.length, page = 1, totalPages = 1 } = {}) => ({
+    items, total, page, limit: 12, totalPages
+  });
+
   // ¿Qué son FIXTURES?
   // Son datos de prueba reutilizables
   // Los definimos una vez y usamos en múltiples tests
@@ -136,6 +162,9 @@ describe('ProductList Component', () => {
     // ProductList llama a la API al montarse
     // Si no limpiamos, el test 2 vería las llamadas del test 1
     // Causaría falsos positivos/negativos
+
+    // Por defecto los productos no tienen reseñas
+    reviewsAPI.getSummary.mockResolvedValue({});
   });
 
   // ============================================================
@@ -145,7 +174,7 @@ describe('ProductList Component', () => {
     // NOTA: async porque podríamos necesitar cleanup después
     
     // PASO 1: Configurar una promesa que NUNCA se resuelve
-    productsAPI.getAll.mockImplementation(() => new Promise(() => {}));
+    productsAPI.list.mockImplementation(() => new Promise(() => {}));
     // ⚠️ CONCEPTO CLAVE: Promise pendiente infinita
     //
     // new Promise(() => {})
@@ -166,7 +195,7 @@ describe('ProductList Component', () => {
     render(<ProductList />);
     // ProductList inmediatamente:
     // 1. Se monta
-    // 2. Llama a productsAPI.getAll()
+    // 2. Llama a productsAPI.list()
     // 3. Recibe una promesa pendiente
     // 4. Muestra el estado de carga
     
@@ -205,7 +234,7 @@ describe('ProductList Component', () => {
     // async es OBLIGATORIO aquí por el await
     
     // PASO 1: Configurar API para devolver productos exitosamente
-    productsAPI.getAll.mockResolvedValue(mockProducts);
+    productsAPI.list.mockResolvedValue(pageOf(mockProducts));
     // mockResolvedValue = La promesa se resuelve exitosamente
     // Devuelve nuestros 3 productos de prueba
     // Simula: fetch exitoso → respuesta del servidor → productos
@@ -215,7 +244,7 @@ describe('ProductList Component', () => {
     // Flujo interno de ProductList:
     // 1. ComponentDidMount / useEffect
     // 2. setLoading(true)
-    // 3. productsAPI.getAll() → Promesa
+    // 3. productsAPI.list() → Promesa
     // 4. Muestra spinner (brevemente)
     // 5. Promesa se resuelve → mockProducts
     // 6. setProducts(mockProducts)
@@ -272,7 +301,7 @@ describe('ProductList Component', () => {
   // ============================================================
   it('debe mostrar un mensaje cuando no hay productos', async () => {
     // PASO 1: Configurar API para devolver array vacío
-    productsAPI.getAll.mockResolvedValue([]);
+    productsAPI.list.mockResolvedValue(pageOf([]));
     // [] = Array vacío, pero la promesa SE RESUELVE exitosamente
     // Diferente a un error: la API funcionó, pero no hay productos
     // Casos reales:
@@ -317,7 +346,7 @@ describe('ProductList Component', () => {
   // ============================================================
   it('debe mostrar error cuando falla la carga', async () => {
     // PASO 1: Configurar API para que FALLE
-    productsAPI.getAll.mockRejectedValue(new Error('Network error'));
+    productsAPI.list.mockRejectedValue(new Error('Network error'));
     // mockRejectedValue = La promesa es RECHAZADA
     // Simula errores como:
     // - Sin conexión a internet
@@ -377,7 +406,7 @@ describe('ProductList Component', () => {
   // ============================================================
   it('debe mostrar instrucciones para ejecutar el servidor cuando hay error', async () => {
     // PASO 1: Simular error de conexión
-    productsAPI.getAll.mockRejectedValue(new Error('Network error'));
+    productsAPI.list.mockRejectedValue(new Error('Network error'));
     
     // PASO 2: Renderizar ProductList
     render(<ProductList />);
@@ -427,7 +456,7 @@ describe('ProductList Component', () => {
     // ESCENARIO: Primera carga falla, reintento exitoso
     
     // PASO 1: Configurar primera llamada para FALLAR
-    productsAPI.getAll.mockRejectedValueOnce(new Error('Network error'));
+    productsAPI.list.mockRejectedValueOnce(new Error('Network error'));
     // ⚠️ CONCEPTO CLAVE: mockRejectedValueOnce vs mockRejectedValue
     //
     // mockRejectedValue: SIEMPRE falla
@@ -447,7 +476,7 @@ describe('ProductList Component', () => {
     // Primera llamada a API: FALLA ❌
     
     // PASO 3: Configurar segunda llamada para TENER ÉXITO
-    productsAPI.getAll.mockResolvedValueOnce(mockProducts);
+    productsAPI.list.mockResolvedValueOnce(pageOf(mockProducts));
     // La SEGUNDA vez que se llame, devolverá productos
     
     // PASO 4: Simular click en Reintentar
@@ -463,7 +492,7 @@ describe('ProductList Component', () => {
     // El error desaparece, los productos aparecen
     
     // PASO 6: Verificar que se llamó a la API exactamente 2 veces
-    expect(productsAPI.getAll).toHaveBeenCalledTimes(2);
+    expect(productsAPI.list).toHaveBeenCalledTimes(2);
     // 1ª llamada: Al montar (falló)
     // 2ª llamada: Al reintentar (éxito)
     //
@@ -489,7 +518,7 @@ describe('ProductList Component', () => {
     // Simula: Inventario que se actualiza, nuevos productos agregados
     
     // PASO 1: Primera carga devuelve lista VACÍA
-    productsAPI.getAll.mockResolvedValueOnce([]);
+    productsAPI.list.mockResolvedValueOnce(pageOf([]));
     // mockResolvedValueOnce([]) = Primera vez devuelve array vacío
     
     // PASO 2: Renderizar y esperar estado vacío
@@ -501,7 +530,7 @@ describe('ProductList Component', () => {
     // Estado inicial: Sin productos 📦
     
     // PASO 3: Configurar segunda carga CON productos
-    productsAPI.getAll.mockResolvedValueOnce(mockProducts);
+    productsAPI.list.mockResolvedValueOnce(pageOf(mockProducts));
     // La próxima vez que se llame a la API, HAY productos
     // Simula que el administrador agregó productos al inventario
     
@@ -518,7 +547,7 @@ describe('ProductList Component', () => {
     // Estado final: Productos visibles 🎉
     
     // PASO 6: Verificar dos llamadas a la API
-    expect(productsAPI.getAll).toHaveBeenCalledTimes(2);
+    expect(productsAPI.list).toHaveBeenCalledTimes(2);
     // 1ª: Al montar (vacío)
     // 2ª: Al actualizar (con productos)
     //
@@ -539,7 +568,7 @@ describe('ProductList Component', () => {
   // ============================================================
   it('debe renderizar ProductCard para cada producto', async () => {
     // PASO 1: Configurar API con 3 productos
-    productsAPI.getAll.mockResolvedValue(mockProducts);
+    productsAPI.list.mockResolvedValue(pageOf(mockProducts));
     // mockProducts tiene 3 productos (PS5, Xbox, Switch)
     
     // PASO 2: Renderizar ProductList
@@ -588,7 +617,7 @@ describe('ProductList Component', () => {
   // ============================================================
   it('debe usar grid responsivo para mostrar productos', async () => {
     // PASO 1: Configurar productos
-    productsAPI.getAll.mockResolvedValue(mockProducts);
+    productsAPI.list.mockResolvedValue(pageOf(mockProducts));
     
     // PASO 2: Renderizar ProductList
     render(<ProductList />);
@@ -650,7 +679,7 @@ describe('ProductList Component', () => {
     // Este test verifica que no hay llamadas innecesarias a la API
     
     // PASO 1: Configurar API
-    productsAPI.getAll.mockResolvedValue(mockProducts);
+    productsAPI.list.mockResolvedValue(pageOf(mockProducts));
     
     // PASO 2: Renderizar y obtener función rerender
     const { rerender } = render(<ProductList />);
@@ -677,7 +706,7 @@ describe('ProductList Component', () => {
     // - Re-render del componente padre
     
     // PASO 5: Verificar que NO hubo segunda llamada
-    expect(productsAPI.getAll).toHaveBeenCalledTimes(1);
+    expect(productsAPI.list).toHaveBeenCalledTimes(1);
     // Solo 1 llamada, no 2
     //
     // 🎯 OPTIMIZACIÓN IMPORTANTE:
@@ -715,6 +744,154 @@ describe('ProductList Component', () => {
     // - Se está llamando a la API en el render
     // - Problema de performance potencial
   });
+
+  // ============================================================
+  // TEST 11: FILTRO POR CATEGORÍA (SERVIDOR)
+  // ============================================================
+  it('debe pedir al servidor solo los productos de la categoría elegida', async () => {
+    // PASO 1: El servidor devuelve solo las consolas
+    productsAPI.list.mockResolvedValue(pageOf(mockProducts.slice(0, 2)));
+
+    // PASO 2: Renderizar con una categoría
+    render(<ProductList categorySlug="consolas" />);
+
+    // PASO 3: Se pidió la página filtrada por categoría
+    await waitFor(() => {
+      expect(screen.getAllByTestId(/product-/)).toHaveLength(2);
+    });
+    expect(productsAPI.list).toHaveBeenCalledWith(expect.objectContaining({ category: 'consolas', page: 1 }));
+
+    // PASO 4: La barra lateral marca la categoría activa
+    expect(screen.getByTestId('category-sidebar')).toHaveTextContent('consolas');
+  });
+
+  // ============================================================
+  // TEST 12: CAMBIO DE CATEGORÍA
+  // ============================================================
+  it('debe volver a cargar al cambiar de categoría', async () => {
+    productsAPI.list
+      .mockResolvedValueOnce(pageOf(mockProducts))
+      .mockResolvedValueOnce(pageOf([mockProducts[2]]));
+
+    // PASO 1: Catálogo completo
+    const { rerender } = render(<ProductList />);
+    await waitFor(() => {
+      expect(screen.getAllByTestId(/product-/)).toHaveLength(3);
+    });
+
+    // PASO 2: Elegir una categoría (como al navegar a /products/categoria/portatiles)
+    rerender(<ProductList categorySlug="portatiles" />);
+    await waitFor(() => {
+      expect(screen.getAllByTestId(/product-/)).toHaveLength(1);
+    });
+    expect(productsAPI.list).toHaveBeenLastCalledWith(expect.objectContaining({ category: 'portatiles' }));
+  });
+
+  // ============================================================
+  // TEST 13: CATEGORÍA INEXISTENTE
+  // ============================================================
+  it('debe avisar si la categoría no existe', async () => {
+    // El servidor responde 404 para slugs desconocidos
+    productsAPI.list.mockRejectedValue(Object.assign(new Error('Categoría no encontrada'), { status: 404 }));
+
+    render(
+      <MemoryRouter>
+        <ProductList categorySlug="no-existe" />
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText('Categoría no encontrada')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Ver todos los productos' })).toHaveAttribute('href', '/products');
+    // No es un error de conexión: no se muestran las instrucciones del servidor
+    expect(screen.queryByText('Reintentar')).not.toBeInTheDocument();
+  });
+
+  // ============================================================
+  // TEST 14: ORDEN (SERVIDOR)
+  // ============================================================
+  it('debe pedir la página en el orden elegido y avisar los cambios de orden', async () => {
+    productsAPI.list.mockResolvedValue(pageOf(mockProducts));
+    const onSortChange = vi.fn();
+
+    render(<ProductList page={2} sort="precio-desc" onSortChange={onSortChange} />);
+
+    // PASO 1: La clave del orden se traduce al campo y la dirección de JSON Server
+    expect(await screen.findByLabelText('Ordenar por')).toHaveValue('precio-desc');
+    expect(productsAPI.list).toHaveBeenCalledWith({ page: 2, sort: 'precio', order: 'desc', category: undefined });
+
+    // PASO 2: Elegir otro orden avisa al padre (que lo guarda en la URL)
+    fireEvent.change(screen.getByLabelText('Ordenar por'), { target: { value: 'nombre' } });
+    expect(onSortChange).toHaveBeenCalledWith('nombre');
+  });
+
+  // ============================================================
+  // TEST 15: PAGINADOR
+  // ============================================================
+  it('debe mostrar el paginador cuando hay más de una página', async () => {
+    productsAPI.list.mockResolvedValue(pageOf(mockProducts, { total: 27, page: 2, totalPages: 3 }));
+    const onPageChange = vi.fn();
+
+    render(<ProductList page={2} onPageChange={onPageChange} />);
+
+    // PASO 1: Se muestra el total de todas las páginas y la página actual
+    expect(await screen.findByText('27 productos')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Página 2' })).toHaveAttribute('aria-current', 'page');
+
+    // PASO 2: Siguiente pide la página 3
+    fireEvent.click(screen.getByRole('button', { name: 'Siguiente' }));
+    expect(onPageChange).toHaveBeenCalledWith(3);
+  });
+
+  // ============================================================
+  // TEST 16: PÁGINA FUERA DE RANGO
+  // ============================================================
+  it('debe ofrecer volver a la primera página si la pedida no tiene productos', async () => {
+    productsAPI.list.mockResolvedValue(pageOf([], { total: 8 }));
+    const onPageChange = vi.fn();
+
+    render(<ProductList page={9} onPageChange={onPageChange} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Ir a la primera página' }));
+    expect(onPageChange).toHaveBeenCalledWith(1);
+    // No es una tienda vacía
+    expect(screen.queryByText('No hay productos disponibles')).not.toBeInTheDocument();
+  });
+
+  // ============================================================
+  // TEST 17: PROMEDIO DE RESEÑAS EN LAS TARJETAS
+  // ============================================================
+  it('debe pasar a cada tarjeta el promedio de sus reseñas', async () => {
+    productsAPI.list.mockResolvedValue(pageOf(mockProducts));
+    reviewsAPI.getSummary.mockResolvedValue({
+      1: { promedio: 4.5, cantidad: 2 },
+      2: { promedio: 0, cantidad: 0 }
+    });
+
+    render(<ProductList />);
+
+    // PASO 1: Se pidió el resumen de los productos de la página
+    await waitFor(() => {
+      expect(screen.getByTestId('product-1')).toHaveAttribute('data-rating', '4.5/2');
+    });
+    expect(reviewsAPI.getSummary).toHaveBeenCalledWith([1, 2, 3]);
+
+    // PASO 2: Un producto que no vino en el resumen queda sin puntuación
+    expect(screen.getByTestId('product-3')).toHaveAttribute('data-rating', '');
+  });
+
+  // ============================================================
+  // TEST 18: EL RESUMEN DE RESEÑAS FALLA
+  // ============================================================
+  it('debe mostrar los productos aunque no se pueda cargar el promedio de reseñas', async () => {
+    productsAPI.list.mockResolvedValue(pageOf(mockProducts));
+    reviewsAPI.getSummary.mockRejectedValue(new Error('Network error'));
+
+    render(<ProductList />);
+
+    expect(await screen.findByTestId('product-1')).toHaveAttribute('data-rating', '');
+    expect(screen.queryByText(/algo salió mal/i)).not.toBeInTheDocument();
+  });
+
 });
 
 // ============================================================
@@ -731,6 +908,9 @@ describe('ProductList Component', () => {
 // 8. Renderizado correcto de componentes
 // 9. Diseño responsivo
 // 10. Optimización de llamadas a API
+// 11-13. Filtro por categoría en el servidor, cambio de categoría y categoría inexistente
+// 14-16. Orden y paginación en el servidor, página fuera de rango
+// 17-18. Promedio de reseñas en las tarjetas (sin romper el listado si falla)
 //
 // CONCEPTOS CLAVE APRENDIDOS:
 // - Promesas pendientes infinitas
@@ -0,0 +1,164 @@
+// ============================================================
+// TESTS DEL COMPONENTE PRODUCTREVIEWS
+// ============================================================
+// Verificamos las reseñas del detalle de producto: promedio y listado,
+// orden, formulario para compradores y los errores del backend
+// (no compró el producto, ya publicó una reseña, datos inválidos)
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, act, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+
+// El componente que vamos a testear
+import ProductReviews from '../ProductReviews';
+
+// La API de reseñas (mockeada abajo) y el store real de sesión
+import { reviewsAPI } from '../../services/api';
+import { useAuthStore } from '../../store/useAuthStore';
+
+// MOCK: La capa API - conservamos las constantes reales (opciones de orden) y APIError
+vi.mock('../../services/api', async () => ({
+  ...(await vi.importActual('../../services/api')),
+  reviewsAPI: {
+    getByProduct: vi.fn(),
+    getSummary: vi.fn(),
+    create: vi.fn()
+  }
+}));
+
+// Reseñas de ejemplo del producto 4
+const mockReviews = [
+  { id: 1, productId: 4, autor: 'Ana', rating: 5, titulo: 'Excelente', texto: 'La pantalla es increíble', fecha: '2025-10-15T12:00:00.000Z' },
+  { id: 2, productId: 4, autor: 'Luis', rating: 4, titulo: 'Muy buena', texto: 'La batería podría durar más', fecha: '2025-10-10T12:00:00.000Z' }
+];
+
+// Respuesta de getByProduct con una sola página
+const pageOf = (items, { totalPages = 1 } = {}) => ({ items, total: items.length, page: 1, limit: 5, totalPages });
+
+const renderReviews = () => render(
+  <MemoryRouter>
+    <ProductReviews productId={4} />
+  </MemoryRouter>
+);
+
+// Completa y envía el formulario de reseña
+const fillAndSubmit = async () => {
+  fireEvent.click(await screen.findByRole('button', { name: '4 estrellas' }));
+  fireEvent.change(screen.getByLabelText('Título'), { target: { value: 'Me encantó' } });
+  fireEvent.change(screen.getByLabelText('Tu opinión'), { target: { value: 'Muy recomendable' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Publicar reseña' }));
+};
+
+describe('ProductReviews Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    act(() => {
+      useAuthStore.setState({ token: 'token', user: { id: 2, nombre: 'Ana', email: 'ana@mail.com', role: 'cliente' } });
+    });
+    reviewsAPI.getByProduct.mockResolvedValue(pageOf(mockReviews));
+    reviewsAPI.getSummary.mockResolvedValue({ 4: { promedio: 4.5, cantidad: 2 } });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // TEST 1: Promedio y listado
+  it('debe mostrar el promedio y las reseñas del producto', async () => {
+    renderReviews();
+
+    // PASO 1: Reseñas visibles, más recientes primero
+    expect(await screen.findByText('Excelente')).toBeInTheDocument();
+    expect(screen.getByText('La batería podría durar más')).toBeInTheDocument();
+    expect(reviewsAPI.getByProduct).toHaveBeenCalledWith(4, { page: 1, sort: 'fecha', order: 'desc' });
+
+    // PASO 2: Promedio y cantidad
+    expect(screen.getByRole('img', { name: '4,5 de 5 estrellas' })).toBeInTheDocument();
+    expect(screen.getByText('2 reseñas')).toBeInTheDocument();
+  });
+
+  // TEST 2: Cambiar el orden
+  it('debe pedir las reseñas en el orden elegido', async () => {
+    renderReviews();
+
+    fireEvent.change(await screen.findByLabelText('Ordenar reseñas'), { target: { value: 'peor-puntuadas' } });
+
+    await waitFor(() => {
+      expect(reviewsAPI.getByProduct).toHaveBeenLastCalledWith(4, { page: 1, sort: 'rating', order: 'asc' });
+    });
+  });
+
+  // TEST 3: Sin sesión
+  it('debe invitar a iniciar sesión para opinar', async () => {
+    act(() => {
+      useAuthStore.setState({ token: null, user: null });
+    });
+
+    renderReviews();
+
+    expect(await screen.findByRole('link', { name: 'Inicia sesión' })).toHaveAttribute(
+      'href',
+      `/login?redirect=${encodeURIComponent('/products/4')}`
+    );
+    expect(screen.queryByRole('button', { name: 'Publicar reseña' })).not.toBeInTheDocument();
+  });
+
+  // TEST 4: Publicar una reseña
+  it('debe publicar la reseña y recargar el listado', async () => {
+    reviewsAPI.create.mockResolvedValue({ id: 3 });
+    renderReviews();
+
+    await fillAndSubmit();
+
+    // PASO 1: Se envió la reseña
+    expect(reviewsAPI.create).toHaveBeenCalledWith(4, { rating: 4, titulo: 'Me encantó', texto: 'Muy recomendable' });
+
+    // PASO 2: Confirmación y recarga del listado y del promedio
+    expect(await screen.findByRole('status')).toHaveTextContent('Tu reseña fue publicada');
+    await waitFor(() => {
+      expect(reviewsAPI.getSummary).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  // TEST 5: Validación en el cliente
+  it('debe pedir la puntuación, el título y el texto antes de enviar', async () => {
+    renderReviews();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Publicar reseña' }));
+
+    expect(screen.getByText('Elige una puntuación de 1 a 5 estrellas')).toBeInTheDocument();
+    expect(screen.getByText('El título es obligatorio')).toBeInTheDocument();
+    expect(reviewsAPI.create).not.toHaveBeenCalled();
+  });
+
+  // TEST 6: El usuario no compró el producto
+  it('debe mostrar el motivo si el usuario no puede opinar', async () => {
+    const { APIError } = await vi.importActual('../../services/api');
+    reviewsAPI.create.mockRejectedValue(new APIError(403, {
+      error: 'NOT_VERIFIED_BUYER',
+      message: 'Solo pueden opinar los clientes que compraron este producto'
+    }));
+    renderReviews();
+
+    await fillAndSubmit();
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Solo pueden opinar los clientes que compraron este producto');
+  });
+
+  // TEST 7: Errores de validación del backend
+  it('debe mostrar los errores por campo que devuelve el servidor', async () => {
+    const { APIError } = await vi.importActual('../../services/api');
+    reviewsAPI.create.mockRejectedValue(new APIError(422, {
+      error: 'VALIDATION_ERROR',
+      message: 'La reseña contiene datos inválidos',
+      details: [{ field: 'titulo', message: 'El título debe tener entre 1 y 100 caracteres' }]
+    }));
+    renderReviews();
+
+    await fillAndSubmit();
+
+    expect(await screen.findByText('El título debe tener entre 1 y 100 caracteres')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,85 @@
+// ============================================================
+// TESTS DEL COMPONENTE RECEIPTBUTTON
+// ============================================================
+// Verificamos la descarga del comprobante en PDF: se pide el archivo con la sesión,
+// se descarga con el nombre de la orden y los errores se muestran junto al botón
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+
+// El componente que vamos a testear
+import ReceiptButton from '../ReceiptButton';
+
+// La API de órdenes (mockeada abajo)
+import { ordersAPI, APIError } from '../../services/api';
+
+// MOCK: La capa API - conservamos APIError real
+vi.mock('../../services/api', async () => ({
+  ...(await vi.importActual('../../services/api')),
+  ordersAPI: {
+    downloadReceipt: vi.fn()
+  }
+}));
+
+describe('ReceiptButton Component', () => {
+  let clickSpy;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    // jsdom no implementa las URLs de objetos ni la navegación de los enlaces
+    URL.createObjectURL = vi.fn(() => 'blob:comprobante');
+    URL.revokeObjectURL = vi.fn();
+    clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    clickSpy.mockRestore();
+  });
+
+  // TEST 1: Descarga del PDF
+  it('debe descargar el comprobante con el nombre de la orden', async () => {
+    const pdf = new Blob(['%PDF-1.4'], { type: 'application/pdf' });
+    ordersAPI.downloadReceipt.mockResolvedValue(pdf);
+    render(<ReceiptButton orderId={42} />);
+
+    // PASO 1: Pedir el comprobante
+    fireEvent.click(screen.getByRole('button', { name: 'Descargar comprobante' }));
+
+    // PASO 2: El archivo se descarga desde una URL temporal que luego se libera
+    await waitFor(() => {
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:comprobante');
+    });
+    expect(ordersAPI.downloadReceipt).toHaveBeenCalledWith(42);
+    expect(URL.createObjectURL).toHaveBeenCalledWith(pdf);
+    expect(clickSpy).toHaveBeenCalledTimes(1);
+    expect(clickSpy.mock.contexts[0].download).toBe('gamehub-orden-42.pdf');
+
+    // PASO 3: El botón vuelve a estar disponible
+    expect(screen.getByRole('button', { name: 'Descargar comprobante' })).toBeEnabled();
+  });
+
+  // TEST 2: Error del servidor
+  it('debe mostrar el error si no se pudo descargar', async () => {
+    ordersAPI.downloadReceipt.mockRejectedValue(
+      new APIError(404, { error: 'NOT_FOUND', message: 'Orden no encontrada' })
+    );
+    render(<ReceiptButton orderId={99} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Descargar comprobante' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Orden no encontrada');
+    expect(clickSpy).not.toHaveBeenCalled();
+  });
+
+  // TEST 3: Error de red (sin mensaje del servidor)
+  it('debe mostrar un mensaje genérico ante un error de red', async () => {
+    ordersAPI.downloadReceipt.mockRejectedValue(new TypeError('Failed to fetch'));
+    render(<ReceiptButton orderId={42} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Descargar comprobante' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('No pudimos descargar el comprobante');
+  });
+});
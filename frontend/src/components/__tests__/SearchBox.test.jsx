@@ -0,0 +1,137 @@
+// ============================================================
+// TESTS DEL COMPONENTE SEARCHBOX
+// ============================================================
+// Verificamos el buscador del header: sugerencias con espera (debounce),
+// navegación con el teclado y paso a la página de resultados
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+
+// El componente que vamos a testear
+import SearchBox from '../SearchBox';
+
+// La API de productos (mockeada abajo)
+import { productsAPI } from '../../services/api';
+
+// MOCK: La capa API - no queremos peticiones HTTP reales
+vi.mock('../../services/api', () => ({
+  productsAPI: {
+    search: vi.fn()
+  }
+}));
+
+// Sugerencias de ejemplo tal como las devuelve el backend
+const mockResults = [
+  { id: 3, nombre: 'Razer BlackWidow V4 Pro' },
+  { id: 6, nombre: 'Logitech G Pro X Superlight' }
+];
+
+// Muestra la URL actual para verificar la navegación a /buscar
+const LocationDisplay = () => {
+  const location = useLocation();
+  return <div data-testid="location">{location.pathname}{location.search}</div>;
+};
+
+const renderSearchBox = () => {
+  return render(
+    <MemoryRouter initialEntries={['/']}>
+      <SearchBox />
+      <Routes>
+        <Route path="*" element={<LocationDisplay />} />
+      </Routes>
+    </MemoryRouter>
+  );
+};
+
+// Helper: escribe en el buscador
+const type = (value) => {
+  const input = screen.getByRole('combobox', { name: 'Buscar productos' });
+  fireEvent.focus(input);
+  fireEvent.change(input, { target: { value } });
+  return input;
+};
+
+describe('SearchBox Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    productsAPI.search.mockResolvedValue(mockResults);
+  });
+
+  // TEST 1: Sugerencias mientras se escribe
+  it('debe mostrar sugerencias después de dejar de escribir', async () => {
+    renderSearchBox();
+    type('raz');
+
+    // PASO 1: La búsqueda espera a que el usuario deje de escribir
+    expect(productsAPI.search).not.toHaveBeenCalled();
+
+    // PASO 2: Aparecen las sugerencias con el límite del autocompletado
+    expect(await screen.findByRole('option', { name: 'Razer BlackWidow V4 Pro' })).toBeInTheDocument();
+    expect(productsAPI.search).toHaveBeenCalledTimes(1);
+    expect(productsAPI.search).toHaveBeenCalledWith('raz', expect.objectContaining({ limit: 5 }));
+  });
+
+  // TEST 2: Debounce
+  it('debe buscar una sola vez con el último texto escrito', async () => {
+    renderSearchBox();
+    const input = type('r');
+    fireEvent.change(input, { target: { value: 'ra' } });
+    fireEvent.change(input, { target: { value: 'raze' } });
+
+    await screen.findByRole('option', { name: 'Razer BlackWidow V4 Pro' });
+    expect(productsAPI.search).toHaveBeenCalledTimes(1);
+    expect(productsAPI.search).toHaveBeenCalledWith('raze', expect.any(Object));
+  });
+
+  // TEST 3: Texto demasiado corto
+  it('no debe pedir sugerencias con menos de dos letras', async () => {
+    renderSearchBox();
+    type('r');
+
+    // Esperar más que el debounce y verificar que no se consultó
+    await new Promise((resolve) => setTimeout(resolve, 400));
+    expect(productsAPI.search).not.toHaveBeenCalled();
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+  });
+
+  // TEST 4: Enviar el formulario
+  it('debe ir a la página de resultados al presionar Enter', () => {
+    renderSearchBox();
+    const input = type('auriculares inalambricos');
+
+    fireEvent.submit(input.closest('form'));
+
+    expect(screen.getByTestId('location')).toHaveTextContent('/buscar?q=auriculares%20inalambricos');
+  });
+
+  // TEST 5: Teclado y selección de una sugerencia
+  it('debe permitir elegir una sugerencia con las flechas', async () => {
+    renderSearchBox();
+    const input = type('pro');
+    await screen.findByRole('option', { name: 'Razer BlackWidow V4 Pro' });
+
+    // PASO 1: Bajar dos veces resalta la segunda sugerencia
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(screen.getByRole('option', { name: 'Logitech G Pro X Superlight' })).toHaveAttribute('aria-selected', 'true');
+
+    // PASO 2: Enter busca el producto resaltado y cierra la lista
+    fireEvent.submit(input.closest('form'));
+    expect(screen.getByTestId('location')).toHaveTextContent('/buscar?q=Logitech%20G%20Pro%20X%20Superlight');
+    expect(input).toHaveValue('Logitech G Pro X Superlight');
+    await waitFor(() => expect(screen.queryByRole('listbox')).not.toBeInTheDocument());
+  });
+
+  // TEST 6: Escape cierra las sugerencias
+  it('debe cerrar las sugerencias con Escape', async () => {
+    renderSearchBox();
+    const input = type('raz');
+    await screen.findByRole('listbox');
+
+    fireEvent.keyDown(input, { key: 'Escape' });
+
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+  });
+});
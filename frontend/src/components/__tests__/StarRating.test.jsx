@@ -0,0 +1,40 @@
+// ============================================================
+// TESTS DEL COMPONENTE STARRATING
+// ============================================================
+// Verificamos que la puntuación se anuncie con su valor y que las
+// estrellas se pinten en proporción al promedio
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+
+// El componente que vamos a testear
+import StarRating from '../StarRating';
+
+describe('StarRating Component', () => {
+  // TEST 1: Texto accesible
+  it('debe anunciar la puntuación con coma decimal', () => {
+    render(<StarRating value={4.5} />);
+
+    expect(screen.getByRole('img', { name: '4,5 de 5 estrellas' })).toBeInTheDocument();
+  });
+
+  // TEST 2: Relleno proporcional
+  it('debe pintar las estrellas según el promedio', () => {
+    render(<StarRating value={3.5} />);
+
+    // Cada estrella tiene una capa pintada cuyo ancho es la porción del valor que le corresponde
+    const fills = screen.getByRole('img').querySelectorAll('span > span > span');
+    expect([...fills].map((fill) => fill.style.width)).toEqual(['100%', '100%', '100%', '50%', '0%']);
+  });
+
+  // TEST 3: Valores fuera de rango
+  it('debe limitar la puntuación entre 0 y 5', () => {
+    const { unmount } = render(<StarRating value={7} />);
+    expect(screen.getByRole('img', { name: '5 de 5 estrellas' })).toBeInTheDocument();
+    unmount();
+
+    render(<StarRating value={undefined} />);
+    expect(screen.getByRole('img', { name: '0 de 5 estrellas' })).toBeInTheDocument();
+  });
+});
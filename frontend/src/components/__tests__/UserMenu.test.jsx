@@ -0,0 +1,99 @@
+// ============================================================
+// TESTS DEL COMPONENTE USERMENU
+// ============================================================
+// El menú de usuario del Header: enlace "Ingresar" sin sesión,
+// y con sesión un desplegable con los datos de la cuenta y "Cerrar sesión"
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+
+// El componente que vamos a testear
+import UserMenu from '../UserMenu';
+
+// El store real de autenticación: preparamos la sesión con setState
+import { useAuthStore } from '../../store/useAuthStore';
+
+// Helper: renderiza el menú dentro de un Router (usa Link y useNavigate)
+const renderUserMenu = () => {
+  return render(
+    <BrowserRouter>
+      <UserMenu />
+    </BrowserRouter>
+  );
+};
+
+describe('UserMenu Component', () => {
+  // Función simulada que reemplaza la acción logout del store
+  const mockLogout = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuthStore.setState({ token: null, user: null, logout: mockLogout });
+  });
+
+  // TEST 1: Sin sesión
+  it('debe mostrar el enlace "Ingresar" si no hay sesión', () => {
+    renderUserMenu();
+
+    expect(screen.getByRole('link', { name: 'Ingresar' })).toHaveAttribute('href', '/login');
+  });
+
+  // TEST 2: Con sesión, el menú empieza cerrado
+  it('debe mostrar el botón del usuario con el menú cerrado', () => {
+    useAuthStore.setState({ token: 'token', user: { id: 1, nombre: 'Ana', email: 'ana@mail.com', role: 'cliente' } });
+
+    renderUserMenu();
+
+    expect(screen.getByRole('button', { name: 'Menú de usuario de Ana' })).toBeInTheDocument();
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+  });
+
+  // TEST 3: Abrir el menú y cerrar sesión
+  it('debe abrir el menú y cerrar sesión', () => {
+    useAuthStore.setState({ token: 'token', user: { id: 1, nombre: 'Ana', email: 'ana@mail.com', role: 'cliente' } });
+
+    renderUserMenu();
+
+    // PASO 1: Abrir el menú
+    fireEvent.click(screen.getByRole('button', { name: 'Menú de usuario de Ana' }));
+    expect(screen.getByRole('menu')).toHaveTextContent('ana@mail.com');
+
+    // PASO 2: Cerrar sesión
+    fireEvent.click(screen.getByRole('menuitem', { name: 'Cerrar sesión' }));
+    expect(mockLogout).toHaveBeenCalledTimes(1);
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+  });
+
+  // TEST 4: Accesos de administración
+  it('debe mostrar el acceso a la administración solo a los administradores', () => {
+    // PASO 1: Un cliente no ve el acceso
+    useAuthStore.setState({ token: 'token', user: { id: 1, nombre: 'Ana', email: 'ana@mail.com', role: 'cliente' } });
+    const { unmount } = renderUserMenu();
+    fireEvent.click(screen.getByRole('button', { name: 'Menú de usuario de Ana' }));
+    expect(screen.queryByRole('menuitem', { name: 'Administrar productos' })).not.toBeInTheDocument();
+    unmount();
+
+    // PASO 2: Un administrador sí lo ve
+    useAuthStore.setState({ token: 'token', user: { id: 2, nombre: 'Admin', email: 'admin@gamehub.com', role: 'admin' } });
+    renderUserMenu();
+    fireEvent.click(screen.getByRole('button', { name: 'Menú de usuario de Admin' }));
+    expect(screen.getByRole('menuitem', { name: 'Administrar productos' })).toHaveAttribute('href', '/admin/products');
+    expect(screen.getByRole('menuitem', { name: 'Órdenes' })).toHaveAttribute('href', '/admin/orders');
+    expect(screen.getByRole('menuitem', { name: 'Estadísticas' })).toHaveAttribute('href', '/admin/stats');
+    expect(screen.getByRole('menuitem', { name: 'Reseñas' })).toHaveAttribute('href', '/admin/reviews');
+  });
+
+  // TEST 5: Historial de compras
+  it('debe mostrar el acceso a "Mis pedidos" a cualquier usuario', () => {
+    useAuthStore.setState({ token: 'token', user: { id: 1, nombre: 'Ana', email: 'ana@mail.com', role: 'cliente' } });
+
+    renderUserMenu();
+    fireEvent.click(screen.getByRole('button', { name: 'Menú de usuario de Ana' }));
+
+    fireEvent.click(screen.getByRole('menuitem', { name: 'Mis pedidos' }));
+    expect(window.location.pathname).toBe('/mis-pedidos');
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+  });
+});
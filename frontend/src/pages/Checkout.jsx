@@ -0,0 +1,726 @@
+// Página Checkout - Finalizar la compra en pasos (/checkout)
+// Contacto → Dirección → Entrega → Pago → Revisión; cada paso se valida antes de avanzar
+// Los datos se guardan en useCheckoutStore (localStorage), así recargar la página no los pierde
+// El servidor vuelve a validar todo al crear la orden y sus errores se muestran en el paso que corresponde
+// Con tarjeta, la orden creada se paga en línea (PaymentForm); si el pago se rechaza el carrito se conserva
+// La orden que espera el pago queda en useCheckoutStore: al volver a la página se retoma su pago, y el
+// comprador puede cancelarla; si no se paga a tiempo el backend la cancela y se avisa aquí
+// En el paso de pago se elige el comprobante: Factura B o Factura A con CUIT y razón social
+// La confirmación permite descargar el comprobante de compra en PDF y lleva al detalle del pedido (/mis-pedidos)
+import React, { useState, useEffect } from 'react';
+import { Link, Navigate } from 'react-router-dom';
+import { useCartStore } from '../store/useCartStore';
+import { useCheckoutStore, CHECKOUT_STEPS } from '../store/useCheckoutStore';
+import { useAuthStore, getLoginPath } from '../store/useAuthStore';
+import {
+  ordersAPI,
+  paymentsAPI,
+  ORDER_STATUS,
+  DELIVERY_METHOD_LABELS,
+  PAYMENT_METHOD_LABELS,
+  ONLINE_PAYMENT_METHODS,
+} from '../services/api';
+import { INVOICE_TYPE_LABELS, isValidCuit } from '../services/taxes';
+import PaymentForm from '../components/PaymentForm';
+import TaxBreakdown from '../components/TaxBreakdown';
+import ReceiptButton from '../components/ReceiptButton';
+
+// Mismas reglas que el backend (lib/checkout.js) para avisar antes de enviar
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DNI_PATTERN = /^\d{7,8}$/;
+const PHONE_PATTERN = /^\+?[\d\s()-]+$/;
+
+// Campos de cada paso de texto; "path" es la ruta del campo en la orden (la que usan los errores del servidor)
+const CONTACT_FIELDS = [
+  { name: 'nombre', label: 'Nombre y apellido', type: 'text', autoComplete: 'name' },
+  { name: 'email', label: 'Email', type: 'email', autoComplete: 'email' },
+  { name: 'dni', label: 'DNI', type: 'text', inputMode: 'numeric' },
+  { name: 'telefono', label: 'Teléfono', type: 'tel', autoComplete: 'tel' },
+].map((field) => ({ ...field, path: `cliente.${field.name}` }));
+
+const ADDRESS_FIELDS = [
+  { name: 'calle', label: 'Calle', autoComplete: 'address-line1' },
+  { name: 'numero', label: 'Altura', autoComplete: 'off' },
+  { name: 'pisoDepto', label: 'Piso / Depto (opcional)', autoComplete: 'address-line2' },
+  { name: 'codigoPostal', label: 'Código postal', autoComplete: 'postal-code' },
+  { name: 'ciudad', label: 'Ciudad', autoComplete: 'address-level2' },
+  { name: 'provincia', label: 'Provincia', autoComplete: 'address-level1' },
+].map((field) => ({ ...field, type: 'text', path: `envio.direccion.${field.name}` }));
+
+// Datos de la Factura A
+const INVOICE_FIELDS = [
+  { name: 'cuit', label: 'CUIT', type: 'text', inputMode: 'numeric', autoComplete: 'off' },
+  { name: 'razonSocial', label: 'Razón social', type: 'text', autoComplete: 'organization' },
+].map((field) => ({ ...field, path: `factura.${field.name}` }));
+
+// Validación de un paso; retorna un objeto { rutaDelCampo: mensaje }
+const validateStep = (step, { contacto, direccion, entrega, pago, factura }) => {
+  const errors = {};
+  if (step === 0) {
+    if (!contacto.nombre.trim()) {
+      errors['cliente.nombre'] = 'Completa tu nombre';
+    }
+    if (!EMAIL_PATTERN.test(contacto.email.trim())) {
+      errors['cliente.email'] = 'El email no es válido';
+    }
+    if (!DNI_PATTERN.test(contacto.dni.replace(/[.\s]/g, ''))) {
+      errors['cliente.dni'] = 'El DNI debe tener 7 u 8 números';
+    }
+    const phoneDigits = contacto.telefono.replace(/\D/g, '').length;
+    if (!PHONE_PATTERN.test(contacto.telefono.trim()) || phoneDigits < 8 || phoneDigits > 15) {
+      errors['cliente.telefono'] = 'El teléfono debe tener entre 8 y 15 números';
+    }
+  }
+  if (step === 1) {
+    [['calle', 'Completa la calle'], ['numero', 'Completa la altura'], ['codigoPostal', 'Completa el código postal'],
+      ['ciudad', 'Completa la ciudad'], ['provincia', 'Completa la provincia']].forEach(([name, message]) => {
+      if (!direccion[name].trim()) {
+        errors[`envio.direccion.${name}`] = message;
+      }
+    });
+  }
+  if (step === 2 && !DELIVERY_METHOD_LABELS[entrega]) {
+    errors['envio.metodo'] = 'Elige envío a domicilio o retiro en el local';
+  }
+  if (step === 3) {
+    if (!PAYMENT_METHOD_LABELS[pago]) {
+      errors['pago.metodo'] = 'Elige un medio de pago';
+    } else if (pago === 'efectivo' && entrega !== 'retiro') {
+      errors['pago.metodo'] = 'El pago en efectivo solo está disponible al retirar en el local';
+    }
+    if (factura.tipo === 'A') {
+      if (!isValidCuit(factura.cuit)) {
+        errors['factura.cuit'] = 'El CUIT no es válido';
+      }
+      if (!factura.razonSocial.trim()) {
+        errors['factura.razonSocial'] = 'Completa la razón social';
+      }
+    }
+  }
+  return errors;
+};
+
+// Paso al que pertenece un campo con error devuelto por el servidor (null: se muestra en la revisión)
+const stepForField = (field) => {
+  if (field.startsWith('cliente.')) return 0;
+  if (field.startsWith('envio.direccion.')) return 1;
+  if (field === 'envio.metodo') return 2;
+  if (field.startsWith('pago.') || field.startsWith('factura.')) return 3;
+  return null;
+};
+
+// Estados de una orden ya cobrada: la compra terminó aunque la página se haya cerrado durante el pago
+const PAID_STATUSES = [ORDER_STATUS.PAGADA, ORDER_STATUS.ENVIADA, ORDER_STATUS.ENTREGADA];
+
+// Formatear números como moneda argentina
+const formatPrice = (price) => {
+  return new Intl.NumberFormat('es-AR', {
+    style: 'currency',
+    currency: 'ARS',
+  }).format(price);
+};
+
+// Campo de texto con su etiqueta y mensaje de error
+const TextField = ({ field, value, error, onChange }) => (
+  <div>
+    <label htmlFor={`checkout-${field.name}`} className="block text-sm font-medium text-gray-700 mb-1">
+      {field.label}
+    </label>
+    <input
+      id={`checkout-${field.name}`}
+      name={field.name}
+      type={field.type}
+      inputMode={field.inputMode}
+      autoComplete={field.autoComplete}
+      value={value}
+      onChange={(e) => onChange(field.name, e.target.value)}
+      aria-invalid={Boolean(error)}
+      className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+    />
+    {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+  </div>
+);
+
+const Checkout = () => {
+  const user = useAuthStore((state) => state.user);
+
+  // Carrito: productos, cupón y envío cotizado
+  const items = useCartStore((state) => state.items);
+  const coupon = useCartStore((state) => state.coupon);
+  const shipping = useCartStore((state) => state.shipping);
+  const getTotal = useCartStore((state) => state.getTotal);
+  const getDiscount = useCartStore((state) => state.getDiscount);
+  const getShippingCost = useCartStore((state) => state.getShippingCost);
+  const quoteShipping = useCartStore((state) => state.quoteShipping);
+  const getOrderData = useCartStore((state) => state.getOrderData);
+  const getTaxes = useCartStore((state) => state.getTaxes);
+  const clearCart = useCartStore((state) => state.clearCart);
+
+  // Datos del checkout guardados entre recargas
+  const {
+    step, contacto, direccion, entrega, pago, factura,
+    goToStep, setField, setEntrega, setPago, reset, getIdempotencyKey, clearIdempotencyKey,
+    setPendingOrder, clearPendingOrder,
+  } = useCheckoutStore();
+
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [submitError, setSubmitError] = useState(null);
+  const [submitDetails, setSubmitDetails] = useState([]); // Errores del servidor que no son de un campo del formulario
+  const [submitting, setSubmitting] = useState(false);
+  const [quoting, setQuoting] = useState(false);
+  const [createdOrder, setCreatedOrder] = useState(null);
+  const [paymentOrder, setPaymentOrder] = useState(null); // Orden creada que espera el pago en línea
+  const [intent, setIntent] = useState(null);             // Pago iniciado para paymentOrder
+  const [paymentResult, setPaymentResult] = useState(null);
+  const [notice, setNotice] = useState(null); // Aviso de una orden pendiente de pago que se canceló
+  const [cancelling, setCancelling] = useState(false);
+  // Mientras se consulta la orden que quedó esperando el pago no se muestra el formulario (evita crear otra)
+  const [resuming, setResuming] = useState(() => Boolean(useCheckoutStore.getState().pendingOrderId));
+
+  // Completar nombre y email con los de la cuenta si todavía están vacíos
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+    const { contacto: current, setField: update } = useCheckoutStore.getState();
+    if (!current.nombre) update('contacto', 'nombre', user.nombre || '');
+    if (!current.email) update('contacto', 'email', user.email || '');
+  }, [user]);
+
+  // Retomar la orden que quedó esperando el pago en línea (recarga, pestaña cerrada) según su estado actual
+  useEffect(() => {
+    const orderId = useCheckoutStore.getState().pendingOrderId;
+    if (!user || !orderId) {
+      return undefined;
+    }
+    let active = true;
+    const resume = async () => {
+      try {
+        const order = await ordersAPI.getById(orderId);
+        if (!active) {
+          return;
+        }
+        const status = order.status || ORDER_STATUS.PENDIENTE;
+        if (status === ORDER_STATUS.PENDIENTE && !order.pago?.enRevision) {
+          // Sigue sin pagar: volver al pago con una intención nueva
+          setPaymentOrder(order);
+          try {
+            setIntent(await paymentsAPI.createIntent(order.id));
+          } catch (error) {
+            console.error('Error al iniciar el pago:', error);
+            setSubmitError(error.serverMessage || 'No pudimos iniciar el pago. Inténtalo nuevamente.');
+          }
+        } else if (status === ORDER_STATUS.PENDIENTE || PAID_STATUSES.includes(status)) {
+          // Se pagó (o el pago está en revisión) antes de volver: la compra terminó
+          useCartStore.getState().clearCart();
+          useCheckoutStore.getState().reset();
+          setPaymentResult({ estado: status === ORDER_STATUS.PENDIENTE ? 'pendiente' : 'aprobado' });
+          setCreatedOrder(order);
+        } else {
+          // Cancelada (no se pagó a tiempo) o rechazada: el carrito sigue disponible para otro intento
+          useCheckoutStore.getState().clearPendingOrder();
+          setNotice(`La orden #${order.id} se anuló porque no se completó el pago. Tus productos siguen en el carrito.`);
+        }
+      } catch (error) {
+        console.error('Error al retomar el pago:', error);
+        if (!active) {
+          return;
+        }
+        if (error.status === 404) {
+          useCheckoutStore.getState().clearPendingOrder();
+        } else {
+          setSubmitError('No pudimos recuperar tu orden pendiente de pago. Recarga la página para intentarlo nuevamente.');
+        }
+      } finally {
+        if (active) {
+          setResuming(false);
+        }
+      }
+    };
+    resume();
+    return () => {
+      active = false;
+    };
+  }, [user]);
+
+  // Crear una orden requiere sesión: volver aquí después de ingresar
+  if (!user) {
+    return <Navigate to={getLoginPath('/checkout')} replace />;
+  }
+
+  // Iniciar el pago en línea de una orden recién creada
+  const startPayment = async (order) => {
+    setSubmitError(null);
+    try {
+      setIntent(await paymentsAPI.createIntent(order.id));
+    } catch (error) {
+      console.error('Error al iniciar el pago:', error);
+      setSubmitError(error.serverMessage || 'No pudimos iniciar el pago. Inténtalo nuevamente.');
+    }
+  };
+
+  // Compra terminada: vaciar carrito y formulario y mostrar la confirmación
+  const completePurchase = (order, payment = null) => {
+    clearCart();
+    reset();
+    setPaymentOrder(null);
+    setIntent(null);
+    setPaymentResult(payment);
+    setCreatedOrder(order);
+  };
+
+  // Resultado del pago en línea; un pago rechazado anula la orden y se vuelve al paso de pago
+  const handlePaymentResult = (payment) => {
+    if (payment.estado === 'rechazado') {
+      clearPendingOrder();
+      setSubmitError(`Tu pago fue rechazado y la orden #${paymentOrder.id} se anuló. Revisa los datos de la tarjeta o elige otro medio de pago.`);
+      setPaymentOrder(null);
+      setIntent(null);
+      goToStep(3);
+      return;
+    }
+    completePurchase(paymentOrder, payment);
+  };
+
+  // Cancelar la orden que espera el pago: el backend devuelve el stock y el cupón, y el carrito se conserva
+  const handleCancelPayment = async () => {
+    setCancelling(true);
+    setSubmitError(null);
+    try {
+      await ordersAPI.cancel(paymentOrder.id);
+    } catch (error) {
+      console.error('Error al cancelar la orden:', error);
+      setSubmitError(error.serverMessage || 'No pudimos cancelar la orden. Inténtalo nuevamente.');
+      return;
+    } finally {
+      setCancelling(false);
+    }
+    clearPendingOrder();
+    setNotice(`Cancelaste la orden #${paymentOrder.id}. Tus productos siguen en el carrito.`);
+    setPaymentOrder(null);
+    setIntent(null);
+  };
+
+  if (resuming) {
+    return (
+      <div className="flex flex-col items-center justify-center py-8 space-y-3">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <p className="text-gray-600 text-sm">Recuperando tu orden...</p>
+      </div>
+    );
+  }
+
+  if (createdOrder) {
+    return (
+      <div className="max-w-lg mx-auto bg-white rounded-lg border p-6 text-center space-y-3">
+        <h2 className="text-xl font-bold text-gray-900">¡Gracias por tu compra!</h2>
+        <p className="text-gray-600">Tu número de orden es <span className="font-semibold">#{createdOrder.id}</span>.</p>
+        {paymentResult?.estado === 'aprobado' && (
+          <p className="text-sm text-green-700">Tu pago fue aprobado.</p>
+        )}
+        {paymentResult?.estado === 'pendiente' && (
+          <p className="text-sm text-yellow-700">Tu pago está en revisión; te avisaremos cuando se acredite.</p>
+        )}
+        <p className="text-sm text-gray-600">Te enviaremos las novedades a {createdOrder.cliente?.email}.</p>
+        <div>
+          <ReceiptButton orderId={createdOrder.id} />
+        </div>
+        <div className="flex justify-center gap-4">
+          <Link to={`/mis-pedidos/${createdOrder.id}`} className="text-sm text-blue-600 hover:underline">Ver mi pedido</Link>
+          <Link to="/products" className="text-sm text-blue-600 hover:underline">Seguir comprando</Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (paymentOrder) {
+    return (
+      <div className="max-w-lg mx-auto space-y-4">
+        <h2 className="text-xl font-bold text-gray-900">Pagar orden #{paymentOrder.id}</h2>
+        <p className="text-gray-600">
+          Total a pagar: <span className="font-semibold">{formatPrice(paymentOrder.total)}</span>
+        </p>
+        {submitError && (
+          <div role="alert" className="bg-red-50 border border-red-200 text-sm text-red-700 rounded p-3 space-y-2">
+            <p>{submitError}</p>
+            <button type="button" onClick={() => startPayment(paymentOrder)} className="text-sm font-medium underline">
+              Reintentar
+            </button>
+          </div>
+        )}
+        {intent && <PaymentForm intent={intent} onResult={handlePaymentResult} />}
+        <button
+          type="button"
+          onClick={handleCancelPayment}
+          disabled={cancelling}
+          className="text-sm text-red-600 hover:underline disabled:opacity-50"
+        >
+          {cancelling ? 'Cancelando...' : 'Cancelar orden'}
+        </button>
+      </div>
+    );
+  }
+
+  if (items.length === 0) {
+    return (
+      <div className="text-center py-8 space-y-3">
+        <h2 className="text-xl font-bold text-gray-900">Checkout</h2>
+        <p className="text-gray-600">Tu carrito está vacío.</p>
+        <Link to="/products" className="inline-block text-sm text-blue-600 hover:underline">Ver productos</Link>
+      </div>
+    );
+  }
+
+  const data = { contacto, direccion, entrega, pago, factura };
+  const subtotal = getTotal();
+  const discount = getDiscount();
+  const shippingCost = entrega === 'retiro' ? 0 : getShippingCost() ?? 0;
+  const total = subtotal - discount + shippingCost;
+
+  // Avanzar al paso siguiente si el actual es válido
+  // Al dejar la dirección se cotiza el envío a su código postal
+  const handleNext = async (e) => {
+    e.preventDefault();
+    const errors = validateStep(step, data);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    if (step === 1) {
+      setQuoting(true);
+      try {
+        await quoteShipping(direccion.codigoPostal);
+      } catch (error) {
+        setFieldErrors({
+          'envio.direccion.codigoPostal': error.status === 422 && error.serverMessage
+            ? error.serverMessage
+            : 'No pudimos calcular el envío. Inténtalo nuevamente.',
+        });
+        return;
+      } finally {
+        setQuoting(false);
+      }
+    }
+    goToStep(step + 1);
+  };
+
+  const handleBack = () => {
+    setFieldErrors({});
+    goToStep(step - 1);
+  };
+
+  // Confirmar la compra: validar todos los pasos y crear la orden
+  const handleConfirm = async () => {
+    setSubmitError(null);
+    setSubmitDetails([]);
+    setNotice(null);
+    for (let index = 0; index < CHECKOUT_STEPS.length - 1; index += 1) {
+      const errors = validateStep(index, data);
+      if (Object.keys(errors).length > 0) {
+        setFieldErrors(errors);
+        goToStep(index);
+        return;
+      }
+    }
+
+    setSubmitting(true);
+    try {
+      // Si la respuesta no llega (error de red) y se reintenta, la misma clave evita una orden duplicada
+      const order = await ordersAPI.create({
+        ...getOrderData(),
+        cliente: contacto,
+        envio: { metodo: entrega, direccion },
+        pago: { metodo: pago },
+        factura: factura.tipo === 'A' ? factura : { tipo: 'B' },
+        total,
+      }, { idempotencyKey: getIdempotencyKey() });
+      clearIdempotencyKey();
+      if (ONLINE_PAYMENT_METHODS.includes(pago)) {
+        setPendingOrder(order.id);
+        setPaymentOrder(order);
+        await startPayment(order);
+      } else {
+        completePurchase(order);
+      }
+    } catch (error) {
+      console.error('Error en el checkout:', error);
+      if (error.status === 401) {
+        setSubmitError('Tu sesión venció. Inicia sesión para finalizar la compra.');
+      } else if (error.status === 422 || error.status === 409) {
+        // Errores de un campo del formulario: llevar al paso correspondiente; el resto se lista aquí
+        const details = error.details || [];
+        const formErrors = details.filter((detail) => stepForField(detail.field) !== null);
+        setSubmitDetails(details.filter((detail) => stepForField(detail.field) === null));
+        setSubmitError(error.serverMessage || 'No pudimos validar tu pedido.');
+        if (formErrors.length > 0) {
+          setFieldErrors(Object.fromEntries(formErrors.map((detail) => [detail.field, detail.message])));
+          goToStep(Math.min(...formErrors.map((detail) => stepForField(detail.field))));
+        }
+      } else {
+        setSubmitError('Error al procesar la compra. Inténtalo nuevamente.');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const updateContacto = (name, value) => setField('contacto', name, value);
+  const updateDireccion = (name, value) => setField('direccion', name, value);
+  const updateFactura = (name, value) => setField('factura', name, value);
+
+  // Opciones de entrega con su costo
+  const deliveryOptions = [
+    {
+      value: 'domicilio',
+      detail: shipping
+        ? `${getShippingCost() === 0 ? 'Gratis' : formatPrice(getShippingCost())} · llega en ${shipping.diasMin} a ${shipping.diasMax} días hábiles`
+        : 'Se cotiza según tu código postal',
+    },
+    { value: 'retiro', detail: 'Gratis · listo para retirar en 1 día hábil' },
+  ];
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-4">
+      <h2 className="text-xl font-bold text-gray-900">Finalizar compra</h2>
+
+      {/* Indicador de pasos */}
+      <ol className="flex flex-wrap gap-2 text-xs">
+        {CHECKOUT_STEPS.map((name, index) => (
+          <li
+            key={name}
+            aria-current={index === step ? 'step' : undefined}
+            className={`px-2 py-1 rounded-full ${
+              index === step ? 'bg-blue-600 text-white' : index < step ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-600'
+            }`}
+          >
+            {index + 1}. {name}
+          </li>
+        ))}
+      </ol>
+
+      {notice && (
+        <div role="status" className="bg-yellow-50 border border-yellow-200 text-sm text-yellow-800 rounded p-3">
+          {notice}
+        </div>
+      )}
+
+      {submitError && (
+        <div role="alert" className="bg-red-50 border border-red-200 text-sm text-red-700 rounded p-3">
+          <p>{submitError}</p>
+          {submitDetails.length > 0 && (
+            <ul className="text-xs list-disc pl-4 mt-1">
+              {submitDetails.map((detail) => (
+                <li key={`${detail.field}-${detail.message}`}>{detail.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <form onSubmit={handleNext} className="bg-white rounded-lg border p-4 space-y-3" noValidate>
+        <h3 className="font-semibold text-gray-900">{CHECKOUT_STEPS[step]}</h3>
+
+        {step === 0 && CONTACT_FIELDS.map((field) => (
+          <TextField
+            key={field.name}
+            field={field}
+            value={contacto[field.name]}
+            error={fieldErrors[field.path]}
+            onChange={updateContacto}
+          />
+        ))}
+
+        {step === 1 && (
+          <div className="grid sm:grid-cols-2 gap-3">
+            {ADDRESS_FIELDS.map((field) => (
+              <TextField
+                key={field.name}
+                field={field}
+                value={direccion[field.name]}
+                error={fieldErrors[field.path]}
+                onChange={updateDireccion}
+              />
+            ))}
+          </div>
+        )}
+
+        {step === 2 && (
+          <fieldset className="space-y-2">
+            <legend className="sr-only">Forma de entrega</legend>
+            {deliveryOptions.map((option) => (
+              <label key={option.value} className="flex items-start gap-2 p-3 border rounded-lg cursor-pointer">
+                <input
+                  type="radio"
+                  name="entrega"
+                  value={option.value}
+                  checked={entrega === option.value}
+                  onChange={() => setEntrega(option.value)}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="block text-sm font-medium text-gray-900">{DELIVERY_METHOD_LABELS[option.value]}</span>
+                  <span className="block text-xs text-gray-600">{option.detail}</span>
+                </span>
+              </label>
+            ))}
+            {fieldErrors['envio.metodo'] && <p className="text-xs text-red-600">{fieldErrors['envio.metodo']}</p>}
+          </fieldset>
+        )}
+
+        {step === 3 && (
+          <fieldset className="space-y-2">
+            <legend className="sr-only">Medio de pago</legend>
+            {Object.entries(PAYMENT_METHOD_LABELS).map(([value, label]) => (
+              <label key={value} className="flex items-center gap-2 p-3 border rounded-lg cursor-pointer">
+                <input
+                  type="radio"
+                  name="pago"
+                  value={value}
+                  checked={pago === value}
+                  onChange={() => setPago(value)}
+                />
+                <span className="text-sm font-medium text-gray-900">{label}</span>
+              </label>
+            ))}
+            {fieldErrors['pago.metodo'] && <p className="text-xs text-red-600">{fieldErrors['pago.metodo']}</p>}
+          </fieldset>
+        )}
+
+        {step === 3 && (
+          <fieldset className="space-y-2 pt-2">
+            <legend className="text-sm font-medium text-gray-900 mb-1">Comprobante</legend>
+            {Object.entries(INVOICE_TYPE_LABELS).map(([value, label]) => (
+              <label key={value} className="flex items-center gap-2 p-3 border rounded-lg cursor-pointer">
+                <input
+                  type="radio"
+                  name="factura"
+                  value={value}
+                  checked={factura.tipo === value}
+                  onChange={() => updateFactura('tipo', value)}
+                />
+                <span className="text-sm font-medium text-gray-900">{label}</span>
+              </label>
+            ))}
+            {factura.tipo === 'A' && (
+              <div className="grid sm:grid-cols-2 gap-3">
+                {INVOICE_FIELDS.map((field) => (
+                  <TextField
+                    key={field.name}
+                    field={field}
+                    value={factura[field.name]}
+                    error={fieldErrors[field.path]}
+                    onChange={updateFactura}
+                  />
+                ))}
+              </div>
+            )}
+          </fieldset>
+        )}
+
+        {step === 4 && (
+          <div className="space-y-4 text-sm">
+            {/* Resumen de cada paso con acceso para corregirlo */}
+            {[
+              { index: 0, lines: [contacto.nombre, contacto.email, `DNI ${contacto.dni}`, contacto.telefono] },
+              {
+                index: 1,
+                lines: [
+                  `${direccion.calle} ${direccion.numero}${direccion.pisoDepto ? `, ${direccion.pisoDepto}` : ''}`,
+                  `${direccion.ciudad}, ${direccion.provincia} (${direccion.codigoPostal})`,
+                ],
+              },
+              { index: 2, lines: [DELIVERY_METHOD_LABELS[entrega]] },
+              {
+                index: 3,
+                lines: [
+                  PAYMENT_METHOD_LABELS[pago],
+                  factura.tipo === 'A' ? `Factura A · CUIT ${factura.cuit} · ${factura.razonSocial}` : 'Factura B',
+                ],
+              },
+            ].map((section) => (
+              <div key={section.index} className="flex justify-between gap-2 border-b pb-2">
+                <div>
+                  <p className="font-medium text-gray-900">{CHECKOUT_STEPS[section.index]}</p>
+                  {section.lines.map((line) => (
+                    <p key={line} className="text-gray-600">{line}</p>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => goToStep(section.index)}
+                  className="text-xs text-blue-600 hover:underline self-start"
+                  aria-label={`Editar ${CHECKOUT_STEPS[section.index].toLowerCase()}`}
+                >
+                  Editar
+                </button>
+              </div>
+            ))}
+
+            {/* Productos e importes */}
+            <ul className="space-y-1">
+              {items.map((item) => (
+                <li key={item.producto.id} className="flex justify-between">
+                  <span>{item.cantidad} × {item.producto.nombre}</span>
+                  <span>{formatPrice(item.producto.precio * item.cantidad)}</span>
+                </li>
+              ))}
+            </ul>
+            <div className="border-t pt-2 space-y-1">
+              <div className="flex justify-between text-gray-600">
+                <span>Subtotal:</span>
+                <span>{formatPrice(subtotal)}</span>
+              </div>
+              {discount > 0 && (
+                <div className="flex justify-between text-green-700">
+                  <span>Descuento ({coupon.codigo}):</span>
+                  <span>-{formatPrice(discount)}</span>
+                </div>
+              )}
+              <div className="flex justify-between text-gray-600">
+                <span>Envío:</span>
+                <span>{shippingCost === 0 ? 'Gratis' : formatPrice(shippingCost)}</span>
+              </div>
+              <div className="flex justify-between font-semibold text-base">
+                <span>Total:</span>
+                <span className="text-blue-600">{formatPrice(total)}</span>
+              </div>
+              <TaxBreakdown taxes={getTaxes(shippingCost)} />
+            </div>
+          </div>
+        )}
+
+        {/* Navegación entre pasos */}
+        <div className="flex justify-between pt-2">
+          {step > 0 ? (
+            <button type="button" onClick={handleBack} className="text-sm text-gray-700 hover:underline">
+              Volver
+            </button>
+          ) : (
+            <span />
+          )}
+          {step < CHECKOUT_STEPS.length - 1 ? (
+            <button
+              type="submit"
+              disabled={quoting}
+              className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2 px-4 rounded transition-colors disabled:opacity-60"
+            >
+              {quoting ? 'Calculando envío...' : 'Continuar'}
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={handleConfirm}
+              disabled={submitting}
+              className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2 px-4 rounded transition-colors disabled:opacity-60"
+            >
+              {submitting ? 'Procesando...' : 'Confirmar compra'}
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default Checkout;
@@ -0,0 +1,107 @@
+// Página Favorites - Productos guardados en la lista de favoritos (/favoritos)
+// Permite mover cada producto al carrito (respetando el stock) o quitarlo de la lista
+// Sin sesión la lista vive solo en este navegador; con sesión se guarda también en el servidor
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useWishlistStore } from '../store/useWishlistStore';
+import { useCartStore } from '../store/useCartStore';
+import { useAuthStore, getLoginPath } from '../store/useAuthStore';
+
+// Formatear números como moneda argentina
+const formatPrice = (price) => {
+  return new Intl.NumberFormat('es-AR', {
+    style: 'currency',
+    currency: 'ARS',
+  }).format(price);
+};
+
+const Favorites = () => {
+  const items = useWishlistStore((state) => state.items);
+  const removeItem = useWishlistStore((state) => state.removeItem);
+  const addToCart = useCartStore((state) => state.addItem);
+  const isLoggedIn = useAuthStore((state) => Boolean(state.token));
+
+  // Aviso del último producto que no se pudo mover al carrito por falta de stock
+  const [stockError, setStockError] = useState(null);
+
+  const handleMoveToCart = (product) => {
+    if (addToCart(product)) {
+      setStockError(null);
+      removeItem(product.id);
+    } else {
+      setStockError(`No hay más stock disponible de ${product.nombre}.`);
+    }
+  };
+
+  if (items.length === 0) {
+    return (
+      <div className="text-center py-8 space-y-3">
+        <h2 className="text-xl font-bold text-gray-900">Favoritos</h2>
+        <p className="text-gray-600">Todavía no guardaste productos. Toca el corazón de un producto para guardarlo.</p>
+        <Link to="/products" className="inline-block text-sm text-blue-600 hover:underline">
+          Ver productos
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-xl font-bold text-gray-900">Favoritos</h2>
+        <p className="text-sm text-gray-600">
+          {items.length === 1 ? '1 producto guardado' : `${items.length} productos guardados`}
+        </p>
+      </div>
+
+      {/* Sin sesión la lista no sigue al usuario a otros dispositivos */}
+      {!isLoggedIn && (
+        <p className="text-sm text-gray-600 bg-blue-50 border border-blue-100 rounded p-3">
+          <Link to={getLoginPath('/favoritos')} className="text-blue-600 hover:underline">Inicia sesión</Link>{' '}
+          para guardar tus favoritos en tu cuenta y verlos desde cualquier dispositivo.
+        </p>
+      )}
+
+      {stockError && (
+        <p role="alert" className="text-sm text-red-600">{stockError}</p>
+      )}
+
+      <ul className="bg-white border rounded-lg divide-y">
+        {items.map((product) => {
+          const isOutOfStock = typeof product.stock === 'number' && product.stock <= 0;
+          return (
+            <li key={product.id} className="flex items-center gap-4 p-4">
+              <img src={product.imagen} alt={product.nombre} className="w-16 h-16 object-cover rounded" />
+              <div className="flex-1 min-w-0">
+                <Link to={`/products/${product.id}`} className="text-sm font-semibold text-gray-900 hover:text-blue-600">
+                  {product.nombre}
+                </Link>
+                <p className="text-sm font-bold text-blue-600">{formatPrice(product.precio)}</p>
+                {isOutOfStock && <p className="text-xs font-semibold text-gray-700">Sin stock</p>}
+              </div>
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  onClick={() => handleMoveToCart(product)}
+                  disabled={isOutOfStock}
+                  aria-label={`Mover ${product.nombre} al carrito`}
+                  className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2 px-3 rounded-lg transition-colors disabled:bg-gray-300 disabled:text-gray-600 disabled:cursor-not-allowed"
+                >
+                  Mover al carrito
+                </button>
+                <button
+                  onClick={() => removeItem(product.id)}
+                  aria-label={`Quitar ${product.nombre} de favoritos`}
+                  className="text-sm text-gray-600 hover:text-red-600 py-2 px-3"
+                >
+                  Quitar
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default Favorites;
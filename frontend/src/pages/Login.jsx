@@ -0,0 +1,104 @@
+// Página Login - Inicio de sesión de clientes
+// Al ingresar redirige a la página indicada en ?redirect= (ej: la página donde venció la sesión)
+// Quien olvidó su contraseña puede pedir un enlace para elegir otra (/restablecer-contrasena)
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuthStore, getRedirectTarget } from '../store/useAuthStore';
+
+const Login = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const login = useAuthStore((state) => state.login);
+
+  // Estados locales del formulario
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Destino después de ingresar (solo rutas internas)
+  const redirect = searchParams.get('redirect');
+  const destination = getRedirectTarget(redirect);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSubmitting(true);
+
+    try {
+      await login({ email, password });
+      navigate(destination, { replace: true });
+    } catch (err) {
+      // 401 = credenciales incorrectas; cualquier otro error es de conexión/servidor
+      setError(
+        err.status === 401
+          ? 'Email o contraseña incorrectos.'
+          : 'No pudimos iniciar sesión. Inténtalo nuevamente.'
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="max-w-sm mx-auto bg-white rounded-lg border p-6 space-y-4">
+      <h2 className="text-xl font-bold text-gray-900">Iniciar sesión</h2>
+
+      {error && (
+        <div role="alert" className="bg-red-50 border border-red-200 text-sm text-red-700 rounded p-3">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3" noValidate>
+        <div>
+          <label htmlFor="login-email" className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+          <input
+            id="login-email"
+            type="email"
+            autoComplete="email"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+          />
+        </div>
+        <div>
+          <label htmlFor="login-password" className="block text-sm font-medium text-gray-700 mb-1">Contraseña</label>
+          <input
+            id="login-password"
+            type="password"
+            autoComplete="current-password"
+            required
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2 px-4 rounded transition-colors disabled:opacity-60"
+        >
+          {submitting ? 'Ingresando...' : 'Ingresar'}
+        </button>
+      </form>
+
+      <p className="text-sm text-center">
+        <Link to="/restablecer-contrasena" className="text-blue-600 hover:underline">¿Olvidaste tu contraseña?</Link>
+      </p>
+
+      <p className="text-sm text-gray-600 text-center">
+        ¿No tienes cuenta?{' '}
+        <Link
+          to={destination !== '/' ? `/registro?redirect=${encodeURIComponent(destination)}` : '/registro'}
+          className="text-blue-600 hover:underline"
+        >
+          Crear cuenta
+        </Link>
+      </p>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,223 @@
+// Página MyOrderDetail - Detalle de un pedido propio (/mis-pedidos/:id)
+// Muestra los productos con su subtotal, descuentos, envío, total con su IVA, la entrega, el pago
+// y el historial de estados; permite descargar el comprobante y volver a comprar los mismos productos
+import React, { useState, useEffect } from 'react';
+import { Link, Navigate, useParams } from 'react-router-dom';
+import {
+  ordersAPI,
+  ORDER_STATUS_LABELS,
+  DELIVERY_METHOD_LABELS,
+  PAYMENT_METHOD_LABELS,
+  PAYMENT_STATUS_LABELS,
+} from '../services/api';
+import { useAuthStore, getLoginPath } from '../store/useAuthStore';
+import OrderStatusBadge from '../components/OrderStatusBadge';
+import TaxBreakdown from '../components/TaxBreakdown';
+import ReceiptButton from '../components/ReceiptButton';
+import ReorderButton from '../components/ReorderButton';
+
+// Formatear números como moneda argentina
+const formatPrice = (price) => {
+  return new Intl.NumberFormat('es-AR', {
+    style: 'currency',
+    currency: 'ARS',
+  }).format(price);
+};
+
+// Formatear fechas ISO como fecha y hora locales
+const formatDate = (date) => {
+  return new Intl.DateTimeFormat('es-AR', { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(date));
+};
+
+const MyOrderDetail = () => {
+  const { id } = useParams();
+  const user = useAuthStore((state) => state.user);
+
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+
+    const loadOrder = async () => {
+      try {
+        setOrder(await ordersAPI.getById(id));
+      } catch (err) {
+        console.error(`Error loading order ${id}:`, err);
+        // Una orden ajena también responde 404
+        setError(err.status === 404 ? 'No encontramos este pedido.' : 'No pudimos cargar el pedido. Inténtalo nuevamente.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadOrder();
+  }, [id, user]);
+
+  if (!user) {
+    return <Navigate to={getLoginPath(`/mis-pedidos/${id}`)} replace />;
+  }
+
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-8 space-y-3">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <p className="text-gray-600 text-sm">Cargando pedido...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-8 space-y-3">
+        <p className="text-gray-600">{error}</p>
+        <Link to="/mis-pedidos" className="text-sm text-blue-600 hover:underline">Volver a mis pedidos</Link>
+      </div>
+    );
+  }
+
+  const subtotal = order.productos.reduce((sum, line) => sum + line.precio * line.cantidad, 0);
+  // Descuentos por cupón, envío e historial (las órdenes anteriores a estos módulos no los tienen)
+  const discounts = order.descuentos || [];
+  const history = order.statusHistory || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <h2 className="text-xl font-bold text-gray-900">
+            Orden #{order.id} <OrderStatusBadge status={order.status} />
+          </h2>
+          <p className="text-sm text-gray-600">Realizada el {formatDate(order.fecha)}</p>
+        </div>
+        <Link to="/mis-pedidos" className="text-sm text-blue-600 hover:underline">Volver a mis pedidos</Link>
+      </div>
+
+      <div className="flex flex-wrap items-start gap-4">
+        <ReorderButton lines={order.productos} />
+        <ReceiptButton orderId={order.id} className="text-sm font-medium text-blue-600 hover:underline py-1.5 disabled:opacity-50" />
+      </div>
+
+      {/* Productos y totales */}
+      <div className="bg-white rounded-lg border overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-600">
+            <tr>
+              <th className="px-3 py-2">Producto</th>
+              <th className="px-3 py-2">Precio unitario</th>
+              <th className="px-3 py-2">Cantidad</th>
+              <th className="px-3 py-2 text-right">Subtotal</th>
+            </tr>
+          </thead>
+          <tbody>
+            {order.productos.map((line) => (
+              <tr key={line.id} className="border-t">
+                <td className="px-3 py-2">
+                  <Link to={`/products/${line.id}`} className="hover:text-blue-600">
+                    {line.nombre || `Producto #${line.id}`}
+                  </Link>
+                </td>
+                <td className="px-3 py-2">{formatPrice(line.precio)}</td>
+                <td className="px-3 py-2">{line.cantidad}</td>
+                <td className="px-3 py-2 text-right">{formatPrice(line.precio * line.cantidad)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="border-t">
+              <td className="px-3 py-2" colSpan={3}>Subtotal</td>
+              <td className="px-3 py-2 text-right">{formatPrice(subtotal)}</td>
+            </tr>
+            {discounts.map((line) => (
+              <tr key={line.codigo} className="border-t text-green-700">
+                <td className="px-3 py-2" colSpan={3}>Descuento: {line.descripcion}</td>
+                <td className="px-3 py-2 text-right">-{formatPrice(line.monto)}</td>
+              </tr>
+            ))}
+            {order.envio && (
+              <tr className="border-t">
+                <td className="px-3 py-2" colSpan={3}>
+                  {order.envio.metodo === 'retiro' ? DELIVERY_METHOD_LABELS.retiro : 'Envío'}
+                </td>
+                <td className="px-3 py-2 text-right">
+                  {order.envio.costo === 0 ? 'Gratis' : formatPrice(order.envio.costo)}
+                </td>
+              </tr>
+            )}
+            <tr className="border-t font-semibold">
+              <td className="px-3 py-2" colSpan={3}>Total</td>
+              <td className="px-3 py-2 text-right">{formatPrice(order.total)}</td>
+            </tr>
+          </tfoot>
+        </table>
+        {order.impuestos && (
+          <div className="px-3 pb-3">
+            <TaxBreakdown taxes={order.impuestos} />
+          </div>
+        )}
+      </div>
+
+      <div className="grid sm:grid-cols-3 gap-4">
+        {/* Entrega */}
+        {order.envio && (
+          <div className="bg-white rounded-lg border p-4 text-sm">
+            <h3 className="font-semibold text-gray-900 mb-1">
+              {DELIVERY_METHOD_LABELS[order.envio.metodo] || 'Entrega'}
+            </h3>
+            {order.envio.direccion ? (
+              <>
+                <p className="text-gray-800">
+                  {order.envio.direccion.calle} {order.envio.direccion.numero}
+                  {order.envio.direccion.pisoDepto && `, ${order.envio.direccion.pisoDepto}`}
+                </p>
+                <p className="text-gray-600">
+                  {order.envio.direccion.ciudad}, {order.envio.direccion.provincia} ({order.envio.direccion.codigoPostal})
+                </p>
+              </>
+            ) : (
+              order.envio.provincia && <p className="text-gray-600">{order.envio.provincia} ({order.envio.codigoPostal})</p>
+            )}
+            {order.envio.diasMin > 0 && (
+              <p className="text-gray-600">
+                Plazo estimado: {order.envio.diasMin === order.envio.diasMax
+                  ? order.envio.diasMin
+                  : `${order.envio.diasMin} a ${order.envio.diasMax}`} días hábiles
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Pago y factura */}
+        {order.pago && (
+          <div className="bg-white rounded-lg border p-4 text-sm">
+            <h3 className="font-semibold text-gray-900 mb-1">Pago</h3>
+            <p className="text-gray-800">{PAYMENT_METHOD_LABELS[order.pago.metodo] || order.pago.metodo}</p>
+            {order.pago.estado && (
+              <p className="text-gray-600">Estado: {PAYMENT_STATUS_LABELS[order.pago.estado] || order.pago.estado}</p>
+            )}
+            {order.factura && <p className="text-gray-600">Factura {order.factura.tipo}</p>}
+          </div>
+        )}
+
+        {/* Historial de estados */}
+        {history.length > 0 && (
+          <div className="bg-white rounded-lg border p-4 text-sm">
+            <h3 className="font-semibold text-gray-900 mb-1">Seguimiento</h3>
+            <ol className="text-gray-600 space-y-1">
+              {history.map((entry, index) => (
+                <li key={index}>
+                  {formatDate(entry.fecha)} — {ORDER_STATUS_LABELS[entry.status] || entry.status}
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MyOrderDetail;
@@ -0,0 +1,130 @@
+// Página MyOrders - Historial de compras del usuario (/mis-pedidos)
+// Lista las órdenes propias (más recientes primero) con su estado, fecha, productos y total,
+// y permite ver el detalle, descargar el comprobante o volver a comprar los mismos productos
+import React, { useState, useEffect } from 'react';
+import { Link, Navigate } from 'react-router-dom';
+import { ordersAPI } from '../services/api';
+import { useAuthStore, getLoginPath } from '../store/useAuthStore';
+import OrderStatusBadge from '../components/OrderStatusBadge';
+import ReceiptButton from '../components/ReceiptButton';
+import ReorderButton from '../components/ReorderButton';
+
+// Formatear números como moneda argentina
+const formatPrice = (price) => {
+  return new Intl.NumberFormat('es-AR', {
+    style: 'currency',
+    currency: 'ARS',
+  }).format(price);
+};
+
+// Formatear fechas ISO como fecha y hora locales
+const formatDate = (date) => {
+  return new Intl.DateTimeFormat('es-AR', { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(date));
+};
+
+const MyOrders = () => {
+  const user = useAuthStore((state) => state.user);
+
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+
+    const loadOrders = async () => {
+      try {
+        setOrders(await ordersAPI.getMine(user.id));
+      } catch (err) {
+        console.error('Error loading my orders:', err);
+        setError('No pudimos cargar tus pedidos. Inténtalo nuevamente.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadOrders();
+  }, [user]);
+
+  // El historial requiere sesión: al ingresar se vuelve a esta página
+  if (!user) {
+    return <Navigate to={getLoginPath('/mis-pedidos')} replace />;
+  }
+
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-8 space-y-3">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <p className="text-gray-600 text-sm">Cargando pedidos...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-8">
+        <p role="alert" className="text-gray-600">{error}</p>
+      </div>
+    );
+  }
+
+  if (orders.length === 0) {
+    return (
+      <div className="text-center py-8 space-y-3">
+        <h2 className="text-xl font-bold text-gray-900">Mis pedidos</h2>
+        <p className="text-gray-600">Todavía no hiciste ninguna compra.</p>
+        <Link to="/products" className="inline-block text-sm text-blue-600 hover:underline">
+          Ver productos
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-xl font-bold text-gray-900">Mis pedidos</h2>
+        <p className="text-sm text-gray-600">
+          {orders.length === 1 ? '1 pedido' : `${orders.length} pedidos`}
+        </p>
+      </div>
+
+      <ul className="space-y-3">
+        {orders.map((order) => (
+          <li key={order.id} className="bg-white border rounded-lg p-4 space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div>
+                <h3 className="font-semibold text-gray-900">
+                  Orden #{order.id} <OrderStatusBadge status={order.status} />
+                </h3>
+                <p className="text-xs text-gray-500">{formatDate(order.fecha)}</p>
+              </div>
+              <p className="text-lg font-bold text-blue-600">{formatPrice(order.total)}</p>
+            </div>
+
+            <ul className="text-sm text-gray-700">
+              {order.productos.map((line) => (
+                <li key={line.id} className="flex justify-between">
+                  <span>{line.nombre || `Producto #${line.id}`} x {line.cantidad}</span>
+                  <span className="text-gray-600">{formatPrice(line.precio * line.cantidad)}</span>
+                </li>
+              ))}
+            </ul>
+
+            <div className="flex flex-wrap items-start gap-4">
+              <ReorderButton lines={order.productos} />
+              <Link to={`/mis-pedidos/${order.id}`} className="text-sm font-medium text-blue-600 hover:underline py-1.5">
+                Ver detalle
+              </Link>
+              <ReceiptButton orderId={order.id} className="text-sm font-medium text-blue-600 hover:underline py-1.5 disabled:opacity-50" />
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default MyOrders;
@@ -0,0 +1,216 @@
+// Página ProductDetail - Detalle de un producto (/products/:id)
+// Muestra la galería de imágenes con zoom, la descripción completa, el stock disponible
+// y un selector de cantidad para agregar varias unidades al carrito de una vez
+// Debajo se muestran las reseñas de los clientes que compraron el producto
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { productsAPI } from '../services/api';
+import { getIvaRate, netPrice, formatIvaRate } from '../services/taxes';
+import { useCartStore } from '../store/useCartStore';
+import ProductGallery from '../components/ProductGallery';
+import ProductReviews from '../components/ProductReviews';
+
+// A partir de esta cantidad se avisa al usuario que quedan pocas unidades (igual que en ProductCard)
+const LOW_STOCK_THRESHOLD = 5;
+
+// Formatear números como moneda argentina
+const formatPrice = (price) => {
+  return new Intl.NumberFormat('es-AR', {
+    style: 'currency',
+    currency: 'ARS',
+  }).format(price);
+};
+
+const ProductDetail = () => {
+  const { id } = useParams();
+  const addItem = useCartStore((state) => state.addItem);
+  // Cantidad de este producto que ya está en el carrito (para no superar el stock)
+  const cartQuantity = useCartStore(
+    (state) => state.items.find((item) => String(item.producto.id) === String(id))?.cantidad ?? 0
+  );
+
+  const [product, setProduct] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [quantity, setQuantity] = useState(1);
+  // Mensaje de confirmación después de agregar al carrito
+  const [added, setAdded] = useState(null);
+
+  // Cargar el producto cada vez que cambia el ID de la URL
+  useEffect(() => {
+    const loadProduct = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setNotFound(false);
+        setQuantity(1);
+        setAdded(null);
+        setProduct(await productsAPI.getById(id));
+      } catch (err) {
+        console.error(`Error loading product ${id}:`, err);
+        if (err.status === 404) {
+          setNotFound(true);
+        } else {
+          setError('Error al cargar el producto. Verifica que el servidor esté ejecutándose.');
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadProduct();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-8 space-y-3">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <p className="text-gray-600 text-sm">Cargando producto...</p>
+      </div>
+    );
+  }
+
+  if (notFound) {
+    return (
+      <div className="text-center py-8 space-y-3">
+        <h2 className="text-xl font-bold text-gray-900">Producto no encontrado</h2>
+        <p className="text-gray-600">El producto que buscas no existe o ya no está disponible.</p>
+        <Link to="/products" className="inline-block text-sm text-blue-600 hover:underline">
+          Volver al catálogo
+        </Link>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div role="alert" className="max-w-md mx-auto bg-red-50 border border-red-200 rounded-lg p-4 text-center text-sm text-red-600">
+        {error}
+      </div>
+    );
+  }
+
+  // Estado de inventario (sin campo stock = sin límite)
+  const hasStockLimit = typeof product.stock === 'number';
+  const isOutOfStock = hasStockLimit && product.stock <= 0;
+  const isLowStock = hasStockLimit && !isOutOfStock && product.stock <= LOW_STOCK_THRESHOLD;
+  // Unidades que todavía se pueden agregar al carrito
+  const available = hasStockLimit ? Math.max(0, product.stock - cartQuantity) : Infinity;
+  const canAdd = available > 0;
+
+  // La galería usa la imagen principal y, si existen, las imágenes adicionales
+  const images = [product.imagen, ...(product.imagenes ?? [])].filter(
+    (image, index, list) => image && list.indexOf(image) === index
+  );
+
+  // Mantener la cantidad entre 1 y las unidades disponibles
+  const clampQuantity = (value) => {
+    const number = Math.floor(Number(value));
+    if (!Number.isFinite(number) || number < 1) {
+      return 1;
+    }
+    return Math.min(number, available);
+  };
+
+  const handleAddToCart = () => {
+    if (addItem(product, quantity)) {
+      setAdded(quantity === 1 ? 'Se agregó 1 unidad al carrito' : `Se agregaron ${quantity} unidades al carrito`);
+      setQuantity(1);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Migas de pan para volver al catálogo */}
+      <nav aria-label="Ruta de navegación" className="text-sm text-gray-500">
+        <Link to="/products" className="text-blue-600 hover:underline">Productos</Link>
+        <span className="mx-2">/</span>
+        <span className="text-gray-700">{product.nombre}</span>
+      </nav>
+
+      <div className="grid md:grid-cols-2 gap-6 bg-white border rounded-lg p-4">
+        <ProductGallery images={images} alt={product.nombre} />
+
+        <div className="space-y-4">
+          <h2 className="text-2xl font-bold text-gray-900">{product.nombre}</h2>
+          <div>
+            <div className="text-3xl font-bold text-blue-600">{formatPrice(product.precio)}</div>
+            <p className="text-sm text-gray-500">
+              Precio sin impuestos nacionales: {formatPrice(netPrice(product.precio, getIvaRate(product)))}
+              {' '}(IVA {formatIvaRate(getIvaRate(product))} incluido)
+            </p>
+          </div>
+
+          {/* Disponibilidad */}
+          {isOutOfStock && <p className="text-sm font-semibold text-gray-700">Sin stock</p>}
+          {isLowStock && (
+            <p className="text-sm font-semibold text-orange-600">
+              {product.stock === 1 ? 'Última unidad' : `Últimas ${product.stock} unidades`}
+            </p>
+          )}
+
+          <p className="text-gray-700 whitespace-pre-line">{product.descripcion}</p>
+
+          {/* Selector de cantidad y botón de compra */}
+          {!isOutOfStock && (
+            <div className="flex items-end gap-3">
+              <div>
+                <label htmlFor="product-quantity" className="block text-sm font-medium text-gray-700 mb-1">
+                  Cantidad
+                </label>
+                <div className="flex items-center border border-gray-300 rounded">
+                  <button
+                    type="button"
+                    onClick={() => setQuantity(clampQuantity(quantity - 1))}
+                    disabled={quantity <= 1}
+                    aria-label="Quitar una unidad"
+                    className="px-3 py-2 text-gray-700 disabled:text-gray-300"
+                  >
+                    −
+                  </button>
+                  <input
+                    id="product-quantity"
+                    type="number"
+                    min="1"
+                    max={Number.isFinite(available) ? available : undefined}
+                    value={quantity}
+                    onChange={(e) => setQuantity(clampQuantity(e.target.value))}
+                    disabled={!canAdd}
+                    className="w-14 text-center text-sm py-2 border-x border-gray-300 focus:outline-none"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setQuantity(clampQuantity(quantity + 1))}
+                    disabled={quantity >= available}
+                    aria-label="Agregar una unidad"
+                    className="px-3 py-2 text-gray-700 disabled:text-gray-300"
+                  >
+                    +
+                  </button>
+                </div>
+              </div>
+
+              <button
+                type="button"
+                onClick={handleAddToCart}
+                disabled={!canAdd}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2.5 px-4 rounded-lg transition-colors disabled:bg-gray-300 disabled:text-gray-600 disabled:cursor-not-allowed"
+              >
+                {canAdd ? 'Agregar al Carrito' : 'Máximo en el carrito'}
+              </button>
+            </div>
+          )}
+
+          {added && (
+            <p role="status" className="text-sm text-green-700">{added}</p>
+          )}
+        </div>
+      </div>
+
+      <ProductReviews productId={product.id} />
+    </div>
+  );
+};
+
+export default ProductDetail;
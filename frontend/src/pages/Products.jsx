@@ -1,14 +1,59 @@
 // Página Products - Lista completa de productos
-// Simplificada sin filtros
+// En /products/categoria/:slug muestra solo los productos de esa categoría
+// La página y el orden se guardan en la URL (?page=2&sort=precio-asc) para que los enlaces
+// y el botón "Atrás" del navegador conserven lo que el usuario estaba viendo
 import React from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
 import ProductList from '../components/ProductList';
+import { PRODUCT_SORT_OPTIONS, DEFAULT_PRODUCT_SORT } from '../services/api';
+
+// Página de la URL; valores ausentes o inválidos equivalen a la primera
+const parsePage = (value) => {
+  const page = Number(value);
+  return Number.isInteger(page) && page >= 1 ? page : 1;
+};
 
 const Products = () => {
+  // Slug de la categoría elegida (undefined en /products)
+  const { slug } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const page = parsePage(searchParams.get('page'));
+  const sortParam = searchParams.get('sort');
+  const sort = PRODUCT_SORT_OPTIONS[sortParam] ? sortParam : DEFAULT_PRODUCT_SORT;
+
+  // Actualiza la URL omitiendo los valores por defecto (así /products sigue siendo la URL canónica)
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === null) {
+        next.delete(key);
+      } else {
+        next.set(key, value);
+      }
+    });
+    setSearchParams(next);
+  };
+
+  const handlePageChange = (nextPage) => {
+    updateParams({ page: nextPage > 1 ? String(nextPage) : null });
+  };
+
+  // Al cambiar el orden se vuelve a la primera página
+  const handleSortChange = (nextSort) => {
+    updateParams({ sort: nextSort === DEFAULT_PRODUCT_SORT ? null : nextSort, page: null });
+  };
 
   return (
     <div>
-      {/* Lista de productos sin filtros */}
-      <ProductList />
+      {/* Lista de productos con filtro por categoría, orden y paginación */}
+      <ProductList
+        categorySlug={slug ?? null}
+        page={page}
+        sort={sort}
+        onPageChange={handlePageChange}
+        onSortChange={handleSortChange}
+      />
     </div>
   );
 };
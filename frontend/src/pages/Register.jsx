@@ -0,0 +1,127 @@
+// Página Register - Creación de cuentas de cliente
+// Valida los campos antes de enviar y muestra también los errores por campo que devuelve el backend
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuthStore, getLoginPath, getRedirectTarget } from '../store/useAuthStore';
+
+// Mismas reglas que el backend (routes/auth.js) para avisar antes de enviar
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Validación del formulario; retorna un objeto { campo: mensaje }
+const validate = ({ nombre, email, password, confirmPassword }) => {
+  const errors = {};
+  if (!nombre.trim()) {
+    errors.nombre = 'El nombre es obligatorio';
+  }
+  if (!EMAIL_PATTERN.test(email.trim())) {
+    errors.email = 'El email no es válido';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    errors.password = `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`;
+  }
+  if (confirmPassword !== password) {
+    errors.confirmPassword = 'Las contraseñas no coinciden';
+  }
+  return errors;
+};
+
+// Definición de los campos del formulario
+const FIELDS = [
+  { name: 'nombre', label: 'Nombre', type: 'text', autoComplete: 'name' },
+  { name: 'email', label: 'Email', type: 'email', autoComplete: 'email' },
+  { name: 'password', label: 'Contraseña', type: 'password', autoComplete: 'new-password' },
+  { name: 'confirmPassword', label: 'Repetir contraseña', type: 'password', autoComplete: 'new-password' },
+];
+
+const Register = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const register = useAuthStore((state) => state.register);
+
+  const [values, setValues] = useState({ nombre: '', email: '', password: '', confirmPassword: '' });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const redirect = searchParams.get('redirect');
+  const destination = getRedirectTarget(redirect);
+
+  const handleChange = (e) => {
+    setValues({ ...values, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const errors = validate(values);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await register({ nombre: values.nombre, email: values.email, password: values.password });
+      navigate(destination, { replace: true });
+    } catch (err) {
+      // 422/409: el backend indica qué campo falló (ej: email ya registrado)
+      if (err.details?.length > 0) {
+        setFieldErrors(Object.fromEntries(err.details.map((detail) => [detail.field, detail.message])));
+      }
+      setError(err.serverMessage || 'No pudimos crear tu cuenta. Inténtalo nuevamente.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="max-w-sm mx-auto bg-white rounded-lg border p-6 space-y-4">
+      <h2 className="text-xl font-bold text-gray-900">Crear cuenta</h2>
+
+      {error && (
+        <div role="alert" className="bg-red-50 border border-red-200 text-sm text-red-700 rounded p-3">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3" noValidate>
+        {FIELDS.map((field) => (
+          <div key={field.name}>
+            <label htmlFor={`register-${field.name}`} className="block text-sm font-medium text-gray-700 mb-1">
+              {field.label}
+            </label>
+            <input
+              id={`register-${field.name}`}
+              name={field.name}
+              type={field.type}
+              autoComplete={field.autoComplete}
+              value={values[field.name]}
+              onChange={handleChange}
+              aria-invalid={Boolean(fieldErrors[field.name])}
+              className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+            />
+            {fieldErrors[field.name] && (
+              <p className="text-xs text-red-600 mt-1">{fieldErrors[field.name]}</p>
+            )}
+          </div>
+        ))}
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2 px-4 rounded transition-colors disabled:opacity-60"
+        >
+          {submitting ? 'Creando cuenta...' : 'Crear cuenta'}
+        </button>
+      </form>
+
+      <p className="text-sm text-gray-600 text-center">
+        ¿Ya tienes cuenta?{' '}
+        <Link to={getLoginPath(destination)} className="text-blue-600 hover:underline">Iniciar sesión</Link>
+      </p>
+    </div>
+  );
+};
+
+export default Register;
@@ -0,0 +1,194 @@
+// Página ResetPassword - Restablecer la contraseña olvidada (/restablecer-contrasena)
+// Sin ?token= pide el email y el backend envía un enlace a esta misma página con el token
+// Con ?token= (el enlace del email) permite elegir la contraseña nueva e inicia la sesión
+// El enlace vence y sirve una sola vez: si ya no es válido se ofrece pedir otro
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuthStore } from '../store/useAuthStore';
+import { authAPI } from '../services/api';
+
+// Mismas reglas que el backend (routes/auth.js) para avisar antes de enviar
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Validación de la contraseña nueva; retorna un objeto { campo: mensaje }
+const validate = ({ password, confirmPassword }) => {
+  const errors = {};
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    errors.password = `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`;
+  }
+  if (confirmPassword !== password) {
+    errors.confirmPassword = 'Las contraseñas no coinciden';
+  }
+  return errors;
+};
+
+// Campos del formulario de la contraseña nueva
+const FIELDS = [
+  { name: 'password', label: 'Contraseña nueva' },
+  { name: 'confirmPassword', label: 'Repetir contraseña' },
+];
+
+const inputClassName = 'w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600';
+const buttonClassName = 'w-full bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2 px-4 rounded transition-colors disabled:opacity-60';
+
+// Pedir el enlace por email
+const RequestLinkForm = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState(null);
+  const [sent, setSent] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    if (!EMAIL_PATTERN.test(email.trim())) {
+      setError('El email no es válido');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await authAPI.requestPasswordReset(email.trim());
+      setSent(true);
+    } catch (err) {
+      setError(err.serverMessage || 'No pudimos enviar el enlace. Inténtalo nuevamente.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (sent) {
+    return (
+      <p role="status" className="text-sm text-green-700">
+        Si {email.trim()} corresponde a una cuenta, te enviamos un enlace para elegir una contraseña nueva. Revisa tu correo.
+      </p>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3" noValidate>
+      <p className="text-sm text-gray-600">Ingresa el email de tu cuenta y te enviaremos un enlace para elegir una contraseña nueva.</p>
+      {error && (
+        <div role="alert" className="bg-red-50 border border-red-200 text-sm text-red-700 rounded p-3">
+          {error}
+        </div>
+      )}
+      <div>
+        <label htmlFor="reset-email" className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+        <input
+          id="reset-email"
+          type="email"
+          autoComplete="email"
+          required
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className={inputClassName}
+        />
+      </div>
+      <button type="submit" disabled={submitting} className={buttonClassName}>
+        {submitting ? 'Enviando...' : 'Enviar enlace'}
+      </button>
+    </form>
+  );
+};
+
+// Elegir la contraseña nueva con el token del enlace
+const NewPasswordForm = ({ token }) => {
+  const navigate = useNavigate();
+  const resetPassword = useAuthStore((state) => state.resetPassword);
+
+  const [values, setValues] = useState({ password: '', confirmPassword: '' });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [invalidLink, setInvalidLink] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleChange = (e) => {
+    setValues({ ...values, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const errors = validate(values);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await resetPassword({ token, password: values.password });
+      navigate('/', { replace: true });
+    } catch (err) {
+      // 400: el enlace no es válido, ya se usó o venció; 422: el backend rechazó la contraseña
+      setInvalidLink(err.status === 400);
+      if (err.details?.length > 0) {
+        setFieldErrors(Object.fromEntries(err.details.map((detail) => [detail.field, detail.message])));
+      }
+      setError(err.serverMessage || 'No pudimos cambiar tu contraseña. Inténtalo nuevamente.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3" noValidate>
+      {error && (
+        <div role="alert" className="bg-red-50 border border-red-200 text-sm text-red-700 rounded p-3 space-y-1">
+          <p>{error}</p>
+          {invalidLink && (
+            <Link to="/restablecer-contrasena" className="font-medium underline">Pedir un enlace nuevo</Link>
+          )}
+        </div>
+      )}
+      {FIELDS.map((field) => (
+        <div key={field.name}>
+          <label htmlFor={`reset-${field.name}`} className="block text-sm font-medium text-gray-700 mb-1">
+            {field.label}
+          </label>
+          <input
+            id={`reset-${field.name}`}
+            name={field.name}
+            type="password"
+            autoComplete="new-password"
+            value={values[field.name]}
+            onChange={handleChange}
+            aria-invalid={Boolean(fieldErrors[field.name])}
+            className={inputClassName}
+          />
+          {fieldErrors[field.name] && (
+            <p className="text-xs text-red-600 mt-1">{fieldErrors[field.name]}</p>
+          )}
+        </div>
+      ))}
+      <button type="submit" disabled={submitting} className={buttonClassName}>
+        {submitting ? 'Guardando...' : 'Cambiar contraseña'}
+      </button>
+    </form>
+  );
+};
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  return (
+    <div className="max-w-sm mx-auto bg-white rounded-lg border p-6 space-y-4">
+      <h2 className="text-xl font-bold text-gray-900">
+        {token ? 'Elegir una contraseña nueva' : 'Restablecer contraseña'}
+      </h2>
+
+      {/* key: con un enlace nuevo el formulario empieza vacío */}
+      {token ? <NewPasswordForm key={token} token={token} /> : <RequestLinkForm />}
+
+      <p className="text-sm text-gray-600 text-center">
+        <Link to="/login" className="text-blue-600 hover:underline">Volver a iniciar sesión</Link>
+      </p>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,119 @@
+// Página Search - Resultados de la búsqueda de productos (/buscar?q=texto)
+// Los resultados llegan ordenados por relevancia: primero los que coinciden en el nombre
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { productsAPI, reviewsAPI } from '../services/api';
+import ProductCard from '../components/ProductCard';
+
+const Search = () => {
+  const [searchParams] = useSearchParams();
+  const query = (searchParams.get('q') ?? '').trim();
+
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(Boolean(query));
+  const [error, setError] = useState(null);
+  // Promedio de reseñas de los resultados: { [productId]: { promedio, cantidad } }
+  const [ratings, setRatings] = useState({});
+
+  // Buscar cada vez que cambia el texto de la URL
+  useEffect(() => {
+    if (!query) {
+      setProducts([]);
+      setLoading(false);
+      return;
+    }
+
+    const loadResults = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setProducts(await productsAPI.search(query));
+      } catch (err) {
+        console.error('Error searching products:', err);
+        setError('No se pudo completar la búsqueda. Inténtalo nuevamente.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadResults();
+  }, [query]);
+
+  // Cargar el promedio de reseñas de los resultados; si falla, se muestran sin estrellas
+  useEffect(() => {
+    if (products.length === 0) {
+      return undefined;
+    }
+    let ignore = false;
+
+    const loadRatings = async () => {
+      try {
+        const summary = await reviewsAPI.getSummary(products.map((product) => product.id));
+        if (!ignore) {
+          setRatings(summary);
+        }
+      } catch (err) {
+        console.error('Error loading ratings:', err);
+      }
+    };
+
+    loadRatings();
+    return () => {
+      ignore = true;
+    };
+  }, [products]);
+
+  if (!query) {
+    return (
+      <div className="text-center py-8 space-y-3">
+        <h2 className="text-xl font-bold text-gray-900">Buscar productos</h2>
+        <p className="text-gray-600">Escribe en el buscador el nombre o la descripción de lo que buscas.</p>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-8 space-y-3">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <p className="text-gray-600 text-sm">Buscando productos...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div role="alert" className="max-w-md mx-auto bg-red-50 border border-red-200 rounded-lg p-4 text-center text-sm text-red-600">
+        {error}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-xl font-bold text-gray-900">Resultados para &quot;{query}&quot;</h2>
+        <p className="text-sm text-gray-600">
+          {products.length === 1 ? '1 producto encontrado' : `${products.length} productos encontrados`}
+        </p>
+      </div>
+
+      {products.length === 0 ? (
+        <div className="text-center py-8 space-y-3">
+          <p className="text-gray-600">No encontramos productos que coincidan con tu búsqueda.</p>
+          <Link to="/products" className="inline-block text-sm text-blue-600 hover:underline">
+            Ver todos los productos
+          </Link>
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-4">
+          {products.map((product) => (
+            <ProductCard key={product.id} product={product} rating={ratings[product.id]} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Search;
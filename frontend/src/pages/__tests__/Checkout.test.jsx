@@ -0,0 +1,479 @@
+// ============================================================
+// TESTS DE LA PÁGINA CHECKOUT
+// ============================================================
+// Verificamos la compra en pasos: sesión obligatoria, validación de
+// cada paso con mensajes en español, cotización del envío al dejar la
+// dirección, datos que sobreviven a una recarga, la orden que se envía
+// al backend (con su clave de idempotencia y el comprobante elegido),
+// el pago en línea con tarjeta (también retomado después de recargar o
+// cancelado por el comprador) y los errores del servidor llevados al
+// paso que corresponde
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, act, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+
+// La página que vamos a testear
+import Checkout from '../Checkout';
+
+// Stores reales: sesión, carrito y checkout
+import { useAuthStore } from '../../store/useAuthStore';
+import { useCartStore } from '../../store/useCartStore';
+import { useCheckoutStore } from '../../store/useCheckoutStore';
+
+// La API (mockeada abajo) para controlar las respuestas
+import { ordersAPI, shippingAPI, paymentsAPI } from '../../services/api';
+
+// MOCK: La capa API - conservamos las constantes reales (etiquetas de entrega y pago) y APIError
+vi.mock('../../services/api', async () => ({
+  ...(await vi.importActual('../../services/api')),
+  ordersAPI: {
+    create: vi.fn(),
+    getById: vi.fn(),
+    cancel: vi.fn(),
+    downloadReceipt: vi.fn()
+  },
+  shippingAPI: {
+    quote: vi.fn()
+  },
+  paymentsAPI: {
+    createIntent: vi.fn(),
+    confirm: vi.fn()
+  }
+}));
+
+// Producto de ejemplo (por debajo del envío gratis)
+const ps5 = { id: 1, nombre: 'PlayStation 5', precio: 75000, stock: 5, imagen: '/ps5.jpg' };
+
+// Cotización de envío de ejemplo (CABA)
+const quote = {
+  codigoPostal: 'C1425ABC',
+  provincia: 'Ciudad Autónoma de Buenos Aires',
+  zona: 'amba',
+  costo: 4999,
+  diasMin: 1,
+  diasMax: 2,
+  envioGratisDesde: 800000
+};
+
+// Sesión de ejemplo
+const session = { token: 'header.payload.firma', user: { id: 7, nombre: 'Ana Pérez', email: 'ana@mail.com', role: 'cliente' } };
+
+// Renderiza la página en /checkout; /login muestra un texto para verificar la redirección
+const renderPage = () => render(
+  <MemoryRouter initialEntries={['/checkout']}>
+    <Routes>
+      <Route path="/checkout" element={<Checkout />} />
+      <Route path="/login" element={<div>Página de login</div>} />
+    </Routes>
+  </MemoryRouter>
+);
+
+// Completa los campos de texto indicados ({ etiqueta: valor })
+const fill = (values) => {
+  Object.entries(values).forEach(([label, value]) => {
+    fireEvent.change(screen.getByLabelText(label), { target: { value } });
+  });
+};
+
+const clickContinue = () => fireEvent.click(screen.getByRole('button', { name: 'Continuar' }));
+
+// Completa contacto y dirección y llega al paso de entrega
+const completeContactAndAddress = async () => {
+  fill({ DNI: '30.123.456', 'Teléfono': '11 4567-8900' });
+  clickContinue();
+  fill({
+    Calle: 'Av. Corrientes',
+    Altura: '1234',
+    'Piso / Depto (opcional)': '5B',
+    'Código postal': 'C1425ABC',
+    Ciudad: 'CABA',
+    Provincia: 'Buenos Aires'
+  });
+  clickContinue();
+  await screen.findByRole('heading', { name: 'Entrega' });
+};
+
+// Completa todos los pasos con envío a domicilio y tarjeta, y confirma la compra
+const confirmWithCard = async () => {
+  await completeContactAndAddress();
+  clickContinue();
+  clickContinue();
+  fireEvent.click(screen.getByRole('button', { name: 'Confirmar compra' }));
+};
+
+// Paga con la tarjeta de prueba del sandbox
+const payWithCard = async () => {
+  fireEvent.change(await screen.findByLabelText('Número de tarjeta'), { target: { value: '4509953566233704' } });
+  fireEvent.change(screen.getByLabelText('Nombre del titular'), { target: { value: 'APRO' } });
+  fireEvent.change(screen.getByLabelText('Vencimiento (MM/AA)'), { target: { value: '11/30' } });
+  fireEvent.change(screen.getByLabelText('Código de seguridad'), { target: { value: '123' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Pagar' }));
+};
+
+// Pago iniciado por el backend para la orden 42
+const intent = { id: 'pi_sbx_123', orderId: 42, proveedor: 'sandbox', estado: 'pendiente', monto: 154999, moneda: 'ARS' };
+
+describe('Checkout Page', () => {
+  // CONFIGURACIÓN ANTES DE CADA TEST
+  beforeEach(() => {
+    act(() => {
+      useAuthStore.setState(session);
+      useCartStore.setState({ items: [{ producto: ps5, cantidad: 2 }], coupon: null, shipping: null });
+      useCheckoutStore.getState().reset();
+    });
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    shippingAPI.quote.mockResolvedValue(quote);
+  });
+
+  // TEST 1: Sesión obligatoria
+  it('debe pedir iniciar sesión para comprar', () => {
+    act(() => {
+      useAuthStore.setState({ token: null, user: null });
+    });
+    renderPage();
+
+    expect(screen.getByText('Página de login')).toBeInTheDocument();
+  });
+
+  // TEST 2: Validación del paso de contacto
+  it('debe validar los datos de contacto antes de avanzar', () => {
+    renderPage();
+
+    // PASO 1: Nombre y email se completan con los de la cuenta
+    expect(screen.getByLabelText('Nombre y apellido')).toHaveValue('Ana Pérez');
+    expect(screen.getByLabelText('Email')).toHaveValue('ana@mail.com');
+
+    // PASO 2: Datos inválidos
+    fill({ Email: 'ana@', DNI: '123', 'Teléfono': '123' });
+    clickContinue();
+
+    // PASO 3: Un mensaje por campo y seguimos en el mismo paso
+    expect(screen.getByText('El email no es válido')).toBeInTheDocument();
+    expect(screen.getByText('El DNI debe tener 7 u 8 números')).toBeInTheDocument();
+    expect(screen.getByText('El teléfono debe tener entre 8 y 15 números')).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Contacto' })).toBeInTheDocument();
+  });
+
+  // TEST 3: Dirección incompleta y cotización del envío
+  it('debe validar la dirección y cotizar el envío a su código postal', async () => {
+    renderPage();
+    fill({ DNI: '30123456', 'Teléfono': '1145678900' });
+    clickContinue();
+
+    // PASO 1: Dirección vacía
+    clickContinue();
+    expect(screen.getByText('Completa la calle')).toBeInTheDocument();
+    expect(screen.getByText('Completa el código postal')).toBeInTheDocument();
+    expect(shippingAPI.quote).not.toHaveBeenCalled();
+
+    // PASO 2: Dirección completa: se cotiza el envío y se muestra el costo en la entrega
+    fill({ Calle: 'Av. Corrientes', Altura: '1234', 'Código postal': 'C1425ABC', Ciudad: 'CABA', Provincia: 'Buenos Aires' });
+    clickContinue();
+
+    await screen.findByRole('heading', { name: 'Entrega' });
+    expect(shippingAPI.quote).toHaveBeenCalledWith('C1425ABC');
+    expect(screen.getByText(/llega en 1 a 2 días hábiles/)).toHaveTextContent('$ 4.999');
+  });
+
+  // TEST 4: Código postal sin envíos
+  it('debe mostrar el error del código postal en el paso de dirección', async () => {
+    const { APIError } = await vi.importActual('../../services/api');
+    shippingAPI.quote.mockRejectedValue(new APIError(422, {
+      error: 'INVALID_POSTAL_CODE',
+      message: 'No realizamos envíos a ese código postal'
+    }));
+    renderPage();
+    fill({ DNI: '30123456', 'Teléfono': '1145678900' });
+    clickContinue();
+    fill({ Calle: 'Av. Corrientes', Altura: '1234', 'Código postal': '0001', Ciudad: 'CABA', Provincia: 'Buenos Aires' });
+    clickContinue();
+
+    expect(await screen.findByText('No realizamos envíos a ese código postal')).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Dirección' })).toBeInTheDocument();
+  });
+
+  // TEST 5: Los datos sobreviven a una recarga
+  it('debe conservar el paso y los datos completados al volver a la página', async () => {
+    // PASO 1: Completar contacto y dirección
+    const { unmount } = renderPage();
+    await completeContactAndAddress();
+    unmount();
+
+    // PASO 2: Los datos quedaron guardados en localStorage
+    const saved = JSON.parse(localStorage.getItem('checkout-storage')).state;
+    expect(saved.step).toBe(2);
+    expect(saved.contacto.dni).toBe('30.123.456');
+    expect(saved.direccion.calle).toBe('Av. Corrientes');
+
+    // PASO 3: Al volver se retoma el mismo paso con los datos completos
+    renderPage();
+    expect(screen.getByRole('heading', { name: 'Entrega' })).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Volver' }));
+    expect(screen.getByLabelText('Calle')).toHaveValue('Av. Corrientes');
+  });
+
+  // TEST 6: Efectivo solo con retiro en el local
+  it('debe rechazar el pago en efectivo con envío a domicilio', async () => {
+    renderPage();
+    await completeContactAndAddress();
+    clickContinue();
+
+    fireEvent.click(screen.getByRole('radio', { name: 'Efectivo al retirar' }));
+    clickContinue();
+
+    expect(screen.getByText('El pago en efectivo solo está disponible al retirar en el local')).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Pago' })).toBeInTheDocument();
+  });
+
+  // TEST 7: Compra confirmada
+  it('debe crear la orden con los datos del comprador, la entrega y el pago', async () => {
+    ordersAPI.create.mockResolvedValue({ id: 42, cliente: { email: 'ana@mail.com' } });
+    renderPage();
+    await completeContactAndAddress();
+
+    // PASO 1: Retiro en el local y pago en efectivo
+    fireEvent.click(screen.getByRole('radio', { name: /Retiro en el local/ }));
+    clickContinue();
+    fireEvent.click(screen.getByRole('radio', { name: 'Efectivo al retirar' }));
+    clickContinue();
+
+    // PASO 2: La revisión resume cada paso; el retiro no tiene costo
+    expect(screen.getByRole('heading', { name: 'Revisión' })).toBeInTheDocument();
+    expect(screen.getByText('DNI 30.123.456')).toBeInTheDocument();
+    expect(screen.getByText('Av. Corrientes 1234, 5B')).toBeInTheDocument();
+    expect(screen.getByText('Envío:').nextSibling).toHaveTextContent('Gratis');
+    expect(screen.getByText('Total:').nextSibling).toHaveTextContent('$ 150.000');
+
+    // PASO 3: Confirmar
+    fireEvent.click(screen.getByRole('button', { name: 'Confirmar compra' }));
+    expect(await screen.findByText('¡Gracias por tu compra!')).toBeInTheDocument();
+    expect(screen.getByText('#42')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Descargar comprobante' })).toBeInTheDocument();
+
+    // PASO 4: La orden lleva productos, comprador, dirección, entrega y pago
+    expect(ordersAPI.create).toHaveBeenCalledWith(expect.objectContaining({
+      productos: [expect.objectContaining({ id: 1, cantidad: 2 })],
+      cliente: { nombre: 'Ana Pérez', email: 'ana@mail.com', dni: '30.123.456', telefono: '11 4567-8900' },
+      envio: {
+        metodo: 'retiro',
+        direccion: {
+          calle: 'Av. Corrientes',
+          numero: '1234',
+          pisoDepto: '5B',
+          ciudad: 'CABA',
+          provincia: 'Buenos Aires',
+          codigoPostal: 'C1425ABC'
+        }
+      },
+      pago: { metodo: 'efectivo' },
+      factura: { tipo: 'B' },
+      total: 150000
+    }), { idempotencyKey: expect.any(String) });
+
+    // PASO 5: Se vacían el carrito y el formulario
+    expect(useCartStore.getState().items).toEqual([]);
+    expect(useCheckoutStore.getState().contacto.dni).toBe('');
+  });
+
+  // TEST 8: Errores del servidor por campo
+  it('debe llevar al paso del campo rechazado por el servidor', async () => {
+    const { APIError } = await vi.importActual('../../services/api');
+    ordersAPI.create.mockRejectedValue(new APIError(422, {
+      error: 'VALIDATION_ERROR',
+      message: 'La orden contiene datos inválidos',
+      details: [
+        { field: 'cliente.dni', message: 'El DNI debe tener 7 u 8 números' },
+        { field: 'productos[0].cantidad', message: 'Solo quedan 1 unidades de PlayStation 5' }
+      ]
+    }));
+    renderPage();
+    await completeContactAndAddress();
+    clickContinue();
+    clickContinue();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Confirmar compra' }));
+
+    // El error del DNI se muestra en su campo; el de stock, en el aviso general
+    await waitFor(() => {
+      expect(screen.getByRole('heading', { name: 'Contacto' })).toBeInTheDocument();
+    });
+    expect(screen.getByText('El DNI debe tener 7 u 8 números')).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toHaveTextContent('La orden contiene datos inválidos');
+    expect(screen.getByRole('alert')).toHaveTextContent('Solo quedan 1 unidades de PlayStation 5');
+    // El carrito no se vacía
+    expect(useCartStore.getState().items).toHaveLength(1);
+  });
+
+  // TEST 9: Pago con tarjeta aprobado
+  it('debe cobrar la orden con tarjeta antes de confirmar la compra', async () => {
+    ordersAPI.create.mockResolvedValue({ id: 42, total: 154999, cliente: { email: 'ana@mail.com' } });
+    paymentsAPI.createIntent.mockResolvedValue(intent);
+    paymentsAPI.confirm.mockResolvedValue({ ...intent, estado: 'aprobado' });
+    renderPage();
+
+    // PASO 1: Confirmar la compra inicia el pago de la orden creada
+    await confirmWithCard();
+    expect(await screen.findByRole('heading', { name: 'Pagar orden #42' })).toBeInTheDocument();
+    expect(paymentsAPI.createIntent).toHaveBeenCalledWith(42);
+    // Hasta que se pague el carrito se conserva y la orden queda guardada para retomar el pago
+    expect(useCartStore.getState().items).toHaveLength(1);
+    expect(useCheckoutStore.getState().pendingOrderId).toBe(42);
+
+    // PASO 2: Pago aprobado
+    await payWithCard();
+    expect(await screen.findByText('¡Gracias por tu compra!')).toBeInTheDocument();
+    expect(screen.getByText('Tu pago fue aprobado.')).toBeInTheDocument();
+    expect(useCartStore.getState().items).toEqual([]);
+    expect(useCheckoutStore.getState().pendingOrderId).toBeNull();
+  });
+
+  // TEST 10: Pago con tarjeta rechazado
+  it('debe conservar el carrito y volver al paso de pago si el pago se rechaza', async () => {
+    ordersAPI.create.mockResolvedValue({ id: 42, total: 154999 });
+    paymentsAPI.createIntent.mockResolvedValue(intent);
+    paymentsAPI.confirm.mockResolvedValue({ ...intent, estado: 'rechazado' });
+    renderPage();
+
+    await confirmWithCard();
+    await payWithCard();
+
+    // Se vuelve al paso de pago con el motivo; el carrito y los datos siguen ahí
+    expect(await screen.findByRole('heading', { name: 'Pago' })).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toHaveTextContent('Tu pago fue rechazado y la orden #42 se anuló');
+    expect(useCartStore.getState().items).toHaveLength(1);
+    expect(useCheckoutStore.getState().contacto.dni).toBe('30.123.456');
+  });
+
+  // TEST 11: No se pudo iniciar el pago
+  it('debe permitir reintentar si no se pudo iniciar el pago', async () => {
+    ordersAPI.create.mockResolvedValue({ id: 42, total: 154999 });
+    paymentsAPI.createIntent
+      .mockRejectedValueOnce(new Error('Failed to fetch'))
+      .mockResolvedValueOnce(intent);
+    renderPage();
+
+    await confirmWithCard();
+    expect(await screen.findByRole('alert')).toHaveTextContent('No pudimos iniciar el pago');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Reintentar' }));
+    expect(await screen.findByLabelText('Número de tarjeta')).toBeInTheDocument();
+    expect(paymentsAPI.createIntent).toHaveBeenCalledTimes(2);
+  });
+
+  // TEST 12: Reintento después de un error de red
+  it('debe reenviar la misma clave de idempotencia al reintentar la compra', async () => {
+    ordersAPI.create
+      .mockRejectedValueOnce(new Error('Failed to fetch'))
+      .mockResolvedValueOnce({ id: 42, cliente: { email: 'ana@mail.com' } });
+    renderPage();
+    await completeContactAndAddress();
+    fireEvent.click(screen.getByRole('radio', { name: /Retiro en el local/ }));
+    clickContinue();
+    fireEvent.click(screen.getByRole('radio', { name: 'Efectivo al retirar' }));
+    clickContinue();
+
+    // PASO 1: La respuesta no llega (la orden pudo haberse creado igual)
+    fireEvent.click(screen.getByRole('button', { name: 'Confirmar compra' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Error al procesar la compra');
+
+    // PASO 2: El reintento usa la misma clave, así el backend devuelve la orden original
+    fireEvent.click(screen.getByRole('button', { name: 'Confirmar compra' }));
+    expect(await screen.findByText('¡Gracias por tu compra!')).toBeInTheDocument();
+    const [first, second] = ordersAPI.create.mock.calls.map((call) => call[1].idempotencyKey);
+    expect(first).toEqual(expect.any(String));
+    expect(second).toBe(first);
+
+    // PASO 3: Con la orden creada, la próxima compra tendrá una clave nueva
+    expect(useCheckoutStore.getState().idempotencyKey).toBeNull();
+  });
+
+  // TEST 13: Factura A
+  it('debe pedir un CUIT válido y la razón social para la Factura A', async () => {
+    ordersAPI.create.mockResolvedValue({ id: 42, cliente: { email: 'ana@mail.com' } });
+    renderPage();
+    await completeContactAndAddress();
+    fireEvent.click(screen.getByRole('radio', { name: /Retiro en el local/ }));
+    clickContinue();
+
+    // PASO 1: Elegir Factura A con un CUIT mal tipeado
+    fireEvent.click(screen.getByRole('radio', { name: 'Efectivo al retirar' }));
+    fireEvent.click(screen.getByRole('radio', { name: 'Factura A (responsable inscripto)' }));
+    fill({ CUIT: '20-12345678-5' });
+    clickContinue();
+    expect(screen.getByText('El CUIT no es válido')).toBeInTheDocument();
+    expect(screen.getByText('Completa la razón social')).toBeInTheDocument();
+
+    // PASO 2: Corregir los datos y revisar
+    fill({ CUIT: '20-12345678-6', 'Razón social': 'Ana Pérez Servicios' });
+    clickContinue();
+    expect(screen.getByText('Factura A · CUIT 20-12345678-6 · Ana Pérez Servicios')).toBeInTheDocument();
+    // El total discrimina el precio sin impuestos nacionales y el IVA
+    expect(screen.getByText('Precio sin impuestos nacionales:')).toBeInTheDocument();
+    expect(screen.getByText('IVA 21%:')).toBeInTheDocument();
+
+    // PASO 3: La orden lleva los datos de facturación
+    fireEvent.click(screen.getByRole('button', { name: 'Confirmar compra' }));
+    expect(await screen.findByText('¡Gracias por tu compra!')).toBeInTheDocument();
+    expect(ordersAPI.create).toHaveBeenCalledWith(expect.objectContaining({
+      factura: { tipo: 'A', cuit: '20-12345678-6', razonSocial: 'Ana Pérez Servicios' }
+    }), expect.anything());
+  });
+
+  // TEST 14: Pago retomado después de recargar
+  it('debe volver al pago de la orden que quedó pendiente al recargar la página', async () => {
+    act(() => useCheckoutStore.getState().setPendingOrder(42));
+    ordersAPI.getById.mockResolvedValue({ id: 42, total: 154999, status: 'pendiente', pago: { metodo: 'tarjeta' } });
+    paymentsAPI.createIntent.mockResolvedValue(intent);
+    renderPage();
+
+    expect(await screen.findByRole('heading', { name: 'Pagar orden #42' })).toBeInTheDocument();
+    expect(await screen.findByLabelText('Número de tarjeta')).toBeInTheDocument();
+    expect(ordersAPI.getById).toHaveBeenCalledWith(42);
+    expect(ordersAPI.create).not.toHaveBeenCalled();
+  });
+
+  // TEST 15: La orden pendiente ya se pagó o se anuló
+  it('debe mostrar la compra terminada o el aviso de la orden anulada al volver', async () => {
+    // PASO 1: Pagada mientras la página estaba cerrada
+    act(() => useCheckoutStore.getState().setPendingOrder(42));
+    ordersAPI.getById.mockResolvedValueOnce({ id: 42, status: 'pagada', cliente: { email: 'ana@mail.com' } });
+    const { unmount } = renderPage();
+
+    expect(await screen.findByText('¡Gracias por tu compra!')).toBeInTheDocument();
+    expect(useCartStore.getState().items).toEqual([]);
+    unmount();
+
+    // PASO 2: Cancelada por no pagarse a tiempo; el carrito sigue disponible
+    act(() => {
+      useCartStore.setState({ items: [{ producto: ps5, cantidad: 2 }] });
+      useCheckoutStore.getState().setPendingOrder(43);
+    });
+    ordersAPI.getById.mockResolvedValueOnce({ id: 43, status: 'cancelada' });
+    renderPage();
+
+    expect(await screen.findByRole('status')).toHaveTextContent('La orden #43 se anuló');
+    expect(useCheckoutStore.getState().pendingOrderId).toBeNull();
+    expect(useCartStore.getState().items).toHaveLength(1);
+    expect(paymentsAPI.createIntent).not.toHaveBeenCalled();
+  });
+
+  // TEST 16: Cancelar la orden desde el pago
+  it('debe cancelar la orden que espera el pago y conservar el carrito', async () => {
+    ordersAPI.create.mockResolvedValue({ id: 42, total: 154999 });
+    ordersAPI.cancel.mockResolvedValue({ id: 42, status: 'cancelada' });
+    paymentsAPI.createIntent.mockResolvedValue(intent);
+    renderPage();
+
+    await confirmWithCard();
+    fireEvent.click(await screen.findByRole('button', { name: 'Cancelar orden' }));
+
+    expect(await screen.findByRole('status')).toHaveTextContent('Cancelaste la orden #42');
+    expect(ordersAPI.cancel).toHaveBeenCalledWith(42);
+    expect(screen.getByRole('heading', { name: 'Revisión' })).toBeInTheDocument();
+    expect(useCheckoutStore.getState().pendingOrderId).toBeNull();
+    expect(useCartStore.getState().items).toHaveLength(1);
+  });
+});
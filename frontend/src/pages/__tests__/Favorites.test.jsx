@@ -0,0 +1,89 @@
+// ============================================================
+// TESTS DE LA PÁGINA FAVORITES
+// ============================================================
+// Verificamos la lista de favoritos: productos guardados, mover al
+// carrito respetando el stock, quitar de la lista y estado vacío
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+
+// La página que vamos a testear
+import Favorites from '../Favorites';
+
+// Stores reales: favoritos, carrito y sesión (sin sesión no hay peticiones)
+import { useWishlistStore } from '../../store/useWishlistStore';
+import { useCartStore } from '../../store/useCartStore';
+import { useAuthStore } from '../../store/useAuthStore';
+
+// Productos de ejemplo
+const ps5 = { id: 1, nombre: 'PlayStation 5', precio: 899999, stock: 1, imagen: '/ps5.jpg' };
+const xbox = { id: 2, nombre: 'Xbox Series X', precio: 799999, stock: 0, imagen: '/xbox.jpg' };
+
+const renderPage = () => render(
+  <MemoryRouter>
+    <Favorites />
+  </MemoryRouter>
+);
+
+describe('Favorites Page', () => {
+  beforeEach(() => {
+    act(() => {
+      useAuthStore.setState({ token: null, user: null });
+      useWishlistStore.setState({ items: [ps5, xbox] });
+      useCartStore.setState({ items: [] });
+    });
+  });
+
+  // TEST 1: Listado
+  it('debe listar los productos guardados', () => {
+    renderPage();
+
+    expect(screen.getByText('2 productos guardados')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'PlayStation 5' })).toHaveAttribute('href', '/products/1');
+    // Un producto sin stock no se puede mover al carrito
+    expect(screen.getByRole('button', { name: 'Mover Xbox Series X al carrito' })).toBeDisabled();
+    // Sin sesión se invita a ingresar para guardarlos en la cuenta
+    expect(screen.getByRole('link', { name: 'Inicia sesión' })).toHaveAttribute(
+      'href',
+      `/login?redirect=${encodeURIComponent('/favoritos')}`
+    );
+  });
+
+  // TEST 2: Mover al carrito
+  it('debe mover el producto al carrito y quitarlo de favoritos', () => {
+    renderPage();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Mover PlayStation 5 al carrito' }));
+
+    expect(useCartStore.getState().items).toEqual([{ producto: ps5, cantidad: 1 }]);
+    expect(useWishlistStore.getState().items).toEqual([xbox]);
+    expect(screen.queryByRole('link', { name: 'PlayStation 5' })).not.toBeInTheDocument();
+  });
+
+  // TEST 3: Sin stock suficiente
+  it('debe avisar si el carrito ya tiene todo el stock del producto', () => {
+    act(() => {
+      useCartStore.setState({ items: [{ producto: ps5, cantidad: 1 }] });
+    });
+    renderPage();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Mover PlayStation 5 al carrito' }));
+
+    // El producto sigue en favoritos
+    expect(screen.getByRole('alert')).toHaveTextContent('No hay más stock disponible de PlayStation 5');
+    expect(useWishlistStore.getState().items).toHaveLength(2);
+  });
+
+  // TEST 4: Quitar y lista vacía
+  it('debe quitar productos y mostrar el estado vacío', () => {
+    renderPage();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Quitar PlayStation 5 de favoritos' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Quitar Xbox Series X de favoritos' }));
+
+    expect(screen.getByText(/Todavía no guardaste productos/)).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Ver productos' })).toHaveAttribute('href', '/products');
+  });
+});
@@ -0,0 +1,99 @@
+// ============================================================
+// TESTS DE LA PÁGINA LOGIN
+// ============================================================
+// Verificamos que el formulario inicia sesión con el store de autenticación,
+// que redirige al destino indicado en ?redirect= y que muestra los errores al usuario
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+
+// El componente que vamos a testear
+import Login from '../Login';
+
+// El store real de autenticación: reemplazamos solo la acción login con setState
+import { useAuthStore } from '../../store/useAuthStore';
+
+// Helper: renderiza el Login en una ruta dada, con páginas de destino para verificar la redirección
+const renderLogin = (initialEntry = '/login') => {
+  return render(
+    <MemoryRouter initialEntries={[initialEntry]}>
+      <Routes>
+        <Route path="/login" element={<Login />} />
+        <Route path="/" element={<div>Página de inicio</div>} />
+        <Route path="/products" element={<div>Página de productos</div>} />
+      </Routes>
+    </MemoryRouter>
+  );
+};
+
+// Helper: completa y envía el formulario
+const submitForm = (email = 'ana@mail.com', password = 'secreta123') => {
+  fireEvent.change(screen.getByLabelText('Email'), { target: { value: email } });
+  fireEvent.change(screen.getByLabelText('Contraseña'), { target: { value: password } });
+  fireEvent.click(screen.getByRole('button', { name: 'Ingresar' }));
+};
+
+describe('Login Page', () => {
+  // Función simulada que reemplaza la acción login del store
+  const mockLogin = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuthStore.setState({ token: null, user: null, login: mockLogin });
+  });
+
+  // TEST 1: Envía las credenciales y vuelve al inicio
+  it('debe iniciar sesión y redirigir al inicio', async () => {
+    mockLogin.mockResolvedValue({ id: 1, nombre: 'Ana' });
+
+    renderLogin();
+    submitForm();
+
+    // Verificar que se llamó al store con los datos del formulario
+    expect(mockLogin).toHaveBeenCalledWith({ email: 'ana@mail.com', password: 'secreta123' });
+    expect(await screen.findByText('Página de inicio')).toBeInTheDocument();
+  });
+
+  // TEST 2: Respeta el destino de ?redirect=
+  it('debe redirigir a la página indicada en ?redirect=', async () => {
+    mockLogin.mockResolvedValue({ id: 1, nombre: 'Ana' });
+
+    renderLogin('/login?redirect=%2Fproducts');
+    submitForm();
+
+    expect(await screen.findByText('Página de productos')).toBeInTheDocument();
+  });
+
+  // TEST 3: Credenciales incorrectas
+  it('debe mostrar un error si las credenciales son incorrectas', async () => {
+    mockLogin.mockRejectedValue(Object.assign(new Error('Email o contraseña incorrectos'), { status: 401 }));
+
+    renderLogin();
+    submitForm('ana@mail.com', 'mala');
+
+    // El mensaje aparece en un alert y el usuario sigue en el login
+    expect(await screen.findByRole('alert')).toHaveTextContent('Email o contraseña incorrectos.');
+    expect(screen.getByRole('heading', { name: 'Iniciar sesión' })).toBeInTheDocument();
+  });
+
+  // TEST 4: Error de conexión
+  it('debe mostrar un mensaje genérico ante otros errores', async () => {
+    mockLogin.mockRejectedValue(new Error('Failed to fetch'));
+
+    renderLogin();
+    submitForm();
+
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent('No pudimos iniciar sesión');
+    });
+  });
+
+  // TEST 5: Enlace a registro conservando el destino
+  it('debe enlazar a la creación de cuenta conservando el destino', () => {
+    renderLogin('/login?redirect=%2Fproducts');
+
+    expect(screen.getByRole('link', { name: 'Crear cuenta' })).toHaveAttribute('href', '/registro?redirect=%2Fproducts');
+  });
+});
@@ -0,0 +1,153 @@
+// ============================================================
+// TESTS DE LA PÁGINA MYORDERDETAIL
+// ============================================================
+// Verificamos el detalle de un pedido propio: líneas, descuentos,
+// envío y total, entrega y pago, seguimiento del estado, pedidos
+// ajenos o inexistentes y "Volver a comprar" con productos eliminados
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, act, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+
+// La página que vamos a testear
+import MyOrderDetail from '../MyOrderDetail';
+
+// Stores reales: sesión y carrito
+import { useAuthStore } from '../../store/useAuthStore';
+import { useCartStore } from '../../store/useCartStore';
+
+// La API (mockeada abajo) para controlar las respuestas
+import { ordersAPI, productsAPI, APIError } from '../../services/api';
+
+// MOCK: La capa API - conservamos las constantes reales (etiquetas) y APIError
+vi.mock('../../services/api', async () => ({
+  ...(await vi.importActual('../../services/api')),
+  ordersAPI: {
+    getById: vi.fn(),
+    downloadReceipt: vi.fn()
+  },
+  productsAPI: {
+    getById: vi.fn()
+  }
+}));
+
+// Sesión de ejemplo
+const session = { token: 'header.payload.firma', user: { id: 7, nombre: 'Ana Pérez', email: 'ana@mail.com', role: 'cliente' } };
+
+// Orden de ejemplo con cupón, envío a domicilio y pago con tarjeta
+const order = {
+  id: 12,
+  userId: 7,
+  fecha: '2024-03-10T15:00:00.000Z',
+  status: 'pagada',
+  productos: [
+    { id: 1, nombre: 'PlayStation 5', precio: 200000, cantidad: 1 },
+    { id: 3, nombre: 'Joystick', precio: 45000, cantidad: 2 }
+  ],
+  subtotal: 290000,
+  descuentos: [{ codigo: 'BIENVENIDA', descripcion: '10% de bienvenida', monto: 29000 }],
+  envio: {
+    metodo: 'domicilio',
+    codigoPostal: 'C1425ABC',
+    provincia: 'Buenos Aires',
+    costo: 4999,
+    diasMin: 1,
+    diasMax: 2,
+    direccion: { calle: 'Av. Corrientes', numero: '1234', pisoDepto: '5B', ciudad: 'CABA', provincia: 'Buenos Aires', codigoPostal: 'C1425ABC' }
+  },
+  pago: { metodo: 'tarjeta', estado: 'aprobado', proveedor: 'sandbox' },
+  total: 265999,
+  statusHistory: [
+    { status: 'pendiente', fecha: '2024-03-10T15:00:00.000Z' },
+    { status: 'pagada', fecha: '2024-03-10T15:01:00.000Z' }
+  ]
+};
+
+// Renderiza la página en /mis-pedidos/:id; /login muestra un texto para verificar la redirección
+const renderPage = (id = 12) => render(
+  <MemoryRouter initialEntries={[`/mis-pedidos/${id}`]}>
+    <Routes>
+      <Route path="/mis-pedidos/:id" element={<MyOrderDetail />} />
+      <Route path="/login" element={<div>Página de login</div>} />
+    </Routes>
+  </MemoryRouter>
+);
+
+describe('MyOrderDetail Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    act(() => {
+      useAuthStore.setState(session);
+      useCartStore.setState({ items: [], isOpen: false });
+    });
+  });
+
+  // TEST 1: Sin sesión se redirige al login
+  it('debe redirigir al login si no hay sesión', () => {
+    act(() => {
+      useAuthStore.setState({ token: null, user: null });
+    });
+
+    renderPage();
+
+    expect(screen.getByText('Página de login')).toBeInTheDocument();
+  });
+
+  // TEST 2: Detalle completo de la orden
+  it('debe mostrar las líneas, los totales, la entrega, el pago y el seguimiento', async () => {
+    ordersAPI.getById.mockResolvedValue(order);
+
+    renderPage();
+
+    expect(await screen.findByRole('heading', { name: /Orden #12/ })).toHaveTextContent('Pagada');
+    expect(ordersAPI.getById).toHaveBeenCalledWith('12');
+
+    // PASO 1: Líneas y totales
+    expect(screen.getByRole('link', { name: 'Joystick' })).toHaveAttribute('href', '/products/3');
+    expect(screen.getByText('Descuento: 10% de bienvenida')).toBeInTheDocument();
+    expect(screen.getByText(/265\.999/)).toBeInTheDocument();
+
+    // PASO 2: Entrega y pago
+    expect(screen.getByText(/Av\. Corrientes 1234, 5B/)).toBeInTheDocument();
+    expect(screen.getByText('Plazo estimado: 1 a 2 días hábiles')).toBeInTheDocument();
+    expect(screen.getByText('Estado: Aprobado')).toBeInTheDocument();
+
+    // PASO 3: Seguimiento y acciones
+    expect(screen.getByText('Seguimiento')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Descargar comprobante' })).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Volver a mis pedidos' })).toHaveAttribute('href', '/mis-pedidos');
+  });
+
+  // TEST 3: Orden ajena o inexistente
+  it('debe avisar si el pedido no existe', async () => {
+    ordersAPI.getById.mockRejectedValue(new APIError(404, { error: 'NOT_FOUND', message: 'Orden no encontrada' }));
+
+    renderPage(99);
+
+    expect(await screen.findByText('No encontramos este pedido.')).toBeInTheDocument();
+  });
+
+  // TEST 4: Volver a comprar con un producto eliminado del catálogo
+  it('debe volver a comprar e informar los productos que ya no están a la venta', async () => {
+    ordersAPI.getById.mockResolvedValue(order);
+    productsAPI.getById.mockImplementation(async (id) => {
+      if (id === 1) {
+        throw new APIError(404, { error: 'NOT_FOUND', message: 'Recurso no encontrado' });
+      }
+      return { id: 3, nombre: 'Joystick', precio: 47000, stock: 10 };
+    });
+
+    renderPage();
+    fireEvent.click(await screen.findByRole('button', { name: 'Volver a comprar' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('PlayStation 5: Ya no está a la venta');
+    await waitFor(() => {
+      expect(useCartStore.getState().items).toEqual([
+        { producto: { id: 3, nombre: 'Joystick', precio: 47000, stock: 10 }, cantidad: 2 }
+      ]);
+    });
+    expect(useCartStore.getState().isOpen).toBe(true);
+  });
+});
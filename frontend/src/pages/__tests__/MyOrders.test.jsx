@@ -0,0 +1,161 @@
+// ============================================================
+// TESTS DE LA PÁGINA MYORDERS
+// ============================================================
+// Verificamos el historial de compras: sesión obligatoria, la lista
+// de órdenes propias con estado, fecha, productos y total, el estado
+// vacío y "Volver a comprar" (precios actuales y productos que ya no
+// están disponibles)
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, act, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+
+// La página que vamos a testear
+import MyOrders from '../MyOrders';
+
+// Stores reales: sesión y carrito
+import { useAuthStore } from '../../store/useAuthStore';
+import { useCartStore } from '../../store/useCartStore';
+
+// La API (mockeada abajo) para controlar las respuestas
+import { ordersAPI, productsAPI } from '../../services/api';
+
+// MOCK: La capa API - conservamos las constantes reales (etiquetas de estado) y APIError
+vi.mock('../../services/api', async () => ({
+  ...(await vi.importActual('../../services/api')),
+  ordersAPI: {
+    getMine: vi.fn(),
+    downloadReceipt: vi.fn()
+  },
+  productsAPI: {
+    getById: vi.fn()
+  }
+}));
+
+// Sesión de ejemplo
+const session = { token: 'header.payload.firma', user: { id: 7, nombre: 'Ana Pérez', email: 'ana@mail.com', role: 'cliente' } };
+
+// Órdenes de ejemplo (la más reciente primero, como las devuelve el servidor)
+const orders = [
+  {
+    id: 12,
+    userId: 7,
+    fecha: '2024-03-10T15:00:00.000Z',
+    status: 'enviada',
+    total: 290000,
+    productos: [
+      { id: 1, nombre: 'PlayStation 5', precio: 200000, cantidad: 1 },
+      { id: 3, nombre: 'Joystick', precio: 45000, cantidad: 2 }
+    ]
+  },
+  {
+    id: 5,
+    userId: 7,
+    fecha: '2024-01-02T12:00:00.000Z',
+    status: 'entregada',
+    total: 90000,
+    productos: [{ id: 9, nombre: 'Volante', precio: 90000, cantidad: 1 }]
+  }
+];
+
+// Renderiza la página en /mis-pedidos; /login muestra un texto para verificar la redirección
+const renderPage = () => render(
+  <MemoryRouter initialEntries={['/mis-pedidos']}>
+    <Routes>
+      <Route path="/mis-pedidos" element={<MyOrders />} />
+      <Route path="/login" element={<div>Página de login</div>} />
+    </Routes>
+  </MemoryRouter>
+);
+
+describe('MyOrders Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    act(() => {
+      useAuthStore.setState(session);
+      useCartStore.setState({ items: [], isOpen: false });
+    });
+  });
+
+  // TEST 1: Sin sesión se redirige al login
+  it('debe redirigir al login si no hay sesión', () => {
+    act(() => {
+      useAuthStore.setState({ token: null, user: null });
+    });
+
+    renderPage();
+
+    expect(screen.getByText('Página de login')).toBeInTheDocument();
+    expect(ordersAPI.getMine).not.toHaveBeenCalled();
+  });
+
+  // TEST 2: Lista de órdenes propias
+  it('debe listar las órdenes del usuario con estado, productos y total', async () => {
+    ordersAPI.getMine.mockResolvedValue(orders);
+
+    renderPage();
+
+    expect(await screen.findByText('2 pedidos')).toBeInTheDocument();
+    expect(ordersAPI.getMine).toHaveBeenCalledWith(7);
+
+    // PASO 1: Cada orden muestra su estado y total
+    expect(screen.getByText('Enviada')).toBeInTheDocument();
+    expect(screen.getByText('Entregada')).toBeInTheDocument();
+    expect(screen.getByText(/290\.000/)).toBeInTheDocument();
+
+    // PASO 2: Las líneas con su cantidad
+    expect(screen.getByText('Joystick x 2')).toBeInTheDocument();
+
+    // PASO 3: Acceso al detalle y al comprobante
+    expect(screen.getAllByRole('link', { name: 'Ver detalle' })[0]).toHaveAttribute('href', '/mis-pedidos/12');
+    expect(screen.getAllByRole('button', { name: 'Descargar comprobante' })).toHaveLength(2);
+  });
+
+  // TEST 3: Sin compras
+  it('debe mostrar el estado vacío si el usuario no tiene órdenes', async () => {
+    ordersAPI.getMine.mockResolvedValue([]);
+
+    renderPage();
+
+    expect(await screen.findByText('Todavía no hiciste ninguna compra.')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Ver productos' })).toHaveAttribute('href', '/products');
+  });
+
+  // TEST 4: Error al cargar
+  it('debe mostrar un error si no se pudieron cargar las órdenes', async () => {
+    ordersAPI.getMine.mockRejectedValue(new Error('Network error'));
+
+    renderPage();
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('No pudimos cargar tus pedidos');
+  });
+
+  // TEST 5: Volver a comprar con precios actuales
+  it('debe volver a llenar el carrito con los precios actuales y avisar lo que no está disponible', async () => {
+    ordersAPI.getMine.mockResolvedValue(orders);
+    // La consola subió de precio y el joystick se quedó sin stock
+    productsAPI.getById.mockImplementation(async (id) => ({
+      1: { id: 1, nombre: 'PlayStation 5', precio: 250000, stock: 3 },
+      3: { id: 3, nombre: 'Joystick', precio: 45000, stock: 0 }
+    })[id]);
+
+    renderPage();
+    await screen.findByText('2 pedidos');
+
+    // PASO 1: Volver a comprar la orden más reciente
+    fireEvent.click(screen.getAllByRole('button', { name: 'Volver a comprar' })[0]);
+
+    // PASO 2: El carrito tiene la consola al precio de hoy y se abre
+    await waitFor(() => {
+      expect(useCartStore.getState().items).toEqual([
+        { producto: { id: 1, nombre: 'PlayStation 5', precio: 250000, stock: 3 }, cantidad: 1 }
+      ]);
+    });
+    expect(useCartStore.getState().isOpen).toBe(true);
+
+    // PASO 3: Se informa el producto que no se pudo agregar
+    expect(screen.getByRole('alert')).toHaveTextContent('Joystick: Sin stock');
+  });
+});
@@ -0,0 +1,142 @@
+// ============================================================
+// TESTS DE LA PÁGINA PRODUCTDETAIL
+// ============================================================
+// Verificamos el detalle de producto: carga por ID, selector de cantidad
+// limitado por el stock, agregado al carrito y estado 404
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+
+// La página que vamos a testear
+import ProductDetail from '../ProductDetail';
+
+// La API de productos (mockeada abajo) y el store real del carrito
+import { productsAPI } from '../../services/api';
+import { useCartStore } from '../../store/useCartStore';
+
+// MOCK: La capa API - no queremos peticiones HTTP reales
+// useAuthStore (lo usa el carrito para guardarse en la cuenta) también usa la API al importarse
+vi.mock('../../services/api', () => ({
+  productsAPI: {
+    getById: vi.fn()
+  },
+  authAPI: {},
+  setAuthToken: vi.fn(),
+  setUnauthorizedHandler: vi.fn()
+}));
+
+// MOCK: Las reseñas se testean en ProductReviews.test; aquí solo interesa que se muestren
+vi.mock('../../components/ProductReviews', () => ({
+  default: ({ productId }) => <section data-testid="product-reviews">Reseñas de {productId}</section>
+}));
+
+// Producto de ejemplo con pocas unidades en stock
+const mockProduct = {
+  id: 4,
+  nombre: 'Steam Deck OLED 1TB',
+  descripcion: 'Consola portátil Steam Deck con pantalla OLED de 7.4 pulgadas',
+  precio: 1299999,
+  stock: 3,
+  imagen: '/steam-deck.jpg',
+  imagenes: ['/steam-deck-atras.jpg']
+};
+
+const renderPage = (path = '/products/4') => {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path="/products/:id" element={<ProductDetail />} />
+      </Routes>
+    </MemoryRouter>
+  );
+};
+
+describe('ProductDetail Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    act(() => {
+      useCartStore.setState({ items: [] });
+    });
+    productsAPI.getById.mockResolvedValue(mockProduct);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // TEST 1: Información completa
+  it('debe mostrar el producto con su descripción completa y galería', async () => {
+    renderPage();
+
+    // PASO 1: Se pidió el producto de la URL
+    expect(await screen.findByRole('heading', { name: 'Steam Deck OLED 1TB' })).toBeInTheDocument();
+    expect(productsAPI.getById).toHaveBeenCalledWith('4');
+
+    // PASO 2: Descripción, precio, aviso de stock e imágenes adicionales
+    expect(screen.getByText(mockProduct.descripcion)).toBeInTheDocument();
+    expect(screen.getByText(/1\.299\.999/)).toBeInTheDocument();
+    expect(screen.getByText('Últimas 3 unidades')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Ver imagen 2' })).toBeInTheDocument();
+
+    // PASO 3: Debajo, las reseñas del producto
+    expect(screen.getByTestId('product-reviews')).toHaveTextContent('Reseñas de 4');
+  });
+
+  // TEST 2: Selector de cantidad limitado por el stock
+  it('debe limitar la cantidad a las unidades disponibles', async () => {
+    renderPage();
+    const increase = await screen.findByRole('button', { name: 'Agregar una unidad' });
+
+    // PASO 1: No se puede bajar de 1
+    expect(screen.getByRole('button', { name: 'Quitar una unidad' })).toBeDisabled();
+
+    // PASO 2: Subir hasta el stock (3) deshabilita el botón +
+    fireEvent.click(increase);
+    fireEvent.click(increase);
+    expect(screen.getByLabelText('Cantidad')).toHaveValue(3);
+    expect(increase).toBeDisabled();
+
+    // PASO 3: Escribir un número mayor lo ajusta al máximo
+    fireEvent.change(screen.getByLabelText('Cantidad'), { target: { value: '10' } });
+    expect(screen.getByLabelText('Cantidad')).toHaveValue(3);
+  });
+
+  // TEST 3: Agregar varias unidades al carrito
+  it('debe agregar la cantidad elegida al carrito', async () => {
+    renderPage();
+    fireEvent.click(await screen.findByRole('button', { name: 'Agregar una unidad' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Agregar al Carrito' }));
+
+    // PASO 1: El carrito tiene 2 unidades del producto
+    expect(useCartStore.getState().items).toEqual([{ producto: mockProduct, cantidad: 2 }]);
+    expect(screen.getByRole('status')).toHaveTextContent('Se agregaron 2 unidades al carrito');
+
+    // PASO 2: Queda 1 unidad disponible, así que la cantidad vuelve a 1 y no se puede subir
+    expect(screen.getByLabelText('Cantidad')).toHaveValue(1);
+    expect(screen.getByRole('button', { name: 'Agregar una unidad' })).toBeDisabled();
+  });
+
+  // TEST 4: Todo el stock ya está en el carrito
+  it('debe deshabilitar la compra si el carrito ya tiene todo el stock', async () => {
+    act(() => {
+      useCartStore.setState({ items: [{ producto: mockProduct, cantidad: 3 }] });
+    });
+
+    renderPage();
+
+    expect(await screen.findByRole('button', { name: 'Máximo en el carrito' })).toBeDisabled();
+  });
+
+  // TEST 5: Producto inexistente
+  it('debe mostrar un 404 si el producto no existe', async () => {
+    productsAPI.getById.mockRejectedValue(Object.assign(new Error('HTTP error! status: 404'), { status: 404 }));
+
+    renderPage('/products/999');
+
+    expect(await screen.findByText('Producto no encontrado')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Volver al catálogo' })).toHaveAttribute('href', '/products');
+  });
+});
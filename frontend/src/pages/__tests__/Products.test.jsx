@@ -5,7 +5,8 @@
 
 // IMPORTACIONES NECESARIAS
 import { describe, it, expect, vi } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
 
 // Importamos la página que vamos a testear
 import Products from '../Products';
@@ -16,16 +17,43 @@ import Products from '../Products';
 vi.mock('../../components/ProductList', () => ({
   // En lugar del componente real, renderizamos un div simple con un data-testid
   // Esto es suficiente para verificar que el componente se incluye en la página
-  default: () => <div data-testid="product-list">ProductList Component</div>
+  // data-category, data-page y data-sort exponen las props recibidas para verificar la URL
+  // Los botones simulan que el usuario cambia de página o de orden
+  default: ({ categorySlug, page, sort, onPageChange, onSortChange }) => (
+    <div data-testid="product-list" data-category={categorySlug ?? ''} data-page={page} data-sort={sort}>
+      ProductList Component
+      <button onClick={() => onPageChange(3)}>Ir a la página 3</button>
+      <button onClick={() => onSortChange('precio-asc')}>Ordenar por precio</button>
+    </div>
+  )
 }));
 
+// Muestra la URL actual (fuera de la página) para verificar la sincronización con la query
+const LocationDisplay = () => {
+  const location = useLocation();
+  return <p data-testid="location">{location.pathname}{location.search}</p>;
+};
+
+// Helper: renderiza la página en la URL indicada, con las mismas rutas que App
+const renderProducts = (path = '/products') => {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path="/products" element={<Products />} />
+        <Route path="/products/categoria/:slug" element={<Products />} />
+      </Routes>
+      <LocationDisplay />
+    </MemoryRouter>
+  );
+};
+
 // SUITE DE TESTS PARA LA PÁGINA PRODUCTS
 describe('Products Page', () => {
   
   // TEST 1: Verificar que la página se renderiza correctamente
   it('debe renderizar la página de productos', () => {
     // PASO 1: Renderizamos la página Products
-    render(<Products />);
+    renderProducts();
     
     // PASO 2: Buscamos el elemento que representa ProductList (por su data-testid)
     const productList = screen.getByTestId('product-list');
@@ -37,7 +65,7 @@ describe('Products Page', () => {
   // TEST 2: Verificar que el componente ProductList está incluido
   it('debe incluir el componente ProductList', () => {
     // PASO 1: Renderizamos la página
-    render(<Products />);
+    renderProducts();
     
     // PASO 2: Verificamos que el texto del mock aparece
     // Esto confirma que ProductList fue incluido y renderizado
@@ -47,7 +75,7 @@ describe('Products Page', () => {
   // TEST 3: Verificar la estructura HTML de la página
   it('debe tener la estructura correcta', () => {
     // PASO 1: Renderizamos y obtenemos el container (elemento raíz)
-    const { container } = render(<Products />);
+    const { container } = renderProducts();
     
     // PASO 2: Obtenemos el primer hijo del container (el div principal)
     const mainDiv = container.firstChild;
@@ -59,21 +87,69 @@ describe('Products Page', () => {
     expect(mainDiv.children).toHaveLength(1);
   });
 
-  // TEST 4: Verificar que no se pasan props innecesarias
-  it('debe pasar ProductList sin props adicionales', () => {
-    // CONTEXTO: Products es una página simple que solo envuelve ProductList
-    // No necesita pasar props porque ProductList obtiene los datos por sí mismo
+  // TEST 4: Verificar los valores por defecto
+  it('debe pasar a ProductList la primera página y el orden por defecto', () => {
+    // CONTEXTO: Sin parámetros en la URL se muestra la página 1 con los productos más nuevos
     
     // PASO 1: Renderizamos la página
-    const { container } = render(<Products />);
+    const { container } = renderProducts();
     
     // PASO 2: Buscamos el elemento ProductList mockeado
     const productListElement = container.querySelector('[data-testid="product-list"]');
     
-    // PASO 3: Verificamos que existe (está renderizado)
+    // PASO 3: Verificamos que existe y recibe los valores por defecto
     expect(productListElement).toBeInTheDocument();
-    
-    // NOTA: En este diseño, ProductList maneja su propio estado y datos
-    // La página Products solo actúa como contenedor
+    expect(productListElement).toHaveAttribute('data-category', '');
+    expect(productListElement).toHaveAttribute('data-page', '1');
+    expect(productListElement).toHaveAttribute('data-sort', 'nuevos');
+  });
+
+  // TEST 5: Ruta de categoría
+  it('debe pasar a ProductList la categoría de la ruta /products/categoria/:slug', () => {
+    // PASO 1: Renderizar la página en la ruta de una categoría
+    render(
+      <MemoryRouter initialEntries={['/products/categoria/audio']}>
+        <Routes>
+          <Route path="/products/categoria/:slug" element={<Products />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    // PASO 2: ProductList recibe el slug para filtrar en el servidor
+    expect(screen.getByTestId('product-list')).toHaveAttribute('data-category', 'audio');
+  });
+
+  // TEST 6: La página y el orden se leen de la URL
+  it('debe leer la página y el orden de la query string', () => {
+    renderProducts('/products/categoria/consolas?page=2&sort=precio-desc');
+
+    const productList = screen.getByTestId('product-list');
+    expect(productList).toHaveAttribute('data-category', 'consolas');
+    expect(productList).toHaveAttribute('data-page', '2');
+    expect(productList).toHaveAttribute('data-sort', 'precio-desc');
+  });
+
+  // TEST 7: Valores inválidos en la URL
+  it('debe ignorar una página o un orden inválidos', () => {
+    renderProducts('/products?page=-4&sort=inexistente');
+
+    const productList = screen.getByTestId('product-list');
+    expect(productList).toHaveAttribute('data-page', '1');
+    expect(productList).toHaveAttribute('data-sort', 'nuevos');
+  });
+
+  // TEST 8: Los cambios del usuario se guardan en la URL
+  it('debe guardar la página y el orden en la URL', () => {
+    renderProducts('/products?sort=nombre');
+
+    // PASO 1: Cambiar de página conserva el orden
+    fireEvent.click(screen.getByRole('button', { name: 'Ir a la página 3' }));
+    expect(screen.getByTestId('location')).toHaveTextContent('/products?sort=nombre&page=3');
+    expect(screen.getByTestId('product-list')).toHaveAttribute('data-page', '3');
+
+    // PASO 2: Cambiar el orden vuelve a la primera página
+    fireEvent.click(screen.getByRole('button', { name: 'Ordenar por precio' }));
+    expect(screen.getByTestId('location')).toHaveTextContent(/^\/products\?sort=precio-asc$/);
+    expect(screen.getByTestId('product-list')).toHaveAttribute('data-page', '1');
   });
 });
@@ -0,0 +1,108 @@
+// ============================================================
+// TESTS DE LA PÁGINA RESETPASSWORD
+// ============================================================
+// Verificamos los dos pasos para restablecer la contraseña: pedir el
+// enlace por email y, con el token del enlace, elegir la contraseña
+// nueva e iniciar la sesión; también el enlace vencido o ya usado
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+
+// La página que vamos a testear
+import ResetPassword from '../ResetPassword';
+
+// El store real de autenticación: reemplazamos solo la acción resetPassword con setState
+import { useAuthStore } from '../../store/useAuthStore';
+
+// La API (mockeada abajo) para controlar la respuesta del pedido del enlace
+import { authAPI, APIError } from '../../services/api';
+
+// MOCK: La capa API - conservamos APIError real
+vi.mock('../../services/api', async () => ({
+  ...(await vi.importActual('../../services/api')),
+  authAPI: {
+    requestPasswordReset: vi.fn()
+  }
+}));
+
+// Renderiza la página en la ruta indicada; / muestra un texto para verificar la redirección
+const renderPage = (initialEntry = '/restablecer-contrasena') => render(
+  <MemoryRouter initialEntries={[initialEntry]}>
+    <Routes>
+      <Route path="/restablecer-contrasena" element={<ResetPassword />} />
+      <Route path="/" element={<div>Página de inicio</div>} />
+    </Routes>
+  </MemoryRouter>
+);
+
+// Completa la contraseña nueva y la envía
+const submitPassword = (password = 'nueva12345', confirmPassword = password) => {
+  fireEvent.change(screen.getByLabelText('Contraseña nueva'), { target: { value: password } });
+  fireEvent.change(screen.getByLabelText('Repetir contraseña'), { target: { value: confirmPassword } });
+  fireEvent.click(screen.getByRole('button', { name: 'Cambiar contraseña' }));
+};
+
+describe('ResetPassword Page', () => {
+  // Función simulada que reemplaza la acción resetPassword del store
+  const mockResetPassword = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    useAuthStore.setState({ token: null, user: null, resetPassword: mockResetPassword });
+  });
+
+  // TEST 1: Pedir el enlace por email
+  it('debe pedir el enlace y avisar que se envió al email', async () => {
+    authAPI.requestPasswordReset.mockResolvedValue({ message: 'Enlace enviado' });
+    renderPage();
+
+    // PASO 1: Un email inválido no se envía
+    fireEvent.click(screen.getByRole('button', { name: 'Enviar enlace' }));
+    expect(screen.getByRole('alert')).toHaveTextContent('El email no es válido');
+    expect(authAPI.requestPasswordReset).not.toHaveBeenCalled();
+
+    // PASO 2: Con el email de la cuenta se pide el enlace
+    fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'ana@mail.com' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Enviar enlace' }));
+
+    expect(await screen.findByRole('status')).toHaveTextContent('te enviamos un enlace');
+    expect(authAPI.requestPasswordReset).toHaveBeenCalledWith('ana@mail.com');
+  });
+
+  // TEST 2: Elegir la contraseña nueva con el token del enlace
+  it('debe cambiar la contraseña con el token del enlace e iniciar sesión', async () => {
+    mockResetPassword.mockResolvedValue({ id: 7, nombre: 'Ana' });
+    renderPage('/restablecer-contrasena?token=token-del-enlace');
+
+    // PASO 1: Validación antes de enviar
+    submitPassword('corta', 'otra');
+    expect(screen.getByText('La contraseña debe tener al menos 8 caracteres')).toBeInTheDocument();
+    expect(screen.getByText('Las contraseñas no coinciden')).toBeInTheDocument();
+    expect(mockResetPassword).not.toHaveBeenCalled();
+
+    // PASO 2: La contraseña válida se envía con el token y se vuelve al inicio con la sesión iniciada
+    submitPassword();
+    expect(mockResetPassword).toHaveBeenCalledWith({ token: 'token-del-enlace', password: 'nueva12345' });
+    expect(await screen.findByText('Página de inicio')).toBeInTheDocument();
+  });
+
+  // TEST 3: Enlace vencido o ya usado
+  it('debe ofrecer pedir un enlace nuevo si el enlace no es válido', async () => {
+    mockResetPassword.mockRejectedValue(new APIError(400, {
+      error: 'INVALID_RESET_TOKEN',
+      message: 'El enlace para restablecer la contraseña no es válido o ya venció'
+    }));
+    renderPage('/restablecer-contrasena?token=vencido');
+
+    submitPassword();
+    expect(await screen.findByRole('alert')).toHaveTextContent('no es válido o ya venció');
+
+    // El enlace lleva al formulario para pedir otro
+    fireEvent.click(screen.getByRole('link', { name: 'Pedir un enlace nuevo' }));
+    expect(screen.getByRole('heading', { name: 'Restablecer contraseña' })).toBeInTheDocument();
+    expect(screen.getByLabelText('Email')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,102 @@
+// ============================================================
+// TESTS DE LA PÁGINA SEARCH
+// ============================================================
+// Verificamos la página de resultados /buscar?q=: lee el texto de la URL,
+// muestra los productos encontrados y los estados vacío y de error
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+
+// La página que vamos a testear
+import Search from '../Search';
+
+// La API de productos (mockeada abajo)
+import { productsAPI, reviewsAPI } from '../../services/api';
+
+// MOCK 1: La capa API
+vi.mock('../../services/api', () => ({
+  productsAPI: {
+    search: vi.fn()
+  },
+  reviewsAPI: {
+    getSummary: vi.fn()
+  }
+}));
+
+// MOCK 2: ProductCard simplificado (solo nos interesa qué productos se muestran y en qué orden)
+vi.mock('../../components/ProductCard', () => ({
+  default: ({ product }) => <div data-testid="product-card">{product.nombre}</div>
+}));
+
+const renderPage = (path) => {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path="/buscar" element={<Search />} />
+      </Routes>
+    </MemoryRouter>
+  );
+};
+
+describe('Search Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    reviewsAPI.getSummary.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // TEST 1: Resultados en el orden del servidor
+  it('debe buscar el texto de la URL y mostrar los resultados', async () => {
+    productsAPI.search.mockResolvedValue([
+      { id: 5, nombre: 'SteelSeries Arctis Pro Wireless' },
+      { id: 3, nombre: 'Razer BlackWidow V4 Pro' }
+    ]);
+
+    renderPage('/buscar?q=auriculares%20inalambricos');
+
+    // PASO 1: Se buscó el texto decodificado
+    expect(await screen.findByText('Resultados para "auriculares inalambricos"')).toBeInTheDocument();
+    expect(productsAPI.search).toHaveBeenCalledWith('auriculares inalambricos');
+
+    // PASO 2: Se respeta el orden por relevancia
+    const cards = screen.getAllByTestId('product-card');
+    expect(cards.map((card) => card.textContent)).toEqual(['SteelSeries Arctis Pro Wireless', 'Razer BlackWidow V4 Pro']);
+    expect(screen.getByText('2 productos encontrados')).toBeInTheDocument();
+
+    // PASO 3: Se piden los promedios de reseñas de los resultados (antes de restaurar los mocks)
+    await waitFor(() => expect(reviewsAPI.getSummary).toHaveBeenCalledWith([5, 3]));
+  });
+
+  // TEST 2: Sin resultados
+  it('debe avisar cuando no hay coincidencias', async () => {
+    productsAPI.search.mockResolvedValue([]);
+
+    renderPage('/buscar?q=zzz');
+
+    expect(await screen.findByText('No encontramos productos que coincidan con tu búsqueda.')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Ver todos los productos' })).toHaveAttribute('href', '/products');
+  });
+
+  // TEST 3: Sin texto de búsqueda
+  it('no debe buscar si la URL no tiene texto', () => {
+    renderPage('/buscar?q=%20');
+
+    expect(screen.getByText('Buscar productos')).toBeInTheDocument();
+    expect(productsAPI.search).not.toHaveBeenCalled();
+  });
+
+  // TEST 4: Error del servidor
+  it('debe mostrar un error si la búsqueda falla', async () => {
+    productsAPI.search.mockRejectedValue(new Error('Network error'));
+
+    renderPage('/buscar?q=razer');
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('No se pudo completar la búsqueda');
+  });
+});
@@ -0,0 +1,323 @@
+// Página AdminOrderDetail - Detalle de una orden para administradores
+// Muestra cada línea de productos con su subtotal, los descuentos por cupón, el total calculado con su IVA, el historial de
+// estados, los datos del comprador (contacto, entrega, pago y factura), las acciones disponibles según el ciclo de vida y las notas internas del equipo
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import {
+  ordersAPI,
+  ORDER_STATUS,
+  ORDER_STATUS_LABELS,
+  ORDER_TRANSITIONS,
+  DELIVERY_METHOD_LABELS,
+  PAYMENT_METHOD_LABELS,
+  PAYMENT_STATUS_LABELS,
+} from '../../services/api';
+import OrderStatusBadge from '../../components/OrderStatusBadge';
+import TaxBreakdown from '../../components/TaxBreakdown';
+import ReceiptButton from '../../components/ReceiptButton';
+
+// Texto de los botones de cada transición
+const ACTION_LABELS = {
+  [ORDER_STATUS.PAGADA]: 'Marcar como pagada',
+  [ORDER_STATUS.ENVIADA]: 'Marcar como enviada',
+  [ORDER_STATUS.ENTREGADA]: 'Marcar como entregada',
+  [ORDER_STATUS.CANCELADA]: 'Cancelar orden',
+  [ORDER_STATUS.RECHAZADA]: 'Rechazar pago',
+};
+
+const AdminOrderDetail = () => {
+  const { id } = useParams();
+
+  const [order, setOrder] = useState(null);
+  const [notes, setNotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Error de la última acción (cambio de estado o nota)
+  const [actionError, setActionError] = useState(null);
+  const [updating, setUpdating] = useState(false);
+  const [noteText, setNoteText] = useState('');
+
+  useEffect(() => {
+    const loadOrder = async () => {
+      try {
+        const [orderData, notesData] = await Promise.all([ordersAPI.getById(id), ordersAPI.getNotes(id)]);
+        setOrder(orderData);
+        setNotes(notesData);
+      } catch (err) {
+        console.error(`Error loading order ${id}:`, err);
+        setError(err.status === 404 ? 'La orden no existe.' : 'Error al cargar la orden.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadOrder();
+  }, [id]);
+
+  // Formatea números como moneda argentina
+  const formatPrice = (price) => {
+    return new Intl.NumberFormat('es-AR', {
+      style: 'currency',
+      currency: 'ARS',
+    }).format(price);
+  };
+
+  // Formatea fechas ISO como fecha y hora locales
+  const formatDate = (date) => {
+    return new Intl.DateTimeFormat('es-AR', { dateStyle: 'short', timeStyle: 'short' }).format(new Date(date));
+  };
+
+  // Cambiar el estado (cancelar pide confirmación porque devuelve el stock y es definitivo)
+  const handleStatusChange = async (status) => {
+    if (status === ORDER_STATUS.CANCELADA && !window.confirm(`¿Cancelar la orden #${order.id}? Esta acción no se puede deshacer.`)) {
+      return;
+    }
+
+    setActionError(null);
+    setUpdating(true);
+    try {
+      const updated = await ordersAPI.changeStatus(order.id, status);
+      setOrder(updated);
+    } catch (err) {
+      // 409: la transición ya no es válida (ej: otro administrador cambió la orden)
+      setActionError(err.serverMessage || 'No se pudo cambiar el estado. Inténtalo nuevamente.');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    if (!noteText.trim()) {
+      return;
+    }
+
+    setActionError(null);
+    try {
+      const note = await ordersAPI.addNote(order.id, noteText.trim());
+      setNotes([...notes, note]);
+      setNoteText('');
+    } catch (err) {
+      setActionError(err.serverMessage || 'No se pudo guardar la nota. Inténtalo nuevamente.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-8 space-y-3">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <p className="text-gray-600 text-sm">Cargando orden...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-8 space-y-3">
+        <p className="text-gray-600">{error}</p>
+        <Link to="/admin/orders" className="text-sm text-blue-600 hover:underline">Volver a las órdenes</Link>
+      </div>
+    );
+  }
+
+  const status = order.status || ORDER_STATUS.PENDIENTE;
+  const subtotal = order.productos.reduce((sum, line) => sum + line.precio * line.cantidad, 0);
+  // Descuentos por cupón y envío (las órdenes anteriores a estos módulos no los tienen)
+  const discounts = order.descuentos || [];
+  const computedTotal = subtotal - discounts.reduce((sum, line) => sum + line.monto, 0) + (order.envio?.costo || 0);
+  const history = order.statusHistory || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-bold text-gray-900">
+          Orden #{order.id} <OrderStatusBadge status={order.status} />
+        </h2>
+        <div className="flex items-start gap-4">
+          <ReceiptButton orderId={order.id} />
+          <Link to="/admin/orders" className="text-sm text-blue-600 hover:underline">Volver a las órdenes</Link>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Creada el {formatDate(order.fecha)}
+        {order.userId && ` · Usuario #${order.userId}`}
+      </p>
+
+      {actionError && (
+        <div role="alert" className="bg-red-50 border border-red-200 text-sm text-red-700 rounded p-3">
+          {actionError}
+        </div>
+      )}
+
+      {/* Líneas de la orden */}
+      <div className="bg-white rounded-lg border overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-600">
+            <tr>
+              <th className="px-3 py-2">Producto</th>
+              <th className="px-3 py-2">Precio unitario</th>
+              <th className="px-3 py-2">Cantidad</th>
+              <th className="px-3 py-2 text-right">Subtotal</th>
+            </tr>
+          </thead>
+          <tbody>
+            {order.productos.map((line) => (
+              <tr key={line.id} className="border-t">
+                <td className="px-3 py-2">{line.nombre || `Producto #${line.id}`}</td>
+                <td className="px-3 py-2">{formatPrice(line.precio)}</td>
+                <td className="px-3 py-2">{line.cantidad}</td>
+                <td className="px-3 py-2 text-right">{formatPrice(line.precio * line.cantidad)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            {discounts.map((line) => (
+              <tr key={line.codigo} className="border-t text-green-700">
+                <td className="px-3 py-2" colSpan={3}>Descuento: {line.descripcion} ({line.codigo})</td>
+                <td className="px-3 py-2 text-right">-{formatPrice(line.monto)}</td>
+              </tr>
+            ))}
+            {order.envio && (
+              <tr className="border-t">
+                <td className="px-3 py-2" colSpan={3}>
+                  {order.envio.metodo === 'retiro'
+                    ? DELIVERY_METHOD_LABELS.retiro
+                    : `Envío a ${order.envio.provincia} (${order.envio.codigoPostal})`}
+                </td>
+                <td className="px-3 py-2 text-right">
+                  {order.envio.costo === 0 ? 'Gratis' : formatPrice(order.envio.costo)}
+                </td>
+              </tr>
+            )}
+            <tr className="border-t font-semibold">
+              <td className="px-3 py-2" colSpan={3}>Total</td>
+              <td className="px-3 py-2 text-right">{formatPrice(computedTotal)}</td>
+            </tr>
+          </tfoot>
+        </table>
+        {computedTotal !== order.total && (
+          <p className="px-3 pb-3 text-xs text-yellow-700">
+            El total guardado en la orden ({formatPrice(order.total)}) no coincide con la suma de sus líneas, descuentos y envío.
+          </p>
+        )}
+        {order.impuestos && (
+          <div className="px-3 pb-3">
+            <TaxBreakdown taxes={order.impuestos} />
+          </div>
+        )}
+      </div>
+
+      {/* Datos del comprador (las órdenes anteriores al checkout en pasos no los tienen) */}
+      {order.cliente && (
+        <div className="bg-white rounded-lg border p-4 grid sm:grid-cols-3 gap-4 text-sm">
+          <div>
+            <h3 className="font-semibold text-gray-900 mb-1">Comprador</h3>
+            <p className="text-gray-800">{order.cliente.nombre}</p>
+            <p className="text-gray-600">{order.cliente.email}</p>
+            <p className="text-gray-600">DNI {order.cliente.dni} · Tel. {order.cliente.telefono}</p>
+          </div>
+          {order.envio?.direccion && (
+            <div>
+              <h3 className="font-semibold text-gray-900 mb-1">{DELIVERY_METHOD_LABELS[order.envio.metodo]}</h3>
+              <p className="text-gray-800">
+                {order.envio.direccion.calle} {order.envio.direccion.numero}
+                {order.envio.direccion.pisoDepto && `, ${order.envio.direccion.pisoDepto}`}
+              </p>
+              <p className="text-gray-600">
+                {order.envio.direccion.ciudad}, {order.envio.direccion.provincia} ({order.envio.direccion.codigoPostal})
+              </p>
+            </div>
+          )}
+          {order.pago && (
+            <div>
+              <h3 className="font-semibold text-gray-900 mb-1">Pago</h3>
+              <p className="text-gray-800">{PAYMENT_METHOD_LABELS[order.pago.metodo] || order.pago.metodo}</p>
+              {order.pago.estado && (
+                <p className="text-gray-600">
+                  Pago en línea: {PAYMENT_STATUS_LABELS[order.pago.estado] || order.pago.estado} ({order.pago.proveedor})
+                </p>
+              )}
+              {order.factura && (
+                <p className="text-gray-600">
+                  Factura {order.factura.tipo}
+                  {order.factura.tipo === 'A' && ` · CUIT ${order.factura.cuit} · ${order.factura.razonSocial}`}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-4">
+        {/* Estado y acciones */}
+        <div className="bg-white rounded-lg border p-4 space-y-3">
+          <h3 className="font-semibold text-gray-900">Estado</h3>
+          <div className="flex flex-wrap gap-2">
+            {ORDER_TRANSITIONS[status]?.map((next) => (
+              <button
+                key={next}
+                onClick={() => handleStatusChange(next)}
+                disabled={updating}
+                className={`text-sm font-medium py-1.5 px-3 rounded transition-colors disabled:opacity-60 ${
+                  next === ORDER_STATUS.CANCELADA
+                    ? 'border border-red-300 text-red-700 hover:bg-red-50'
+                    : 'bg-blue-600 hover:bg-blue-700 text-white'
+                }`}
+              >
+                {ACTION_LABELS[next]}
+              </button>
+            ))}
+            {ORDER_TRANSITIONS[status]?.length === 0 && (
+              <p className="text-sm text-gray-500">La orden está en un estado final.</p>
+            )}
+          </div>
+          <ol className="text-sm text-gray-600 space-y-1">
+            {history.map((entry, index) => (
+              <li key={index}>
+                {formatDate(entry.fecha)} — {ORDER_STATUS_LABELS[entry.status] || entry.status}
+              </li>
+            ))}
+          </ol>
+        </div>
+
+        {/* Notas internas */}
+        <div className="bg-white rounded-lg border p-4 space-y-3">
+          <h3 className="font-semibold text-gray-900">Notas internas</h3>
+          {notes.length === 0 ? (
+            <p className="text-sm text-gray-500">Sin notas.</p>
+          ) : (
+            <ul className="space-y-2">
+              {notes.map((note) => (
+                <li key={note.id} className="text-sm border-l-2 border-gray-200 pl-2">
+                  <p className="text-gray-800 whitespace-pre-line">{note.texto}</p>
+                  <p className="text-xs text-gray-500">{note.autor} · {formatDate(note.fecha)}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+          <form onSubmit={handleAddNote} className="space-y-2">
+            <label htmlFor="order-note" className="sr-only">Nueva nota</label>
+            <textarea
+              id="order-note"
+              rows={2}
+              value={noteText}
+              onChange={(e) => setNoteText(e.target.value)}
+              placeholder="Agregar una nota para el equipo..."
+              className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+            />
+            <button
+              type="submit"
+              disabled={!noteText.trim()}
+              className="bg-gray-800 hover:bg-gray-900 text-white text-sm font-medium py-1.5 px-3 rounded transition-colors disabled:opacity-60"
+            >
+              Agregar nota
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminOrderDetail;
@@ -0,0 +1,191 @@
+// Página AdminOrders - Panel de órdenes para administradores
+// Lista todas las órdenes (más recientes primero) con filtros por fecha, total, producto y estado
+// Los filtros se aplican en el cliente sobre las órdenes ya cargadas
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ordersAPI, ORDER_STATUS_LABELS } from '../../services/api';
+import OrderStatusBadge from '../../components/OrderStatusBadge';
+
+const EMPTY_FILTERS = { desde: '', hasta: '', totalMin: '', totalMax: '', producto: '', estado: '' };
+
+// Aplica los filtros del formulario a la lista de órdenes
+// Las fechas del formulario (AAAA-MM-DD) se interpretan en la zona horaria local e incluyen el día completo
+const filterOrders = (orders, filters) => {
+  const desde = filters.desde ? new Date(`${filters.desde}T00:00:00`) : null;
+  const hasta = filters.hasta ? new Date(`${filters.hasta}T23:59:59.999`) : null;
+
+  return orders.filter((order) => {
+    const fecha = new Date(order.fecha);
+    if (desde && fecha < desde) return false;
+    if (hasta && fecha > hasta) return false;
+    if (filters.totalMin !== '' && order.total < Number(filters.totalMin)) return false;
+    if (filters.totalMax !== '' && order.total > Number(filters.totalMax)) return false;
+    if (filters.producto && !order.productos.some((line) => String(line.id) === filters.producto)) return false;
+    if (filters.estado && (order.status || 'pendiente') !== filters.estado) return false;
+    return true;
+  });
+};
+
+// Productos que aparecen en alguna orden, para el filtro por producto
+const productOptions = (orders) => {
+  const names = new Map();
+  orders.forEach((order) => {
+    order.productos.forEach((line) => {
+      names.set(String(line.id), line.nombre || `Producto #${line.id}`);
+    });
+  });
+  return [...names.entries()].sort((a, b) => a[1].localeCompare(b[1], 'es'));
+};
+
+const AdminOrders = () => {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  useEffect(() => {
+    const loadOrders = async () => {
+      try {
+        const data = await ordersAPI.getAll();
+        // Más recientes primero
+        setOrders([...data].sort((a, b) => new Date(b.fecha) - new Date(a.fecha)));
+      } catch (err) {
+        console.error('Error loading orders:', err);
+        setError('Error al cargar las órdenes. Verifica que el servidor esté ejecutándose.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadOrders();
+  }, []);
+
+  // Formatea números como moneda argentina
+  const formatPrice = (price) => {
+    return new Intl.NumberFormat('es-AR', {
+      style: 'currency',
+      currency: 'ARS',
+    }).format(price);
+  };
+
+  // Formatea fechas ISO como fecha y hora locales
+  const formatDate = (date) => {
+    return new Intl.DateTimeFormat('es-AR', { dateStyle: 'short', timeStyle: 'short' }).format(new Date(date));
+  };
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-8 space-y-3">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <p className="text-gray-600 text-sm">Cargando órdenes...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div role="alert" className="max-w-md mx-auto bg-red-50 border border-red-200 text-sm text-red-700 rounded-lg p-4 text-center">
+        {error}
+      </div>
+    );
+  }
+
+  const filteredOrders = filterOrders(orders, filters);
+  const filteredTotal = filteredOrders.reduce((sum, order) => sum + order.total, 0);
+  const inputClassName = 'w-full border border-gray-300 rounded px-2 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600';
+
+  return (
+    <div className="space-y-4">
+      <h2 className="text-xl font-bold text-gray-900">Órdenes</h2>
+
+      {/* Filtros */}
+      <div className="bg-white rounded-lg border p-4 grid grid-cols-2 md:grid-cols-6 gap-3 items-end">
+        <div>
+          <label htmlFor="filter-desde" className="block text-xs font-medium text-gray-600 mb-1">Desde</label>
+          <input id="filter-desde" name="desde" type="date" value={filters.desde} onChange={handleFilterChange} className={inputClassName} />
+        </div>
+        <div>
+          <label htmlFor="filter-hasta" className="block text-xs font-medium text-gray-600 mb-1">Hasta</label>
+          <input id="filter-hasta" name="hasta" type="date" value={filters.hasta} onChange={handleFilterChange} className={inputClassName} />
+        </div>
+        <div>
+          <label htmlFor="filter-totalMin" className="block text-xs font-medium text-gray-600 mb-1">Total mínimo</label>
+          <input id="filter-totalMin" name="totalMin" type="number" min="0" value={filters.totalMin} onChange={handleFilterChange} className={inputClassName} />
+        </div>
+        <div>
+          <label htmlFor="filter-totalMax" className="block text-xs font-medium text-gray-600 mb-1">Total máximo</label>
+          <input id="filter-totalMax" name="totalMax" type="number" min="0" value={filters.totalMax} onChange={handleFilterChange} className={inputClassName} />
+        </div>
+        <div>
+          <label htmlFor="filter-producto" className="block text-xs font-medium text-gray-600 mb-1">Producto</label>
+          <select id="filter-producto" name="producto" value={filters.producto} onChange={handleFilterChange} className={inputClassName}>
+            <option value="">Todos</option>
+            {productOptions(orders).map(([id, nombre]) => (
+              <option key={id} value={id}>{nombre}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="filter-estado" className="block text-xs font-medium text-gray-600 mb-1">Estado</label>
+          <select id="filter-estado" name="estado" value={filters.estado} onChange={handleFilterChange} className={inputClassName}>
+            <option value="">Todos</option>
+            {Object.entries(ORDER_STATUS_LABELS).map(([status, label]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-gray-600">
+        <p>
+          {filteredOrders.length} {filteredOrders.length === 1 ? 'orden' : 'órdenes'} · {formatPrice(filteredTotal)}
+        </p>
+        <button onClick={() => setFilters(EMPTY_FILTERS)} className="text-blue-600 hover:underline">
+          Limpiar filtros
+        </button>
+      </div>
+
+      {/* Listado */}
+      <div className="bg-white rounded-lg border overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-600">
+            <tr>
+              <th className="px-3 py-2">Orden</th>
+              <th className="px-3 py-2">Fecha</th>
+              <th className="px-3 py-2">Cliente</th>
+              <th className="px-3 py-2">Productos</th>
+              <th className="px-3 py-2">Total</th>
+              <th className="px-3 py-2">Estado</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filteredOrders.map((order) => (
+              <tr key={order.id} className="border-t">
+                <td className="px-3 py-2">
+                  <Link to={`/admin/orders/${order.id}`} className="text-blue-600 hover:underline font-medium">
+                    #{order.id}
+                  </Link>
+                </td>
+                <td className="px-3 py-2">{formatDate(order.fecha)}</td>
+                <td className="px-3 py-2">{order.userId ? `Usuario #${order.userId}` : '—'}</td>
+                <td className="px-3 py-2">{order.productos.reduce((sum, line) => sum + line.cantidad, 0)}</td>
+                <td className="px-3 py-2">{formatPrice(order.total)}</td>
+                <td className="px-3 py-2"><OrderStatusBadge status={order.status} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {filteredOrders.length === 0 && (
+          <p className="text-center text-gray-600 py-6">No hay órdenes que coincidan con los filtros.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminOrders;
@@ -0,0 +1,286 @@
+// Página AdminProductForm - Alta y edición de productos
+// Sin :id en la URL crea un producto nuevo; con :id carga el producto y lo actualiza
+// Valida los campos antes de enviar (mismas reglas que el backend) y muestra una vista previa de la imagen
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { productsAPI, categoriesAPI } from '../../services/api';
+import { IVA_RATES, DEFAULT_IVA_RATE, formatIvaRate } from '../../services/taxes';
+
+// Formato aceptado para la imagen: URL absoluta o ruta del sitio
+const IMAGE_URL_PATTERN = /^(https?:\/\/|\/)\S+$/;
+
+const EMPTY_VALUES = { nombre: '', descripcion: '', precio: '', stock: '', imagen: '', categoriaId: '', iva: String(DEFAULT_IVA_RATE) };
+
+// Validación del formulario; retorna un objeto { campo: mensaje }
+const validate = ({ nombre, descripcion, precio, stock, imagen }) => {
+  const errors = {};
+  if (!nombre.trim()) {
+    errors.nombre = 'El nombre es obligatorio';
+  }
+  if (!descripcion.trim()) {
+    errors.descripcion = 'La descripción es obligatoria';
+  }
+  if (!(Number(precio) > 0)) {
+    errors.precio = 'El precio debe ser un número mayor a 0';
+  }
+  if (stock !== '' && !(Number.isInteger(Number(stock)) && Number(stock) >= 0)) {
+    errors.stock = 'El stock debe ser un número entero mayor o igual a 0';
+  }
+  if (!IMAGE_URL_PATTERN.test(imagen.trim())) {
+    errors.imagen = 'La imagen debe ser una URL válida';
+  }
+  return errors;
+};
+
+// Definición de los campos del formulario
+const FIELDS = [
+  { name: 'nombre', label: 'Nombre', type: 'text' },
+  { name: 'descripcion', label: 'Descripción', type: 'textarea' },
+  { name: 'precio', label: 'Precio', type: 'number', step: '0.01', min: '0' },
+  { name: 'stock', label: 'Stock (vacío = sin límite)', type: 'number', step: '1', min: '0' },
+  { name: 'imagen', label: 'URL de la imagen', type: 'url' },
+];
+
+const AdminProductForm = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const isEditing = Boolean(id);
+
+  // Producto original (al editar se conservan los campos que el formulario no maneja)
+  const [product, setProduct] = useState(null);
+  const [values, setValues] = useState(EMPTY_VALUES);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(isEditing);
+  const [submitting, setSubmitting] = useState(false);
+  // La vista previa falló al cargar la URL actual
+  const [previewFailed, setPreviewFailed] = useState(false);
+  // Categorías disponibles para el selector
+  const [categories, setCategories] = useState([]);
+
+  // Cargar las categorías (si fallan, el producto puede guardarse sin categoría)
+  useEffect(() => {
+    categoriesAPI.getAll()
+      .then(setCategories)
+      .catch((err) => console.error('Error loading categories:', err));
+  }, []);
+
+  // Al editar, cargar el producto y completar el formulario
+  useEffect(() => {
+    if (!isEditing) {
+      return;
+    }
+
+    const loadProduct = async () => {
+      try {
+        const data = await productsAPI.getById(id);
+        setProduct(data);
+        setValues({
+          nombre: data.nombre ?? '',
+          descripcion: data.descripcion ?? '',
+          precio: String(data.precio ?? ''),
+          stock: data.stock === undefined || data.stock === null ? '' : String(data.stock),
+          imagen: data.imagen ?? '',
+          categoriaId: data.categoriaId === undefined || data.categoriaId === null ? '' : String(data.categoriaId),
+          iva: String(data.iva ?? DEFAULT_IVA_RATE),
+        });
+      } catch (err) {
+        console.error(`Error loading product ${id}:`, err);
+        setError(err.status === 404 ? 'El producto no existe.' : 'Error al cargar el producto.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadProduct();
+  }, [id, isEditing]);
+
+  const handleChange = (e) => {
+    setValues({ ...values, [e.target.name]: e.target.value });
+    if (e.target.name === 'imagen') {
+      setPreviewFailed(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const errors = validate(values);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    // Convertir los valores del formulario a los tipos que espera el backend
+    const data = {
+      ...product,
+      nombre: values.nombre.trim(),
+      descripcion: values.descripcion.trim(),
+      precio: Number(values.precio),
+      iva: Number(values.iva),
+      imagen: values.imagen.trim(),
+    };
+    if (values.stock === '') {
+      delete data.stock;
+    } else {
+      data.stock = Number(values.stock);
+    }
+    if (values.categoriaId === '') {
+      delete data.categoriaId;
+    } else {
+      data.categoriaId = Number(values.categoriaId);
+    }
+
+    setSubmitting(true);
+    try {
+      if (isEditing) {
+        await productsAPI.update(id, data);
+      } else {
+        await productsAPI.create(data);
+      }
+      navigate('/admin/products');
+    } catch (err) {
+      // 422: el backend indica qué campo falló
+      if (err.details?.length > 0) {
+        setFieldErrors(Object.fromEntries(err.details.map((detail) => [detail.field, detail.message])));
+      }
+      setError(err.serverMessage || 'No se pudo guardar el producto. Inténtalo nuevamente.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-8 space-y-3">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <p className="text-gray-600 text-sm">Cargando producto...</p>
+      </div>
+    );
+  }
+
+  // No se pudo cargar el producto a editar
+  if (isEditing && !product) {
+    return (
+      <div className="text-center py-8 space-y-3">
+        <p className="text-gray-600">{error}</p>
+        <Link to="/admin/products" className="text-sm text-blue-600 hover:underline">Volver al listado</Link>
+      </div>
+    );
+  }
+
+  const showPreview =IMAGE_URL_PATTERN.test(values.imagen.trim());
+
+  return (
+    <div className="max-w-2xl mx-auto bg-white rounded-lg border p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-bold text-gray-900">{isEditing ? 'Editar producto' : 'Nuevo producto'}</h2>
+        <Link to="/admin/products" className="text-sm text-blue-600 hover:underline">Volver al listado</Link>
+      </div>
+
+      {error && (
+        <div role="alert" className="bg-red-50 border border-red-200 text-sm text-red-700 rounded p-3">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3" noValidate>
+        {FIELDS.map((field) => {
+          const inputProps = {
+            id: `product-${field.name}`,
+            name: field.name,
+            value: values[field.name],
+            onChange: handleChange,
+            'aria-invalid': Boolean(fieldErrors[field.name]),
+            className: 'w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600',
+          };
+          return (
+            <div key={field.name}>
+              <label htmlFor={`product-${field.name}`} className="block text-sm font-medium text-gray-700 mb-1">
+                {field.label}
+              </label>
+              {field.type === 'textarea' ? (
+                <textarea rows={3} {...inputProps} />
+              ) : (
+                <input type={field.type} step={field.step} min={field.min} {...inputProps} />
+              )}
+              {fieldErrors[field.name] && (
+                <p className="text-xs text-red-600 mt-1">{fieldErrors[field.name]}</p>
+              )}
+            </div>
+          );
+        })}
+
+        <div>
+          <label htmlFor="product-categoriaId" className="block text-sm font-medium text-gray-700 mb-1">
+            Categoría
+          </label>
+          <select
+            id="product-categoriaId"
+            name="categoriaId"
+            value={values.categoriaId}
+            onChange={handleChange}
+            aria-invalid={Boolean(fieldErrors.categoriaId)}
+            className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+          >
+            <option value="">Sin categoría</option>
+            {categories.map((category) => (
+              <option key={category.id} value={category.id}>{category.nombre}</option>
+            ))}
+          </select>
+          {fieldErrors.categoriaId && (
+            <p className="text-xs text-red-600 mt-1">{fieldErrors.categoriaId}</p>
+          )}
+        </div>
+
+        <div>
+          <label htmlFor="product-iva" className="block text-sm font-medium text-gray-700 mb-1">
+            Alícuota de IVA (incluida en el precio)
+          </label>
+          <select
+            id="product-iva"
+            name="iva"
+            value={values.iva}
+            onChange={handleChange}
+            aria-invalid={Boolean(fieldErrors.iva)}
+            className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+          >
+            {IVA_RATES.map((rate) => (
+              <option key={rate} value={rate}>{formatIvaRate(rate)}</option>
+            ))}
+          </select>
+          {fieldErrors.iva && (
+            <p className="text-xs text-red-600 mt-1">{fieldErrors.iva}</p>
+          )}
+        </div>
+
+        {/* Vista previa de la imagen */}
+        <div className="border border-dashed border-gray-300 rounded p-3 flex items-center justify-center h-48 bg-gray-50">
+          {showPreview && !previewFailed ? (
+            <img
+              src={values.imagen.trim()}
+              alt="Vista previa"
+              className="max-h-full object-contain"
+              onError={() => setPreviewFailed(true)}
+            />
+          ) : (
+            <p className="text-sm text-gray-500">
+              {previewFailed ? 'No se pudo cargar la imagen' : 'Ingresa una URL para ver la vista previa'}
+            </p>
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2 px-4 rounded transition-colors disabled:opacity-60"
+        >
+          {submitting ? 'Guardando...' : isEditing ? 'Guardar cambios' : 'Crear producto'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AdminProductForm;
@@ -0,0 +1,180 @@
+// Página AdminProducts - Gestión del catálogo para administradores
+// Tabla de productos ordenable por columna, con accesos a crear, editar y eliminar
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { productsAPI } from '../../services/api';
+
+// Columnas por las que se puede ordenar la tabla
+const COLUMNS = [
+  { field: 'id', label: 'ID' },
+  { field: 'nombre', label: 'Nombre' },
+  { field: 'precio', label: 'Precio' },
+  { field: 'stock', label: 'Stock' },
+];
+
+// Compara dos productos por un campo (texto alfabético, números de menor a mayor)
+// Los productos sin el campo (ej: sin stock definido) quedan al final
+const compareBy = (field) => (a, b) => {
+  const valueA = a[field];
+  const valueB = b[field];
+  if (valueA === undefined || valueA === null) return 1;
+  if (valueB === undefined || valueB === null) return -1;
+  if (typeof valueA === 'string') {
+    return valueA.localeCompare(valueB, 'es', { sensitivity: 'base' });
+  }
+  return valueA - valueB;
+};
+
+const AdminProducts = () => {
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Orden actual de la tabla
+  const [sort, setSort] = useState({ field: 'id', direction: 'asc' });
+
+  useEffect(() => {
+    const loadProducts = async () => {
+      try {
+        const data = await productsAPI.getAll();
+        setProducts(data);
+      } catch (err) {
+        console.error('Error loading products:', err);
+        setError('Error al cargar los productos. Verifica que el servidor esté ejecutándose.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadProducts();
+  }, []);
+
+  // Formatea números como moneda argentina (igual que en el catálogo)
+  const formatPrice = (price) => {
+    return new Intl.NumberFormat('es-AR', {
+      style: 'currency',
+      currency: 'ARS',
+    }).format(price);
+  };
+
+  // Click en un encabezado: ordena por esa columna o invierte el sentido si ya lo estaba
+  const handleSort = (field) => {
+    setSort((current) => ({
+      field,
+      direction: current.field === field && current.direction === 'asc' ? 'desc' : 'asc',
+    }));
+  };
+
+  // Eliminar con confirmación previa
+  const handleDelete = async (product) => {
+    if (!window.confirm(`¿Eliminar "${product.nombre}"? Esta acción no se puede deshacer.`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+      await productsAPI.delete(product.id);
+      setProducts((current) => current.filter((p) => p.id !== product.id));
+    } catch (err) {
+      console.error('Error deleting product:', err);
+      setError(`No se pudo eliminar "${product.nombre}". Inténtalo nuevamente.`);
+    }
+  };
+
+  const sortedProducts = [...products].sort(compareBy(sort.field));
+  if (sort.direction === 'desc') {
+    sortedProducts.reverse();
+  }
+
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-8 space-y-3">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <p className="text-gray-600 text-sm">Cargando productos...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-bold text-gray-900">Administrar productos</h2>
+        <Link
+          to="/admin/products/nuevo"
+          className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2 px-4 rounded transition-colors"
+        >
+          Nuevo producto
+        </Link>
+      </div>
+
+      {error && (
+        <div role="alert" className="bg-red-50 border border-red-200 text-sm text-red-700 rounded p-3">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg border overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-600">
+            <tr>
+              <th className="px-3 py-2">Imagen</th>
+              {COLUMNS.map((column) => {
+                const active = sort.field === column.field;
+                return (
+                  <th
+                    key={column.field}
+                    className="px-3 py-2"
+                    aria-sort={active ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                  >
+                    <button
+                      onClick={() => handleSort(column.field)}
+                      className="font-semibold hover:text-blue-600"
+                    >
+                      {column.label}
+                      {active && <span aria-hidden="true">{sort.direction === 'asc' ? ' ▲' : ' ▼'}</span>}
+                    </button>
+                  </th>
+                );
+              })}
+              <th className="px-3 py-2 text-right">Acciones</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sortedProducts.map((product) => (
+              <tr key={product.id} className="border-t">
+                <td className="px-3 py-2">
+                  <img src={product.imagen} alt={product.nombre} className="w-10 h-10 object-cover rounded" />
+                </td>
+                <td className="px-3 py-2">{product.id}</td>
+                <td className="px-3 py-2 font-medium text-gray-900">{product.nombre}</td>
+                <td className="px-3 py-2">{formatPrice(product.precio)}</td>
+                <td className="px-3 py-2">{product.stock ?? '—'}</td>
+                <td className="px-3 py-2 text-right space-x-2 whitespace-nowrap">
+                  <Link
+                    to={`/admin/products/${product.id}/editar`}
+                    className="text-blue-600 hover:underline"
+                    aria-label={`Editar ${product.nombre}`}
+                  >
+                    Editar
+                  </Link>
+                  <button
+                    onClick={() => handleDelete(product)}
+                    className="text-red-600 hover:underline"
+                    aria-label={`Eliminar ${product.nombre}`}
+                  >
+                    Eliminar
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {products.length === 0 && (
+          <p className="text-center text-gray-600 py-6">No hay productos cargados.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminProducts;
@@ -0,0 +1,139 @@
+// Página AdminReviews - Moderación de reseñas para administradores
+// Lista todas las reseñas (más recientes primero), incluidas las ocultas, y permite ocultar
+// las abusivas o volver a mostrarlas. Las ocultas no aparecen en la tienda ni cuentan en los promedios
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { reviewsAPI } from '../../services/api';
+import StarRating from '../../components/StarRating';
+
+// Filtros por visibilidad: clave -> etiqueta y condición
+const VISIBILITY_FILTERS = {
+  todas: { label: 'Todas', matches: () => true },
+  visibles: { label: 'Visibles', matches: (review) => !review.oculta },
+  ocultas: { label: 'Ocultas', matches: (review) => review.oculta },
+};
+
+const AdminReviews = () => {
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState('todas');
+  // ID de la reseña que se está actualizando y error de la última acción
+  const [updatingId, setUpdatingId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  useEffect(() => {
+    const loadReviews = async () => {
+      try {
+        setReviews(await reviewsAPI.getAll());
+      } catch (err) {
+        console.error('Error loading reviews:', err);
+        setError('Error al cargar las reseñas. Verifica que el servidor esté ejecutándose.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadReviews();
+  }, []);
+
+  // Formatea fechas ISO como fecha y hora locales
+  const formatDate = (date) => {
+    return new Intl.DateTimeFormat('es-AR', { dateStyle: 'short', timeStyle: 'short' }).format(new Date(date));
+  };
+
+  const handleToggle = async (review) => {
+    try {
+      setUpdatingId(review.id);
+      setActionError(null);
+      const updated = await reviewsAPI.setHidden(review.id, !review.oculta);
+      setReviews((current) => current.map((r) => (r.id === updated.id ? updated : r)));
+    } catch (err) {
+      console.error(`Error updating review ${review.id}:`, err);
+      setActionError('No se pudo actualizar la reseña. Inténtalo nuevamente.');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-8 space-y-3">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <p className="text-gray-600 text-sm">Cargando reseñas...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div role="alert" className="max-w-md mx-auto bg-red-50 border border-red-200 text-sm text-red-700 rounded-lg p-4 text-center">
+        {error}
+      </div>
+    );
+  }
+
+  const filteredReviews = reviews.filter(VISIBILITY_FILTERS[filter].matches);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-xl font-bold text-gray-900">Reseñas</h2>
+        <div className="flex items-center gap-2">
+          <label htmlFor="filter-visibilidad" className="text-sm text-gray-600">Mostrar</label>
+          <select
+            id="filter-visibilidad"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+          >
+            {Object.entries(VISIBILITY_FILTERS).map(([value, option]) => (
+              <option key={value} value={value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {actionError && (
+        <p role="alert" className="text-sm text-red-600">{actionError}</p>
+      )}
+
+      {filteredReviews.length === 0 ? (
+        <p className="text-center text-gray-600 py-8">No hay reseñas para mostrar.</p>
+      ) : (
+        <ul className="space-y-3">
+          {filteredReviews.map((review) => (
+            <li key={review.id} className={`bg-white border rounded-lg p-4 space-y-1 ${review.oculta ? 'opacity-60' : ''}`}>
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="flex items-center gap-2">
+                  <StarRating value={review.rating} size="text-sm" />
+                  <h3 className="text-sm font-semibold text-gray-900">{review.titulo}</h3>
+                  {review.oculta && (
+                    <span className="text-xs font-semibold bg-gray-200 text-gray-700 px-2 py-0.5 rounded">Oculta</span>
+                  )}
+                </div>
+                <button
+                  onClick={() => handleToggle(review)}
+                  disabled={updatingId === review.id}
+                  aria-label={`${review.oculta ? 'Mostrar' : 'Ocultar'} la reseña "${review.titulo}"`}
+                  className="text-sm text-blue-600 hover:underline disabled:text-gray-400"
+                >
+                  {review.oculta ? 'Mostrar' : 'Ocultar'}
+                </button>
+              </div>
+              <p className="text-xs text-gray-500">
+                {review.autor} · {formatDate(review.fecha)} ·{' '}
+                <Link to={`/products/${review.productId}`} className="text-blue-600 hover:underline">
+                  Producto #{review.productId}
+                </Link>
+              </p>
+              <p className="text-sm text-gray-700 whitespace-pre-line">{review.texto}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AdminReviews;
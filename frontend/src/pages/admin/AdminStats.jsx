@@ -0,0 +1,241 @@
+// Página AdminStats - Estadísticas de ventas para administradores
+// Rango de fechas con accesos rápidos, agrupación por día/semana/mes, indicadores principales,
+// gráfico de ingresos por período y ranking de productos más vendidos (datos de /stats/sales)
+import React, { useState, useEffect } from 'react';
+import { statsAPI } from '../../services/api';
+import LineChart from '../../components/LineChart';
+import BarChart from '../../components/BarChart';
+
+const GROUP_BY_OPTIONS = [
+  { value: 'day', label: 'Día' },
+  { value: 'week', label: 'Semana' },
+  { value: 'month', label: 'Mes' },
+];
+
+// Accesos rápidos del selector de fechas (cantidad de días hacia atrás, incluyendo hoy)
+const PRESETS = [
+  { days: 7, label: 'Últimos 7 días' },
+  { days: 30, label: 'Últimos 30 días' },
+  { days: 90, label: 'Últimos 90 días' },
+  { days: 365, label: 'Último año' },
+];
+
+// Fecha local en formato AAAA-MM-DD (el que usan los <input type="date">)
+const toInputDate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Rango de los últimos N días terminando hoy
+const lastDaysRange = (days) => {
+  const to = new Date();
+  const from = new Date();
+  from.setDate(from.getDate() - (days - 1));
+  return { from: toInputDate(from), to: toInputDate(to) };
+};
+
+// Etiqueta legible de un período: 16/10 (día), sem. 13/10 (semana) o 10/2025 (mes)
+const formatPeriod = (periodo, groupBy) => {
+  if (groupBy === 'month') {
+    const [year, month] = periodo.split('-');
+    return `${month}/${year}`;
+  }
+  const [, month, day] = periodo.split('-');
+  return groupBy === 'week' ? `sem. ${day}/${month}` : `${day}/${month}`;
+};
+
+const AdminStats = () => {
+  const [range, setRange] = useState(() => lastDaysRange(30));
+  const [groupBy, setGroupBy] = useState('day');
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Rango inválido: no se consulta al servidor
+  const invalidRange = Boolean(range.from && range.to && range.from > range.to);
+
+  // Recargar cada vez que cambia el rango o la agrupación
+  useEffect(() => {
+    if (invalidRange) {
+      return;
+    }
+
+    let cancelled = false;
+    const loadStats = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await statsAPI.getSales({ from: range.from, to: range.to, groupBy });
+        if (!cancelled) {
+          setStats(data);
+        }
+      } catch (err) {
+        console.error('Error loading stats:', err);
+        if (!cancelled) {
+          setError(err.serverMessage || 'Error al cargar las estadísticas. Verifica que el servidor esté ejecutándose.');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadStats();
+    // Ignorar respuestas de consultas anteriores si el rango cambió mientras cargaban
+    return () => {
+      cancelled = true;
+    };
+  }, [range.from, range.to, groupBy, invalidRange]);
+
+  // Formatea números como moneda argentina
+  const formatPrice = (price) => {
+    return new Intl.NumberFormat('es-AR', {
+      style: 'currency',
+      currency: 'ARS',
+      maximumFractionDigits: 0,
+    }).format(price);
+  };
+
+  const handleRangeChange = (e) => {
+    setRange({ ...range, [e.target.name]: e.target.value });
+  };
+
+  const inputClassName = 'border border-gray-300 rounded px-2 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-600';
+
+  // Indicadores principales
+  const summary = stats
+    ? [
+        { label: 'Ingresos', value: formatPrice(stats.resumen.ingresos) },
+        { label: 'Órdenes', value: stats.resumen.ordenes },
+        { label: 'Unidades vendidas', value: stats.resumen.unidades },
+        { label: 'Ticket promedio', value: formatPrice(stats.resumen.ticketPromedio) },
+      ]
+    : [];
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-xl font-bold text-gray-900">Estadísticas de ventas</h2>
+        <p className="text-sm text-gray-600">Órdenes cobradas; los ingresos son el importe de los productos menos los descuentos, sin envío.</p>
+      </div>
+
+      {/* Selector de rango y agrupación */}
+      <div className="bg-white rounded-lg border p-4 space-y-3">
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <label htmlFor="stats-from" className="block text-xs font-medium text-gray-600 mb-1">Desde</label>
+            <input id="stats-from" name="from" type="date" value={range.from} max={range.to} onChange={handleRangeChange} className={inputClassName} />
+          </div>
+          <div>
+            <label htmlFor="stats-to" className="block text-xs font-medium text-gray-600 mb-1">Hasta</label>
+            <input id="stats-to" name="to" type="date" value={range.to} min={range.from} onChange={handleRangeChange} className={inputClassName} />
+          </div>
+          <div>
+            <label htmlFor="stats-groupBy" className="block text-xs font-medium text-gray-600 mb-1">Agrupar por</label>
+            <select id="stats-groupBy" value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className={inputClassName}>
+              {GROUP_BY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {PRESETS.map((preset) => (
+            <button
+              key={preset.days}
+              onClick={() => setRange(lastDaysRange(preset.days))}
+              className="text-xs border border-gray-300 rounded-full px-3 py-1 text-gray-700 hover:border-blue-600 hover:text-blue-600"
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {invalidRange && (
+        <div role="alert" className="bg-yellow-50 border border-yellow-200 text-sm text-yellow-800 rounded p-3">
+          La fecha "Desde" debe ser anterior a la fecha "Hasta".
+        </div>
+      )}
+
+      {error && !invalidRange && (
+        <div role="alert" className="bg-red-50 border border-red-200 text-sm text-red-700 rounded p-3">
+          {error}
+        </div>
+      )}
+
+      {loading && !stats && !invalidRange && (
+        <div className="flex flex-col items-center justify-center py-8 space-y-3">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          <p className="text-gray-600 text-sm">Cargando estadísticas...</p>
+        </div>
+      )}
+
+      {stats && !invalidRange && (
+        <div className={`space-y-4 ${loading ? 'opacity-60' : ''}`}>
+          {/* Indicadores */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {summary.map((item) => (
+              <div key={item.label} className="bg-white rounded-lg border p-4">
+                <p className="text-xs text-gray-500">{item.label}</p>
+                <p className="text-lg font-bold text-gray-900">{item.value}</p>
+              </div>
+            ))}
+          </div>
+
+          {/* Ingresos por período */}
+          <div className="bg-white rounded-lg border p-4 space-y-2">
+            <h3 className="font-semibold text-gray-900">Ingresos por período</h3>
+            <LineChart
+              title="Ingresos por período"
+              data={stats.serie.map((point) => ({ label: formatPeriod(point.periodo, stats.groupBy), value: point.ingresos }))}
+              formatValue={formatPrice}
+            />
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            {/* Más vendidos */}
+            <div className="bg-white rounded-lg border p-4 space-y-2">
+              <h3 className="font-semibold text-gray-900">Más vendidos</h3>
+              <BarChart
+                title="Productos más vendidos por unidades"
+                data={stats.topVendidos.map((product) => ({ label: product.nombre, value: product.unidades }))}
+                formatValue={(units) => `${units} u.`}
+              />
+            </div>
+
+            {/* Unidades por producto */}
+            <div className="bg-white rounded-lg border p-4 space-y-2">
+              <h3 className="font-semibold text-gray-900">Unidades vendidas por producto</h3>
+              <table className="w-full text-sm">
+                <thead className="text-left text-gray-600">
+                  <tr>
+                    <th className="py-1">Producto</th>
+                    <th className="py-1 text-right">Unidades</th>
+                    <th className="py-1 text-right">Ingresos</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.productos.map((product) => (
+                    <tr key={product.id} className="border-t">
+                      <td className="py-1">{product.nombre}</td>
+                      <td className="py-1 text-right">{product.unidades}</td>
+                      <td className="py-1 text-right">{formatPrice(product.ingresos)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {stats.productos.length === 0 && (
+                <p className="text-sm text-gray-500">Sin ventas en el período.</p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminStats;
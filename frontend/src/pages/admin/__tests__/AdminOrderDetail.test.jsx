@@ -0,0 +1,221 @@
+// ============================================================
+// TESTS DE LA PÁGINA ADMINORDERDETAIL
+// ============================================================
+// Verificamos el detalle de una orden: líneas y total calculado,
+// acciones de cambio de estado según el ciclo de vida y notas internas
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+
+// El componente que vamos a testear
+import AdminOrderDetail from '../AdminOrderDetail';
+
+// La API de órdenes (mockeada abajo)
+import { ordersAPI } from '../../../services/api';
+
+// MOCK: La capa API - mantenemos las constantes reales y simulamos solo ordersAPI
+vi.mock('../../../services/api', async () => {
+  const actual = await vi.importActual('../../../services/api');
+  return {
+    ...actual,
+    ordersAPI: {
+      getById: vi.fn(),
+      getNotes: vi.fn(),
+      changeStatus: vi.fn(),
+      addNote: vi.fn(),
+      downloadReceipt: vi.fn()
+    }
+  };
+});
+
+// Orden de ejemplo en estado pendiente
+const mockOrder = {
+  id: 7,
+  fecha: '2025-10-15T12:00:00.000Z',
+  total: 120000,
+  status: 'pendiente',
+  statusHistory: [{ status: 'pendiente', fecha: '2025-10-15T12:00:00.000Z' }],
+  productos: [
+    { id: 1, nombre: 'PlayStation 5 Slim', precio: 100000, cantidad: 1 },
+    { id: 2, nombre: 'Mouse Gamer', precio: 10000, cantidad: 2 }
+  ]
+};
+
+const renderPage = () => {
+  return render(
+    <MemoryRouter initialEntries={['/admin/orders/7']}>
+      <Routes>
+        <Route path="/admin/orders/:id" element={<AdminOrderDetail />} />
+      </Routes>
+    </MemoryRouter>
+  );
+};
+
+describe('AdminOrderDetail Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    ordersAPI.getById.mockResolvedValue(mockOrder);
+    ordersAPI.getNotes.mockResolvedValue([]);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // TEST 1: Líneas y total
+  it('debe mostrar cada línea con su subtotal y el total calculado', async () => {
+    renderPage();
+
+    expect(await screen.findByText('PlayStation 5 Slim')).toBeInTheDocument();
+    expect(ordersAPI.getById).toHaveBeenCalledWith('7');
+    expect(ordersAPI.getNotes).toHaveBeenCalledWith('7');
+
+    // Subtotal del mouse: 2 x $10.000 y total de la orden: $120.000
+    const row = screen.getByText('Mouse Gamer').closest('tr');
+    expect(row).toHaveTextContent(/20\.000/);
+    expect(screen.getByText('Total').closest('tr')).toHaveTextContent(/120\.000/);
+    expect(screen.queryByText(/no coincide/)).not.toBeInTheDocument();
+  });
+
+  // TEST 1b: Orden con cupón de descuento y envío
+  it('debe mostrar los descuentos y el envío en el total', async () => {
+    ordersAPI.getById.mockResolvedValue({
+      ...mockOrder,
+      subtotal: 120000,
+      descuentos: [{ codigo: 'BIENVENIDA10', descripcion: '10% de descuento', monto: 12000 }],
+      envio: { codigoPostal: '5000', provincia: 'Córdoba', costo: 7999, diasMin: 2, diasMax: 4 },
+      total: 115999
+    });
+    renderPage();
+
+    const discountRow = (await screen.findByText(/BIENVENIDA10/)).closest('tr');
+    expect(discountRow).toHaveTextContent(/-\s?\$\s?12\.000/);
+    expect(screen.getByText('Envío a Córdoba (5000)').closest('tr')).toHaveTextContent(/7\.999/);
+    expect(screen.getByText('Total').closest('tr')).toHaveTextContent(/115\.999/);
+    expect(screen.queryByText(/no coincide/)).not.toBeInTheDocument();
+  });
+
+  // TEST 1c: Datos del comprador, entrega, pago y factura
+  it('debe mostrar los datos del comprador, la dirección, el medio de pago y la factura', async () => {
+    ordersAPI.getById.mockResolvedValue({
+      ...mockOrder,
+      subtotal: 120000,
+      descuentos: [],
+      envio: {
+        metodo: 'retiro',
+        direccion: { calle: 'Av. Colón', numero: '450', pisoDepto: '', ciudad: 'Córdoba', provincia: 'Córdoba', codigoPostal: 'X5000' },
+        costo: 0,
+        diasMin: 1,
+        diasMax: 1
+      },
+      cliente: { nombre: 'Ana Pérez', email: 'ana@mail.com', dni: '30123456', telefono: '3514567890' },
+      pago: { metodo: 'efectivo' },
+      factura: { tipo: 'A', cuit: '20123456786', razonSocial: 'Ana Pérez Servicios' },
+      impuestos: { neto: 99173.55, iva: [{ alicuota: 21, neto: 99173.55, monto: 20826.45 }] },
+      total: 120000
+    });
+    renderPage();
+
+    expect(await screen.findByText('Ana Pérez')).toBeInTheDocument();
+    expect(screen.getByText('DNI 30123456 · Tel. 3514567890')).toBeInTheDocument();
+    expect(screen.getByText('Av. Colón 450')).toBeInTheDocument();
+    expect(screen.getByText('Efectivo al retirar')).toBeInTheDocument();
+    expect(screen.getByText('Factura A · CUIT 20123456786 · Ana Pérez Servicios')).toBeInTheDocument();
+    // IVA discriminado guardado en la orden
+    expect(screen.getByText('IVA 21%:').nextElementSibling).toHaveTextContent(/20\.826,45/);
+    // El retiro en el local figura sin costo en las líneas de la orden
+    expect(screen.getAllByText('Retiro en el local')[0].closest('tr')).toHaveTextContent('Gratis');
+  });
+
+  // TEST 2: Acciones según el estado
+  it('debe ofrecer solo las transiciones permitidas y aplicar el cambio', async () => {
+    ordersAPI.changeStatus.mockResolvedValue({
+      ...mockOrder,
+      status: 'pagada',
+      statusHistory: [...mockOrder.statusHistory, { status: 'pagada', fecha: '2025-10-16T12:00:00.000Z' }]
+    });
+
+    renderPage();
+
+    // PASO 1: Una orden pendiente puede pagarse o cancelarse, pero no enviarse
+    const payButton = await screen.findByRole('button', { name: 'Marcar como pagada' });
+    expect(screen.getByRole('button', { name: 'Cancelar orden' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Marcar como enviada' })).not.toBeInTheDocument();
+    fireEvent.click(payButton);
+
+    // PASO 2: Se envió el cambio y ahora se ofrece el siguiente paso
+    expect(ordersAPI.changeStatus).toHaveBeenCalledWith(7, 'pagada');
+    expect(await screen.findByRole('button', { name: 'Marcar como enviada' })).toBeInTheDocument();
+  });
+
+  // TEST 3: Cancelar pide confirmación
+  it('no debe cancelar la orden si el administrador no lo confirma', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(false);
+
+    renderPage();
+    fireEvent.click(await screen.findByRole('button', { name: 'Cancelar orden' }));
+
+    expect(window.confirm).toHaveBeenCalled();
+    expect(ordersAPI.changeStatus).not.toHaveBeenCalled();
+  });
+
+  // TEST 4: Transición rechazada por el servidor
+  it('debe mostrar el mensaje del servidor si la transición falla', async () => {
+    ordersAPI.changeStatus.mockRejectedValue(Object.assign(new Error('conflicto'), {
+      status: 409,
+      serverMessage: 'No se puede cambiar una orden de "cancelada" a "pagada"'
+    }));
+
+    renderPage();
+    fireEvent.click(await screen.findByRole('button', { name: 'Marcar como pagada' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('No se puede cambiar una orden de "cancelada" a "pagada"');
+  });
+
+  // TEST 5: Notas internas
+  it('debe mostrar las notas y permitir agregar una nueva', async () => {
+    ordersAPI.getNotes.mockResolvedValue([
+      { id: 1, texto: 'Cliente pidió factura A', autor: 'Admin', fecha: '2025-10-15T13:00:00.000Z' }
+    ]);
+    ordersAPI.addNote.mockResolvedValue({ id: 2, texto: 'Enviado por moto', autor: 'Admin', fecha: '2025-10-16T09:00:00.000Z' });
+
+    renderPage();
+    expect(await screen.findByText('Cliente pidió factura A')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Nueva nota'), { target: { value: '  Enviado por moto ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Agregar nota' }));
+
+    expect(ordersAPI.addNote).toHaveBeenCalledWith(7, 'Enviado por moto');
+    expect(await screen.findByText('Enviado por moto')).toBeInTheDocument();
+    expect(screen.getByLabelText('Nueva nota')).toHaveValue('');
+  });
+
+  // TEST 6: Orden inexistente
+  it('debe avisar si la orden no existe', async () => {
+    ordersAPI.getById.mockRejectedValue(Object.assign(new Error('HTTP error! status: 404'), { status: 404 }));
+
+    renderPage();
+
+    expect(await screen.findByText('La orden no existe.')).toBeInTheDocument();
+  });
+
+  // TEST 7: Comprobante de compra en PDF
+  it('debe descargar el comprobante de la orden', async () => {
+    ordersAPI.downloadReceipt.mockResolvedValue(new Blob(['%PDF-1.4'], { type: 'application/pdf' }));
+    URL.createObjectURL = vi.fn(() => 'blob:comprobante');
+    URL.revokeObjectURL = vi.fn();
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Descargar comprobante' }));
+
+    await waitFor(() => {
+      expect(clickSpy).toHaveBeenCalledTimes(1);
+    });
+    expect(ordersAPI.downloadReceipt).toHaveBeenCalledWith(mockOrder.id);
+    clickSpy.mockRestore();
+  });
+});
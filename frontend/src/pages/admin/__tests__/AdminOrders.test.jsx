@@ -0,0 +1,148 @@
+// ============================================================
+// TESTS DE LA PÁGINA ADMINORDERS
+// ============================================================
+// Verificamos el panel de órdenes: listado (más recientes primero) y
+// filtros por rango de fechas, rango de total, producto y estado
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+
+// El componente que vamos a testear
+import AdminOrders from '../AdminOrders';
+
+// La API de órdenes (mockeada abajo)
+import { ordersAPI } from '../../../services/api';
+
+// MOCK: La capa API - mantenemos las constantes reales y simulamos solo ordersAPI
+vi.mock('../../../services/api', async () => {
+  const actual = await vi.importActual('../../../services/api');
+  return {
+    ...actual,
+    ordersAPI: { getAll: vi.fn() }
+  };
+});
+
+// Órdenes de ejemplo (fechas al mediodía para no depender de la zona horaria)
+const mockOrders = [
+  {
+    id: 1,
+    fecha: '2025-10-01T12:00:00.000Z',
+    total: 100000,
+    status: 'entregada',
+    productos: [{ id: 1, nombre: 'PlayStation 5 Slim', precio: 100000, cantidad: 1 }]
+  },
+  {
+    id: 2,
+    fecha: '2025-10-15T12:00:00.000Z',
+    total: 20000,
+    status: 'pendiente',
+    userId: 4,
+    productos: [{ id: 2, nombre: 'Mouse Gamer', precio: 10000, cantidad: 2 }]
+  },
+  {
+    id: 3,
+    fecha: '2025-10-10T12:00:00.000Z',
+    total: 60000,
+    status: 'pagada',
+    productos: [
+      { id: 1, nombre: 'PlayStation 5 Slim', precio: 50000, cantidad: 1 },
+      { id: 2, nombre: 'Mouse Gamer', precio: 10000, cantidad: 1 }
+    ]
+  }
+];
+
+// Helper: IDs de las órdenes visibles en la tabla, en orden
+const visibleOrderIds = () => {
+  return screen.getAllByRole('row').slice(1).map((row) => within(row).getAllByRole('cell')[0].textContent);
+};
+
+const renderPage = () => {
+  return render(
+    <BrowserRouter>
+      <AdminOrders />
+    </BrowserRouter>
+  );
+};
+
+describe('AdminOrders Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    ordersAPI.getAll.mockResolvedValue(mockOrders);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // TEST 1: Listado ordenado por fecha
+  it('debe listar las órdenes más recientes primero', async () => {
+    renderPage();
+
+    expect(await screen.findByRole('link', { name: '#2' })).toHaveAttribute('href', '/admin/orders/2');
+    expect(visibleOrderIds()).toEqual(['#2', '#3', '#1']);
+    expect(screen.getByText('3 órdenes', { exact: false })).toBeInTheDocument();
+  });
+
+  // TEST 2: Filtro por rango de fechas
+  it('debe filtrar por rango de fechas', async () => {
+    renderPage();
+    await screen.findByRole('link', { name: '#2' });
+
+    fireEvent.change(screen.getByLabelText('Desde'), { target: { value: '2025-10-05' } });
+    fireEvent.change(screen.getByLabelText('Hasta'), { target: { value: '2025-10-12' } });
+
+    expect(visibleOrderIds()).toEqual(['#3']);
+  });
+
+  // TEST 3: Filtro por rango de total
+  it('debe filtrar por total mínimo y máximo', async () => {
+    renderPage();
+    await screen.findByRole('link', { name: '#2' });
+
+    fireEvent.change(screen.getByLabelText('Total mínimo'), { target: { value: '50000' } });
+    expect(visibleOrderIds()).toEqual(['#3', '#1']);
+
+    fireEvent.change(screen.getByLabelText('Total máximo'), { target: { value: '80000' } });
+    expect(visibleOrderIds()).toEqual(['#3']);
+  });
+
+  // TEST 4: Filtro por producto y por estado
+  it('debe filtrar por producto y por estado', async () => {
+    renderPage();
+    await screen.findByRole('link', { name: '#2' });
+
+    // PASO 1: Órdenes que incluyen la PlayStation
+    fireEvent.change(screen.getByLabelText('Producto'), { target: { value: '1' } });
+    expect(visibleOrderIds()).toEqual(['#3', '#1']);
+
+    // PASO 2: Además, solo las pagadas
+    fireEvent.change(screen.getByLabelText('Estado'), { target: { value: 'pagada' } });
+    expect(visibleOrderIds()).toEqual(['#3']);
+
+    // PASO 3: Limpiar filtros vuelve a mostrar todo
+    fireEvent.click(screen.getByRole('button', { name: 'Limpiar filtros' }));
+    expect(visibleOrderIds()).toEqual(['#2', '#3', '#1']);
+  });
+
+  // TEST 5: Sin resultados
+  it('debe avisar cuando ningún filtro coincide', async () => {
+    renderPage();
+    await screen.findByRole('link', { name: '#2' });
+
+    fireEvent.change(screen.getByLabelText('Total mínimo'), { target: { value: '999999' } });
+
+    expect(screen.getByText('No hay órdenes que coincidan con los filtros.')).toBeInTheDocument();
+  });
+
+  // TEST 6: Error de carga
+  it('debe mostrar un error si no se pueden cargar las órdenes', async () => {
+    ordersAPI.getAll.mockRejectedValue(new Error('Failed to fetch'));
+
+    renderPage();
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Error al cargar las órdenes');
+  });
+});
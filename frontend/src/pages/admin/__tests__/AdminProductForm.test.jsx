@@ -0,0 +1,182 @@
+// ============================================================
+// TESTS DE LA PÁGINA ADMINPRODUCTFORM
+// ============================================================
+// Verificamos el alta y la edición de productos: validación de campos,
+// vista previa de la imagen y envío a productsAPI.create / productsAPI.update
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+
+// El componente que vamos a testear
+import AdminProductForm from '../AdminProductForm';
+
+// La API de productos (mockeada abajo)
+import { productsAPI, categoriesAPI } from '../../../services/api';
+
+// MOCK: La capa API - no queremos peticiones HTTP reales
+vi.mock('../../../services/api', () => ({
+  productsAPI: {
+    getById: vi.fn(),
+    create: vi.fn(),
+    update: vi.fn()
+  },
+  categoriesAPI: {
+    getAll: vi.fn()
+  }
+}));
+
+// Categorías disponibles en el selector
+const mockCategories = [
+  { id: 3, nombre: 'Periféricos', slug: 'perifericos' },
+  { id: 4, nombre: 'Audio', slug: 'audio' }
+];
+
+// Helper: renderiza el formulario en la ruta indicada, con el listado como destino al guardar
+const renderForm = (path = '/admin/products/nuevo') => {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path="/admin/products" element={<div>Listado de productos</div>} />
+        <Route path="/admin/products/nuevo" element={<AdminProductForm />} />
+        <Route path="/admin/products/:id/editar" element={<AdminProductForm />} />
+      </Routes>
+    </MemoryRouter>
+  );
+};
+
+// Helper: completa los campos del formulario
+const fillForm = (values) => {
+  Object.entries(values).forEach(([label, value]) => {
+    fireEvent.change(screen.getByLabelText(label), { target: { value } });
+  });
+};
+
+describe('AdminProductForm Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    categoriesAPI.getAll.mockResolvedValue(mockCategories);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // TEST 1: Validación del lado del cliente
+  it('debe mostrar los errores de validación y no enviar', () => {
+    renderForm();
+
+    fillForm({ 'Precio': '-5', 'Stock (vacío = sin límite)': '1.5', 'URL de la imagen': 'no-es-url' });
+    fireEvent.click(screen.getByRole('button', { name: 'Crear producto' }));
+
+    expect(screen.getByText('El nombre es obligatorio')).toBeInTheDocument();
+    expect(screen.getByText('La descripción es obligatoria')).toBeInTheDocument();
+    expect(screen.getByText('El precio debe ser un número mayor a 0')).toBeInTheDocument();
+    expect(screen.getByText('El stock debe ser un número entero mayor o igual a 0')).toBeInTheDocument();
+    expect(screen.getByText('La imagen debe ser una URL válida')).toBeInTheDocument();
+    expect(productsAPI.create).not.toHaveBeenCalled();
+  });
+
+  // TEST 2: Alta de producto
+  it('debe crear el producto con los tipos correctos y volver al listado', async () => {
+    productsAPI.create.mockResolvedValue({ id: 9 });
+
+    renderForm();
+    fillForm({
+      'Nombre': ' Joystick ',
+      'Descripción': 'Inalámbrico',
+      'Precio': '55000',
+      'Stock (vacío = sin límite)': '4',
+      'URL de la imagen': 'https://example.com/joystick.jpg'
+    });
+
+    // Elegir la categoría cuando terminen de cargar
+    await screen.findByRole('option', { name: 'Audio' });
+    fillForm({ 'Categoría': '4', 'Alícuota de IVA (incluida en el precio)': '10.5' });
+
+    // La vista previa muestra la imagen ingresada
+    expect(screen.getByAltText('Vista previa')).toHaveAttribute('src', 'https://example.com/joystick.jpg');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Crear producto' }));
+
+    expect(productsAPI.create).toHaveBeenCalledWith({
+      nombre: 'Joystick',
+      descripcion: 'Inalámbrico',
+      precio: 55000,
+      iva: 10.5,
+      stock: 4,
+      imagen: 'https://example.com/joystick.jpg',
+      categoriaId: 4
+    });
+    expect(await screen.findByText('Listado de productos')).toBeInTheDocument();
+  });
+
+  // TEST 3: Vista previa que no carga
+  it('debe avisar si la imagen de la vista previa no carga', () => {
+    renderForm();
+    fillForm({ 'URL de la imagen': 'https://example.com/rota.jpg' });
+
+    fireEvent.error(screen.getByAltText('Vista previa'));
+
+    expect(screen.getByText('No se pudo cargar la imagen')).toBeInTheDocument();
+  });
+
+  // TEST 4: Edición de producto
+  it('debe cargar el producto y actualizarlo conservando sus otros campos', async () => {
+    productsAPI.getById.mockResolvedValue({
+      id: 3, nombre: 'Teclado', descripcion: 'Mecánico', precio: 60000, stock: 7, imagen: '/teclado.jpg', categoriaId: 3, destacado: true
+    });
+    productsAPI.update.mockResolvedValue({});
+
+    renderForm('/admin/products/3/editar');
+
+    // PASO 1: El formulario se completa con los datos actuales
+    expect(await screen.findByDisplayValue('Teclado')).toBeInTheDocument();
+    expect(productsAPI.getById).toHaveBeenCalledWith('3');
+    expect(await screen.findByRole('option', { name: 'Periféricos' })).toBeInTheDocument();
+    expect(screen.getByLabelText('Categoría')).toHaveValue('3');
+
+    // PASO 2: Cambiar el precio y guardar
+    fillForm({ 'Precio': '65000' });
+    fireEvent.click(screen.getByRole('button', { name: 'Guardar cambios' }));
+
+    // Un producto sin alícuota se guarda con la general (21%)
+    expect(productsAPI.update).toHaveBeenCalledWith('3', {
+      id: 3, nombre: 'Teclado', descripcion: 'Mecánico', precio: 65000, iva: 21, stock: 7, imagen: '/teclado.jpg', categoriaId: 3, destacado: true
+    });
+    expect(await screen.findByText('Listado de productos')).toBeInTheDocument();
+  });
+
+  // TEST 5: Errores del servidor por campo
+  it('debe mostrar los errores por campo que devuelve el backend', async () => {
+    productsAPI.create.mockRejectedValue(Object.assign(new Error('El producto contiene datos inválidos'), {
+      status: 422,
+      serverMessage: 'El producto contiene datos inválidos',
+      details: [{ field: 'nombre', message: 'Ya existe un producto con ese nombre' }]
+    }));
+
+    renderForm();
+    fillForm({
+      'Nombre': 'Teclado',
+      'Descripción': 'Mecánico',
+      'Precio': '1000',
+      'URL de la imagen': '/teclado.jpg'
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Crear producto' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('El producto contiene datos inválidos');
+    expect(screen.getByText('Ya existe un producto con ese nombre')).toBeInTheDocument();
+  });
+
+  // TEST 6: Producto inexistente
+  it('debe avisar si el producto a editar no existe', async () => {
+    productsAPI.getById.mockRejectedValue(Object.assign(new Error('HTTP error! status: 404'), { status: 404 }));
+
+    renderForm('/admin/products/99/editar');
+
+    expect(await screen.findByText('El producto no existe.')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Guardar cambios' })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,124 @@
+// ============================================================
+// TESTS DE LA PÁGINA ADMINPRODUCTS
+// ============================================================
+// Verificamos la tabla de productos: carga desde la API, orden por columnas
+// y eliminación con confirmación previa
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+
+// El componente que vamos a testear
+import AdminProducts from '../AdminProducts';
+
+// La API de productos (mockeada abajo)
+import { productsAPI } from '../../../services/api';
+
+// MOCK: La capa API - no queremos peticiones HTTP reales
+vi.mock('../../../services/api', () => ({
+  productsAPI: {
+    getAll: vi.fn(),
+    delete: vi.fn()
+  }
+}));
+
+// Productos de ejemplo (desordenados a propósito)
+const mockProducts = [
+  { id: 1, nombre: 'Mouse Gamer', precio: 45000, stock: 12, imagen: '/mouse.jpg' },
+  { id: 2, nombre: 'Auriculares', precio: 90000, stock: 3, imagen: '/auris.jpg' },
+  { id: 3, nombre: 'Teclado', precio: 60000, stock: 7, imagen: '/teclado.jpg' }
+];
+
+// Helper: nombres de producto en el orden en que aparecen en la tabla
+const productNamesInTable = () => {
+  const rows = screen.getAllByRole('row').slice(1); // Sin la fila de encabezados
+  return rows.map((row) => within(row).getAllByRole('cell')[2].textContent);
+};
+
+const renderPage = () => {
+  return render(
+    <BrowserRouter>
+      <AdminProducts />
+    </BrowserRouter>
+  );
+};
+
+describe('AdminProducts Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    productsAPI.getAll.mockResolvedValue(mockProducts);
+    // Silenciar los console.error esperados en los tests de errores
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // TEST 1: Carga y muestra los productos
+  it('debe mostrar los productos ordenados por ID', async () => {
+    renderPage();
+
+    expect(await screen.findByText('Mouse Gamer')).toBeInTheDocument();
+    expect(productNamesInTable()).toEqual(['Mouse Gamer', 'Auriculares', 'Teclado']);
+    expect(screen.getByRole('link', { name: 'Nuevo producto' })).toHaveAttribute('href', '/admin/products/nuevo');
+    expect(screen.getByRole('link', { name: 'Editar Teclado' })).toHaveAttribute('href', '/admin/products/3/editar');
+  });
+
+  // TEST 2: Ordenar por columna
+  it('debe ordenar por la columna elegida e invertir el orden con un segundo click', async () => {
+    renderPage();
+    await screen.findByText('Mouse Gamer');
+
+    // PASO 1: Ordenar por precio (ascendente)
+    fireEvent.click(screen.getByRole('button', { name: 'Precio' }));
+    expect(productNamesInTable()).toEqual(['Mouse Gamer', 'Teclado', 'Auriculares']);
+
+    // PASO 2: Segundo click - descendente
+    fireEvent.click(screen.getByRole('button', { name: /Precio/ }));
+    expect(productNamesInTable()).toEqual(['Auriculares', 'Teclado', 'Mouse Gamer']);
+
+    // PASO 3: Ordenar por nombre (alfabético)
+    fireEvent.click(screen.getByRole('button', { name: 'Nombre' }));
+    expect(productNamesInTable()).toEqual(['Auriculares', 'Mouse Gamer', 'Teclado']);
+  });
+
+  // TEST 3: Eliminar confirmando
+  it('debe eliminar un producto tras confirmar', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    productsAPI.delete.mockResolvedValue({});
+
+    renderPage();
+    fireEvent.click(await screen.findByRole('button', { name: 'Eliminar Teclado' }));
+
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining('Teclado'));
+    expect(productsAPI.delete).toHaveBeenCalledWith(3);
+    await waitFor(() => {
+      expect(screen.queryByText('Teclado')).not.toBeInTheDocument();
+    });
+  });
+
+  // TEST 4: Cancelar la eliminación
+  it('no debe eliminar si el usuario cancela la confirmación', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(false);
+
+    renderPage();
+    fireEvent.click(await screen.findByRole('button', { name: 'Eliminar Teclado' }));
+
+    expect(productsAPI.delete).not.toHaveBeenCalled();
+    expect(screen.getByText('Teclado')).toBeInTheDocument();
+  });
+
+  // TEST 5: Error al eliminar
+  it('debe mostrar un error si la eliminación falla', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    productsAPI.delete.mockRejectedValue(new Error('HTTP error! status: 500'));
+
+    renderPage();
+    fireEvent.click(await screen.findByRole('button', { name: 'Eliminar Teclado' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('No se pudo eliminar "Teclado"');
+    expect(screen.getByText('Teclado')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,114 @@
+// ============================================================
+// TESTS DE LA PÁGINA ADMINREVIEWS
+// ============================================================
+// Verificamos la moderación de reseñas: listado con las ocultas,
+// filtro por visibilidad y las acciones Ocultar / Mostrar
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+
+// El componente que vamos a testear
+import AdminReviews from '../AdminReviews';
+
+// La API de reseñas (mockeada abajo)
+import { reviewsAPI } from '../../../services/api';
+
+// MOCK: La capa API - solo necesitamos reviewsAPI
+vi.mock('../../../services/api', () => ({
+  reviewsAPI: {
+    getAll: vi.fn(),
+    setHidden: vi.fn()
+  }
+}));
+
+// Reseñas de ejemplo: una visible y una oculta
+const mockReviews = [
+  {
+    id: 2,
+    productId: 1,
+    autor: 'Ana',
+    rating: 1,
+    titulo: 'Spam',
+    texto: 'Compren en otro sitio',
+    fecha: '2025-10-15T12:00:00.000Z',
+    oculta: false
+  },
+  {
+    id: 1,
+    productId: 3,
+    autor: 'Luis',
+    rating: 5,
+    titulo: 'Excelente',
+    texto: 'Llegó rápido',
+    fecha: '2025-10-10T12:00:00.000Z',
+    oculta: true
+  }
+];
+
+const renderPage = () => render(<BrowserRouter><AdminReviews /></BrowserRouter>);
+
+describe('AdminReviews Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    reviewsAPI.getAll.mockResolvedValue(mockReviews);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // TEST 1: Listado completo
+  it('debe listar todas las reseñas, incluidas las ocultas', async () => {
+    renderPage();
+
+    expect(await screen.findByText('Spam')).toBeInTheDocument();
+    expect(screen.getByText('Excelente')).toBeInTheDocument();
+    expect(screen.getByText('Oculta')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Producto #3' })).toHaveAttribute('href', '/products/3');
+  });
+
+  // TEST 2: Filtro por visibilidad
+  it('debe filtrar las reseñas visibles y ocultas', async () => {
+    renderPage();
+    await screen.findByText('Spam');
+
+    // PASO 1: Solo ocultas
+    fireEvent.change(screen.getByLabelText('Mostrar'), { target: { value: 'ocultas' } });
+    expect(screen.queryByText('Spam')).not.toBeInTheDocument();
+    expect(screen.getByText('Excelente')).toBeInTheDocument();
+
+    // PASO 2: Solo visibles
+    fireEvent.change(screen.getByLabelText('Mostrar'), { target: { value: 'visibles' } });
+    expect(screen.getByText('Spam')).toBeInTheDocument();
+    expect(screen.queryByText('Excelente')).not.toBeInTheDocument();
+  });
+
+  // TEST 3: Ocultar una reseña
+  it('debe ocultar una reseña y actualizar el listado', async () => {
+    reviewsAPI.setHidden.mockResolvedValue({ ...mockReviews[0], oculta: true });
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Ocultar la reseña "Spam"' }));
+
+    // PASO 1: Se pidió ocultarla
+    expect(reviewsAPI.setHidden).toHaveBeenCalledWith(2, true);
+
+    // PASO 2: Ahora se ofrece volver a mostrarla
+    expect(await screen.findByRole('button', { name: 'Mostrar la reseña "Spam"' })).toBeInTheDocument();
+    expect(screen.getAllByText('Oculta')).toHaveLength(2);
+  });
+
+  // TEST 4: Error al moderar
+  it('debe avisar si no se pudo actualizar la reseña', async () => {
+    reviewsAPI.setHidden.mockRejectedValue(new Error('HTTP error! status: 500'));
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Mostrar la reseña "Excelente"' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('No se pudo actualizar la reseña');
+    expect(screen.getByRole('button', { name: 'Mostrar la reseña "Excelente"' })).toBeInTheDocument();
+  });
+});
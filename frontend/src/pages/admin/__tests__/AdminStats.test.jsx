@@ -0,0 +1,103 @@
+// ============================================================
+// TESTS DE LA PÁGINA ADMINSTATS
+// ============================================================
+// Verificamos el panel de estadísticas: consulta inicial (últimos 30 días),
+// cambios de rango y agrupación, indicadores y validación del rango
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+
+// El componente que vamos a testear
+import AdminStats from '../AdminStats';
+
+// La API de estadísticas (mockeada abajo)
+import { statsAPI } from '../../../services/api';
+
+// MOCK: La capa API - no queremos peticiones HTTP reales
+vi.mock('../../../services/api', () => ({
+  statsAPI: { getSales: vi.fn() }
+}));
+
+// Respuesta de ejemplo de /stats/sales
+const mockStats = {
+  desde: '2025-10-01',
+  hasta: '2025-10-03',
+  groupBy: 'day',
+  resumen: { ingresos: 150000, ordenes: 3, unidades: 4, ticketPromedio: 50000 },
+  serie: [
+    { periodo: '2025-10-01', ingresos: 100000, ordenes: 2, unidades: 3 },
+    { periodo: '2025-10-02', ingresos: 0, ordenes: 0, unidades: 0 },
+    { periodo: '2025-10-03', ingresos: 50000, ordenes: 1, unidades: 1 }
+  ],
+  productos: [
+    { id: 1, nombre: 'PlayStation 5 Slim', unidades: 3, ingresos: 120000 },
+    { id: 2, nombre: 'Mouse Gamer', unidades: 1, ingresos: 30000 }
+  ],
+  topVendidos: [
+    { id: 1, nombre: 'PlayStation 5 Slim', unidades: 3, ingresos: 120000 },
+    { id: 2, nombre: 'Mouse Gamer', unidades: 1, ingresos: 30000 }
+  ]
+};
+
+describe('AdminStats Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    // Fecha fija para que el rango por defecto sea predecible
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2025, 9, 31, 12, 0, 0)); // 31/10/2025 (mes 9 = octubre)
+    statsAPI.getSales.mockResolvedValue(mockStats);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  // TEST 1: Consulta inicial e indicadores
+  it('debe consultar los últimos 30 días agrupados por día y mostrar los indicadores', async () => {
+    render(<AdminStats />);
+
+    expect(statsAPI.getSales).toHaveBeenCalledWith({ from: '2025-10-02', to: '2025-10-31', groupBy: 'day' });
+    expect(await screen.findByText('Ticket promedio')).toBeInTheDocument();
+    expect(screen.getByText('Órdenes').nextSibling).toHaveTextContent('3');
+    expect(screen.getByRole('img', { name: 'Ingresos por período' })).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Productos más vendidos por unidades' })).toBeInTheDocument();
+  });
+
+  // TEST 2: Cambiar agrupación y usar un acceso rápido
+  it('debe volver a consultar al cambiar la agrupación o el rango', async () => {
+    render(<AdminStats />);
+    await screen.findByText('Ticket promedio');
+
+    // PASO 1: Agrupar por mes
+    fireEvent.change(screen.getByLabelText('Agrupar por'), { target: { value: 'month' } });
+    expect(statsAPI.getSales).toHaveBeenLastCalledWith({ from: '2025-10-02', to: '2025-10-31', groupBy: 'month' });
+
+    // PASO 2: Acceso rápido "Últimos 7 días"
+    fireEvent.click(screen.getByRole('button', { name: 'Últimos 7 días' }));
+    expect(statsAPI.getSales).toHaveBeenLastCalledWith({ from: '2025-10-25', to: '2025-10-31', groupBy: 'month' });
+  });
+
+  // TEST 3: Rango inválido
+  it('no debe consultar si la fecha inicial es posterior a la final', async () => {
+    render(<AdminStats />);
+    await screen.findByText('Ticket promedio');
+    statsAPI.getSales.mockClear();
+
+    fireEvent.change(screen.getByLabelText('Desde'), { target: { value: '2025-11-15' } });
+
+    expect(screen.getByRole('alert')).toHaveTextContent('La fecha "Desde" debe ser anterior');
+    expect(statsAPI.getSales).not.toHaveBeenCalled();
+  });
+
+  // TEST 4: Error del servidor
+  it('debe mostrar el error si la consulta falla', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    statsAPI.getSales.mockRejectedValue(new Error('Failed to fetch'));
+
+    render(<AdminStats />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Error al cargar las estadísticas');
+  });
+});
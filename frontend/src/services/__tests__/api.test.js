@@ -35,11 +35,36 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 // - afterEach: Restaurar mocks después de cada test
 
 // IMPORTACIÓN 2: Los servicios que vamos a testear
-import { productsAPI, ordersAPI, checkServerHealth } from '../api';
+import {
+  productsAPI,
+  ordersAPI,
+  authAPI,
+  statsAPI,
+  categoriesAPI,
+  reviewsAPI,
+  wishlistAPI,
+  cartAPI,
+  couponsAPI,
+  shippingAPI,
+  paymentsAPI,
+  checkServerHealth,
+  APIError,
+  ORDER_STATUS,
+  setAuthToken,
+  setUnauthorizedHandler
+} from '../api';
 // Estos son los servicios que encapsulan las llamadas HTTP:
 // - productsAPI: CRUD de productos
 // - ordersAPI: CRUD de órdenes
 // - checkServerHealth: Verifica si el servidor está disponible
+// - APIError: Error HTTP que conserva el cuerpo estructurado del backend
+// - ORDER_STATUS: Estados del ciclo de vida de una orden
+// - authAPI, setAuthToken, setUnauthorizedHandler: Sesión del usuario
+// - categoriesAPI: Categorías del catálogo
+// - reviewsAPI: Reseñas de productos y su moderación
+// - wishlistAPI: Favoritos del usuario autenticado
+// - cartAPI: Carrito del usuario autenticado guardado en el servidor
+// - paymentsAPI: Pago en línea de una orden
 
 // ============================================================
 // MOCK GLOBAL DE FETCH
@@ -256,6 +281,94 @@ describe('API Service', () => {
       });
     });
 
+    // ============================================================
+    // LIST - PÁGINA DEL CATÁLOGO (PAGINADO Y ORDEN EN EL SERVIDOR)
+    // ============================================================
+    describe('list', () => {
+      // TEST 4f: Parámetros de JSON Server y total del header X-Total-Count
+      it('debe pedir una página ordenada y leer el total del header', async () => {
+        const mockProducts = [{ id: 8, nombre: 'Xbox Series X' }];
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          headers: new Headers({ 'X-Total-Count': '25' }),
+          json: async () => mockProducts
+        });
+
+        const result = await productsAPI.list({ page: 2, limit: 12, sort: 'precio', order: 'desc' });
+
+        expect(fetch).toHaveBeenCalledWith('http://localhost:3001/products?_page=2&_limit=12&_sort=precio&_order=desc');
+        // 25 productos de a 12 por página = 3 páginas
+        expect(result).toEqual({ items: mockProducts, total: 25, page: 2, limit: 12, totalPages: 3 });
+      });
+
+      // TEST 4g: Página de una categoría
+      it('debe usar la ruta de la categoría conservando la paginación', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          headers: new Headers({ 'X-Total-Count': '0' }),
+          json: async () => []
+        });
+
+        const result = await productsAPI.list({ category: 'consolas' });
+
+        expect(fetch).toHaveBeenCalledWith('http://localhost:3001/products/categoria/consolas?_page=1&_limit=12');
+        expect(result.totalPages).toBe(1);
+      });
+    });
+
+    // ============================================================
+    // SEARCH - BÚSQUEDA DE PRODUCTOS
+    // ============================================================
+    describe('search', () => {
+      // TEST 4d: El texto viaja codificado en la query string
+      it('debe buscar con el texto y el límite indicados', async () => {
+        const mockResults = [{ id: 5, nombre: 'SteelSeries Arctis Pro Wireless' }];
+        fetch.mockResolvedValueOnce({ ok: true, json: async () => mockResults });
+
+        const result = await productsAPI.search('auriculares inalámbricos', { limit: 5 });
+
+        expect(fetch).toHaveBeenCalledWith('http://localhost:3001/products/search?q=auriculares+inal%C3%A1mbricos&limit=5');
+        expect(result).toEqual(mockResults);
+      });
+
+      // TEST 4e: La señal permite cancelar búsquedas viejas
+      it('debe pasar la señal de cancelación a fetch', async () => {
+        const controller = new AbortController();
+        fetch.mockResolvedValueOnce({ ok: true, json: async () => [] });
+
+        await productsAPI.search('razer', { signal: controller.signal });
+
+        expect(fetch).toHaveBeenCalledWith('http://localhost:3001/products/search?q=razer', { signal: controller.signal });
+      });
+    });
+
+    // ============================================================
+    // GET BY CATEGORY - PRODUCTOS DE UNA CATEGORÍA
+    // ============================================================
+    describe('getByCategory', () => {
+      // TEST 4b: El filtro se resuelve en el servidor a partir del slug
+      it('debe pedir los productos de la categoría por su slug', async () => {
+        const mockProducts = [{ id: 5, nombre: 'Auriculares', categoriaId: 4 }];
+        fetch.mockResolvedValueOnce({ ok: true, json: async () => mockProducts });
+
+        const result = await productsAPI.getByCategory('audio');
+
+        expect(fetch).toHaveBeenCalledWith('http://localhost:3001/products/categoria/audio');
+        expect(result).toEqual(mockProducts);
+      });
+
+      // TEST 4c: Categoría inexistente
+      it('debe propagar el 404 de una categoría inexistente', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: false,
+          status: 404,
+          json: async () => ({ error: 'NOT_FOUND', message: 'Categoría no encontrada' })
+        });
+
+        await expect(productsAPI.getByCategory('no-existe')).rejects.toMatchObject({ status: 404 });
+      });
+    });
+
     // ============================================================
     // CREATE - CREAR UN NUEVO PRODUCTO (POST)
     // ============================================================
@@ -459,6 +572,22 @@ describe('API Service', () => {
       });
     });
 
+    // ============================================================
+    // GET MY ORDERS - ÓRDENES PROPIAS ("MIS PEDIDOS")
+    // ============================================================
+    describe('getMine', () => {
+      // TEST 8b: Filtra por usuario y ordena de la más reciente a la más antigua
+      it('debe pedir las órdenes del usuario ordenadas por fecha descendente', async () => {
+        const mockOrders = [{ id: 2, userId: 7, fecha: '2024-01-02' }];
+        fetch.mockResolvedValueOnce({ ok: true, json: async () => mockOrders });
+
+        const result = await ordersAPI.getMine(7);
+
+        expect(fetch).toHaveBeenCalledWith('http://localhost:3001/orders?userId=7&_sort=fecha&_order=desc');
+        expect(result).toEqual(mockOrders);
+      });
+    });
+
     // ============================================================
     // GET ORDER BY ID - OBTENER ORDEN ESPECÍFICA
     // ============================================================
@@ -578,6 +707,37 @@ describe('API Service', () => {
         // - 409: Conflicto (producto sin stock)
         // - 500: Error del servidor
       });
+
+      // TEST 11b: Error de validación del servidor - 422 con detalle estructurado
+      it('debe exponer los errores de validación que devuelve el servidor', async () => {
+        // PASO 1: Orden con un producto que no existe en el catálogo
+        const newOrder = { productos: [{ id: 99, cantidad: 1 }] };
+
+        // PASO 2: Simular la respuesta 422 del backend (server.js)
+        // El backend responde con { error, message, details }
+        fetch.mockResolvedValueOnce({
+          ok: false,
+          status: 422,  // Unprocessable Entity = datos bien formados pero inválidos
+          json: async () => ({
+            error: 'VALIDATION_ERROR',
+            message: 'La orden contiene datos inválidos',
+            details: [{ field: 'productos[0].id', message: 'El producto 99 no existe' }]
+          })
+        });
+
+        // PASO 3: Capturar el error lanzado por create()
+        const error = await ordersAPI.create(newOrder).catch((e) => e);
+
+        // PASO 4: Verificar que el error conserva el status y el cuerpo del servidor
+        // Cart usa estas propiedades para mostrarle al usuario qué producto falló
+        expect(error).toBeInstanceOf(APIError);
+        expect(error.status).toBe(422);
+        expect(error.code).toBe('VALIDATION_ERROR');
+        expect(error.serverMessage).toBe('La orden contiene datos inválidos');
+        expect(error.details).toEqual([
+          { field: 'productos[0].id', message: 'El producto 99 no existe' }
+        ]);
+      });
     });
 
     // ============================================================
@@ -670,6 +830,543 @@ describe('API Service', () => {
         //    - Soft delete con campo deleted_at
       });
     });
+
+    // ============================================================
+    // CICLO DE VIDA - CAMBIOS DE ESTADO DE LA ORDEN
+    // ============================================================
+    describe('cambios de estado', () => {
+      // TEST 13b: markPaid envía un PATCH con el nuevo estado
+      it('debe marcar una orden como pagada con PATCH', async () => {
+        // PASO 1: Simular la orden actualizada que devuelve el backend
+        const paidOrder = {
+          id: 1,
+          status: 'pagada',
+          statusHistory: [
+            { status: 'pendiente', fecha: '2025-10-16T00:39:59.965Z' },
+            { status: 'pagada', fecha: '2025-10-17T10:00:00.000Z' }
+          ]
+        };
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => paidOrder
+        });
+
+        // PASO 2: Usar el atajo markPaid
+        const result = await ordersAPI.markPaid(1);
+
+        // PASO 3: Verificar que solo se envía el estado (PATCH = actualización parcial)
+        expect(fetch).toHaveBeenCalledWith('http://localhost:3001/orders/1', {
+          headers: { 'Content-Type': 'application/json' },
+          method: 'PATCH',
+          body: JSON.stringify({ status: 'pagada' })
+        });
+        expect(result).toEqual(paidOrder);
+      });
+
+      // TEST 13c: Cada atajo envía el estado correspondiente
+      it('debe enviar el estado correcto en ship, deliver y cancel', async () => {
+        // PASO 1: Tres respuestas exitosas seguidas (una por cada llamada)
+        const okResponse = { ok: true, json: async () => ({}) };
+        fetch
+          .mockResolvedValueOnce(okResponse)
+          .mockResolvedValueOnce(okResponse)
+          .mockResolvedValueOnce(okResponse);
+
+        // PASO 2: Llamar a cada atajo
+        await ordersAPI.ship(2);
+        await ordersAPI.deliver(2);
+        await ordersAPI.cancel(3);
+
+        // PASO 3: Verificar el body de cada petición
+        const bodies = fetch.mock.calls.map(([, options]) => JSON.parse(options.body));
+        expect(bodies).toEqual([
+          { status: ORDER_STATUS.ENVIADA },
+          { status: ORDER_STATUS.ENTREGADA },
+          { status: ORDER_STATUS.CANCELADA }
+        ]);
+      });
+
+      // TEST 13d: Transición ilegal - el backend responde 409
+      it('debe fallar con un mensaje claro ante una transición ilegal', async () => {
+        // PASO 1: Simular el rechazo del backend (orden ya entregada)
+        fetch.mockResolvedValueOnce({
+          ok: false,
+          status: 409,  // Conflict = la operación choca con el estado actual del recurso
+          json: async () => ({
+            error: 'INVALID_STATUS_TRANSITION',
+            message: 'No se puede cambiar una orden de "entregada" a "cancelada"',
+            details: []
+          })
+        });
+
+        // PASO 2: Verificar que el error usa el mensaje del servidor
+        // Así quien llama puede mostrar error.message directamente al usuario
+        await expect(ordersAPI.cancel(1)).rejects.toThrow(
+          'No se puede cambiar una orden de "entregada" a "cancelada"'
+        );
+      });
+    });
+
+    // ============================================================
+    // NOTAS INTERNAS DE LA ORDEN (ADMINISTRACIÓN)
+    // ============================================================
+    describe('notas internas', () => {
+      // TEST 13e: Obtener las notas de una orden
+      it('debe obtener las notas de una orden', async () => {
+        const notes = [{ id: 1, orderId: '2', texto: 'Llamar al cliente', autor: 'Admin', fecha: '2025-10-17T10:00:00.000Z' }];
+        fetch.mockResolvedValueOnce({ ok: true, json: async () => notes });
+
+        const result = await ordersAPI.getNotes(2);
+
+        // Ruta anidada de JSON Server: /orders/:id/orderNotes
+        expect(fetch).toHaveBeenCalledWith('http://localhost:3001/orders/2/orderNotes');
+        expect(result).toEqual(notes);
+      });
+
+      // TEST 13f: Agregar una nota (solo se envía el texto)
+      it('debe agregar una nota enviando solo el texto', async () => {
+        fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ id: 2, texto: 'Reenviar factura' }) });
+
+        await ordersAPI.addNote(2, 'Reenviar factura');
+
+        // El autor y la fecha los completa el servidor
+        expect(fetch).toHaveBeenCalledWith('http://localhost:3001/orders/2/orderNotes', {
+          headers: { 'Content-Type': 'application/json' },
+          method: 'POST',
+          body: JSON.stringify({ texto: 'Reenviar factura' })
+        });
+      });
+    });
+
+    // ============================================================
+    // COMPROBANTE DE COMPRA EN PDF
+    // ============================================================
+    describe('downloadReceipt', () => {
+      // TEST 13g: El comprobante se recibe como archivo (Blob), no como JSON
+      it('debe descargar el comprobante de la orden como Blob', async () => {
+        const pdf = new Blob(['%PDF-1.4'], { type: 'application/pdf' });
+        fetch.mockResolvedValueOnce({ ok: true, blob: async () => pdf });
+
+        const result = await ordersAPI.downloadReceipt(4);
+
+        expect(fetch).toHaveBeenCalledWith('http://localhost:3001/orders/4/comprobante.pdf');
+        expect(result).toBe(pdf);
+      });
+
+      // TEST 13h: Una orden ajena o inexistente responde 404 con el error del servidor
+      it('debe lanzar APIError si la orden no existe', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: false,
+          status: 404,
+          json: async () => ({ error: 'NOT_FOUND', message: 'Orden no encontrada', details: [] })
+        });
+
+        const error = await ordersAPI.downloadReceipt(99).catch((e) => e);
+
+        expect(error).toBeInstanceOf(APIError);
+        expect(error.status).toBe(404);
+        expect(error.message).toBe('Orden no encontrada');
+      });
+    });
+  });
+
+  // ============================================================
+  // TESTS DE ESTADÍSTICAS - statsAPI
+  // ============================================================
+  describe('statsAPI', () => {
+    // TEST S1: Los filtros viajan como query string
+    it('debe pedir las estadísticas con el rango y la agrupación', async () => {
+      const stats = { resumen: { ingresos: 0 }, serie: [], productos: [], topVendidos: [] };
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => stats });
+
+      const result = await statsAPI.getSales({ from: '2025-10-01', to: '2025-10-31', groupBy: 'week' });
+
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/stats/sales?from=2025-10-01&to=2025-10-31&groupBy=week');
+      expect(result).toEqual(stats);
+    });
+
+    // TEST S2: Los filtros vacíos no se envían
+    it('debe omitir los parámetros vacíos', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+
+      await statsAPI.getSales({ from: '', groupBy: 'month' });
+
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/stats/sales?groupBy=month');
+    });
+  });
+
+  // ============================================================
+  // TESTS DE CATEGORÍAS - categoriesAPI
+  // ============================================================
+  describe('categoriesAPI', () => {
+    // TEST C1: Listado de categorías
+    it('debe obtener todas las categorías', async () => {
+      const categories = [{ id: 1, nombre: 'Consolas', slug: 'consolas' }];
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => categories });
+
+      const result = await categoriesAPI.getAll();
+
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/categories');
+      expect(result).toEqual(categories);
+    });
+  });
+
+  // ============================================================
+  // TESTS DE RESEÑAS - reviewsAPI
+  // ============================================================
+  describe('reviewsAPI', () => {
+    // TEST R1: Página de reseñas de un producto
+    it('debe pedir una página ordenada de reseñas y leer el total del header', async () => {
+      const reviews = [{ id: 1, productId: 4, rating: 5 }];
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        headers: new Headers({ 'X-Total-Count': '7' }),
+        json: async () => reviews
+      });
+
+      const result = await reviewsAPI.getByProduct(4, { page: 2, sort: 'rating', order: 'desc' });
+
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/products/4/reviews?_page=2&_limit=5&_sort=rating&_order=desc');
+      // 7 reseñas de a 5 por página = 2 páginas
+      expect(result).toEqual({ items: reviews, total: 7, page: 2, limit: 5, totalPages: 2 });
+    });
+
+    // TEST R2: Resumen de puntuaciones de varios productos
+    it('debe pedir el resumen de varios productos en una sola petición', async () => {
+      const summary = { 1: { promedio: 4.5, cantidad: 2 }, 2: { promedio: 0, cantidad: 0 } };
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => summary });
+
+      const result = await reviewsAPI.getSummary([1, 2]);
+
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/reviews/summary?productIds=1%2C2');
+      expect(result).toEqual(summary);
+    });
+
+    // TEST R3: Publicar una reseña
+    it('debe publicar la reseña en la ruta del producto', async () => {
+      const review = { rating: 5, titulo: 'Excelente', texto: 'Muy buena consola' };
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ id: 3, ...review }) });
+
+      await reviewsAPI.create(4, review);
+
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/products/4/reviews',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify(review) })
+      );
+    });
+
+    // TEST R4: Compra no verificada
+    it('debe lanzar un APIError con el código del backend si el usuario no compró el producto', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 403,
+        json: async () => ({ error: 'NOT_VERIFIED_BUYER', message: 'Solo pueden opinar los clientes que compraron este producto' })
+      });
+
+      const error = await reviewsAPI.create(4, { rating: 5, titulo: 'A', texto: 'B' }).catch((err) => err);
+
+      expect(error).toBeInstanceOf(APIError);
+      expect(error.status).toBe(403);
+      expect(error.code).toBe('NOT_VERIFIED_BUYER');
+    });
+
+    // TEST R5: Moderación
+    it('debe ocultar una reseña con PATCH enviando solo la visibilidad', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ id: 3, oculta: true }) });
+
+      await reviewsAPI.setHidden(3, true);
+
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/reviews/3',
+        expect.objectContaining({ method: 'PATCH', body: JSON.stringify({ oculta: true }) })
+      );
+    });
+  });
+
+  // ============================================================
+  // TESTS DE FAVORITOS - wishlistAPI
+  // ============================================================
+  describe('wishlistAPI', () => {
+    // TEST W1: Favoritos guardados en el servidor
+    it('debe obtener los favoritos del usuario', async () => {
+      const wishlist = { productIds: [1], productos: [{ id: 1, nombre: 'PlayStation 5' }] };
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => wishlist });
+
+      const result = await wishlistAPI.get();
+
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/wishlist');
+      expect(result).toEqual(wishlist);
+    });
+
+    // TEST W2: Reemplazar la lista completa
+    it('debe guardar la lista completa de IDs con PUT', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ productIds: [2, 1], productos: [] }) });
+
+      await wishlistAPI.save([2, 1]);
+
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/wishlist',
+        expect.objectContaining({ method: 'PUT', body: JSON.stringify({ productIds: [2, 1] }) })
+      );
+    });
+  });
+
+  // ============================================================
+  // TESTS DEL CARRITO EN EL SERVIDOR - cartAPI
+  // ============================================================
+  describe('cartAPI', () => {
+    // TEST CA1: Carrito guardado en el servidor
+    it('debe obtener el carrito del usuario', async () => {
+      const cart = { items: [{ producto: { id: 1, nombre: 'PlayStation 5' }, cantidad: 2 }], updatedAt: '2024-01-01T00:00:00.000Z' };
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => cart });
+
+      const result = await cartAPI.get();
+
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/cart');
+      expect(result).toEqual(cart);
+    });
+
+    // TEST CA2: Reemplazar el carrito completo
+    it('debe guardar las líneas del carrito con PUT', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ items: [], updatedAt: null, ajustes: [] }) });
+
+      await cartAPI.save([{ productId: 1, cantidad: 2 }]);
+
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/cart',
+        expect.objectContaining({ method: 'PUT', body: JSON.stringify({ items: [{ productId: 1, cantidad: 2 }] }) })
+      );
+    });
+
+    // TEST CA3: Unir el carrito de invitado al iniciar sesión
+    it('debe unir el carrito de invitado con POST /cart/merge', async () => {
+      const merged = { items: [], updatedAt: null, ajustes: [{ productId: 1, nombre: 'PlayStation 5', solicitado: 3, cantidad: 2 }] };
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => merged });
+
+      const result = await cartAPI.merge([{ productId: 1, cantidad: 1 }]);
+
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/cart/merge',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ items: [{ productId: 1, cantidad: 1 }] }) })
+      );
+      expect(result).toEqual(merged);
+    });
+  });
+
+  // ============================================================
+  // TESTS DE ENVÍOS - shippingAPI
+  // ============================================================
+  describe('shippingAPI', () => {
+    // TEST S1: Cotizar un código postal
+    it('debe cotizar el envío con GET /shipping/quote', async () => {
+      const quote = { codigoPostal: 'C1425ABC', provincia: 'Ciudad Autónoma de Buenos Aires', costo: 4999 };
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => quote });
+
+      const result = await shippingAPI.quote('C1425ABC');
+
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/shipping/quote?codigoPostal=C1425ABC');
+      expect(result).toEqual(quote);
+    });
+
+    // TEST S2: El código postal se codifica en la URL
+    it('debe codificar el código postal en la consulta', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+
+      await shippingAPI.quote('c 1425');
+
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/shipping/quote?codigoPostal=c%201425');
+    });
+  });
+
+  // ============================================================
+  // TESTS DE PAGOS - paymentsAPI
+  // ============================================================
+  describe('paymentsAPI', () => {
+    // TEST P1: Iniciar el pago de una orden
+    it('debe iniciar el pago con POST /payments', async () => {
+      const intent = { id: 'pi_sbx_123', orderId: 42, proveedor: 'sandbox', estado: 'pendiente' };
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => intent });
+
+      const result = await paymentsAPI.createIntent(42);
+
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/payments', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ orderId: 42 })
+      }));
+      expect(result).toEqual(intent);
+    });
+
+    // TEST P2: Pagar con los datos de la tarjeta
+    it('debe enviar la tarjeta con POST /payments/:id/confirm', async () => {
+      const tarjeta = { numero: '4509953566233704', titular: 'APRO', vencimiento: '11/30', cvv: '123' };
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ id: 'pi_sbx_123', estado: 'aprobado' }) });
+
+      const result = await paymentsAPI.confirm('pi_sbx_123', { tarjeta });
+
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/payments/pi_sbx_123/confirm', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ tarjeta })
+      }));
+      expect(result.estado).toBe('aprobado');
+    });
+  });
+
+  // ============================================================
+  // TESTS DE CUPONES - couponsAPI
+  // ============================================================
+  describe('couponsAPI', () => {
+    // TEST C1: Validar un código con los productos del carrito
+    it('debe validar el cupón con POST /coupons/validate', async () => {
+      const coupon = { codigo: 'BIENVENIDA10', tipo: 'porcentaje', valor: 10, descuento: 10000 };
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => coupon });
+      const productos = [{ id: 1, cantidad: 1 }];
+
+      const result = await couponsAPI.validate('bienvenida10', productos);
+
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/coupons/validate',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ codigo: 'bienvenida10', productos }) })
+      );
+      expect(result).toEqual(coupon);
+    });
+
+    // TEST C2: Cupón inválido - el motivo llega en serverMessage
+    it('debe propagar el motivo cuando el cupón no es válido', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 422,
+        json: async () => ({ error: 'INVALID_COUPON', message: 'El cupón está vencido', details: [] })
+      });
+
+      const error = await couponsAPI.validate('VIEJO', []).catch((e) => e);
+
+      expect(error.status).toBe(422);
+      expect(error.serverMessage).toBe('El cupón está vencido');
+    });
+  });
+
+  // ============================================================
+  // TESTS DE AUTENTICACIÓN - authAPI Y TOKEN DE SESIÓN
+  // ============================================================
+  describe('authAPI y sesión', () => {
+    afterEach(() => {
+      // El token y el handler de 401 son estado del módulo: limpiarlos entre tests
+      setAuthToken(null);
+      setUnauthorizedHandler(null);
+    });
+
+    // TEST A1: Login - POST /auth/login
+    it('debe iniciar sesión y devolver token y usuario', async () => {
+      // PASO 1: Simular la respuesta del backend
+      const session = { token: 'abc.def.ghi', user: { id: 1, nombre: 'Ana', email: 'ana@mail.com', role: 'cliente' } };
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => session });
+
+      // PASO 2: Iniciar sesión
+      const result = await authAPI.login({ email: 'ana@mail.com', password: 'secreta123' });
+
+      // PASO 3: Verificar la petición y la respuesta
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/auth/login', {
+        headers: { 'Content-Type': 'application/json' },
+        method: 'POST',
+        body: JSON.stringify({ email: 'ana@mail.com', password: 'secreta123' })
+      });
+      expect(result).toEqual(session);
+    });
+
+    // TEST A2: Con sesión iniciada, todas las peticiones llevan el token
+    it('debe agregar el header Authorization cuando hay token', async () => {
+      // PASO 1: Configurar el token (lo hace useAuthStore al iniciar sesión)
+      setAuthToken('token-123');
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => [] });
+
+      // PASO 2: Hacer una petición cualquiera
+      await ordersAPI.getAll();
+
+      // PASO 3: Verificar el header "Authorization: Bearer <token>"
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/orders', {
+        headers: { Authorization: 'Bearer token-123' }
+      });
+    });
+
+    // TEST A3: El token se combina con los headers existentes
+    it('debe conservar Content-Type al agregar el token', async () => {
+      setAuthToken('token-123');
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ id: 5 }) });
+
+      await ordersAPI.create({ productos: [{ id: 1, cantidad: 1 }] });
+
+      expect(fetch.mock.calls[0][1].headers).toEqual({
+        'Content-Type': 'application/json',
+        Authorization: 'Bearer token-123'
+      });
+    });
+
+    // TEST A3b: La clave de idempotencia viaja en su propio header
+    it('debe enviar la clave de idempotencia al crear una orden', async () => {
+      setAuthToken('token-123');
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ id: 5 }) });
+
+      await ordersAPI.create({ productos: [{ id: 1, cantidad: 1 }] }, { idempotencyKey: 'intento-0001' });
+
+      expect(fetch.mock.calls[0][1].headers).toEqual({
+        'Content-Type': 'application/json',
+        'Idempotency-Key': 'intento-0001',
+        Authorization: 'Bearer token-123'
+      });
+    });
+
+    // TEST A4: Un 401 ejecuta el handler de sesión vencida (redirección al login)
+    it('debe avisar al handler de 401 cuando la sesión no es válida', async () => {
+      // PASO 1: Registrar un handler simulado
+      const onUnauthorized = vi.fn();
+      setUnauthorizedHandler(onUnauthorized);
+      fetch.mockResolvedValueOnce({ ok: false, status: 401 });
+
+      // PASO 2: La petición falla con el status 401
+      await expect(ordersAPI.getAll()).rejects.toMatchObject({ status: 401 });
+
+      // PASO 3: Se llamó al handler (useAuthStore redirige al login)
+      expect(onUnauthorized).toHaveBeenCalledTimes(1);
+    });
+
+    // TEST A5: En el login un 401 son credenciales incorrectas, no una sesión vencida
+    it('no debe redirigir cuando el login responde 401', async () => {
+      const onUnauthorized = vi.fn();
+      setUnauthorizedHandler(onUnauthorized);
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 401,
+        json: async () => ({ error: 'INVALID_CREDENTIALS', message: 'Email o contraseña incorrectos', details: [] })
+      });
+
+      await expect(authAPI.login({ email: 'ana@mail.com', password: 'mala' }))
+        .rejects.toThrow('Email o contraseña incorrectos');
+      expect(onUnauthorized).not.toHaveBeenCalled();
+    });
+
+    // TEST A6: Restablecer la contraseña - POST /auth/password-reset y /auth/password-reset/confirm
+    it('debe pedir el enlace y confirmar la contraseña nueva', async () => {
+      // PASO 1: Pedir el enlace por email
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ message: 'Enlace enviado' }) });
+      await authAPI.requestPasswordReset('ana@mail.com');
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/auth/password-reset', {
+        headers: { 'Content-Type': 'application/json' },
+        method: 'POST',
+        body: JSON.stringify({ email: 'ana@mail.com' })
+      });
+
+      // PASO 2: Confirmar con el token del enlace; devuelve la sesión
+      const session = { token: 'abc.def.ghi', user: { id: 1, nombre: 'Ana', email: 'ana@mail.com', role: 'cliente' } };
+      fetch.mockResolvedValueOnce({ ok: true, json: async () => session });
+      const result = await authAPI.confirmPasswordReset({ token: 'token-del-enlace', password: 'nueva12345' });
+      expect(fetch).toHaveBeenLastCalledWith('http://localhost:3001/auth/password-reset/confirm', {
+        headers: { 'Content-Type': 'application/json' },
+        method: 'POST',
+        body: JSON.stringify({ token: 'token-del-enlace', password: 'nueva12345' })
+      });
+      expect(result).toEqual(session);
+    });
   });
 
   // ============================================================
@@ -0,0 +1,60 @@
+// ============================================================
+// TESTS DEL MÓDULO DE IMPUESTOS
+// taxes.js calcula el precio sin impuestos nacionales, separa neto e IVA
+// por alícuota y valida el CUIT de la Factura A (mismas reglas que el backend)
+// ============================================================
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect } from 'vitest';
+
+// Funciones que vamos a testear
+import { getIvaRate, netPrice, formatIvaRate, isValidCuit, taxBreakdown } from '../taxes';
+
+describe('taxes - IVA y facturación', () => {
+  // TEST 1: Alícuota de cada producto
+  it('debe usar la alícuota del producto o la general si no tiene una válida', () => {
+    expect(getIvaRate({ iva: 10.5 })).toBe(10.5);
+    expect(getIvaRate({ iva: 21 })).toBe(21);
+    expect(getIvaRate({})).toBe(21);
+    expect(getIvaRate({ iva: 27 })).toBe(21);
+    expect(formatIvaRate(10.5)).toBe('10,5%');
+  });
+
+  // TEST 2: Precio sin impuestos nacionales
+  it('debe descontar el IVA incluido en el precio final', () => {
+    expect(netPrice(121000, 21)).toBe(100000);
+    expect(netPrice(110500, 10.5)).toBe(100000);
+    // Se redondea a centavos
+    expect(netPrice(45000, 21)).toBe(37190.08);
+  });
+
+  // TEST 3: Desglose por alícuota
+  it('debe agrupar los importes por alícuota y restar los descuentos', () => {
+    const taxes = taxBreakdown([
+      { alicuota: 21, monto: 121000 },
+      { alicuota: 10.5, monto: 221000 },
+      { alicuota: 10.5, monto: -110500 }
+    ]);
+
+    expect(taxes).toEqual({
+      neto: 200000,
+      iva: [
+        { alicuota: 21, neto: 100000, monto: 21000 },
+        { alicuota: 10.5, neto: 100000, monto: 10500 }
+      ]
+    });
+  });
+
+  // TEST 4: CUIT
+  it('debe validar el CUIT por su dígito verificador', () => {
+    // PASO 1: CUIT válidos, con o sin guiones
+    expect(isValidCuit('20-12345678-6')).toBe(true);
+    expect(isValidCuit('30712345671')).toBe(true);
+
+    // PASO 2: Dígito verificador incorrecto, prefijo inexistente o largo incorrecto
+    expect(isValidCuit('20-12345678-5')).toBe(false);
+    expect(isValidCuit('99-12345678-6')).toBe(false);
+    expect(isValidCuit('2012345678')).toBe(false);
+    expect(isValidCuit('')).toBe(false);
+  });
+});
@@ -13,24 +13,105 @@ const defaultOptions = {
   },
 };
 
+// === SESIÓN ===
+// Token de la sesión actual; lo configura el store de autenticación (useAuthStore)
+// Se guarda aquí (y no se importa el store) para evitar una dependencia circular
+let authToken = null;
+// Función a ejecutar cuando el servidor responde 401 (sesión vencida o inexistente)
+let unauthorizedHandler = null;
+
+// Configura el token que se envía en el header Authorization (null para cerrar sesión)
+export const setAuthToken = (token) => {
+  authToken = token || null;
+};
+
+// Registra la acción ante un 401 (el store de autenticación redirige al login)
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// fetch con la URL base y el token de sesión agregado automáticamente si existe
+// Sin token la llamada es idéntica a un fetch normal
+const apiFetch = (path, options) => {
+  const url = `${API_BASE_URL}${path}`;
+  if (!authToken) {
+    return options ? fetch(url, options) : fetch(url);
+  }
+  return fetch(url, {
+    ...options,
+    headers: {
+      ...options?.headers,
+      Authorization: `Bearer ${authToken}`,
+    },
+  });
+};
+
+// Error HTTP enriquecido con el cuerpo estructurado que envía el backend
+// Formato del backend: { error: 'VALIDATION_ERROR', message: '...', details: [{ field, message }] }
+export class APIError extends Error {
+  constructor(status, body) {
+    // Si el servidor explicó el motivo se usa como mensaje; si no, el status HTTP
+    super(body?.message || `HTTP error! status: ${status}`);
+    this.name = 'APIError';
+    this.status = status;                        // Código HTTP (422, 404, 500...)
+    this.code = body?.error ?? null;             // Identificador estable del error
+    this.serverMessage = body?.message ?? null;  // Mensaje legible enviado por el servidor
+    this.details = body?.details ?? [];          // Errores por campo
+  }
+}
+
+// Lee el cuerpo JSON de una respuesta de error si existe (algunas respuestas no traen cuerpo)
+const readErrorBody = async (response) => {
+  if (typeof response.json !== 'function') {
+    return null;
+  }
+  try {
+    return await response.json();
+  } catch {
+    return null;
+  }
+};
+
 // Función utilitaria para manejo centralizado de respuestas HTTP
 // Convierte respuestas HTTP en objetos JavaScript o lanza errores
-const handleResponse = async (response) => {
+// notifyUnauthorized: false en login/registro, donde un 401 significa credenciales incorrectas
+// responseType: 'blob' para descargar archivos (ej: el comprobante en PDF) en lugar de leer JSON
+const handleResponse = async (response, { notifyUnauthorized = true, responseType = 'json' } = {}) => {
   // Verificar si la respuesta HTTP fue exitosa (status 200-299)
   if (!response.ok) {
-    // Si hay error, lanzar excepción con información del status HTTP
-    throw new Error(`HTTP error! status: ${response.status}`);
+    // 401: la sesión no existe o venció; avisar para redirigir al login
+    if (response.status === 401 && notifyUnauthorized && unauthorizedHandler) {
+      unauthorizedHandler();
+    }
+    // Si hay error, lanzar excepción con el status HTTP y el detalle enviado por el servidor
+    throw new APIError(response.status, await readErrorBody(response));
   }
-  // Si es exitosa, parsear el JSON y retornarlo
-  return await response.json();
+  // Si es exitosa, parsear el JSON (o leer el archivo binario, ej: un PDF) y retornarlo
+  return responseType === 'blob' ? await response.blob() : await response.json();
+};
+
+// === CATÁLOGO ===
+// Productos por página en el listado del catálogo
+export const PRODUCTS_PAGE_SIZE = 12;
+
+// Opciones de orden del catálogo: clave usada en la URL (?sort=) -> campo y dirección en JSON Server
+// "Más nuevos" usa el ID, que JSON Server asigna de forma creciente al crear cada producto
+export const PRODUCT_SORT_OPTIONS = {
+  nuevos: { label: 'Más nuevos', sort: 'id', order: 'desc' },
+  'precio-asc': { label: 'Precio: menor a mayor', sort: 'precio', order: 'asc' },
+  'precio-desc': { label: 'Precio: mayor a menor', sort: 'precio', order: 'desc' },
+  nombre: { label: 'Nombre (A-Z)', sort: 'nombre', order: 'asc' },
 };
 
+// Orden por defecto cuando la URL no indica uno
+export const DEFAULT_PRODUCT_SORT = 'nuevos';
+
 // SERVICIOS PARA PRODUCTOS
 export const productsAPI = {
   // Obtener todos los productos
   getAll: async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/products`);
+      const response = await apiFetch('/products');
       return await handleResponse(response);
     } catch (error) {
       console.error('Error fetching products:', error);
@@ -38,10 +119,69 @@ export const productsAPI = {
     }
   },
 
+  // Obtener una página del catálogo (paginado y ordenado en el servidor)
+  // - page / limit: número de página (desde 1) y productos por página
+  // - sort / order: campo y dirección del orden ('asc' | 'desc'); sin sort se usa el orden del catálogo
+  // - category: slug de la categoría (opcional); una categoría inexistente responde 404
+  // Retorna { items, total, page, limit, totalPages } - total sale del header X-Total-Count
+  list: async ({ page = 1, limit = PRODUCTS_PAGE_SIZE, sort, order, category } = {}) => {
+    try {
+      const params = new URLSearchParams({ _page: page, _limit: limit });
+      if (sort) {
+        params.set('_sort', sort);
+        params.set('_order', order === 'desc' ? 'desc' : 'asc');
+      }
+      const path = category ? `/products/categoria/${encodeURIComponent(category)}` : '/products';
+      const response = await apiFetch(`${path}?${params.toString()}`);
+      const items = await handleResponse(response);
+
+      // Sin el header (ej: un servidor sin paginación) se asume que llegó todo el catálogo
+      const totalHeader = response.headers?.get('X-Total-Count');
+      const total = totalHeader === null || totalHeader === undefined ? items.length : Number(totalHeader);
+      return { items, total, page, limit, totalPages: Math.max(1, Math.ceil(total / limit)) };
+    } catch (error) {
+      console.error('Error listing products:', error);
+      throw error;
+    }
+  },
+
+  // Buscar productos por nombre y descripción (sin distinguir acentos y tolerando errores de tipeo)
+  // Los resultados llegan ordenados por relevancia: primero las coincidencias en el nombre
+  // - options.limit: cantidad máxima de resultados
+  // - options.signal: AbortSignal para descartar búsquedas que quedaron viejas
+  search: async (query, { limit, signal } = {}) => {
+    try {
+      const params = new URLSearchParams({ q: query });
+      if (limit) {
+        params.set('limit', limit);
+      }
+      const response = await apiFetch(`/products/search?${params.toString()}`, signal ? { signal } : undefined);
+      return await handleResponse(response);
+    } catch (error) {
+      // Una búsqueda cancelada no es un error: la reemplazó otra más reciente
+      if (error.name !== 'AbortError') {
+        console.error(`Error searching products for "${query}":`, error);
+      }
+      throw error;
+    }
+  },
+
+  // Obtener los productos de una categoría por su slug (el filtrado lo hace el servidor)
+  // Una categoría inexistente responde 404
+  getByCategory: async (slug) => {
+    try {
+      const response = await apiFetch(`/products/categoria/${encodeURIComponent(slug)}`);
+      return await handleResponse(response);
+    } catch (error) {
+      console.error(`Error fetching products of category ${slug}:`, error);
+      throw error;
+    }
+  },
+
   // Obtener un producto por ID
   getById: async (id) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/products/${id}`);
+      const response = await apiFetch(`/products/${id}`);
       return await handleResponse(response);
     } catch (error) {
       console.error(`Error fetching product ${id}:`, error);
@@ -49,10 +189,10 @@ export const productsAPI = {
     }
   },
 
-  // Crear un nuevo producto (para futuras funcionalidades de admin)
+  // Crear un nuevo producto (panel de administración, requiere rol admin)
   create: async (product) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/products`, {
+      const response = await apiFetch('/products', {
         ...defaultOptions,
         method: 'POST',
         body: JSON.stringify(product),
@@ -67,7 +207,7 @@ export const productsAPI = {
   // Actualizar un producto existente
   update: async (id, product) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/products/${id}`, {
+      const response = await apiFetch(`/products/${id}`, {
         ...defaultOptions,
         method: 'PUT',
         body: JSON.stringify(product),
@@ -82,7 +222,7 @@ export const productsAPI = {
   // Eliminar un producto
   delete: async (id) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/products/${id}`, {
+      const response = await apiFetch(`/products/${id}`, {
         method: 'DELETE',
       });
       return await handleResponse(response);
@@ -93,12 +233,405 @@ export const productsAPI = {
   },
 };
 
+// SERVICIOS PARA CATEGORÍAS
+export const categoriesAPI = {
+  // Obtener todas las categorías
+  getAll: async () => {
+    try {
+      const response = await apiFetch('/categories');
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      throw error;
+    }
+  },
+};
+
+// === RESEÑAS ===
+// Reseñas por página en el detalle de producto
+export const REVIEWS_PAGE_SIZE = 5;
+
+// Opciones de orden de las reseñas: clave -> campo y dirección en JSON Server
+export const REVIEW_SORT_OPTIONS = {
+  recientes: { label: 'Más recientes', sort: 'fecha', order: 'desc' },
+  'mejor-puntuadas': { label: 'Mejor puntuadas', sort: 'rating', order: 'desc' },
+  'peor-puntuadas': { label: 'Peor puntuadas', sort: 'rating', order: 'asc' },
+};
+
+// Orden por defecto de las reseñas
+export const DEFAULT_REVIEW_SORT = 'recientes';
+
+// SERVICIOS PARA RESEÑAS
+export const reviewsAPI = {
+  // Obtener una página de reseñas visibles de un producto
+  // Retorna { items, total, page, limit, totalPages } igual que productsAPI.list
+  getByProduct: async (productId, { page = 1, limit = REVIEWS_PAGE_SIZE, sort, order } = {}) => {
+    try {
+      const params = new URLSearchParams({ _page: page, _limit: limit });
+      if (sort) {
+        params.set('_sort', sort);
+        params.set('_order', order === 'desc' ? 'desc' : 'asc');
+      }
+      const response = await apiFetch(`/products/${productId}/reviews?${params.toString()}`);
+      const items = await handleResponse(response);
+
+      const totalHeader = response.headers?.get('X-Total-Count');
+      const total = totalHeader === null || totalHeader === undefined ? items.length : Number(totalHeader);
+      return { items, total, page, limit, totalPages: Math.max(1, Math.ceil(total / limit)) };
+    } catch (error) {
+      console.error(`Error fetching reviews of product ${productId}:`, error);
+      throw error;
+    }
+  },
+
+  // Promedio y cantidad de reseñas de varios productos: { [productId]: { promedio, cantidad } }
+  getSummary: async (productIds) => {
+    try {
+      const params = new URLSearchParams({ productIds: productIds.join(',') });
+      const response = await apiFetch(`/reviews/summary?${params.toString()}`);
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Error fetching review summary:', error);
+      throw error;
+    }
+  },
+
+  // Publicar una reseña ({ rating, titulo, texto }) - requiere sesión
+  // El backend responde 403 si el usuario no compró el producto, 409 si ya lo reseñó
+  // y 422 con los errores por campo en error.details si los datos son inválidos
+  create: async (productId, review) => {
+    try {
+      const response = await apiFetch(`/products/${productId}/reviews`, {
+        ...defaultOptions,
+        method: 'POST',
+        body: JSON.stringify(review),
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error(`Error creating review of product ${productId}:`, error);
+      throw error;
+    }
+  },
+
+  // Obtener todas las reseñas, más recientes primero (los administradores también reciben las ocultas)
+  getAll: async () => {
+    try {
+      const response = await apiFetch('/reviews?_sort=fecha&_order=desc');
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+      throw error;
+    }
+  },
+
+  // Ocultar o volver a mostrar una reseña (moderación, requiere rol admin)
+  setHidden: async (id, oculta) => {
+    try {
+      const response = await apiFetch(`/reviews/${id}`, {
+        ...defaultOptions,
+        method: 'PATCH',
+        body: JSON.stringify({ oculta }),
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error(`Error updating review ${id}:`, error);
+      throw error;
+    }
+  },
+};
+
+// SERVICIOS PARA FAVORITOS (lista de deseos del usuario autenticado)
+export const wishlistAPI = {
+  // Obtener los favoritos guardados en el servidor: { productIds, productos }
+  get: async () => {
+    try {
+      const response = await apiFetch('/wishlist');
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Error fetching wishlist:', error);
+      throw error;
+    }
+  },
+
+  // Reemplazar la lista completa de favoritos; los productos que ya no existen se descartan
+  save: async (productIds) => {
+    try {
+      const response = await apiFetch('/wishlist', {
+        ...defaultOptions,
+        method: 'PUT',
+        body: JSON.stringify({ productIds }),
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Error saving wishlist:', error);
+      throw error;
+    }
+  },
+};
+
+// SERVICIOS PARA EL CARRITO GUARDADO EN EL SERVIDOR (usuario autenticado)
+// Las líneas se envían como { productId, cantidad } y se reciben como { producto, cantidad },
+// con los datos actuales de cada producto; el servidor limita las cantidades al stock disponible
+export const cartAPI = {
+  // Obtener el carrito guardado: { items, updatedAt }
+  get: async () => {
+    try {
+      const response = await apiFetch('/cart');
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Error fetching cart:', error);
+      throw error;
+    }
+  },
+
+  // Reemplazar el carrito completo
+  save: async (items) => {
+    try {
+      const response = await apiFetch('/cart', {
+        ...defaultOptions,
+        method: 'PUT',
+        body: JSON.stringify({ items }),
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Error saving cart:', error);
+      throw error;
+    }
+  },
+
+  // Unir el carrito de invitado con el de la cuenta (al iniciar sesión)
+  // Retorna { items, updatedAt, ajustes }: ajustes lista las líneas recortadas por falta de stock
+  merge: async (items) => {
+    try {
+      const response = await apiFetch('/cart/merge', {
+        ...defaultOptions,
+        method: 'POST',
+        body: JSON.stringify({ items }),
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Error merging cart:', error);
+      throw error;
+    }
+  },
+};
+
+// === ENVÍOS ===
+// Envío gratis desde este monto (productos menos descuentos); el backend aplica el mismo umbral
+export const FREE_SHIPPING_THRESHOLD = 800000;
+
+// SERVICIOS PARA ENVÍOS
+export const shippingAPI = {
+  // Cotizar el envío a un código postal (CPA "C1425ABC" o numérico "1425")
+  // Devuelve { codigoPostal, provincia, zona, costo, diasMin, diasMax, envioGratisDesde }
+  quote: async (codigoPostal) => {
+    try {
+      const response = await apiFetch(`/shipping/quote?codigoPostal=${encodeURIComponent(codigoPostal)}`);
+      return await handleResponse(response);
+    } catch (error) {
+      console.error(`Error quoting shipping to ${codigoPostal}:`, error);
+      throw error;
+    }
+  },
+};
+
+// SERVICIOS PARA CUPONES DE DESCUENTO
+export const couponsAPI = {
+  // Validar un código contra los productos del carrito
+  // Devuelve las reglas públicas del cupón y el descuento calculado por el servidor
+  validate: async (codigo, productos) => {
+    try {
+      const response = await apiFetch('/coupons/validate', {
+        ...defaultOptions,
+        method: 'POST',
+        body: JSON.stringify({ codigo, productos }),
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error(`Error validating coupon ${codigo}:`, error);
+      throw error;
+    }
+  },
+};
+
+// SERVICIOS DE AUTENTICACIÓN
+export const authAPI = {
+  // Crear una cuenta nueva; devuelve { token, user }
+  register: async ({ nombre, email, password }) => {
+    try {
+      const response = await apiFetch('/auth/register', {
+        ...defaultOptions,
+        method: 'POST',
+        body: JSON.stringify({ nombre, email, password }),
+      });
+      return await handleResponse(response, { notifyUnauthorized: false });
+    } catch (error) {
+      console.error('Error registering user:', error);
+      throw error;
+    }
+  },
+
+  // Iniciar sesión; devuelve { token, user } o falla con 401 si las credenciales son incorrectas
+  login: async ({ email, password }) => {
+    try {
+      const response = await apiFetch('/auth/login', {
+        ...defaultOptions,
+        method: 'POST',
+        body: JSON.stringify({ email, password }),
+      });
+      return await handleResponse(response, { notifyUnauthorized: false });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      throw error;
+    }
+  },
+
+  // Pedir por email el enlace para restablecer la contraseña
+  // El backend responde 202 exista o no la cuenta (no revela qué emails están registrados)
+  requestPasswordReset: async (email) => {
+    try {
+      const response = await apiFetch('/auth/password-reset', {
+        ...defaultOptions,
+        method: 'POST',
+        body: JSON.stringify({ email }),
+      });
+      return await handleResponse(response, { notifyUnauthorized: false });
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+      throw error;
+    }
+  },
+
+  // Elegir la contraseña nueva con el token del enlace; devuelve { token, user } como el login
+  // Falla con 400 si el enlace no es válido o venció, y con 422 si la contraseña no es válida
+  confirmPasswordReset: async ({ token, password }) => {
+    try {
+      const response = await apiFetch('/auth/password-reset/confirm', {
+        ...defaultOptions,
+        method: 'POST',
+        body: JSON.stringify({ token, password }),
+      });
+      return await handleResponse(response, { notifyUnauthorized: false });
+    } catch (error) {
+      console.error('Error confirming password reset:', error);
+      throw error;
+    }
+  },
+
+  // Obtener los datos del usuario de la sesión actual
+  me: async () => {
+    try {
+      const response = await apiFetch('/auth/me');
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Error fetching current user:', error);
+      throw error;
+    }
+  },
+};
+
+// Estados del ciclo de vida de una orden (deben coincidir con backend/lib/orderStatus.js)
+// pendiente → pagada → enviada → entregada, o cancelada desde pendiente/pagada
+// rechazada: el proveedor de pagos rechazó el pago de una orden pendiente
+export const ORDER_STATUS = {
+  PENDIENTE: 'pendiente',
+  PAGADA: 'pagada',
+  ENVIADA: 'enviada',
+  ENTREGADA: 'entregada',
+  CANCELADA: 'cancelada',
+  RECHAZADA: 'rechazada',
+};
+
+// Nombres de cada estado para mostrar en la interfaz
+export const ORDER_STATUS_LABELS = {
+  [ORDER_STATUS.PENDIENTE]: 'Pendiente',
+  [ORDER_STATUS.PAGADA]: 'Pagada',
+  [ORDER_STATUS.ENVIADA]: 'Enviada',
+  [ORDER_STATUS.ENTREGADA]: 'Entregada',
+  [ORDER_STATUS.CANCELADA]: 'Cancelada',
+  [ORDER_STATUS.RECHAZADA]: 'Rechazada',
+};
+
+// Transiciones permitidas desde cada estado (las mismas que valida el backend)
+// Se usan para ofrecer en la interfaz solo las acciones posibles
+export const ORDER_TRANSITIONS = {
+  [ORDER_STATUS.PENDIENTE]: [ORDER_STATUS.PAGADA, ORDER_STATUS.RECHAZADA, ORDER_STATUS.CANCELADA],
+  [ORDER_STATUS.PAGADA]: [ORDER_STATUS.ENVIADA, ORDER_STATUS.CANCELADA],
+  [ORDER_STATUS.ENVIADA]: [ORDER_STATUS.ENTREGADA],
+  [ORDER_STATUS.ENTREGADA]: [],
+  [ORDER_STATUS.CANCELADA]: [],
+  [ORDER_STATUS.RECHAZADA]: [],
+};
+
+// === CHECKOUT ===
+// Formas de entrega (las mismas que valida el backend); el retiro en el local no tiene costo
+export const DELIVERY_METHOD_LABELS = {
+  domicilio: 'Envío a domicilio',
+  retiro: 'Retiro en el local',
+};
+
+// Medios de pago; el efectivo solo está disponible al retirar en el local
+export const PAYMENT_METHOD_LABELS = {
+  tarjeta: 'Tarjeta de crédito o débito',
+  transferencia: 'Transferencia bancaria',
+  efectivo: 'Efectivo al retirar',
+};
+
+// === PAGOS ===
+// Medios de pago que se cobran en línea con el proveedor de pagos (los demás los confirma un administrador)
+export const ONLINE_PAYMENT_METHODS = ['tarjeta'];
+
+// Estados de un pago en línea (backend/lib/payments.js)
+export const PAYMENT_STATUS_LABELS = {
+  pendiente: 'Pendiente',
+  aprobado: 'Aprobado',
+  rechazado: 'Rechazado',
+  reembolsado: 'Reembolsado',
+};
+
+// SERVICIOS PARA PAGOS EN LÍNEA
+// El backend habla con el proveedor configurado (sandbox por defecto); el resultado del pago
+// llega a la orden por la notificación (webhook) del proveedor
+export const paymentsAPI = {
+  // Iniciar el pago de una orden pendiente
+  // Devuelve { id, orderId, proveedor, estado, monto, moneda }; "proveedor" indica qué formulario mostrar
+  createIntent: async (orderId) => {
+    try {
+      const response = await apiFetch('/payments', {
+        ...defaultOptions,
+        method: 'POST',
+        body: JSON.stringify({ orderId }),
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error(`Error creating payment for order ${orderId}:`, error);
+      throw error;
+    }
+  },
+
+  // Pagar con los datos del medio de pago (el sandbox pide { tarjeta: { numero, titular, vencimiento, cvv } })
+  // Devuelve el pago con su estado: aprobado, rechazado o pendiente (en revisión)
+  confirm: async (paymentId, datos) => {
+    try {
+      const response = await apiFetch(`/payments/${paymentId}/confirm`, {
+        ...defaultOptions,
+        method: 'POST',
+        body: JSON.stringify(datos),
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error(`Error confirming payment ${paymentId}:`, error);
+      throw error;
+    }
+  },
+};
+
 // SERVICIOS PARA ÓRDENES DE COMPRA
 export const ordersAPI = {
-  // Obtener todas las órdenes
+  // Obtener las órdenes (el backend devuelve solo las del usuario autenticado; todas si es admin)
   getAll: async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/orders`);
+      const response = await apiFetch('/orders');
       return await handleResponse(response);
     } catch (error) {
       console.error('Error fetching orders:', error);
@@ -106,10 +639,22 @@ export const ordersAPI = {
     }
   },
 
+  // Obtener las órdenes propias de un usuario, de la más reciente a la más antigua ("Mis pedidos")
+  // El filtro por userId hace que un administrador vea solo sus compras y no las de toda la tienda
+  getMine: async (userId) => {
+    try {
+      const response = await apiFetch(`/orders?userId=${encodeURIComponent(userId)}&_sort=fecha&_order=desc`);
+      return await handleResponse(response);
+    } catch (error) {
+      console.error(`Error fetching orders of user ${userId}:`, error);
+      throw error;
+    }
+  },
+
   // Obtener una orden por ID
   getById: async (id) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/orders/${id}`);
+      const response = await apiFetch(`/orders/${id}`);
       return await handleResponse(response);
     } catch (error) {
       console.error(`Error fetching order ${id}:`, error);
@@ -118,10 +663,17 @@ export const ordersAPI = {
   },
 
   // Crear una nueva orden (proceso de checkout)
-  create: async (order) => {
+  // El backend recalcula precios y total; si la orden es inválida responde 422
+  // y el APIError lanzado incluye los errores por línea en error.details
+  // Con idempotencyKey, reenviar la misma clave devuelve la orden ya creada en lugar de duplicarla
+  create: async (order, { idempotencyKey } = {}) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/orders`, {
+      const response = await apiFetch('/orders', {
         ...defaultOptions,
+        headers: {
+          ...defaultOptions.headers,
+          ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
+        },
         method: 'POST',
         body: JSON.stringify(order),
       });
@@ -132,10 +684,22 @@ export const ordersAPI = {
     }
   },
 
+  // Descargar el comprobante de compra en PDF (solo el dueño de la orden o un administrador)
+  // Devuelve un Blob "application/pdf"; la ruta requiere sesión, por eso no alcanza con un enlace directo
+  downloadReceipt: async (id) => {
+    try {
+      const response = await apiFetch(`/orders/${id}/comprobante.pdf`);
+      return await handleResponse(response, { responseType: 'blob' });
+    } catch (error) {
+      console.error(`Error downloading receipt of order ${id}:`, error);
+      throw error;
+    }
+  },
+
   // Actualizar el estado de una orden
   update: async (id, order) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/orders/${id}`, {
+      const response = await apiFetch(`/orders/${id}`, {
         ...defaultOptions,
         method: 'PUT',
         body: JSON.stringify(order),
@@ -150,7 +714,7 @@ export const ordersAPI = {
   // Eliminar una orden
   delete: async (id) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/orders/${id}`, {
+      const response = await apiFetch(`/orders/${id}`, {
         method: 'DELETE',
       });
       return await handleResponse(response);
@@ -159,6 +723,78 @@ export const ordersAPI = {
       throw error;
     }
   },
+
+  // Cambiar el estado de una orden (el backend valida que la transición esté permitida)
+  // Ante una transición ilegal el servidor responde 409 y el error trae un mensaje como:
+  // 'No se puede cambiar una orden de "entregada" a "cancelada"'
+  changeStatus: async (id, status) => {
+    try {
+      const response = await apiFetch(`/orders/${id}`, {
+        ...defaultOptions,
+        method: 'PATCH',
+        body: JSON.stringify({ status }),
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error(`Error changing status of order ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Atajos para cada transición del ciclo de vida
+  markPaid: (id) => ordersAPI.changeStatus(id, ORDER_STATUS.PAGADA),
+  ship: (id) => ordersAPI.changeStatus(id, ORDER_STATUS.ENVIADA),
+  deliver: (id) => ordersAPI.changeStatus(id, ORDER_STATUS.ENTREGADA),
+  cancel: (id) => ordersAPI.changeStatus(id, ORDER_STATUS.CANCELADA),
+
+  // Notas internas de una orden (solo administradores; los clientes nunca las ven)
+  getNotes: async (id) => {
+    try {
+      const response = await apiFetch(`/orders/${id}/orderNotes`);
+      return await handleResponse(response);
+    } catch (error) {
+      console.error(`Error fetching notes of order ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Agregar una nota interna; el backend completa el autor y la fecha
+  addNote: async (id, texto) => {
+    try {
+      const response = await apiFetch(`/orders/${id}/orderNotes`, {
+        ...defaultOptions,
+        method: 'POST',
+        body: JSON.stringify({ texto }),
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error(`Error adding note to order ${id}:`, error);
+      throw error;
+    }
+  },
+};
+
+// SERVICIOS DE ESTADÍSTICAS (panel de administración)
+export const statsAPI = {
+  // Métricas de ventas en un rango de fechas
+  // - from / to: fechas AAAA-MM-DD inclusivas (opcionales)
+  // - groupBy: 'day' | 'week' | 'month'
+  getSales: async ({ from, to, groupBy } = {}) => {
+    try {
+      const params = new URLSearchParams();
+      Object.entries({ from, to, groupBy }).forEach(([key, value]) => {
+        if (value) {
+          params.set(key, value);
+        }
+      });
+      const query = params.toString();
+      const response = await apiFetch(`/stats/sales${query ? `?${query}` : ''}`);
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Error fetching sales stats:', error);
+      throw error;
+    }
+  },
 };
 
 // Función de utilidad para verificar si el servidor está disponible
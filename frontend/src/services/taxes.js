@@ -0,0 +1,63 @@
+// Impuestos - IVA de los productos y discriminación de neto e IVA (mismas reglas que backend/lib/taxes.js)
+// Los precios del catálogo son finales (IVA incluido); aquí se calcula el precio sin impuestos
+// nacionales que se muestra al consumidor y el desglose por alícuota del carrito
+// Los importes de la orden los vuelve a calcular el servidor; estos son solo informativos
+
+// Alícuotas de IVA admitidas (%): general y reducida
+export const IVA_RATES = [21, 10.5];
+export const DEFAULT_IVA_RATE = 21;
+
+// El envío se grava a la alícuota general
+export const SHIPPING_IVA_RATE = 21;
+
+// Tipos de comprobante: A discrimina el IVA (responsables inscriptos), B es para consumidores finales
+export const INVOICE_TYPE_LABELS = {
+  B: 'Factura B (consumidor final)',
+  A: 'Factura A (responsable inscripto)',
+};
+
+// Pesos del dígito verificador del CUIT y prefijos válidos (personas humanas y jurídicas)
+const CUIT_WEIGHTS = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+const CUIT_PREFIXES = ['20', '23', '24', '27', '30', '33', '34'];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Alícuota de un producto (sin alícuota se usa la general)
+export const getIvaRate = (product) => (IVA_RATES.includes(product?.iva) ? product.iva : DEFAULT_IVA_RATE);
+
+// Alícuota con coma decimal para mostrar ("10,5%")
+export const formatIvaRate = (rate) => `${String(rate).replace('.', ',')}%`;
+
+// Precio sin impuestos nacionales a partir del precio final
+export const netPrice = (price, rate) => roundCents(price / (1 + rate / 100));
+
+// Valida un CUIT con o sin guiones ("20-12345678-6") por su dígito verificador
+export const isValidCuit = (value) => {
+  const digits = String(value ?? '').replace(/[-\s]/g, '');
+  if (!/^\d{11}$/.test(digits) || !CUIT_PREFIXES.includes(digits.slice(0, 2))) {
+    return false;
+  }
+  const sum = CUIT_WEIGHTS.reduce((total, weight, index) => total + weight * Number(digits[index]), 0);
+  const remainder = 11 - (sum % 11);
+  const verifier = remainder === 11 ? 0 : remainder;
+  return verifier !== 10 && verifier === Number(digits[10]);
+};
+
+// Separa neto e IVA de importes finales ([{ alicuota, monto }], descuentos con monto negativo)
+// Retorna { neto, iva: [{ alicuota, neto, monto }] } de mayor a menor alícuota
+export const taxBreakdown = (amounts) => {
+  const byRate = new Map();
+  amounts.forEach(({ alicuota, monto }) => {
+    byRate.set(alicuota, (byRate.get(alicuota) || 0) + monto);
+  });
+
+  const iva = [...byRate.entries()]
+    .filter(([, monto]) => monto > 0)
+    .sort(([a], [b]) => b - a)
+    .map(([alicuota, monto]) => {
+      const neto = netPrice(monto, alicuota);
+      return { alicuota, neto, monto: roundCents(monto - neto) };
+    });
+
+  return { neto: roundCents(iva.reduce((sum, line) => sum + line.neto, 0)), iva };
+};
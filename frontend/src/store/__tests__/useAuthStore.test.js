@@ -0,0 +1,168 @@
+// ============================================================
+// TESTS DEL STORE DE AUTENTICACIÓN - SESIÓN DEL USUARIO
+// useAuthStore guarda el token y los datos del usuario autenticado
+// y configura el token en la capa API para que viaje en cada petición
+// ============================================================
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { act } from '@testing-library/react';
+
+// Importamos el store que vamos a testear
+import { useAuthStore, getLoginPath, getRedirectTarget } from '../useAuthStore';
+
+// Importamos la API para controlar sus respuestas (está mockeada abajo)
+import { authAPI, setAuthToken, setUnauthorizedHandler } from '../../services/api';
+
+// MOCK: La capa API
+// No queremos peticiones HTTP reales; solo verificar que el store usa la API correctamente
+vi.mock('../../services/api', () => ({
+  authAPI: {
+    login: vi.fn(),
+    register: vi.fn(),
+    confirmPasswordReset: vi.fn(),
+    me: vi.fn()
+  },
+  setAuthToken: vi.fn(),
+  setUnauthorizedHandler: vi.fn()
+}));
+
+// Sesión de ejemplo tal como la devuelve el backend
+const session = {
+  token: 'header.payload.firma',
+  user: { id: 1, nombre: 'Ana', email: 'ana@mail.com', role: 'cliente' }
+};
+
+// El store registra su handler de 401 al importarse; lo guardamos antes de limpiar los mocks
+const unauthorizedHandler = setUnauthorizedHandler.mock.calls[0]?.[0];
+
+describe('useAuthStore - Zustand Store', () => {
+  // CONFIGURACIÓN ANTES DE CADA TEST
+  beforeEach(() => {
+    // Empezar cada test sin sesión y con el historial de mocks limpio
+    act(() => {
+      useAuthStore.getState().logout();
+    });
+    vi.clearAllMocks();
+  });
+
+  // TEST 1: Handler de 401 (sesión vencida)
+  it('debe cerrar la sesión cuando la API responde 401', async () => {
+    // PASO 1: El handler registrado al importar el store
+    expect(unauthorizedHandler).toEqual(expect.any(Function));
+
+    // PASO 2: Simular una sesión iniciada, estando ya en /login (así no hay redirección)
+    authAPI.login.mockResolvedValue(session);
+    await act(async () => {
+      await useAuthStore.getState().login({ email: 'ana@mail.com', password: 'secreta123' });
+    });
+    window.history.pushState({}, '', '/login');
+
+    // PASO 3: La API avisa un 401
+    act(() => {
+      unauthorizedHandler();
+    });
+
+    // PASO 4: La sesión quedó cerrada
+    expect(useAuthStore.getState().isAuthenticated()).toBe(false);
+    window.history.pushState({}, '', '/');
+  });
+
+  // TEST 2: Login exitoso
+  it('debe guardar el token y el usuario al iniciar sesión', async () => {
+    // PASO 1: Simular la respuesta del backend
+    authAPI.login.mockResolvedValue(session);
+
+    // PASO 2: Iniciar sesión
+    await act(async () => {
+      await useAuthStore.getState().login({ email: 'ana@mail.com', password: 'secreta123' });
+    });
+
+    // PASO 3: Verificar el estado del store
+    const state = useAuthStore.getState();
+    expect(state.token).toBe(session.token);
+    expect(state.user).toEqual(session.user);
+    expect(state.isAuthenticated()).toBe(true);
+    expect(state.isAdmin()).toBe(false);
+
+    // PASO 4: El token se configuró en la capa API
+    expect(setAuthToken).toHaveBeenCalledWith(session.token);
+  });
+
+  // TEST 3: Login fallido
+  it('debe propagar el error y no guardar sesión si el login falla', async () => {
+    authAPI.login.mockRejectedValue(Object.assign(new Error('Email o contraseña incorrectos'), { status: 401 }));
+
+    await expect(
+      useAuthStore.getState().login({ email: 'ana@mail.com', password: 'mala' })
+    ).rejects.toThrow('Email o contraseña incorrectos');
+
+    expect(useAuthStore.getState().token).toBeNull();
+    expect(useAuthStore.getState().isAuthenticated()).toBe(false);
+  });
+
+  // TEST 4: Registro
+  it('debe iniciar sesión automáticamente al registrarse', async () => {
+    authAPI.register.mockResolvedValue(session);
+
+    await act(async () => {
+      await useAuthStore.getState().register({ nombre: 'Ana', email: 'ana@mail.com', password: 'secreta123' });
+    });
+
+    expect(authAPI.register).toHaveBeenCalledWith({ nombre: 'Ana', email: 'ana@mail.com', password: 'secreta123' });
+    expect(useAuthStore.getState().user).toEqual(session.user);
+  });
+
+  // TEST 5: Logout
+  it('debe limpiar la sesión y el token al cerrar sesión', async () => {
+    authAPI.login.mockResolvedValue(session);
+    await act(async () => {
+      await useAuthStore.getState().login({ email: 'ana@mail.com', password: 'secreta123' });
+    });
+
+    act(() => {
+      useAuthStore.getState().logout();
+    });
+
+    expect(useAuthStore.getState().token).toBeNull();
+    expect(useAuthStore.getState().user).toBeNull();
+    expect(setAuthToken).toHaveBeenLastCalledWith(null);
+  });
+
+  // TEST 6: Rol de administrador
+  it('debe reconocer a los administradores', async () => {
+    authAPI.login.mockResolvedValue({ ...session, user: { ...session.user, role: 'admin' } });
+
+    await act(async () => {
+      await useAuthStore.getState().login({ email: 'admin@gamehub.com', password: 'secreta123' });
+    });
+
+    expect(useAuthStore.getState().isAdmin()).toBe(true);
+  });
+
+  // TEST 7: Rutas de redirección
+  it('debe construir rutas de login y destinos seguros', () => {
+    // El destino se codifica en ?redirect=
+    expect(getLoginPath('/products?page=2')).toBe('/login?redirect=%2Fproducts%3Fpage%3D2');
+    expect(getLoginPath('/')).toBe('/login');
+
+    // Solo se aceptan rutas internas como destino
+    expect(getRedirectTarget('/products')).toBe('/products');
+    expect(getRedirectTarget('https://otro-sitio.com')).toBe('/');
+    expect(getRedirectTarget('//otro-sitio.com')).toBe('/');
+    expect(getRedirectTarget(null)).toBe('/');
+  });
+
+  // TEST 8: Restablecer la contraseña
+  it('debe iniciar sesión con la contraseña nueva del enlace', async () => {
+    authAPI.confirmPasswordReset.mockResolvedValue(session);
+
+    await act(async () => {
+      await useAuthStore.getState().resetPassword({ token: 'token-del-enlace', password: 'nueva12345' });
+    });
+
+    expect(authAPI.confirmPasswordReset).toHaveBeenCalledWith({ token: 'token-del-enlace', password: 'nueva12345' });
+    expect(setAuthToken).toHaveBeenCalledWith(session.token);
+    expect(useAuthStore.getState().user).toEqual(session.user);
+  });
+});
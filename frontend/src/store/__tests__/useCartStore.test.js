@@ -6,16 +6,46 @@
 
 // IMPORTACIONES NECESARIAS
 // 'describe', 'it', 'expect', 'beforeEach' - Utilidades de Vitest para testing
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 
 // 'renderHook' - Permite testear hooks de React de forma aislada (sin componentes)
 // 'act' - Envuelve las actualizaciones de estado para que React las procese correctamente
-import { renderHook, act } from '@testing-library/react';
+import { renderHook, act, waitFor } from '@testing-library/react';
 
 // Importamos el store de Zustand que vamos a testear
 // Este store maneja todo el estado del carrito de compras
 import { useCartStore } from '../useCartStore';
 
+// Las APIs de cupones, envíos, productos y carrito están mockeadas: controlamos sus respuestas
+import { couponsAPI, shippingAPI, productsAPI, cartAPI } from '../../services/api';
+
+// Store real de sesión: con sesión iniciada el carrito se guarda en el servidor
+import { useAuthStore } from '../useAuthStore';
+
+// MOCK: Servicios de cupones, envíos y productos (el store los usa para validar códigos, cotizar
+// y consultar el catálogo al volver a comprar)
+vi.mock('../../services/api', () => ({
+  FREE_SHIPPING_THRESHOLD: 800000,
+  couponsAPI: {
+    validate: vi.fn()
+  },
+  shippingAPI: {
+    quote: vi.fn()
+  },
+  productsAPI: {
+    getById: vi.fn()
+  },
+  cartAPI: {
+    get: vi.fn(),
+    save: vi.fn(),
+    merge: vi.fn()
+  },
+  // useAuthStore también usa la API al importarse (token y handler de 401)
+  authAPI: {},
+  setAuthToken: vi.fn(),
+  setUnauthorizedHandler: vi.fn()
+}));
+
 // SUITE PRINCIPAL DE TESTS
 describe('useCartStore - Zustand Store', () => {
   // CONFIGURACIÓN ANTES DE CADA TEST
@@ -29,6 +59,9 @@ describe('useCartStore - Zustand Store', () => {
       
       // Cerramos el drawer del carrito (por si estaba abierto)
       useCartStore.getState().closeCart();
+
+      // clearCart conserva el código postal: lo quitamos aparte
+      useCartStore.getState().clearShipping();
     });
     
     // NOTA: getState() obtiene el estado actual del store de Zustand
@@ -185,6 +218,61 @@ describe('useCartStore - Zustand Store', () => {
       // PASO 4: Verificamos que el carrito está completamente vacío
       expect(items).toHaveLength(0);
     });
+
+    // TEST 7: No superar el stock disponible
+    it('no debe agregar más unidades que el stock disponible', () => {
+      // PASO 1: Creamos un producto con solo 2 unidades en stock
+      const product = { id: 4, nombre: 'Steam Deck OLED', precio: 1299999, stock: 2 };
+
+      // PASO 2: Intentamos agregarlo 3 veces y guardamos lo que retorna cada intento
+      let results = [];
+      act(() => {
+        results = [
+          useCartStore.getState().addItem(product),
+          useCartStore.getState().addItem(product),
+          useCartStore.getState().addItem(product)
+        ];
+      });
+
+      // PASO 3: Los dos primeros se aceptan y el tercero se rechaza
+      expect(results).toEqual([true, true, false]);
+
+      // PASO 4: La cantidad queda en el máximo disponible
+      expect(useCartStore.getState().items[0].cantidad).toBe(2);
+    });
+
+    // TEST 8: Producto sin stock
+    it('no debe agregar un producto sin stock', () => {
+      // PASO 1: Producto agotado
+      const product = { id: 7, nombre: 'RTX 4080 SUPER', precio: 2499999, stock: 0 };
+
+      // PASO 2: Intentamos agregarlo
+      act(() => {
+        useCartStore.getState().addItem(product);
+      });
+
+      // PASO 3: El carrito sigue vacío
+      expect(useCartStore.getState().items).toHaveLength(0);
+    });
+
+    // TEST 9: Varias unidades a la vez (selector de cantidad del detalle de producto)
+    it('debe agregar varias unidades sin superar el stock', () => {
+      // PASO 1: Producto con 5 unidades en stock
+      const product = { id: 6, nombre: 'Logitech G Pro X Superlight', precio: 189999, stock: 5 };
+
+      // PASO 2: Agregamos 3 unidades y luego intentamos 3 más
+      let results = [];
+      act(() => {
+        results = [
+          useCartStore.getState().addItem(product, 3),
+          useCartStore.getState().addItem(product, 3)
+        ];
+      });
+
+      // PASO 3: El segundo intento superaría el stock y se rechaza completo
+      expect(results).toEqual([true, false]);
+      expect(useCartStore.getState().items[0].cantidad).toBe(3);
+    });
   });
   // FIN DEL GRUPO DE GESTIÓN DE PRODUCTOS
 
@@ -383,5 +471,661 @@ describe('useCartStore - Zustand Store', () => {
     });
   });
   // FIN DEL GRUPO DE DATOS DE ORDEN
+
+  // GRUPO DE TESTS 5: CUPONES DE DESCUENTO
+  describe('Cupones de descuento', () => {
+    // Reglas públicas de cupones de ejemplo (como las devuelve /coupons/validate)
+    const tenPercent = {
+      codigo: 'BIENVENIDA10', descripcion: '10% de descuento', tipo: 'porcentaje', valor: 10,
+      minimo: 0, productIds: [], categoriaIds: []
+    };
+    const peripherals = {
+      codigo: 'PERIFERICOS15', descripcion: '', tipo: 'porcentaje', valor: 15,
+      minimo: 0, productIds: [], categoriaIds: [3]
+    };
+    const fixedWithMinimum = {
+      codigo: 'GAMER50K', descripcion: '$50.000 de descuento', tipo: 'monto', valor: 50000,
+      minimo: 500000, productIds: [], categoriaIds: []
+    };
+
+    const console5 = { id: 1, nombre: 'PlayStation 5', precio: 600000, categoriaId: 1 };
+    const keyboard = { id: 3, nombre: 'Teclado', precio: 100000, categoriaId: 3 };
+
+    // TEST 1: Aplicar un cupón validado por el servidor
+    it('debe validar el código en el servidor y guardar el cupón', async () => {
+      // PASO 1: Un producto en el carrito y una respuesta válida del servidor
+      act(() => {
+        useCartStore.getState().addItem(console5);
+      });
+      couponsAPI.validate.mockResolvedValue({ ...tenPercent, descuento: 60000 });
+
+      // PASO 2: Aplicar el cupón
+      let descuento;
+      await act(async () => {
+        descuento = await useCartStore.getState().applyCoupon('bienvenida10');
+      });
+
+      // PASO 3: Se enviaron las líneas del carrito y se guardaron las reglas (sin el importe)
+      expect(couponsAPI.validate).toHaveBeenCalledWith('bienvenida10', [
+        { id: 1, nombre: 'PlayStation 5', precio: 600000, cantidad: 1 }
+      ]);
+      expect(descuento).toBe(60000);
+      expect(useCartStore.getState().coupon).toEqual(tenPercent);
+      expect(useCartStore.getState().getDiscount()).toBe(60000);
+    });
+
+    // TEST 2: Cupón rechazado
+    it('debe propagar el error y no guardar el cupón si no es válido', async () => {
+      couponsAPI.validate.mockRejectedValue(Object.assign(new Error('HTTP error! status: 422'), { status: 422 }));
+
+      await expect(useCartStore.getState().applyCoupon('VENCIDO')).rejects.toThrow('422');
+      expect(useCartStore.getState().coupon).toBeNull();
+    });
+
+    // TEST 3: Restricción por categoría
+    it('debe descontar solo los productos alcanzados por el cupón', () => {
+      act(() => {
+        useCartStore.getState().addItem(console5);
+        useCartStore.getState().addItem(keyboard, 2);
+        useCartStore.setState({ coupon: peripherals });
+      });
+
+      // 15% de los dos teclados (200000), la consola no está alcanzada
+      expect(useCartStore.getState().getDiscount()).toBe(30000);
+    });
+
+    // TEST 4: Mínimo de compra
+    it('no debe descontar si el carrito ya no alcanza el mínimo de compra', () => {
+      act(() => {
+        useCartStore.getState().addItem(console5);
+        useCartStore.setState({ coupon: fixedWithMinimum });
+      });
+      expect(useCartStore.getState().getDiscount()).toBe(50000);
+
+      // Al bajar del mínimo el cupón deja de aplicar (pero sigue guardado)
+      act(() => {
+        useCartStore.getState().deleteItem(1);
+        useCartStore.getState().addItem(keyboard);
+      });
+      expect(useCartStore.getState().getDiscount()).toBe(0);
+      expect(useCartStore.getState().coupon).toEqual(fixedWithMinimum);
+    });
+
+    // TEST 5: Datos de la orden con descuento
+    it('debe incluir el cupón y la línea de descuento en los datos de la orden', () => {
+      act(() => {
+        useCartStore.getState().addItem(console5);
+        useCartStore.setState({ coupon: tenPercent });
+      });
+
+      const orderData = useCartStore.getState().getOrderData();
+
+      expect(orderData.subtotal).toBe(600000);
+      expect(orderData.descuentos).toEqual([
+        { codigo: 'BIENVENIDA10', descripcion: '10% de descuento', monto: 60000 }
+      ]);
+      expect(orderData.total).toBe(540000);
+      // El servidor recalcula el descuento a partir del código
+      expect(orderData.cupon).toBe('BIENVENIDA10');
+    });
+
+    // TEST 6: Quitar el cupón y vaciar el carrito
+    it('debe quitar el cupón con removeCoupon y al vaciar el carrito', () => {
+      act(() => {
+        useCartStore.getState().addItem(console5);
+        useCartStore.setState({ coupon: tenPercent });
+      });
+      act(() => {
+        useCartStore.getState().removeCoupon();
+      });
+      expect(useCartStore.getState().coupon).toBeNull();
+      expect(useCartStore.getState().getOrderData()).not.toHaveProperty('cupon');
+
+      act(() => {
+        useCartStore.setState({ coupon: tenPercent });
+        useCartStore.getState().clearCart();
+      });
+      expect(useCartStore.getState().coupon).toBeNull();
+    });
+  });
+  // FIN DEL GRUPO DE CUPONES
+
+  // GRUPO DE TESTS 6: ENVÍO
+  describe('Envío', () => {
+    // Cotización de ejemplo (como la devuelve /shipping/quote)
+    const cordoba = {
+      codigoPostal: '5000', provincia: 'Córdoba', zona: 'centro',
+      costo: 7999, diasMin: 2, diasMax: 4, envioGratisDesde: 800000
+    };
+    const console5 = { id: 1, nombre: 'PlayStation 5', precio: 600000 };
+    const headset = { id: 2, nombre: 'Auriculares', precio: 200000 };
+
+    // TEST 1: Cotizar el envío
+    it('debe cotizar el envío en el servidor y guardar la cotización', async () => {
+      shippingAPI.quote.mockResolvedValue(cordoba);
+
+      await act(async () => {
+        await useCartStore.getState().quoteShipping('5000');
+      });
+
+      expect(shippingAPI.quote).toHaveBeenCalledWith('5000');
+      expect(useCartStore.getState().shipping).toEqual(cordoba);
+    });
+
+    // TEST 2: Sin código postal no hay costo
+    it('debe retornar null como costo si no se cotizó el envío', () => {
+      act(() => {
+        useCartStore.getState().addItem(console5);
+      });
+
+      expect(useCartStore.getState().getShippingCost()).toBeNull();
+      // Aun así se informa cuánto falta para el envío gratis
+      expect(useCartStore.getState().getFreeShippingRemaining()).toBe(200000);
+    });
+
+    // TEST 3: Umbral de envío gratis
+    it('debe bonificar el envío al alcanzar el monto de envío gratis', () => {
+      act(() => {
+        useCartStore.getState().addItem(console5);
+        useCartStore.setState({ shipping: cordoba });
+      });
+      expect(useCartStore.getState().getShippingCost()).toBe(7999);
+
+      // PASO 2: Con $800.000 en productos el envío es gratis
+      act(() => {
+        useCartStore.getState().addItem(headset);
+      });
+      expect(useCartStore.getState().getFreeShippingRemaining()).toBe(0);
+      expect(useCartStore.getState().getShippingCost()).toBe(0);
+
+      // PASO 3: Un cupón que baja el monto por debajo del umbral vuelve a cobrar el envío
+      act(() => {
+        useCartStore.setState({
+          coupon: { codigo: 'BIENVENIDA10', tipo: 'porcentaje', valor: 10, minimo: 0, productIds: [], categoriaIds: [] }
+        });
+      });
+      expect(useCartStore.getState().getFreeShippingRemaining()).toBe(80000);
+      expect(useCartStore.getState().getShippingCost()).toBe(7999);
+    });
+
+    // TEST 4: El envío es una línea aparte de la orden
+    it('debe incluir el envío como línea separada en los datos de la orden', () => {
+      act(() => {
+        useCartStore.getState().addItem(console5);
+        useCartStore.setState({ shipping: cordoba });
+      });
+
+      const orderData = useCartStore.getState().getOrderData();
+
+      expect(orderData.envio).toEqual({
+        codigoPostal: '5000', provincia: 'Córdoba', costo: 7999, diasMin: 2, diasMax: 4
+      });
+      expect(orderData.subtotal).toBe(600000);
+      expect(orderData.total).toBe(607999);
+    });
+
+    // TEST 5: Vaciar el carrito conserva el código postal
+    it('debe conservar la cotización de envío al vaciar el carrito', () => {
+      act(() => {
+        useCartStore.getState().addItem(console5);
+        useCartStore.setState({ shipping: cordoba });
+        useCartStore.getState().clearCart();
+      });
+
+      expect(useCartStore.getState().items).toEqual([]);
+      expect(useCartStore.getState().shipping).toEqual(cordoba);
+    });
+  });
+  // FIN DEL GRUPO DE ENVÍO
+
+  // GRUPO DE TESTS 7: IMPUESTOS
+  describe('Impuestos', () => {
+    // Consola sin alícuota (21%) y placa de video con IVA reducido (10,5%)
+    const console5 = { id: 1, nombre: 'PlayStation 5', precio: 600000 };
+    const gpu = { id: 3, nombre: 'Placa de video', precio: 221000, iva: 10.5, categoriaId: 5 };
+
+    // TEST 1: Neto e IVA por alícuota
+    it('debe separar neto e IVA de cada alícuota del carrito', () => {
+      act(() => {
+        useCartStore.getState().addItem(console5);
+        useCartStore.getState().addItem(gpu);
+      });
+
+      expect(useCartStore.getState().getTaxes()).toEqual({
+        neto: 695867.77,
+        iva: [
+          { alicuota: 21, neto: 495867.77, monto: 104132.23 },
+          { alicuota: 10.5, neto: 200000, monto: 21000 }
+        ]
+      });
+    });
+
+    // TEST 2: Descuento y envío
+    it('debe restar el descuento de los productos alcanzados y sumar el envío al 21%', () => {
+      act(() => {
+        useCartStore.getState().addItem(console5);
+        useCartStore.getState().addItem(gpu);
+        // 10% solo sobre la categoría de la placa de video (22.100)
+        useCartStore.setState({
+          coupon: { codigo: 'HARDWARE10', tipo: 'porcentaje', valor: 10, minimo: 0, productIds: [], categoriaIds: [5] }
+        });
+      });
+
+      // El envío se pasa explícito (el checkout usa 0 al retirar en el local)
+      const taxes = useCartStore.getState().getTaxes(7999);
+
+      expect(taxes.iva).toEqual([
+        { alicuota: 21, neto: 502478.51, monto: 105520.49 },
+        { alicuota: 10.5, neto: 180000, monto: 18900 }
+      ]);
+      // Neto más IVA es el total a pagar
+      expect(taxes.neto + 105520.49 + 18900).toBeCloseTo(600000 + 221000 - 22100 + 7999, 2);
+    });
+  });
+  // FIN DEL GRUPO DE IMPUESTOS
+
+  // GRUPO DE TESTS: CARRITO GUARDADO EN EL SERVIDOR
+  describe('Carrito en el servidor', () => {
+    const ps5 = { id: 1, nombre: 'PlayStation 5', precio: 600000, stock: 3 };
+    const headset = { id: 2, nombre: 'Auriculares', precio: 200000, stock: 5 };
+
+    // Sesión de ejemplo
+    const session = { token: 'header.payload.firma', user: { id: 7, nombre: 'Ana', email: 'ana@mail.com', role: 'cliente' } };
+
+    // Inicia sesión y espera a que termine la unión de carritos
+    const login = async () => {
+      act(() => {
+        useAuthStore.setState(session);
+      });
+      await waitFor(() => expect(cartAPI.merge).toHaveBeenCalled());
+      await act(async () => {});
+    };
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      act(() => {
+        useCartStore.getState().dismissCatalogChanges();
+      });
+      cartAPI.save.mockImplementation(async () => ({ items: [], updatedAt: '2024-01-01T00:00:00.000Z', ajustes: [] }));
+      // Por defecto la cuenta no tenía carrito: el unido es el de invitado
+      cartAPI.merge.mockImplementation(async (lines) => ({
+        items: lines.map((line) => ({ producto: [ps5, headset].find((p) => p.id === line.productId), cantidad: line.cantidad })),
+        updatedAt: '2024-01-01T00:00:00.000Z',
+        ajustes: []
+      }));
+    });
+
+    afterEach(() => {
+      act(() => {
+        useAuthStore.setState({ token: null, user: null });
+      });
+    });
+
+    // TEST 1: Sin sesión el carrito es solo local
+    it('no debe llamar al servidor si no hay sesión', () => {
+      act(() => {
+        useCartStore.getState().addItem(ps5);
+      });
+
+      expect(cartAPI.save).not.toHaveBeenCalled();
+      expect(cartAPI.merge).not.toHaveBeenCalled();
+    });
+
+    // TEST 2: Al ingresar se une el carrito de invitado con el de la cuenta
+    it('debe unir el carrito de invitado con el de la cuenta al ingresar', async () => {
+      // La cuenta ya tenía 2 consolas y los auriculares; solo quedan 3 consolas en stock
+      cartAPI.merge.mockResolvedValue({
+        items: [{ producto: ps5, cantidad: 3 }, { producto: headset, cantidad: 1 }],
+        updatedAt: '2024-01-01T00:00:00.000Z',
+        ajustes: [{ productId: 1, nombre: 'PlayStation 5', solicitado: 4, cantidad: 3 }]
+      });
+      act(() => {
+        useCartStore.getState().addItem(ps5, 2);
+      });
+
+      await login();
+
+      // PASO 1: Se envía el carrito de invitado
+      expect(cartAPI.merge).toHaveBeenCalledWith([{ productId: 1, cantidad: 2 }]);
+
+      // PASO 2: El carrito queda como el unido por el servidor y el recorte se avisa
+      expect(useCartStore.getState().items).toEqual([
+        { producto: ps5, cantidad: 3 },
+        { producto: headset, cantidad: 1 }
+      ]);
+      expect(useCartStore.getState().catalogChanges).toEqual([
+        { productId: 1, nombre: 'PlayStation 5', tipo: 'stock', anterior: 4, actual: 3 }
+      ]);
+
+      // PASO 3: El carrito unido no se vuelve a guardar (el servidor ya lo tiene)
+      expect(cartAPI.save).not.toHaveBeenCalled();
+    });
+
+    // TEST 3: Con sesión cada cambio se guarda en el servidor
+    it('debe guardar los cambios del carrito en la cuenta', async () => {
+      await login();
+
+      act(() => {
+        useCartStore.getState().addItem(ps5);
+        useCartStore.getState().addItem(headset);
+      });
+
+      // Los cambios hechos mientras se guardaba se envían juntos al terminar
+      await waitFor(() => {
+        expect(cartAPI.save).toHaveBeenLastCalledWith([{ productId: 1, cantidad: 1 }, { productId: 2, cantidad: 1 }]);
+      });
+      expect(cartAPI.save.mock.calls.length).toBeLessThanOrEqual(2);
+    });
+
+    // TEST 4: Los cambios de otra pestaña no se vuelven a guardar
+    it('no debe guardar el carrito recibido de otra pestaña', async () => {
+      await login();
+
+      act(() => {
+        window.dispatchEvent(new StorageEvent('storage', {
+          key: 'cart-storage',
+          newValue: JSON.stringify({ state: { items: [{ producto: ps5, cantidad: 1 }], coupon: null, shipping: null }, version: 0 })
+        }));
+      });
+
+      expect(useCartStore.getState().items).toEqual([{ producto: ps5, cantidad: 1 }]);
+      expect(cartAPI.save).not.toHaveBeenCalled();
+    });
+
+    // TEST 5: Al cerrar sesión el carrito queda en la cuenta
+    it('debe vaciar el carrito local al cerrar sesión sin borrarlo del servidor', async () => {
+      await login();
+      act(() => {
+        useCartStore.getState().addItem(ps5);
+      });
+      await waitFor(() => expect(cartAPI.save).toHaveBeenCalledTimes(1));
+
+      act(() => {
+        useAuthStore.setState({ token: null, user: null });
+      });
+
+      expect(useCartStore.getState().items).toEqual([]);
+      expect(cartAPI.save).toHaveBeenCalledTimes(1);
+    });
+
+    // TEST 6: Con una sesión guardada se toma el carrito de la cuenta
+    it('debe tomar el carrito guardado en la cuenta con syncWithServer', async () => {
+      await login();
+      vi.clearAllMocks();
+      cartAPI.get.mockResolvedValue({ items: [{ producto: headset, cantidad: 2 }], updatedAt: '2024-02-01T00:00:00.000Z' });
+
+      await act(async () => {
+        await useCartStore.getState().syncWithServer();
+      });
+
+      // El carrito de otro dispositivo reemplaza al local sin unirlos ni volver a guardarlo
+      expect(useCartStore.getState().items).toEqual([{ producto: headset, cantidad: 2 }]);
+      expect(cartAPI.merge).not.toHaveBeenCalled();
+      expect(cartAPI.save).not.toHaveBeenCalled();
+    });
+  });
+
+  // GRUPO DE TESTS: SINCRONIZACIÓN ENTRE PESTAÑAS
+  describe('Sincronización entre pestañas', () => {
+    const ps5 = { id: 1, nombre: 'PlayStation 5', precio: 600000, stock: 10 };
+    const headset = { id: 2, nombre: 'Auriculares', precio: 200000, stock: 5 };
+
+    // Simula que otra pestaña guardó el carrito (el navegador dispara "storage" solo en las demás)
+    const writeFromOtherTab = (key, newValue) => {
+      act(() => {
+        window.dispatchEvent(new StorageEvent('storage', { key, newValue }));
+      });
+    };
+
+    // TEST 1: Se adopta el carrito de la otra pestaña
+    it('debe adoptar el carrito guardado por otra pestaña sin cambiar isOpen', () => {
+      act(() => {
+        useCartStore.getState().addItem(ps5);
+        useCartStore.getState().openCart();
+      });
+
+      writeFromOtherTab('cart-storage', JSON.stringify({
+        state: {
+          items: [{ producto: ps5, cantidad: 1 }, { producto: headset, cantidad: 2 }],
+          coupon: { codigo: 'BIENVENIDA', tipo: 'porcentaje', valor: 10 },
+          shipping: null
+        },
+        version: 0
+      }));
+
+      const state = useCartStore.getState();
+      expect(state.items).toEqual([{ producto: ps5, cantidad: 1 }, { producto: headset, cantidad: 2 }]);
+      expect(state.getTotalItems()).toBe(3);
+      expect(state.coupon.codigo).toBe('BIENVENIDA');
+      // El drawer es de cada pestaña
+      expect(state.isOpen).toBe(true);
+    });
+
+    // TEST 2: Vaciar el carrito en otra pestaña
+    it('debe vaciar el carrito si otra pestaña lo borró', () => {
+      act(() => {
+        useCartStore.getState().addItem(ps5);
+      });
+
+      // PASO 1: Otra pestaña eliminó la clave del carrito
+      writeFromOtherTab('cart-storage', null);
+      expect(useCartStore.getState().items).toEqual([]);
+
+      // PASO 2: Otra pestaña vació todo el localStorage (key null)
+      act(() => {
+        useCartStore.getState().addItem(ps5);
+      });
+      writeFromOtherTab(null, null);
+      expect(useCartStore.getState().items).toEqual([]);
+    });
+
+    // TEST 3: Otras claves de localStorage no afectan al carrito
+    it('debe ignorar los cambios de otras claves', () => {
+      act(() => {
+        useCartStore.getState().addItem(ps5);
+      });
+
+      writeFromOtherTab('auth-storage', JSON.stringify({ state: { token: null }, version: 0 }));
+
+      expect(useCartStore.getState().items).toEqual([{ producto: ps5, cantidad: 1 }]);
+    });
+  });
+
+  // GRUPO DE TESTS: REVALIDACIÓN DEL CARRITO CONTRA EL CATÁLOGO
+  describe('Revalidación contra el catálogo', () => {
+    // Productos tal como quedaron guardados en el carrito hace un mes
+    const ps5 = { id: 1, nombre: 'PlayStation 5', precio: 600000, stock: 10 };
+    const headset = { id: 2, nombre: 'Auriculares', precio: 200000, stock: 5 };
+    const joystick = { id: 3, nombre: 'Joystick', precio: 90000, stock: 4 };
+    const wheel = { id: 4, nombre: 'Volante', precio: 150000, stock: 2 };
+
+    // Catálogo actual: la consola subió, los auriculares bajaron su stock, el joystick se agotó
+    // y el volante se eliminó
+    const catalog = {
+      1: { ...ps5, precio: 650000 },
+      2: { ...headset, stock: 1 },
+      3: { ...joystick, stock: 0 }
+    };
+
+    beforeEach(() => {
+      act(() => {
+        useCartStore.getState().dismissCatalogChanges();
+      });
+      productsAPI.getById.mockImplementation(async (id) => {
+        if (!catalog[id]) {
+          throw Object.assign(new Error('Recurso no encontrado'), { status: 404 });
+        }
+        return { ...catalog[id] };
+      });
+    });
+
+    // TEST 1: Precios, stock y productos eliminados
+    it('debe actualizar precios, ajustar cantidades y quitar los productos no disponibles', async () => {
+      act(() => {
+        useCartStore.setState({
+          items: [
+            { producto: ps5, cantidad: 1 },
+            { producto: headset, cantidad: 3 },
+            { producto: joystick, cantidad: 1 },
+            { producto: wheel, cantidad: 1 }
+          ]
+        });
+      });
+
+      let changes;
+      await act(async () => {
+        changes = await useCartStore.getState().revalidate();
+      });
+
+      // PASO 1: El carrito queda con los datos actuales
+      expect(useCartStore.getState().items).toEqual([
+        { producto: catalog[1], cantidad: 1 },
+        { producto: catalog[2], cantidad: 1 }
+      ]);
+
+      // PASO 2: Los cambios se informan para el aviso del carrito
+      expect(changes).toEqual([
+        { productId: 1, nombre: 'PlayStation 5', tipo: 'precio', anterior: 600000, actual: 650000 },
+        { productId: 2, nombre: 'Auriculares', tipo: 'stock', anterior: 3, actual: 1 },
+        { productId: 3, nombre: 'Joystick', tipo: 'sin_stock' },
+        { productId: 4, nombre: 'Volante', tipo: 'eliminado' }
+      ]);
+      expect(useCartStore.getState().catalogChanges).toEqual(changes);
+
+      // PASO 3: El aviso se puede descartar
+      act(() => {
+        useCartStore.getState().dismissCatalogChanges();
+      });
+      expect(useCartStore.getState().catalogChanges).toEqual([]);
+    });
+
+    // TEST 2: Sin cambios no hay aviso
+    it('no debe informar cambios si el carrito está al día', async () => {
+      act(() => {
+        useCartStore.setState({ items: [{ producto: catalog[1], cantidad: 2 }] });
+      });
+
+      let changes;
+      await act(async () => {
+        changes = await useCartStore.getState().revalidate();
+      });
+
+      expect(changes).toEqual([]);
+      expect(useCartStore.getState().items).toEqual([{ producto: catalog[1], cantidad: 2 }]);
+    });
+
+    // TEST 3: Un error del servidor no vacía el carrito
+    it('debe conservar las líneas que no se pudieron consultar', async () => {
+      productsAPI.getById.mockRejectedValueOnce(Object.assign(new Error('Failed to fetch'), { status: undefined }));
+      act(() => {
+        useCartStore.setState({ items: [{ producto: ps5, cantidad: 1 }, { producto: wheel, cantidad: 1 }] });
+      });
+
+      await act(async () => {
+        await useCartStore.getState().revalidate();
+      });
+
+      // La consola queda como estaba; el volante sí se confirmó eliminado
+      expect(useCartStore.getState().items).toEqual([{ producto: ps5, cantidad: 1 }]);
+    });
+
+    // TEST 4: Al recuperar el carrito de localStorage se revalida solo
+    it('debe revalidar el carrito al recuperarlo de localStorage', async () => {
+      localStorage.setItem('cart-storage', JSON.stringify({
+        state: { items: [{ producto: ps5, cantidad: 1 }], coupon: null, shipping: null },
+        version: 0
+      }));
+
+      await act(async () => {
+        await useCartStore.persist.rehydrate();
+      });
+
+      await waitFor(() => {
+        expect(useCartStore.getState().items).toEqual([{ producto: catalog[1], cantidad: 1 }]);
+      });
+      expect(useCartStore.getState().catalogChanges).toHaveLength(1);
+    });
+  });
+
+  // GRUPO DE TESTS: VOLVER A COMPRAR UNA ORDEN
+  describe('Volver a comprar', () => {
+    // Catálogo actual simulado: el precio de la consola cambió desde la compra
+    const catalog = {
+      1: { id: 1, nombre: 'PlayStation 5', precio: 650000, stock: 10 },
+      2: { id: 2, nombre: 'Auriculares', precio: 200000, stock: 1 },
+      3: { id: 3, nombre: 'Joystick', precio: 90000, stock: 0 }
+    };
+
+    beforeEach(() => {
+      productsAPI.getById.mockImplementation(async (id) => {
+        if (!catalog[id]) {
+          throw Object.assign(new Error('Recurso no encontrado'), { status: 404 });
+        }
+        return { ...catalog[id] };
+      });
+    });
+
+    // TEST 1: Los productos se agregan con el precio actual del catálogo
+    it('debe agregar las líneas de la orden con los precios actuales', async () => {
+      let result;
+      await act(async () => {
+        result = await useCartStore.getState().reorder([{ id: 1, nombre: 'PlayStation 5', precio: 600000, cantidad: 2 }]);
+      });
+
+      expect(result).toEqual({ added: 2, unavailable: [] });
+      expect(useCartStore.getState().items).toEqual([
+        { producto: catalog[1], cantidad: 2 }
+      ]);
+      expect(useCartStore.getState().getTotal()).toBe(1300000);
+    });
+
+    // TEST 2: Productos eliminados, sin stock o con stock parcial se informan
+    it('debe informar los productos que ya no están disponibles', async () => {
+      let result;
+      await act(async () => {
+        result = await useCartStore.getState().reorder([
+          { id: 2, nombre: 'Auriculares', precio: 180000, cantidad: 3 },
+          { id: 3, nombre: 'Joystick', precio: 85000, cantidad: 1 },
+          { id: 99, nombre: 'Volante', precio: 150000, cantidad: 1 }
+        ]);
+      });
+
+      expect(result.added).toBe(1);
+      expect(result.unavailable).toEqual([
+        { nombre: 'Auriculares', motivo: 'Solo se agregaron 1 de 3 unidades por falta de stock' },
+        { nombre: 'Joystick', motivo: 'Sin stock' },
+        { nombre: 'Volante', motivo: 'Ya no está a la venta' }
+      ]);
+      expect(useCartStore.getState().items).toEqual([{ producto: catalog[2], cantidad: 1 }]);
+    });
+
+    // TEST 3: Las unidades que ya están en el carrito cuentan para el stock
+    it('debe respetar el stock considerando lo que ya hay en el carrito', async () => {
+      act(() => {
+        useCartStore.getState().addItem({ ...catalog[2] });
+      });
+
+      let result;
+      await act(async () => {
+        result = await useCartStore.getState().reorder([{ id: 2, nombre: 'Auriculares', precio: 200000, cantidad: 1 }]);
+      });
+
+      expect(result).toEqual({ added: 0, unavailable: [{ nombre: 'Auriculares', motivo: 'Sin stock' }] });
+      expect(useCartStore.getState().items[0].cantidad).toBe(1);
+    });
+
+    // TEST 4: Un error del servidor no deja el carrito a medio llenar
+    it('debe propagar los errores del servidor sin modificar el carrito', async () => {
+      productsAPI.getById.mockRejectedValueOnce(Object.assign(new Error('Error del servidor'), { status: 500 }));
+
+      await expect(
+        useCartStore.getState().reorder([
+          { id: 1, nombre: 'PlayStation 5', precio: 600000, cantidad: 1 },
+          { id: 2, nombre: 'Auriculares', precio: 200000, cantidad: 1 }
+        ])
+      ).rejects.toThrow('Error del servidor');
+      expect(useCartStore.getState().items).toEqual([]);
+    });
+  });
 });
 // FIN DE TODOS LOS TESTS DEL STORE
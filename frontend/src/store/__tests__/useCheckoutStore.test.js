@@ -0,0 +1,99 @@
+// ============================================================
+// TESTS DEL STORE DE CHECKOUT
+// useCheckoutStore guarda el paso actual y los datos del comprador
+// (contacto, dirección, entrega y pago) en localStorage
+// ============================================================
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, beforeEach } from 'vitest';
+import { act } from '@testing-library/react';
+
+// Importamos el store que vamos a testear y el store de sesión (real)
+import { useCheckoutStore, CHECKOUT_STEPS } from '../useCheckoutStore';
+import { useAuthStore } from '../useAuthStore';
+
+// Sesión de ejemplo
+const session = { token: 'header.payload.firma', user: { id: 7, nombre: 'Ana', email: 'ana@mail.com', role: 'cliente' } };
+
+describe('useCheckoutStore - Zustand Store', () => {
+  // CONFIGURACIÓN ANTES DE CADA TEST
+  beforeEach(() => {
+    act(() => {
+      useAuthStore.setState(session);
+      useCheckoutStore.getState().reset();
+    });
+  });
+
+  // TEST 1: Estado inicial
+  it('debe empezar en el primer paso con envío a domicilio y tarjeta', () => {
+    const state = useCheckoutStore.getState();
+    expect(CHECKOUT_STEPS[state.step]).toBe('Contacto');
+    expect(state.contacto).toEqual({ nombre: '', email: '', dni: '', telefono: '' });
+    expect(state.entrega).toBe('domicilio');
+    expect(state.pago).toBe('tarjeta');
+  });
+
+  // TEST 2: Completar datos y persistirlos
+  it('debe actualizar los campos y guardarlos en localStorage', () => {
+    act(() => {
+      useCheckoutStore.getState().setField('direccion', 'calle', 'Av. Corrientes');
+      useCheckoutStore.getState().setEntrega('retiro');
+      useCheckoutStore.getState().setPago('efectivo');
+      useCheckoutStore.getState().goToStep(3);
+    });
+
+    // Los demás campos de la sección no cambian
+    expect(useCheckoutStore.getState().direccion).toMatchObject({ calle: 'Av. Corrientes', numero: '' });
+
+    const saved = JSON.parse(localStorage.getItem('checkout-storage')).state;
+    expect(saved).toMatchObject({ step: 3, entrega: 'retiro', pago: 'efectivo' });
+    expect(saved.direccion.calle).toBe('Av. Corrientes');
+  });
+
+  // TEST 3: Cerrar sesión borra los datos del comprador
+  it('debe vaciar el formulario al cerrar sesión', () => {
+    act(() => {
+      useCheckoutStore.getState().setField('contacto', 'dni', '30123456');
+      useCheckoutStore.getState().goToStep(2);
+      useAuthStore.setState({ token: null, user: null });
+    });
+
+    expect(useCheckoutStore.getState().step).toBe(0);
+    expect(useCheckoutStore.getState().contacto.dni).toBe('');
+  });
+
+  // TEST 4: Clave de idempotencia del intento de compra
+  it('debe reutilizar la clave del intento de compra hasta descartarla', () => {
+    // PASO 1: La clave se crea la primera vez y se persiste
+    const key = useCheckoutStore.getState().getIdempotencyKey();
+    expect(key).toMatch(/^[A-Za-z0-9_-]{8,100}$/);
+    expect(useCheckoutStore.getState().getIdempotencyKey()).toBe(key);
+    expect(JSON.parse(localStorage.getItem('checkout-storage')).state.idempotencyKey).toBe(key);
+
+    // PASO 2: Descartarla (orden creada) hace que el próximo intento tenga otra
+    act(() => useCheckoutStore.getState().clearIdempotencyKey());
+    expect(useCheckoutStore.getState().getIdempotencyKey()).not.toBe(key);
+
+    // PASO 3: reset también la descarta
+    act(() => useCheckoutStore.getState().reset());
+    expect(useCheckoutStore.getState().idempotencyKey).toBeNull();
+  });
+
+  // TEST 5: Orden que espera el pago en línea
+  it('debe recordar la orden pendiente de pago hasta olvidarla o cerrar sesión', () => {
+    // PASO 1: Se persiste para retomar el pago después de recargar
+    act(() => useCheckoutStore.getState().setPendingOrder(42));
+    expect(JSON.parse(localStorage.getItem('checkout-storage')).state.pendingOrderId).toBe(42);
+
+    // PASO 2: Se olvida cuando la orden se paga o se anula
+    act(() => useCheckoutStore.getState().clearPendingOrder());
+    expect(useCheckoutStore.getState().pendingOrderId).toBeNull();
+
+    // PASO 3: Cerrar sesión también la olvida
+    act(() => {
+      useCheckoutStore.getState().setPendingOrder(42);
+      useAuthStore.setState({ token: null, user: null });
+    });
+    expect(useCheckoutStore.getState().pendingOrderId).toBeNull();
+  });
+});
@@ -0,0 +1,162 @@
+// ============================================================
+// TESTS DEL STORE DE FAVORITOS - LISTA DE DESEOS
+// useWishlistStore guarda los productos favoritos en localStorage y,
+// con sesión iniciada, los sincroniza con el backend (/wishlist)
+// ============================================================
+
+// IMPORTACIONES NECESARIAS
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { act, waitFor } from '@testing-library/react';
+
+// Importamos el store que vamos a testear y el store de sesión (real)
+import { useWishlistStore } from '../useWishlistStore';
+import { useAuthStore } from '../useAuthStore';
+
+// Importamos la API para controlar sus respuestas (está mockeada abajo)
+import { wishlistAPI } from '../../services/api';
+
+// MOCK: La capa API
+// useAuthStore también usa la API al importarse (token y handler de 401)
+vi.mock('../../services/api', () => ({
+  wishlistAPI: {
+    get: vi.fn(),
+    save: vi.fn()
+  },
+  authAPI: {},
+  setAuthToken: vi.fn(),
+  setUnauthorizedHandler: vi.fn()
+}));
+
+// Productos de ejemplo
+const ps5 = { id: 1, nombre: 'PlayStation 5', precio: 899999, stock: 4 };
+const xbox = { id: 2, nombre: 'Xbox Series X', precio: 799999, stock: 2 };
+
+// Sesión de ejemplo
+const session = { token: 'header.payload.firma', user: { id: 7, nombre: 'Ana', email: 'ana@mail.com', role: 'cliente' } };
+
+describe('useWishlistStore - Zustand Store', () => {
+  // CONFIGURACIÓN ANTES DE CADA TEST
+  beforeEach(() => {
+    // Sin sesión y con la lista vacía (cerrar sesión también vacía la lista)
+    act(() => {
+      useAuthStore.setState({ token: null, user: null });
+      useWishlistStore.setState({ items: [] });
+    });
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    wishlistAPI.save.mockImplementation(async (productIds) => ({ productIds, productos: [] }));
+  });
+
+  // TEST 1: Agregar y quitar con el corazón
+  it('debe agregar y quitar un producto al alternarlo', () => {
+    // PASO 1: Agregar dos productos (el más reciente primero)
+    act(() => {
+      useWishlistStore.getState().toggleItem(ps5);
+      useWishlistStore.getState().toggleItem(xbox);
+    });
+    expect(useWishlistStore.getState().items).toEqual([xbox, ps5]);
+    expect(useWishlistStore.getState().isInWishlist(1)).toBe(true);
+    expect(useWishlistStore.getState().getCount()).toBe(2);
+
+    // PASO 2: Alternar de nuevo lo quita
+    act(() => {
+      useWishlistStore.getState().toggleItem(ps5);
+    });
+    expect(useWishlistStore.getState().items).toEqual([xbox]);
+    expect(useWishlistStore.getState().isInWishlist(1)).toBe(false);
+  });
+
+  // TEST 2: Sin sesión la lista es solo local
+  it('no debe llamar al servidor si no hay sesión', () => {
+    act(() => {
+      useWishlistStore.getState().toggleItem(ps5);
+      useWishlistStore.getState().removeItem(1);
+    });
+
+    expect(wishlistAPI.save).not.toHaveBeenCalled();
+    expect(wishlistAPI.get).not.toHaveBeenCalled();
+  });
+
+  // TEST 3: Al ingresar se unen la lista local y la del servidor
+  it('debe unir los favoritos locales con los del servidor al iniciar sesión', async () => {
+    // PASO 1: Un favorito guardado sin sesión; el servidor tiene otro
+    act(() => {
+      useWishlistStore.getState().toggleItem(ps5);
+    });
+    wishlistAPI.get.mockResolvedValue({ productIds: [2], productos: [xbox] });
+
+    // PASO 2: Iniciar sesión dispara la sincronización
+    act(() => {
+      useAuthStore.setState(session);
+    });
+
+    // PASO 3: La lista tiene ambos y se guardó la unión en el servidor
+    await waitFor(() => {
+      expect(wishlistAPI.save).toHaveBeenCalledWith([1, 2]);
+    });
+    expect(useWishlistStore.getState().items).toEqual([ps5, xbox]);
+  });
+
+  // TEST 4: El servidor ya tiene todos los favoritos
+  it('no debe volver a guardar si el servidor ya tenía todos los favoritos', async () => {
+    // El servidor devuelve el precio actualizado del producto guardado localmente
+    act(() => {
+      useWishlistStore.getState().toggleItem(ps5);
+    });
+    wishlistAPI.get.mockResolvedValue({ productIds: [1], productos: [{ ...ps5, precio: 849999 }] });
+
+    act(() => {
+      useAuthStore.setState(session);
+    });
+
+    await waitFor(() => {
+      expect(useWishlistStore.getState().items[0].precio).toBe(849999);
+    });
+    expect(wishlistAPI.save).not.toHaveBeenCalled();
+  });
+
+  // TEST 5: Con sesión cada cambio se guarda en el servidor
+  it('debe guardar la lista en el servidor al cambiarla con sesión iniciada', async () => {
+    wishlistAPI.get.mockResolvedValue({ productIds: [], productos: [] });
+    act(() => {
+      useAuthStore.setState(session);
+    });
+    await waitFor(() => expect(wishlistAPI.get).toHaveBeenCalled());
+
+    act(() => {
+      useWishlistStore.getState().toggleItem(xbox);
+    });
+
+    expect(wishlistAPI.save).toHaveBeenCalledWith([2]);
+  });
+
+  // TEST 6: Cerrar sesión vacía la lista local
+  it('debe vaciar la lista local al cerrar sesión', async () => {
+    wishlistAPI.get.mockResolvedValue({ productIds: [1], productos: [ps5] });
+    act(() => {
+      useAuthStore.setState(session);
+    });
+    await waitFor(() => expect(useWishlistStore.getState().items).toEqual([ps5]));
+
+    act(() => {
+      useAuthStore.getState().logout();
+    });
+
+    expect(useWishlistStore.getState().items).toEqual([]);
+  });
+
+  // TEST 7: Error de red al sincronizar
+  it('debe conservar la lista local si la sincronización falla', async () => {
+    act(() => {
+      useWishlistStore.getState().toggleItem(ps5);
+    });
+    wishlistAPI.get.mockRejectedValue(new Error('Network error'));
+
+    act(() => {
+      useAuthStore.setState(session);
+    });
+
+    await waitFor(() => expect(console.error).toHaveBeenCalled());
+    expect(useWishlistStore.getState().items).toEqual([ps5]);
+  });
+});
@@ -0,0 +1,98 @@
+// Store global de Zustand para la sesión del usuario
+// Guarda el token firmado por el backend y los datos públicos del usuario autenticado
+// Se persiste en localStorage (igual que el carrito) para mantener la sesión entre recargas
+
+// Importación de la función create de Zustand para crear el store
+import { create } from 'zustand';
+// Importación del middleware persist para persistencia en localStorage
+import { persist } from 'zustand/middleware';
+// Servicios de autenticación y configuración del token en la capa API
+import { authAPI, setAuthToken, setUnauthorizedHandler } from '../services/api';
+
+// Creación y exportación del store de autenticación
+export const useAuthStore = create(
+  persist(
+    (set, get) => ({
+      // === ESTADO INICIAL DEL STORE ===
+      token: null,  // Token de sesión (formato JWT) o null si no hay sesión
+      user: null,   // Datos públicos del usuario: { id, nombre, email, role }
+
+      // === ACCIÓN: INICIAR SESIÓN ===
+      // Lanza el error del API si las credenciales son incorrectas (401)
+      login: async (credentials) => {
+        const { token, user } = await authAPI.login(credentials);
+        setAuthToken(token); // A partir de aquí todas las peticiones llevan el token
+        set({ token, user });
+        return user;
+      },
+
+      // === ACCIÓN: REGISTRARSE ===
+      // El backend crea la cuenta y devuelve la sesión ya iniciada
+      register: async (data) => {
+        const { token, user } = await authAPI.register(data);
+        setAuthToken(token);
+        set({ token, user });
+        return user;
+      },
+
+      // === ACCIÓN: RESTABLECER LA CONTRASEÑA ===
+      // Con el token del enlace recibido por email; el backend devuelve la sesión ya iniciada
+      resetPassword: async (data) => {
+        const { token, user } = await authAPI.confirmPasswordReset(data);
+        setAuthToken(token);
+        set({ token, user });
+        return user;
+      },
+
+      // === ACCIÓN: CERRAR SESIÓN ===
+      logout: () => {
+        setAuthToken(null);
+        set({ token: null, user: null });
+      },
+
+      // Actualiza los datos del usuario desde /auth/me (ej: al volver a abrir la aplicación)
+      refreshUser: async () => {
+        if (!get().token) {
+          return null;
+        }
+        const user = await authAPI.me();
+        set({ user });
+        return user;
+      },
+
+      // Funciones de consulta del estado de la sesión
+      isAuthenticated: () => Boolean(get().token),
+      isAdmin: () => get().user?.role === 'admin',
+    }),
+    {
+      name: 'auth-storage', // Nombre para localStorage
+      partialize: (state) => ({ token: state.token, user: state.user }), // Solo persistir la sesión
+      // Al recuperar la sesión de localStorage, configurar el token en la capa API
+      onRehydrateStorage: () => (state) => {
+        setAuthToken(state?.token);
+      },
+    }
+  )
+);
+
+// Ruta del login con la página actual como destino de regreso
+export const getLoginPath = (redirectTo) => {
+  return redirectTo && redirectTo !== '/'
+    ? `/login?redirect=${encodeURIComponent(redirectTo)}`
+    : '/login';
+};
+
+// Destino seguro después de ingresar: solo rutas internas (evita redirecciones a otros sitios)
+export const getRedirectTarget = (redirect) => {
+  return redirect && redirect.startsWith('/') && !redirect.startsWith('//') ? redirect : '/';
+};
+
+// Ante un 401 del backend (sesión vencida o inexistente): cerrar sesión y redirigir al login
+// conservando la página actual para volver a ella después de ingresar
+setUnauthorizedHandler(() => {
+  useAuthStore.getState().logout();
+  const { pathname, search } = window.location;
+  if (pathname !== '/login' && pathname !== '/registro') {
+    window.location.assign(getLoginPath(`${pathname}${search}`));
+  }
+});
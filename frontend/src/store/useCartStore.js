@@ -1,11 +1,91 @@
 // Store global de Zustand para el manejo completo del carrito de compras
 // Implementa el patrón de estado global sin necesidad de Context API
-// Incluye persistencia automática en localStorage para mantener el carrito entre sesiones
+// Incluye persistencia automática en localStorage para mantener el carrito entre sesiones y entre pestañas
+// Con sesión iniciada el carrito se guarda también en el servidor (/cart) para seguir al usuario entre dispositivos:
+// al ingresar, el carrito de invitado se une con el de la cuenta (el servidor suma las cantidades del mismo
+// producto y las limita al stock) y al abrir la tienda con una sesión guardada se toma el del servidor
+// El cupón y el código postal siguen siendo de cada navegador
 
 // Importación de la función create de Zustand para crear el store
 import { create } from 'zustand';
 // Importación del middleware persist para persistencia en localStorage
 import { persist } from 'zustand/middleware';
+// Servicios de cupones y envíos: el servidor valida el código y cotiza el envío
+// El catálogo se consulta al volver a comprar una orden anterior y al revalidar el carrito guardado
+// Con sesión iniciada el carrito también se guarda en el servidor (cartAPI)
+import { couponsAPI, shippingAPI, productsAPI, cartAPI, FREE_SHIPPING_THRESHOLD } from '../services/api';
+// Sesión del usuario: solo se sincroniza con el servidor si hay una
+import { useAuthStore } from './useAuthStore';
+// Alícuotas de IVA para discriminar el impuesto del carrito
+import { getIvaRate, taxBreakdown, SHIPPING_IVA_RATE } from '../services/taxes';
+
+// Clave del carrito en localStorage (compartida por todas las pestañas abiertas de la tienda)
+const CART_STORAGE_KEY = 'cart-storage';
+
+// Líneas del carrito en el formato que espera el backend ({ id, nombre, precio, cantidad })
+const toOrderLines = (items) => items.map((item) => ({
+  id: item.producto.id,
+  nombre: item.producto.nombre,
+  precio: item.producto.precio,
+  cantidad: item.cantidad
+}));
+
+// Indica si un producto está alcanzado por el cupón (sin restricciones alcanza a todos)
+// Misma regla que usa el backend al crear la orden
+const couponAppliesTo = (coupon, product) => {
+  const productIds = coupon.productIds || [];
+  const categoriaIds = coupon.categoriaIds || [];
+  if (productIds.length === 0 && categoriaIds.length === 0) {
+    return true;
+  }
+  return productIds.some((id) => String(id) === String(product.id)) ||
+    categoriaIds.some((id) => String(id) === String(product.categoriaId));
+};
+
+// Líneas en el formato del servidor ({ productId, cantidad })
+const toServerLines = (items) => items.map((item) => ({ productId: item.producto.id, cantidad: item.cantidad }));
+
+// Mientras se sincroniza con el servidor los cambios no se guardan: el resultado de la sincronización
+// reemplaza al carrito local
+let syncing = false;
+
+// Guarda el carrito en el servidor si hay sesión: un guardado a la vez y siempre con el carrito más
+// reciente (los cambios hechos mientras se guardaba se envían juntos al terminar)
+// Los errores no deshacen el cambio local: se vuelve a intentar con el próximo cambio
+let saving = false;
+let pendingSave = false;
+const saveToServer = async () => {
+  if (!useAuthStore.getState().token || syncing) {
+    return;
+  }
+  if (saving) {
+    pendingSave = true;
+    return;
+  }
+  saving = true;
+  try {
+    do {
+      pendingSave = false;
+      await cartAPI.save(toServerLines(useCartStore.getState().items)).catch(() => {});
+    } while (pendingSave && useAuthStore.getState().token);
+  } finally {
+    saving = false;
+  }
+};
+
+// Avisos para el carrito de las líneas que el servidor recortó al unir los carritos
+// (mismo formato que los cambios detectados por revalidate)
+const mergeAdjustmentsToChanges = (ajustes, localItems) => ajustes.map((ajuste) => {
+  const local = localItems.find((item) => item.producto.id === ajuste.productId);
+  const nombre = ajuste.nombre || local?.producto.nombre || `Producto #${ajuste.productId}`;
+  if (ajuste.nombre === null) {
+    return { productId: ajuste.productId, nombre, tipo: 'eliminado' };
+  }
+  if (ajuste.cantidad === 0) {
+    return { productId: ajuste.productId, nombre, tipo: 'sin_stock' };
+  }
+  return { productId: ajuste.productId, nombre, tipo: 'stock', anterior: ajuste.solicitado, actual: ajuste.cantidad };
+});
 
 // Creación y exportación del store de carrito usando Zustand
 // El store se crea usando la función create() que recibe una función de configuración
@@ -17,10 +97,15 @@ export const useCartStore = create(
       // === ESTADO INICIAL DEL STORE ===
       items: [],      // Array que almacena los productos del carrito en formato {producto, cantidad}
       isOpen: false,  // Boolean que controla si el drawer del carrito está visible
+      coupon: null,   // Cupón aplicado: reglas públicas devueltas por el servidor (codigo, tipo, valor, minimo...)
+      shipping: null, // Cotización de envío al código postal ingresado (provincia, costo, diasMin, diasMax...)
+      catalogChanges: [], // Cambios del catálogo detectados al revalidar el carrito (ver revalidate)
       
       // === ACCIÓN: AGREGAR PRODUCTO AL CARRITO ===
       // Función que maneja la lógica de agregar productos (nuevos o incrementar existentes)
-      addItem: (product) => {
+      // quantity: unidades a agregar (1 por defecto; el detalle de producto permite elegir más)
+      // Retorna false si no se pudo agregar porque se superaría el stock disponible
+      addItem: (product, quantity = 1) => {
         // Obtener el estado actual de items usando get()
         const currentItems = get().items;
         
@@ -30,22 +115,30 @@ export const useCartStore = create(
           (item) => item.producto.id === product.id // Comparación por ID del producto
         );
         
+        // Respetar el stock disponible (los productos sin campo stock no tienen límite)
+        const currentQuantity = existingItemIndex >= 0 ? currentItems[existingItemIndex].cantidad : 0;
+        if (typeof product.stock === 'number' && currentQuantity + quantity > product.stock) {
+          return false;
+        }
+        
         // Verificar si el producto ya existe en el carrito
         if (existingItemIndex >= 0) {
           // CASO 1: El producto ya existe - incrementar su cantidad
           // Crear una copia del array para mantener inmutabilidad (buena práctica React)
           const updatedItems = [...currentItems];
           // Incrementar la cantidad del producto existente
-          updatedItems[existingItemIndex].cantidad += 1;
+          updatedItems[existingItemIndex].cantidad += quantity;
           // Actualizar el estado con set()
           set({ items: updatedItems });
         } else {
           // CASO 2: El producto no existe - agregarlo como nuevo item
           // Usar spread operator para crear nuevo array manteniendo items existentes
           set({
-            items: [...currentItems, { producto: product, cantidad: 1 }]
+            items: [...currentItems, { producto: product, cantidad: quantity }]
           });
         }
+        saveToServer();
+        return true;
       },
       
       // Función para eliminar un producto del carrito
@@ -65,6 +158,7 @@ export const useCartStore = create(
             updatedItems.splice(existingItemIndex, 1);
           }
           set({ items: updatedItems });
+          saveToServer();
         }
       },
       
@@ -73,11 +167,180 @@ export const useCartStore = create(
         set({
           items: get().items.filter(item => item.producto.id !== productId)
         });
+        saveToServer();
       },
       
-      // Función para limpiar todo el carrito
+      // === VOLVER A COMPRAR ===
+      // Agrega al carrito los productos de una orden anterior con sus precios y stock actuales
+      // lines: líneas de la orden ({ id, nombre, cantidad })
+      // Retorna { added, unavailable }: unavailable lista { nombre, motivo } de los productos que ya no
+      // existen, no tienen stock o solo pudieron agregarse en parte
+      // Un error del servidor distinto de 404 se propaga (no se agrega nada)
+      reorder: async (lines) => {
+        const products = await Promise.all(lines.map((line) => (
+          productsAPI.getById(line.id).catch((error) => {
+            if (error.status === 404) {
+              return null;
+            }
+            throw error;
+          })
+        )));
+
+        let added = 0;
+        const unavailable = [];
+        lines.forEach((line, index) => {
+          const product = products[index];
+          const nombre = product?.nombre || line.nombre || `Producto #${line.id}`;
+          if (!product) {
+            unavailable.push({ nombre, motivo: 'Ya no está a la venta' });
+            return;
+          }
+
+          // Unidades que todavía se pueden sumar sin superar el stock (contando las que ya están en el carrito)
+          const inCart = get().items.find((item) => item.producto.id === product.id)?.cantidad || 0;
+          const available = typeof product.stock === 'number' ? Math.max(product.stock - inCart, 0) : line.cantidad;
+          const quantity = Math.min(line.cantidad, available);
+          if (quantity === 0) {
+            unavailable.push({ nombre, motivo: 'Sin stock' });
+            return;
+          }
+
+          get().addItem(product, quantity);
+          added += quantity;
+          if (quantity < line.cantidad) {
+            unavailable.push({ nombre, motivo: `Solo se agregaron ${quantity} de ${line.cantidad} unidades por falta de stock` });
+          }
+        });
+
+        return { added, unavailable };
+      },
+
+      // Función para limpiar todo el carrito (también quita el cupón aplicado y los avisos de cambios)
+      // El código postal se conserva para la próxima compra
       clearCart: () => {
-        set({ items: [] });
+        set({ items: [], coupon: null, catalogChanges: [] });
+        saveToServer();
+      },
+
+      // === REVALIDACIÓN CONTRA EL CATÁLOGO ===
+      // El carrito guardado en localStorage conserva los productos tal como estaban al agregarlos:
+      // esta acción consulta cada uno en el servidor y actualiza el carrito con los datos actuales
+      // - Producto eliminado (404): se quita del carrito
+      // - Producto sin stock: se quita del carrito
+      // - Stock menor a la cantidad: se ajusta la cantidad al stock disponible
+      // - Precio distinto: se actualiza
+      // Si un producto no se pudo consultar (ej: servidor caído) su línea queda como estaba
+      // Retorna los cambios detectados; también se suman a catalogChanges para avisar en el carrito:
+      // { productId, nombre, tipo: 'eliminado' | 'sin_stock' | 'stock' | 'precio', anterior, actual }
+      revalidate: async () => {
+        const lines = get().items;
+        if (lines.length === 0) {
+          return [];
+        }
+
+        const results = await Promise.all(lines.map((item) => (
+          productsAPI.getById(item.producto.id)
+            .then((product) => ({ product }))
+            .catch((error) => ({ missing: error.status === 404 }))
+        )));
+
+        const changes = [];
+        const updates = new Map();
+        lines.forEach((item, index) => {
+          const { product, missing } = results[index];
+          const { id, nombre, precio } = item.producto;
+          if (missing) {
+            changes.push({ productId: id, nombre, tipo: 'eliminado' });
+            updates.set(id, null);
+            return;
+          }
+          if (!product) {
+            return;
+          }
+
+          if (typeof product.stock === 'number' && product.stock <= 0) {
+            changes.push({ productId: id, nombre: product.nombre, tipo: 'sin_stock' });
+            updates.set(id, null);
+            return;
+          }
+          if (typeof product.stock === 'number' && item.cantidad > product.stock) {
+            changes.push({ productId: id, nombre: product.nombre, tipo: 'stock', anterior: item.cantidad, actual: product.stock });
+          }
+          if (product.precio !== precio) {
+            changes.push({ productId: id, nombre: product.nombre, tipo: 'precio', anterior: precio, actual: product.precio });
+          }
+          updates.set(id, product);
+        });
+
+        // Se aplica sobre los items actuales: el usuario pudo modificar el carrito mientras se consultaba
+        const items = get().items
+          .filter((item) => updates.get(item.producto.id) !== null)
+          .map((item) => {
+            const product = updates.get(item.producto.id);
+            if (!product) {
+              return item;
+            }
+            const cantidad = typeof product.stock === 'number' ? Math.min(item.cantidad, product.stock) : item.cantidad;
+            return { producto: product, cantidad };
+          });
+
+        set({ items, catalogChanges: [...get().catalogChanges, ...changes] });
+        saveToServer();
+        return changes;
+      },
+
+      // === ACCIÓN: SINCRONIZAR CON EL SERVIDOR ===
+      // - merge: true al ingresar (une el carrito de invitado con el de la cuenta); false para tomar el del
+      //   servidor (igual se une si la cuenta todavía no guardó ningún carrito, para no perder el carrito local)
+      // Los recortes por stock de la unión se avisan en el carrito como cambios del catálogo
+      syncWithServer: async ({ merge = false } = {}) => {
+        syncing = true;
+        try {
+          const localItems = get().items;
+          let cart = merge ? null : await cartAPI.get();
+          if (!cart || cart.updatedAt === null) {
+            cart = await cartAPI.merge(toServerLines(localItems));
+          }
+          const changes = mergeAdjustmentsToChanges(cart.ajustes || [], localItems);
+          set({ items: cart.items, catalogChanges: [...get().catalogChanges, ...changes] });
+        } catch (error) {
+          console.error('Error syncing cart:', error);
+        } finally {
+          syncing = false;
+        }
+      },
+
+      // Descarta los avisos de cambios del catálogo (el usuario ya los vio)
+      dismissCatalogChanges: () => set({ catalogChanges: [] }),
+
+      // === CUPONES DE DESCUENTO ===
+      // Valida el código en el servidor con los productos actuales y lo guarda si es válido
+      // Si el cupón no es válido el error de la API se propaga (error.serverMessage trae el motivo)
+      applyCoupon: async (codigo) => {
+        const { descuento, ...coupon } = await couponsAPI.validate(codigo, toOrderLines(get().items));
+        set({ coupon });
+        return descuento;
+      },
+
+      removeCoupon: () => set({ coupon: null }),
+
+      // Descuento del cupón aplicado según el carrito actual
+      // Retorna 0 si el carrito ya no cumple las condiciones (mínimo de compra o productos alcanzados)
+      // Es solo informativo: el servidor vuelve a calcularlo al crear la orden
+      getDiscount: () => {
+        const { coupon, items } = get();
+        if (!coupon || get().getTotal() < (coupon.minimo || 0)) {
+          return 0;
+        }
+        const base = items
+          .filter((item) => couponAppliesTo(coupon, item.producto))
+          .reduce((total, item) => total + item.producto.precio * item.cantidad, 0);
+        if (base === 0) {
+          return 0;
+        }
+        return coupon.tipo === 'porcentaje'
+          ? Math.round((base * coupon.valor) / 100)
+          : Math.min(coupon.valor, base);
       },
       
       // Función para calcular el total del carrito
@@ -88,6 +351,61 @@ export const useCartStore = create(
         );
       },
       
+      // === ENVÍO ===
+      // Cotiza el envío al código postal en el servidor y lo guarda
+      // Si el código no es válido el error de la API se propaga (error.serverMessage trae el motivo)
+      quoteShipping: async (codigoPostal) => {
+        const shipping = await shippingAPI.quote(codigoPostal);
+        set({ shipping });
+        return shipping;
+      },
+
+      clearShipping: () => set({ shipping: null }),
+
+      // Monto que falta para el envío gratis (0 si ya se alcanzó)
+      // Se cuenta sobre los productos con el descuento del cupón aplicado
+      getFreeShippingRemaining: () => {
+        const threshold = get().shipping?.envioGratisDesde ?? FREE_SHIPPING_THRESHOLD;
+        return Math.max(threshold - (get().getTotal() - get().getDiscount()), 0);
+      },
+
+      // Costo del envío cotizado (null si todavía no se ingresó el código postal)
+      // Es solo informativo: el servidor vuelve a calcularlo al crear la orden
+      getShippingCost: () => {
+        const shipping = get().shipping;
+        if (!shipping) {
+          return null;
+        }
+        return get().getFreeShippingRemaining() === 0 ? 0 : shipping.costo;
+      },
+
+      // Neto e IVA por alícuota del total del carrito: { neto, iva: [{ alicuota, neto, monto }] }
+      // El descuento se prorratea entre los productos alcanzados por el cupón; el envío (por defecto
+      // el cotizado; 0 al retirar en el local) se grava a la alícuota general
+      getTaxes: (shippingCost = get().getShippingCost() ?? 0) => {
+        const { items, coupon } = get();
+        const amounts = items.map((item) => ({
+          alicuota: getIvaRate(item.producto),
+          monto: item.producto.precio * item.cantidad
+        }));
+
+        const discount = get().getDiscount();
+        if (discount > 0) {
+          const eligible = items.filter((item) => couponAppliesTo(coupon, item.producto));
+          const base = eligible.reduce((total, item) => total + item.producto.precio * item.cantidad, 0);
+          eligible.forEach((item) => {
+            amounts.push({
+              alicuota: getIvaRate(item.producto),
+              monto: -(discount * item.producto.precio * item.cantidad) / base
+            });
+          });
+        }
+        if (shippingCost > 0) {
+          amounts.push({ alicuota: SHIPPING_IVA_RATE, monto: shippingCost });
+        }
+        return taxBreakdown(amounts);
+      },
+
       // Función para obtener la cantidad total de items
       getTotalItems: () => {
         return get().items.reduce((total, item) => total + item.cantidad, 0);
@@ -99,24 +417,91 @@ export const useCartStore = create(
       toggleCart: () => set((state) => ({ isOpen: !state.isOpen })),
       
       // Función para obtener los datos del carrito formateados para la orden
+      // Incluye las líneas de descuento y el código del cupón para que el servidor lo valide,
+      // y el envío como línea aparte (el servidor lo recalcula a partir del código postal)
       getOrderData: () => {
-        const items = get().items;
-        const total = get().getTotal();
+        const { items, coupon, shipping } = get();
+        const subtotal = get().getTotal();
+        const descuento = get().getDiscount();
+        const descuentos = descuento > 0
+          ? [{ codigo: coupon.codigo, descripcion: coupon.descripcion || `Cupón ${coupon.codigo}`, monto: descuento }]
+          : [];
+        const costoEnvio = get().getShippingCost() ?? 0;
         return {
-          productos: items.map(item => ({
-            id: item.producto.id,
-            nombre: item.producto.nombre,
-            precio: item.producto.precio,
-            cantidad: item.cantidad
-          })),
-          total: total,
+          productos: toOrderLines(items),
+          subtotal: subtotal,
+          descuentos: descuentos,
+          total: subtotal - descuento + costoEnvio,
+          ...(descuentos.length > 0 && { cupon: coupon.codigo }),
+          ...(shipping && {
+            envio: {
+              codigoPostal: shipping.codigoPostal,
+              provincia: shipping.provincia,
+              costo: costoEnvio,
+              diasMin: shipping.diasMin,
+              diasMax: shipping.diasMax
+            }
+          }),
           fecha: new Date().toISOString()
         };
       }
     }),
     {
-      name: 'cart-storage', // Nombre para localStorage
-      partialize: (state) => ({ items: state.items }), // Solo persistir los items
+      name: CART_STORAGE_KEY, // Nombre para localStorage
+      // Solo persistir los items, el cupón y la cotización de envío
+      partialize: (state) => ({ items: state.items, coupon: state.coupon, shipping: state.shipping }),
+      // Al recuperar el carrito de localStorage, actualizarlo con los precios y el stock actuales
+      onRehydrateStorage: () => (state) => {
+        state?.revalidate().catch((error) => console.error('Error al revalidar el carrito:', error));
+      },
     }
   )
 );
+
+// === SINCRONIZACIÓN ENTRE PESTAÑAS ===
+// Cuando otra pestaña guarda el carrito en localStorage, el navegador avisa a las demás con el evento
+// "storage": se adopta el carrito guardado (items, cupón y envío) para que todas muestren lo mismo y
+// ninguna pise después los cambios de otra con un carrito viejo. isOpen no se guarda, así que cada
+// pestaña conserva su drawer abierto o cerrado
+// Si el contenido es el mismo el navegador no vuelve a avisar, así que las pestañas no se reenvían cambios
+const syncCartFromStorage = (event) => {
+  // key null: otra pestaña vació todo el localStorage
+  if (event.key !== CART_STORAGE_KEY && event.key !== null) {
+    return;
+  }
+
+  let state = null;
+  try {
+    state = event.key && event.newValue ? JSON.parse(event.newValue).state : null;
+  } catch (error) {
+    console.error('Error al leer el carrito de otra pestaña:', error);
+    return;
+  }
+
+  // Se asigna el estado sin pasar por las acciones: la otra pestaña ya lo guardó en el servidor
+  useCartStore.setState({
+    items: state?.items ?? [],
+    coupon: state?.coupon ?? null,
+    shipping: state?.shipping ?? null,
+  });
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', syncCartFromStorage);
+}
+
+// Unir los carritos al ingresar, tomar el de la nueva cuenta al cambiar de usuario y vaciar el carrito
+// local al cerrar sesión (queda guardado en la cuenta), para que no pase a la siguiente persona
+useAuthStore.subscribe((state, previous) => {
+  if (state.user?.id === previous.user?.id) {
+    return;
+  }
+  if (state.token) {
+    useCartStore.getState().syncWithServer({ merge: !previous.user });
+  } else {
+    useCartStore.getState().clearCart();
+  }
+});
+if (useAuthStore.getState().token) {
+  useCartStore.getState().syncWithServer();
+}
@@ -0,0 +1,86 @@
+// Store global de Zustand para el checkout (/checkout)
+// Guarda el paso actual y los datos que completa el comprador (contacto, dirección, entrega, pago y factura)
+// Se persiste en localStorage para que recargar la página no pierda lo ya completado
+// También guarda la clave de idempotencia del intento de compra: mientras no se cree la orden, cada
+// reintento (doble click, recarga, error de red) la reutiliza y el backend no duplica la orden
+// Con pago en línea guarda además la orden creada que espera el pago, para retomarlo después de recargar
+
+// Importación de la función create de Zustand para crear el store
+import { create } from 'zustand';
+// Importación del middleware persist para persistencia en localStorage
+import { persist } from 'zustand/middleware';
+// Sesión del usuario: los datos del comprador se borran al cerrar sesión
+import { useAuthStore } from './useAuthStore';
+
+// Pasos del checkout en orden
+export const CHECKOUT_STEPS = ['Contacto', 'Dirección', 'Entrega', 'Pago', 'Revisión'];
+
+// Datos vacíos de cada sección del formulario
+const initialData = () => ({
+  contacto: { nombre: '', email: '', dni: '', telefono: '' },
+  direccion: { calle: '', numero: '', pisoDepto: '', ciudad: '', provincia: '', codigoPostal: '' },
+  entrega: 'domicilio',
+  pago: 'tarjeta',
+  factura: { tipo: 'B', cuit: '', razonSocial: '' },
+});
+
+// Clave única para un intento de compra (UUID si el navegador lo soporta)
+const createIdempotencyKey = () => (
+  globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+);
+
+// Creación y exportación del store de checkout
+export const useCheckoutStore = create(
+  persist(
+    (set, get) => ({
+      // === ESTADO INICIAL DEL STORE ===
+      step: 0, // Índice del paso actual en CHECKOUT_STEPS
+      ...initialData(),
+      idempotencyKey: null, // Clave del intento de compra en curso (se crea al confirmar)
+      pendingOrderId: null, // Orden creada que todavía espera el pago en línea
+
+      // Cambiar de paso (la página valida el paso actual antes de avanzar)
+      goToStep: (step) => set({ step }),
+
+      // Actualizar un campo de una sección de texto (contacto, dirección o factura)
+      setField: (section, name, value) => set((state) => ({
+        [section]: { ...state[section], [name]: value }
+      })),
+
+      // Elegir forma de entrega o medio de pago
+      setEntrega: (entrega) => set({ entrega }),
+      setPago: (pago) => set({ pago }),
+
+      // Clave del intento de compra actual; se crea la primera vez y se reutiliza hasta descartarla
+      getIdempotencyKey: () => {
+        const current = get().idempotencyKey;
+        if (current) {
+          return current;
+        }
+        const idempotencyKey = createIdempotencyKey();
+        set({ idempotencyKey });
+        return idempotencyKey;
+      },
+
+      // Descartar la clave cuando la orden ya se creó: la próxima compra es un intento nuevo
+      clearIdempotencyKey: () => set({ idempotencyKey: null }),
+
+      // Recordar la orden que espera el pago en línea, o olvidarla cuando se pagó, se anuló o se canceló
+      setPendingOrder: (pendingOrderId) => set({ pendingOrderId }),
+      clearPendingOrder: () => set({ pendingOrderId: null }),
+
+      // Volver al primer paso con el formulario vacío (después de comprar o al cerrar sesión)
+      reset: () => set({ step: 0, ...initialData(), idempotencyKey: null, pendingOrderId: null }),
+    }),
+    {
+      name: 'checkout-storage', // Nombre para localStorage
+    }
+  )
+);
+
+// Los datos del comprador no deben quedar en el navegador para la próxima sesión
+useAuthStore.subscribe((state, previous) => {
+  if (previous.token && !state.token) {
+    useCheckoutStore.getState().reset();
+  }
+});
@@ -0,0 +1,100 @@
+// Store global de Zustand para la lista de favoritos (wishlist)
+// Se persiste en localStorage igual que el carrito, así funciona también sin sesión
+// Con sesión iniciada la lista se sincroniza con el backend (/wishlist) para seguir al usuario
+// entre dispositivos: al ingresar se unen los favoritos locales con los guardados en el servidor
+
+// Importación de la función create de Zustand para crear el store
+import { create } from 'zustand';
+// Importación del middleware persist para persistencia en localStorage
+import { persist } from 'zustand/middleware';
+// Servicio de favoritos del backend
+import { wishlistAPI } from '../services/api';
+// Sesión del usuario: solo se sincroniza con el servidor si hay una
+import { useAuthStore } from './useAuthStore';
+
+// Guarda la lista en el servidor si hay sesión (los errores no deshacen el cambio local)
+const saveToServer = (items) => {
+  if (!useAuthStore.getState().token) {
+    return;
+  }
+  wishlistAPI.save(items.map((product) => product.id)).catch(() => {});
+};
+
+// Creación y exportación del store de favoritos
+export const useWishlistStore = create(
+  persist(
+    (set, get) => ({
+      // === ESTADO INICIAL DEL STORE ===
+      items: [], // Productos guardados (el más reciente primero)
+
+      // === ACCIÓN: AGREGAR O QUITAR UN PRODUCTO ===
+      toggleItem: (product) => {
+        const items = get().isInWishlist(product.id)
+          ? get().items.filter((item) => item.id !== product.id)
+          : [product, ...get().items];
+        set({ items });
+        saveToServer(items);
+      },
+
+      // Función para quitar un producto de favoritos
+      removeItem: (productId) => {
+        const items = get().items.filter((item) => item.id !== productId);
+        set({ items });
+        saveToServer(items);
+      },
+
+      // Vaciar la lista local (al cerrar sesión; no modifica la lista guardada en el servidor)
+      clear: () => {
+        set({ items: [] });
+      },
+
+      // Funciones de consulta
+      isInWishlist: (productId) => get().items.some((item) => item.id === productId),
+      getCount: () => get().items.length,
+
+      // === ACCIÓN: SINCRONIZAR CON EL SERVIDOR ===
+      // Une los favoritos locales con los del servidor (sin duplicados) y guarda el resultado
+      // Los datos de los productos se toman del servidor, que tiene el precio y el stock actuales
+      syncWithServer: async () => {
+        try {
+          const remote = await wishlistAPI.get();
+          const remoteById = new Map(remote.productos.map((product) => [product.id, product]));
+          const local = get().items.map((product) => remoteById.get(product.id) ?? product);
+          const localIds = new Set(local.map((product) => product.id));
+          const items = [...local, ...remote.productos.filter((product) => !localIds.has(product.id))];
+          set({ items });
+
+          // Solo hace falta guardar si había favoritos locales que el servidor no conocía
+          if (items.length !== remote.productos.length) {
+            const saved = await wishlistAPI.save(items.map((product) => product.id));
+            // El servidor descarta los productos que ya no existen en el catálogo
+            const savedIds = new Set(saved.productIds);
+            set({ items: get().items.filter((product) => savedIds.has(product.id)) });
+          }
+        } catch (error) {
+          console.error('Error syncing wishlist:', error);
+        }
+      },
+    }),
+    {
+      name: 'wishlist-storage', // Nombre para localStorage
+      partialize: (state) => ({ items: state.items }), // Solo persistir los productos
+    }
+  )
+);
+
+// Sincronizar al ingresar (o al abrir la aplicación con una sesión guardada) y vaciar la lista
+// local al cerrar sesión, para que los favoritos de una cuenta no pasen a la siguiente
+useAuthStore.subscribe((state, previous) => {
+  if (state.user?.id === previous.user?.id) {
+    return;
+  }
+  if (state.token) {
+    useWishlistStore.getState().syncWithServer();
+  } else {
+    useWishlistStore.getState().clear();
+  }
+});
+if (useAuthStore.getState().token) {
+  useWishlistStore.getState().syncWithServer();
+}